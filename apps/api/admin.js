@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { listJobs, replayJob } = require('./outbox');
+const { requireApiKey } = require('./auth');
+const { getStoreBySlug, listStores } = require('../../src/config/stores');
+const { lintMenu, refreshMenu } = require('../../src/services/menu-service');
+
+// Admin API - requires ADMIN_API_KEY as a Bearer token
+router.use(requireApiKey('ADMIN_API_KEY'));
+
+// GET /api/admin/outbox?status=dead&client=unclesals - List delivery jobs
+router.get('/outbox', (req, res) => {
+  try {
+    const jobs = listJobs({
+      status: req.query.status || null,
+      clientSlug: req.query.client || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.json({ jobs });
+  } catch (error) {
+    if (error.message.startsWith('Invalid outbox status')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error listing outbox:', error);
+    res.status(500).json({ error: 'Failed to list outbox' });
+  }
+});
+
+// POST /api/admin/outbox/:id/replay - Retry a failed delivery now
+router.post('/outbox/:id/replay', (req, res) => {
+  try {
+    const job = replayJob(parseInt(req.params.id));
+    res.json({ success: true, job });
+  } catch (error) {
+    if (error.message.startsWith('Outbox job not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error replaying outbox job:', error);
+    res.status(500).json({ error: 'Failed to replay outbox job' });
+  }
+});
+
+// POST /api/admin/outbox/replay?client=unclesals - Retry every dead delivery
+router.post('/outbox/replay', (req, res) => {
+  try {
+    const jobs = listJobs({ status: 'dead', clientSlug: req.query.client || null, limit: 500 })
+      .map(job => replayJob(job.id));
+    res.json({ success: true, replayed: jobs.length });
+  } catch (error) {
+    console.error('Error replaying outbox:', error);
+    res.status(500).json({ error: 'Failed to replay outbox' });
+  }
+});
+
+// GET /api/admin/menu/unclesals/lint - Read the store's menu source and report problems
+// (prices, duplicates, guessed sizes, descriptions, wing piece counts, topping types)
+router.get('/menu/:clientSlug/lint', async (req, res) => {
+  const store = getStoreBySlug(req.params.clientSlug);
+  if (!store) {
+    return res.status(404).json({ error: `Store not found: ${req.params.clientSlug}` });
+  }
+  try {
+    res.json(await lintMenu(store));
+  } catch (error) {
+    console.error('Error linting menu:', error);
+    res.status(502).json({ error: `Could not read menu: ${error.message}` });
+  }
+});
+
+// Refresh result: 200 when the menu loaded, 422 when it failed validation, 502 when the source couldn't be read
+// The previous menu stays live in both error cases
+const refreshStatus = (result) => {
+  if (!result.error) return 200;
+  return result.report && !result.report.valid ? 422 : 502;
+};
+
+// POST /api/admin/menu/unclesals/refresh - Reload the store's menu now (new calls get it, calls in progress keep theirs)
+router.post('/menu/:clientSlug/refresh', async (req, res) => {
+  const store = getStoreBySlug(req.params.clientSlug);
+  if (!store) {
+    return res.status(404).json({ error: `Store not found: ${req.params.clientSlug}` });
+  }
+  try {
+    const result = await refreshMenu(store);
+    res.status(refreshStatus(result)).json({ success: !result.error, ...result });
+  } catch (error) {
+    console.error('Error refreshing menu:', error);
+    res.status(500).json({ error: 'Failed to refresh menu' });
+  }
+});
+
+// POST /api/admin/menu/refresh - Reload every store's menu
+router.post('/menu/refresh', async (req, res) => {
+  try {
+    const results = await Promise.all(listStores().map(store => refreshMenu(store)));
+    res.json({ success: results.every(result => !result.error), results });
+  } catch (error) {
+    console.error('Error refreshing menus:', error);
+    res.status(500).json({ error: 'Failed to refresh menus' });
+  }
+});
+
+module.exports = router;
+
@@ -0,0 +1,19 @@
+// API key middleware - accepts any of the named keys as a Bearer token (or X-Api-Key header)
+function requireApiKey(...envNames) {
+  return (req, res, next) => {
+    const keys = envNames.map(name => process.env[name]).filter(Boolean);
+    if (keys.length === 0) {
+      return res.status(503).json({ error: `API not configured (set ${envNames.join(' or ')})` });
+    }
+
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const provided = bearer || req.headers['x-api-key'];
+    if (!provided || !keys.includes(provided)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+module.exports = { requireApiKey };
+
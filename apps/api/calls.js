@@ -1,6 +1,14 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const router = express.Router();
-const { logCall, getStats, getDailyStats, getDailyCallCounts } = require('./db');
+const { logCall, getStats, getDailyStats, getDailyCallCounts, getCall } = require('./db');
+const { getCallTranscript, getRecordingPath } = require('./transcript-store');
+const { getOrder } = require('./order-store');
+const { requireApiKey } = require('./auth');
+
+// Transcripts and recordings hold caller details - staff apps and admins only
+const requireStaff = requireApiKey('STAFF_API_KEY', 'ADMIN_API_KEY');
 
 // POST /api/calls/log - Log call data (idempotent by Call SID)
 router.post('/log', (req, res) => {
@@ -15,7 +23,7 @@ router.post('/log', (req, res) => {
     // Calculate minutes (rounded to 2 decimals)
     const minutes_used = Math.round((duration_sec / 60) * 100) / 100;
     
-    // Insert (INSERT OR IGNORE makes it idempotent)
+    // Insert (idempotent - a repeat log for the same call is ignored)
     logCall.run(
       call_sid,
       client_slug,
@@ -82,6 +90,9 @@ router.get('/stats', (req, res) => {
       total_calls_today: todayStats.call_count || 0,
       total_calls_week: weekStats.call_count || 0,
       total_calls_month: monthStats.call_count || 0,
+      total_transfers_today: todayStats.transfer_count || 0,
+      total_transfers_week: weekStats.transfer_count || 0,
+      total_transfers_month: monthStats.transfer_count || 0,
       daily_minutes: dailyMinutes,
       daily_calls: dailyCalls
     });
@@ -91,5 +102,40 @@ router.get('/stats', (req, res) => {
   }
 });
 
+// GET /api/calls/:callSid/transcript - Caller and assistant turns, tool calls and the call's order
+router.get('/:callSid/transcript', requireStaff, (req, res) => {
+  try {
+    const transcript = getCallTranscript(req.params.callSid);
+    if (!transcript) {
+      return res.status(404).json({ error: 'No transcript for this call' });
+    }
+    if (req.query.client && req.query.client !== transcript.clientSlug) {
+      return res.status(404).json({ error: 'No transcript for this call' });
+    }
+    
+    const call = getCall.get(req.params.callSid);
+    res.json({
+      ...transcript,
+      call: call
+        ? { date: call.call_date, durationSec: call.duration_sec, transferReason: call.transfer_reason || null }
+        : null,
+      order: getOrder(req.params.callSid)
+    });
+  } catch (error) {
+    console.error('Error getting transcript:', error);
+    res.status(500).json({ error: 'Failed to get transcript' });
+  }
+});
+
+// GET /api/calls/:callSid/recording/:leg - WAV capture of the caller or assistant audio
+router.get('/:callSid/recording/:leg', requireStaff, (req, res) => {
+  const filePath = getRecordingPath(req.params.callSid, req.params.leg);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'No recording for this call' });
+  }
+  res.type('audio/wav');
+  res.sendFile(path.resolve(filePath));
+});
+
 module.exports = router;
 
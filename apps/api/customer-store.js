@@ -0,0 +1,115 @@
+const {
+  upsertCustomer,
+  getCustomerByPhone,
+  getCustomerById,
+  listCustomers,
+  updateCustomer: updateCustomerRow,
+  deleteCustomer: deleteCustomerRow,
+  getLastCustomerOrder,
+  countCustomerOrders
+} = require('./db');
+const { getOrderRecordById } = require('./order-store');
+const { normalizePhoneNumber } = require('../../src/config/stores');
+
+// Customer store - returning-customer profiles keyed by store and caller phone.
+// Saved orders fill in the name and delivery address; the last order comes from the orders table.
+
+// Placeholders the call flow uses when it doesn't know a value
+const UNKNOWN_VALUES = ['not provided', 'not specified', 'unknown', 'none', ''];
+
+const known = (value) => {
+  const text = value ? String(value).trim() : '';
+  return UNKNOWN_VALUES.includes(text.toLowerCase()) ? null : text;
+};
+
+// Convert a customer row to a profile (with order count and last order)
+function toProfile(row) {
+  if (!row) return null;
+
+  const lastOrderRow = getLastCustomerOrder.get(row.client_slug, row.phone);
+  return {
+    id: row.id,
+    clientSlug: row.client_slug,
+    phone: row.phone,
+    name: row.name,
+    address: row.address,
+    orderCount: countCustomerOrders.get(row.client_slug, row.phone).order_count,
+    lastOrder: lastOrderRow ? getOrderRecordById(lastOrderRow.id) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Look up a caller's profile - null for new, blocked or anonymous callers
+function getCustomerProfile(clientSlug, phone) {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized) return null;
+  return toProfile(getCustomerByPhone.get(clientSlug, normalized));
+}
+
+function getCustomer(id) {
+  return toProfile(getCustomerById.get(id));
+}
+
+// List profiles, most recently updated first
+function findCustomers({ clientSlug = null, phone = null, limit = 50 } = {}) {
+  const normalized = phone ? normalizePhoneNumber(phone) : null;
+  if (phone && !normalized) return [];
+  return listCustomers.all({ client_slug: clientSlug, phone: normalized, limit }).map(toProfile);
+}
+
+// Create or update the profile for a saved order (name, and address for delivery orders)
+function recordCustomerOrder(order) {
+  const phone = normalizePhoneNumber(order.customerPhone);
+  if (!phone) return null;
+
+  upsertCustomer.run({
+    client_slug: order.clientSlug,
+    phone,
+    name: known(order.customerName),
+    address: order.deliveryMethod === 'delivery' ? known(order.address) : null
+  });
+  return getCustomerProfile(order.clientSlug, phone);
+}
+
+// Update a profile's name/address (fields left out are kept) - returns null if there's no such profile
+function updateCustomer(id, { name, address } = {}) {
+  const row = getCustomerById.get(id);
+  if (!row) return null;
+
+  updateCustomerRow.run({
+    id,
+    name: name === undefined ? row.name : known(name),
+    address: address === undefined ? row.address : known(address)
+  });
+  return getCustomer(id);
+}
+
+// Delete a profile (past orders stay) - returns false if there's no such profile
+function deleteCustomer(id) {
+  return deleteCustomerRow.run(id).changes > 0;
+}
+
+// Describe an order's items for speech (e.g. "2 large Cheese Pizzas and 10 piece hot Buffalo Wings")
+function describeOrderItems(order) {
+  const items = (order?.items || []).map(item => {
+    const pieceCount = item.pieceCount || item.details?.pieceCount;
+    const size = item.size && item.size !== 'regular' ? `${item.size} ` : '';
+    const pieces = pieceCount ? `${pieceCount} piece ` : '';
+    const flavor = item.flavor ? `${item.flavor} ` : '';
+    return `${item.quantity} ${pieces}${size}${flavor}${item.name}`;
+  });
+  if (items.length <= 1) return items[0] || '';
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+module.exports = {
+  getCustomerProfile,
+  getCustomer,
+  findCustomers,
+  recordCustomerOrder,
+  updateCustomer,
+  deleteCustomer,
+  describeOrderItems
+};
+
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const {
+  findCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer
+} = require('./customer-store');
+const { requireApiKey } = require('./auth');
+
+// Customers API - returning-customer profiles, STAFF_API_KEY (or ADMIN_API_KEY) as a Bearer token
+router.use(requireApiKey('STAFF_API_KEY', 'ADMIN_API_KEY'));
+
+// GET /api/customers?client=unclesals&phone=3155551234 - List profiles
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const customers = findCustomers({
+      clientSlug: req.query.client || null,
+      phone: req.query.phone || null,
+      limit
+    });
+    res.json({ customers, limit });
+  } catch (error) {
+    console.error('Error listing customers:', error);
+    res.status(500).json({ error: 'Failed to list customers' });
+  }
+});
+
+// GET /api/customers/:id - Profile with order count and last order
+router.get('/:id', (req, res) => {
+  try {
+    const customer = getCustomer(parseInt(req.params.id));
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({ customer });
+  } catch (error) {
+    console.error('Error getting customer:', error);
+    res.status(500).json({ error: 'Failed to get customer' });
+  }
+});
+
+// PATCH /api/customers/:id - Correct the name or saved address ({ name, address }, null clears)
+router.patch('/:id', (req, res) => {
+  const { name, address } = req.body || {};
+  if ((name !== undefined && name !== null && typeof name !== 'string') ||
+      (address !== undefined && address !== null && typeof address !== 'string')) {
+    return res.status(400).json({ error: 'name and address must be strings or null' });
+  }
+
+  try {
+    const customer = updateCustomer(parseInt(req.params.id), { name, address });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({ customer });
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// DELETE /api/customers/:id - Forget a customer (their past orders are kept)
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteCustomer(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(500).json({ error: 'Failed to delete customer' });
+  }
+});
+
+module.exports = router;
+
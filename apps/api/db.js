@@ -2,9 +2,9 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
-// Database in data/ directory (gitignored)
+// Database in data/ directory (gitignored) - CALLS_DB_PATH overrides (e.g. ':memory:' for tests)
 const dataDir = path.join(__dirname, '../../data');
-const dbPath = path.join(dataDir, 'calls.db');
+const dbPath = process.env.CALLS_DB_PATH || path.join(dataDir, 'calls.db');
 
 // Ensure directory exists
 if (!fs.existsSync(dataDir)) {
@@ -13,6 +13,7 @@ if (!fs.existsSync(dataDir)) {
 
 // Initialize database
 const db = new Database(dbPath);
+db.pragma('foreign_keys = ON');
 
 // Create calls table (idempotent - safe to run multiple times)
 db.exec(`
@@ -32,17 +33,264 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_call_sid ON calls(call_sid);
 `);
 
+// Staff handoffs - added after the calls table shipped, so older databases get the columns here
+const callColumns = db.prepare('PRAGMA table_info(calls)').all().map(column => column.name);
+if (!callColumns.includes('transfer_reason')) {
+  db.exec('ALTER TABLE calls ADD COLUMN transfer_reason TEXT');
+}
+if (!callColumns.includes('transferred_at')) {
+  db.exec('ALTER TABLE calls ADD COLUMN transferred_at TEXT');
+}
+
+// Order statuses, in kitchen order
+const ORDER_STATUSES = ['received', 'sent_to_pos', 'in_kitchen', 'ready', 'out_for_delivery', 'completed', 'cancelled'];
+
+// Orders table columns - shared with the status migration below, which rebuilds older tables
+const ORDERS_TABLE_COLUMNS = `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_sid TEXT UNIQUE NOT NULL,
+    client_slug TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received'
+      CHECK (status IN ('received', 'sent_to_pos', 'in_kitchen', 'ready', 'out_for_delivery', 'completed', 'cancelled')),
+    customer_name TEXT,
+    customer_phone TEXT,
+    delivery_method TEXT,
+    address TEXT,
+    payment_method TEXT,
+    subtotal REAL NOT NULL DEFAULT 0,
+    tax REAL NOT NULL DEFAULT 0,
+    total REAL NOT NULL DEFAULT 0,
+    requested_time TEXT,
+    requested_time_label TEXT,
+    estimated_ready_at TEXT,
+    estimated_ready_minutes INTEGER,
+    pos_order_id TEXT,
+    order_date TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+`;
+
+// Create orders tables (system of record for confirmed orders, keyed by Call SID)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS orders (${ORDERS_TABLE_COLUMNS});
+  
+  CREATE INDEX IF NOT EXISTS idx_orders_client_date ON orders(client_slug, order_date);
+  CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+  
+  CREATE TABLE IF NOT EXISTS order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    size TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    unit_price REAL NOT NULL DEFAULT 0,
+    line_total REAL NOT NULL DEFAULT 0,
+    flavor TEXT,
+    dressing TEXT,
+    special_instructions TEXT,
+    details TEXT
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+`);
+
+// out_for_delivery joined the status CHECK after the orders table shipped. SQLite can't alter a CHECK,
+// so older databases get the table rebuilt (foreign keys off, or dropping it would cascade to order_items)
+const ordersTableSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'orders'").get().sql;
+if (!ordersTableSql.includes("'out_for_delivery'")) {
+  db.pragma('foreign_keys = OFF');
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE orders_rebuilt (${ORDERS_TABLE_COLUMNS});
+      INSERT INTO orders_rebuilt SELECT * FROM orders;
+      DROP TABLE orders;
+      ALTER TABLE orders_rebuilt RENAME TO orders;
+      CREATE INDEX IF NOT EXISTS idx_orders_client_date ON orders(client_slug, order_date);
+      CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+    `);
+  })();
+  db.pragma('foreign_keys = ON');
+}
+
+// Create customers table (returning-customer profiles, keyed by store and caller phone - last 10 digits)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    name TEXT,
+    address TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(client_slug, phone)
+  );
+`);
+
+// Outbox job statuses - "dead" jobs ran out of attempts and wait for a manual replay
+const OUTBOX_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Create outbox table (one delivery job per order per destination, survives restarts)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_sid TEXT NOT NULL,
+    client_slug TEXT NOT NULL,
+    destination TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'delivered', 'dead')),
+    payload TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_error TEXT,
+    delivered_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(call_sid, destination)
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox(status, next_attempt_at);
+`);
+
+// Wing option lists stored in menu_wing_options
+const MENU_WING_OPTION_LISTS = ['flavors', 'pieceCounts', 'dressings', 'extras'];
+
+// Create menu tables (menus for stores using the "sqlite" menu provider)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS menu_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT,
+    description TEXT,
+    in_stock INTEGER NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(client_slug, name)
+  );
+  
+  CREATE TABLE IF NOT EXISTS menu_item_prices (
+    item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+    size TEXT NOT NULL,
+    price REAL NOT NULL DEFAULT 0,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (item_id, size)
+  );
+  
+  CREATE TABLE IF NOT EXISTS menu_toppings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT,
+    price REAL NOT NULL DEFAULT 0,
+    notes TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0
+  );
+  
+  CREATE TABLE IF NOT EXISTS menu_size_guide (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    item_type TEXT NOT NULL,
+    size TEXT NOT NULL,
+    price REAL NOT NULL DEFAULT 0,
+    sort_order INTEGER NOT NULL DEFAULT 0
+  );
+  
+  CREATE TABLE IF NOT EXISTS menu_wing_options (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    list TEXT NOT NULL CHECK (list IN ('flavors', 'pieceCounts', 'dressings', 'extras')),
+    name TEXT NOT NULL,
+    price REAL NOT NULL DEFAULT 0,
+    notes TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_menu_items_client ON menu_items(client_slug);
+  CREATE INDEX IF NOT EXISTS idx_menu_toppings_client ON menu_toppings(client_slug);
+  CREATE INDEX IF NOT EXISTS idx_menu_size_guide_client ON menu_size_guide(client_slug);
+  CREATE INDEX IF NOT EXISTS idx_menu_wing_options_client ON menu_wing_options(client_slug);
+`);
+
+// What can be 86'd (marked out of stock) from the dashboard
+const STOCK_KINDS = ['item', 'topping', 'wing_flavor'];
+
+// Create stock-outs table (items, toppings and wing flavors 86'd until a given time)
+// Names are stored lowercase; rows past their restore time are ignored and purged
+db.exec(`
+  CREATE TABLE IF NOT EXISTS stock_outs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_slug TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('item', 'topping', 'wing_flavor')),
+    name TEXT NOT NULL,
+    display_name TEXT NOT NULL,
+    until TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(client_slug, kind, name)
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_stock_outs_client ON stock_outs(client_slug, until);
+`);
+
+// Who a transcript entry is from - 'event' covers things like barge-in and staff transfers
+const TRANSCRIPT_ROLES = ['caller', 'assistant', 'tool', 'event'];
+
+// Create call transcript tables (every turn and tool call, plus optional WAV captures, keyed by Call SID)
+// Tool arguments and results are stored as JSON
+db.exec(`
+  CREATE TABLE IF NOT EXISTS call_transcripts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_sid TEXT NOT NULL,
+    client_slug TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('caller', 'assistant', 'tool', 'event')),
+    text TEXT,
+    tool_name TEXT,
+    tool_arguments TEXT,
+    tool_result TEXT,
+    spoken_at TEXT NOT NULL
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_call_transcripts_call ON call_transcripts(call_sid, id);
+  
+  CREATE TABLE IF NOT EXISTS call_recordings (
+    call_sid TEXT PRIMARY KEY,
+    client_slug TEXT NOT NULL,
+    caller_path TEXT,
+    assistant_path TEXT,
+    duration_sec REAL NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
 // Helper functions
+// First log wins, except that a call handed to staff mid-call gets its duration filled in once it ends
 const logCall = db.prepare(`
-  INSERT OR IGNORE INTO calls 
+  INSERT INTO calls 
   (call_sid, client_slug, call_date, duration_sec, minutes_used, answered, ai_handled)
   VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(call_sid) DO UPDATE SET
+    duration_sec = excluded.duration_sec,
+    minutes_used = excluded.minutes_used,
+    answered = excluded.answered
+  WHERE calls.transfer_reason IS NOT NULL AND calls.duration_sec = 0
+`);
+
+// Record a handoff to staff (the call is still live - duration comes from the status callback)
+const recordCallTransfer = db.prepare(`
+  INSERT INTO calls
+  (call_sid, client_slug, call_date, duration_sec, minutes_used, answered, ai_handled, transfer_reason, transferred_at)
+  VALUES (?, ?, ?, 0, 0, 1, 0, ?, ?)
+  ON CONFLICT(call_sid) DO UPDATE SET
+    ai_handled = 0,
+    transfer_reason = excluded.transfer_reason,
+    transferred_at = excluded.transferred_at
 `);
 
+const getCall = db.prepare('SELECT * FROM calls WHERE call_sid = ?');
+
 const getStats = db.prepare(`
   SELECT 
     SUM(minutes_used) as total_minutes,
-    COUNT(*) as call_count
+    COUNT(*) as call_count,
+    SUM(CASE WHEN transfer_reason IS NOT NULL THEN 1 ELSE 0 END) as transfer_count
   FROM calls
   WHERE client_slug = ? AND call_date >= ?
 `);
@@ -67,11 +315,326 @@ const getDailyCallCounts = db.prepare(`
   ORDER BY call_date ASC
 `);
 
+// Order helper statements
+const upsertOrder = db.prepare(`
+  INSERT INTO orders
+  (call_sid, client_slug, customer_name, customer_phone, delivery_method, address, payment_method,
+   subtotal, tax, total, requested_time, requested_time_label, estimated_ready_at, estimated_ready_minutes, order_date)
+  VALUES (@call_sid, @client_slug, @customer_name, @customer_phone, @delivery_method, @address, @payment_method,
+   @subtotal, @tax, @total, @requested_time, @requested_time_label, @estimated_ready_at, @estimated_ready_minutes, @order_date)
+  ON CONFLICT(call_sid) DO UPDATE SET
+    customer_name = excluded.customer_name,
+    customer_phone = excluded.customer_phone,
+    delivery_method = excluded.delivery_method,
+    address = excluded.address,
+    payment_method = excluded.payment_method,
+    subtotal = excluded.subtotal,
+    tax = excluded.tax,
+    total = excluded.total,
+    requested_time = excluded.requested_time,
+    requested_time_label = excluded.requested_time_label,
+    estimated_ready_at = excluded.estimated_ready_at,
+    estimated_ready_minutes = excluded.estimated_ready_minutes,
+    updated_at = CURRENT_TIMESTAMP
+`);
+
+const getOrderByCallSid = db.prepare(`SELECT * FROM orders WHERE call_sid = ?`);
+
+const getOrderById = db.prepare(`SELECT * FROM orders WHERE id = ?`);
+
+const getOrderItems = db.prepare(`SELECT * FROM order_items WHERE order_id = ? ORDER BY id ASC`);
+
+const deleteOrderItems = db.prepare(`DELETE FROM order_items WHERE order_id = ?`);
+
+const insertOrderItem = db.prepare(`
+  INSERT INTO order_items
+  (order_id, name, size, quantity, unit_price, line_total, flavor, dressing, special_instructions, details)
+  VALUES (@order_id, @name, @size, @quantity, @unit_price, @line_total, @flavor, @dressing, @special_instructions, @details)
+`);
+
+const setOrderStatus = db.prepare(`
+  UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+const setOrderPosId = db.prepare(`
+  UPDATE orders SET pos_order_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// List orders (every filter is optional; phone matches the end of the number)
+const listOrders = db.prepare(`
+  SELECT * FROM orders
+  WHERE (@client_slug IS NULL OR client_slug = @client_slug)
+    AND (@status IS NULL OR status = @status)
+    AND (@from IS NULL OR order_date >= @from)
+    AND (@to IS NULL OR order_date <= @to)
+    AND (@phone IS NULL OR customer_phone LIKE '%' || @phone)
+  ORDER BY created_at DESC, id DESC
+  LIMIT @limit OFFSET @offset
+`);
+
+// Orders still on the kitchen board (oldest first)
+const listActiveOrders = db.prepare(`
+  SELECT * FROM orders
+  WHERE client_slug = ?
+    AND status IN ('received', 'sent_to_pos', 'in_kitchen', 'ready', 'out_for_delivery')
+  ORDER BY created_at ASC, id ASC
+`);
+
+// Order counts and money by status for a date range
+const getOrderTotals = db.prepare(`
+  SELECT status, COUNT(*) as order_count, SUM(subtotal) as subtotal, SUM(tax) as tax, SUM(total) as total
+  FROM orders
+  WHERE (@client_slug IS NULL OR client_slug = @client_slug)
+    AND (@from IS NULL OR order_date >= @from)
+    AND (@to IS NULL OR order_date <= @to)
+  GROUP BY status
+`);
+
+// Orders the kitchen is still working on (statuses before "ready")
+const getKitchenQueue = db.prepare(`
+  SELECT * FROM orders
+  WHERE client_slug = ?
+    AND status IN ('received', 'sent_to_pos', 'in_kitchen')
+    AND estimated_ready_at > ?
+    AND (requested_time IS NULL OR requested_time <= ?)
+  ORDER BY created_at ASC, id ASC
+`);
+
+// Customer helper statements
+// Saving an order only fills in what it knows - a pickup order keeps the saved address
+const upsertCustomer = db.prepare(`
+  INSERT INTO customers (client_slug, phone, name, address)
+  VALUES (@client_slug, @phone, @name, @address)
+  ON CONFLICT(client_slug, phone) DO UPDATE SET
+    name = COALESCE(excluded.name, customers.name),
+    address = COALESCE(excluded.address, customers.address),
+    updated_at = CURRENT_TIMESTAMP
+`);
+
+const getCustomerByPhone = db.prepare(`SELECT * FROM customers WHERE client_slug = ? AND phone = ?`);
+
+const getCustomerById = db.prepare(`SELECT * FROM customers WHERE id = ?`);
+
+const listCustomers = db.prepare(`
+  SELECT * FROM customers
+  WHERE (@client_slug IS NULL OR client_slug = @client_slug)
+    AND (@phone IS NULL OR phone = @phone)
+  ORDER BY updated_at DESC, id DESC
+  LIMIT @limit
+`);
+
+const updateCustomer = db.prepare(`
+  UPDATE customers SET name = @name, address = @address, updated_at = CURRENT_TIMESTAMP WHERE id = @id
+`);
+
+const deleteCustomer = db.prepare(`DELETE FROM customers WHERE id = ?`);
+
+// A customer's most recent order that wasn't cancelled, and how many orders they've placed
+const getLastCustomerOrder = db.prepare(`
+  SELECT * FROM orders
+  WHERE client_slug = ? AND customer_phone LIKE '%' || ? AND status != 'cancelled'
+  ORDER BY created_at DESC, id DESC
+  LIMIT 1
+`);
+
+const countCustomerOrders = db.prepare(`
+  SELECT COUNT(*) as order_count FROM orders
+  WHERE client_slug = ? AND customer_phone LIKE '%' || ? AND status != 'cancelled'
+`);
+
+// Outbox helper statements
+// Re-enqueueing an order (e.g. re-logged on close) never duplicates or resets a job
+const insertOutboxJob = db.prepare(`
+  INSERT OR IGNORE INTO outbox (call_sid, client_slug, destination, payload, next_attempt_at)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+const getDueOutboxJobs = db.prepare(`
+  SELECT * FROM outbox
+  WHERE status = 'pending' AND next_attempt_at <= ?
+  ORDER BY next_attempt_at ASC, id ASC
+  LIMIT ?
+`);
+
+const getOutboxJob = db.prepare(`SELECT * FROM outbox WHERE id = ?`);
+
+const listOutboxJobs = db.prepare(`
+  SELECT * FROM outbox
+  WHERE (@status IS NULL OR status = @status)
+    AND (@client_slug IS NULL OR client_slug = @client_slug)
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+
+const markOutboxDelivered = db.prepare(`
+  UPDATE outbox
+  SET status = 'delivered', attempts = attempts + 1, last_error = NULL,
+      delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+const markOutboxFailed = db.prepare(`
+  UPDATE outbox
+  SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+const resetOutboxJob = db.prepare(`
+  UPDATE outbox
+  SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// Menu helper statements
+const listMenuItems = db.prepare(`SELECT * FROM menu_items WHERE client_slug = ? ORDER BY sort_order ASC, id ASC`);
+
+const listMenuItemPrices = db.prepare(`
+  SELECT p.* FROM menu_item_prices p
+  JOIN menu_items i ON i.id = p.item_id
+  WHERE i.client_slug = ?
+  ORDER BY p.sort_order ASC
+`);
+
+const listMenuToppings = db.prepare(`SELECT * FROM menu_toppings WHERE client_slug = ? ORDER BY sort_order ASC, id ASC`);
+
+const listMenuSizeGuide = db.prepare(`SELECT * FROM menu_size_guide WHERE client_slug = ? ORDER BY sort_order ASC, id ASC`);
+
+const listMenuWingOptions = db.prepare(`SELECT * FROM menu_wing_options WHERE client_slug = ? ORDER BY sort_order ASC, id ASC`);
+
+const insertMenuItem = db.prepare(`
+  INSERT INTO menu_items (client_slug, name, category, description, in_stock, sort_order)
+  VALUES (@client_slug, @name, @category, @description, @in_stock, @sort_order)
+`);
+
+const insertMenuItemPrice = db.prepare(`
+  INSERT INTO menu_item_prices (item_id, size, price, sort_order) VALUES (@item_id, @size, @price, @sort_order)
+`);
+
+const insertMenuTopping = db.prepare(`
+  INSERT INTO menu_toppings (client_slug, name, type, price, notes, sort_order)
+  VALUES (@client_slug, @name, @type, @price, @notes, @sort_order)
+`);
+
+const insertMenuSizeGuide = db.prepare(`
+  INSERT INTO menu_size_guide (client_slug, item_type, size, price, sort_order)
+  VALUES (@client_slug, @item_type, @size, @price, @sort_order)
+`);
+
+const insertMenuWingOption = db.prepare(`
+  INSERT INTO menu_wing_options (client_slug, list, name, price, notes, sort_order)
+  VALUES (@client_slug, @list, @name, @price, @notes, @sort_order)
+`);
+
+// Deleting a store's items also deletes their prices (ON DELETE CASCADE)
+const deleteMenuItems = db.prepare(`DELETE FROM menu_items WHERE client_slug = ?`);
+const deleteMenuToppings = db.prepare(`DELETE FROM menu_toppings WHERE client_slug = ?`);
+const deleteMenuSizeGuide = db.prepare(`DELETE FROM menu_size_guide WHERE client_slug = ?`);
+const deleteMenuWingOptions = db.prepare(`DELETE FROM menu_wing_options WHERE client_slug = ?`);
+
+// Stock-out helper statements
+// 86'ing something that's already out just moves its restore time
+const upsertStockOut = db.prepare(`
+  INSERT INTO stock_outs (client_slug, kind, name, display_name, until)
+  VALUES (@client_slug, @kind, @name, @display_name, @until)
+  ON CONFLICT(client_slug, kind, name) DO UPDATE SET
+    display_name = excluded.display_name,
+    until = excluded.until,
+    created_at = CURRENT_TIMESTAMP
+`);
+
+const deleteStockOut = db.prepare(`DELETE FROM stock_outs WHERE client_slug = ? AND kind = ? AND name = ?`);
+
+const getStockOut = db.prepare(`SELECT * FROM stock_outs WHERE client_slug = ? AND kind = ? AND name = ?`);
+
+const listActiveStockOuts = db.prepare(`
+  SELECT * FROM stock_outs
+  WHERE client_slug = ? AND until > ?
+  ORDER BY kind ASC, name ASC
+`);
+
+const purgeExpiredStockOuts = db.prepare(`DELETE FROM stock_outs WHERE until <= ?`);
+
+// Transcript helper statements
+const insertTranscriptEntry = db.prepare(`
+  INSERT INTO call_transcripts (call_sid, client_slug, role, text, tool_name, tool_arguments, tool_result, spoken_at)
+  VALUES (@call_sid, @client_slug, @role, @text, @tool_name, @tool_arguments, @tool_result, @spoken_at)
+`);
+
+const listTranscriptEntries = db.prepare(`SELECT * FROM call_transcripts WHERE call_sid = ? ORDER BY id ASC`);
+
+const upsertCallRecording = db.prepare(`
+  INSERT INTO call_recordings (call_sid, client_slug, caller_path, assistant_path, duration_sec)
+  VALUES (@call_sid, @client_slug, @caller_path, @assistant_path, @duration_sec)
+  ON CONFLICT(call_sid) DO UPDATE SET
+    caller_path = excluded.caller_path,
+    assistant_path = excluded.assistant_path,
+    duration_sec = excluded.duration_sec
+`);
+
+const getCallRecording = db.prepare(`SELECT * FROM call_recordings WHERE call_sid = ?`);
+
 module.exports = {
   db,
   logCall,
+  recordCallTransfer,
+  getCall,
   getStats,
   getDailyStats,
-  getDailyCallCounts
+  getDailyCallCounts,
+  ORDER_STATUSES,
+  upsertOrder,
+  getOrderByCallSid,
+  getOrderById,
+  getOrderItems,
+  deleteOrderItems,
+  insertOrderItem,
+  setOrderStatus,
+  setOrderPosId,
+  getKitchenQueue,
+  listOrders,
+  listActiveOrders,
+  getOrderTotals,
+  upsertCustomer,
+  getCustomerByPhone,
+  getCustomerById,
+  listCustomers,
+  updateCustomer,
+  deleteCustomer,
+  getLastCustomerOrder,
+  countCustomerOrders,
+  OUTBOX_STATUSES,
+  insertOutboxJob,
+  getDueOutboxJobs,
+  getOutboxJob,
+  listOutboxJobs,
+  markOutboxDelivered,
+  markOutboxFailed,
+  resetOutboxJob,
+  MENU_WING_OPTION_LISTS,
+  listMenuItems,
+  listMenuItemPrices,
+  listMenuToppings,
+  listMenuSizeGuide,
+  listMenuWingOptions,
+  insertMenuItem,
+  insertMenuItemPrice,
+  insertMenuTopping,
+  insertMenuSizeGuide,
+  insertMenuWingOption,
+  deleteMenuItems,
+  deleteMenuToppings,
+  deleteMenuSizeGuide,
+  deleteMenuWingOptions,
+  STOCK_KINDS,
+  upsertStockOut,
+  deleteStockOut,
+  getStockOut,
+  listActiveStockOuts,
+  purgeExpiredStockOuts,
+  TRANSCRIPT_ROLES,
+  insertTranscriptEntry,
+  listTranscriptEntries,
+  upsertCallRecording,
+  getCallRecording
 };
 
@@ -0,0 +1,132 @@
+const {
+  db,
+  MENU_WING_OPTION_LISTS,
+  listMenuItems,
+  listMenuItemPrices,
+  listMenuToppings,
+  listMenuSizeGuide,
+  listMenuWingOptions,
+  insertMenuItem,
+  insertMenuItemPrice,
+  insertMenuTopping,
+  insertMenuSizeGuide,
+  insertMenuWingOption,
+  deleteMenuItems,
+  deleteMenuToppings,
+  deleteMenuSizeGuide,
+  deleteMenuWingOptions
+} = require('./db');
+const { normalizeItem, parsePrice } = require('../../src/services/menu-providers/menu-provider');
+
+// Menu store - menus for stores using the "sqlite" menu provider.
+// Reads and writes the same shape the menu providers normalize ({ items, toppings, sizeGuide, wingOptions }).
+
+// Read a store's menu - out-of-stock items come back with inStock: false
+function getStoreMenu(clientSlug) {
+  const pricesByItem = new Map();
+  listMenuItemPrices.all(clientSlug).forEach(row => {
+    const prices = pricesByItem.get(row.item_id) || {};
+    prices[row.size] = row.price;
+    pricesByItem.set(row.item_id, prices);
+  });
+
+  const wingOptions = {};
+  MENU_WING_OPTION_LISTS.forEach(list => {
+    wingOptions[list] = [];
+  });
+  listMenuWingOptions.all(clientSlug).forEach(row => {
+    wingOptions[row.list].push({ name: row.name, price: row.price, notes: row.notes || '' });
+  });
+
+  return {
+    items: listMenuItems.all(clientSlug).map(row => ({
+      name: row.name,
+      category: row.category || '',
+      description: row.description || '',
+      inStock: row.in_stock === 1,
+      priceMap: pricesByItem.get(row.id) || {}
+    })),
+    toppings: listMenuToppings.all(clientSlug).map(row => ({
+      name: row.name,
+      type: row.type || '',
+      price: row.price,
+      notes: row.notes || ''
+    })),
+    sizeGuide: listMenuSizeGuide.all(clientSlug).map(row => ({
+      itemType: row.item_type,
+      size: row.size,
+      price: row.price
+    })),
+    wingOptions
+  };
+}
+
+// Replace a store's whole menu (e.g. imported from a sheet or file)
+// Items are a list of { name, category, description, inStock, priceMap } or an object keyed by name
+const saveStoreMenu = db.transaction((clientSlug, menu) => {
+  deleteMenuItems.run(clientSlug);
+  deleteMenuToppings.run(clientSlug);
+  deleteMenuSizeGuide.run(clientSlug);
+  deleteMenuWingOptions.run(clientSlug);
+
+  const items = Array.isArray(menu.items || menu.menu)
+    ? (menu.items || menu.menu)
+    : Object.entries(menu.items || menu.menu || {}).map(([name, item]) => ({ ...item, name }));
+
+  items.forEach((item, index) => {
+    const { sizes, priceMap, category, description } = normalizeItem(item);
+    const { lastInsertRowid } = insertMenuItem.run({
+      client_slug: clientSlug,
+      name: String(item.name).trim().toLowerCase(),
+      category: category || null,
+      description: description || null,
+      in_stock: item.inStock === false ? 0 : 1,
+      sort_order: index
+    });
+    sizes.forEach((size, sortOrder) => {
+      insertMenuItemPrice.run({ item_id: lastInsertRowid, size, price: priceMap[size], sort_order: sortOrder });
+    });
+  });
+
+  (menu.toppings || []).forEach((topping, index) => {
+    insertMenuTopping.run({
+      client_slug: clientSlug,
+      name: topping.name,
+      type: topping.type || null,
+      price: parsePrice(topping.price),
+      notes: topping.notes || null,
+      sort_order: index
+    });
+  });
+
+  (menu.sizeGuide || []).forEach((entry, index) => {
+    insertMenuSizeGuide.run({
+      client_slug: clientSlug,
+      item_type: entry.itemType,
+      size: entry.size,
+      price: parsePrice(entry.price),
+      sort_order: index
+    });
+  });
+
+  MENU_WING_OPTION_LISTS.forEach(list => {
+    ((menu.wingOptions || {})[list] || []).forEach((option, index) => {
+      insertMenuWingOption.run({
+        client_slug: clientSlug,
+        list,
+        name: typeof option === 'string' ? option : option.name,
+        price: parsePrice(option.price),
+        notes: option.notes || null,
+        sort_order: index
+      });
+    });
+  });
+
+  return items.length;
+});
+
+module.exports = {
+  getStoreMenu,
+  saveStoreMenu
+};
+
@@ -0,0 +1,73 @@
+const googleSheets = require('../../integrations/google-sheets');
+const posSystems = require('../../integrations/pos-systems');
+const { getStoreBySlug, getStoreConfig } = require('../../src/config/stores');
+const { toIntegrationOrder, updateOrderStatus } = require('./order-store');
+
+// Outbox delivery handlers - each one sends a saved order to one destination
+
+function getStore(order) {
+  return getStoreBySlug(order.clientSlug) || getStoreConfig();
+}
+
+// Destinations configured for a store. zapierPayload is what gets posted to the webhook.
+function getDeliveryJobs(storeConfig, zapierPayload = null) {
+  const jobs = [];
+
+  if (storeConfig.integrations?.googleSheetsId || process.env.GOOGLE_SHEETS_ID) {
+    jobs.push({ destination: 'sheets' });
+  }
+
+  const zapierWebhookUrl = storeConfig.integrations?.zapierWebhookUrl || process.env.ZAPIER_WEBHOOK_URL;
+  if (zapierWebhookUrl) {
+    jobs.push({ destination: 'zapier', payload: { webhookUrl: zapierWebhookUrl, body: zapierPayload } });
+  }
+
+  const posSystem = storeConfig.integrations?.pos?.system || process.env.POS_SYSTEM || 'none';
+  if (posSystem.toLowerCase() !== 'none') {
+    jobs.push({ destination: 'pos' });
+  }
+
+  return jobs;
+}
+
+const deliveryHandlers = {
+  async sheets(order) {
+    return googleSheets.logOrderToGoogleSheets(toIntegrationOrder(order), getStore(order));
+  },
+
+  async zapier(order, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    try {
+      const response = await fetch(payload.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload.body || toIntegrationOrder(order)),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Zapier HTTP ${response.status}`);
+      }
+      return true;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  async pos(order) {
+    const posOrderId = await posSystems.sendOrderToPOS(toIntegrationOrder(order), getStore(order));
+    if (!posOrderId) {
+      return false;
+    }
+    if (order.status === 'received') {
+      updateOrderStatus(order.callSid, 'sent_to_pos', { posOrderId });
+    }
+    return true;
+  }
+};
+
+module.exports = {
+  getDeliveryJobs,
+  deliveryHandlers
+};
+
@@ -0,0 +1,308 @@
+const EventEmitter = require('events');
+const {
+  db,
+  ORDER_STATUSES,
+  upsertOrder,
+  getOrderByCallSid,
+  getOrderById,
+  getOrderItems,
+  deleteOrderItems,
+  insertOrderItem,
+  setOrderStatus,
+  setOrderPosId,
+  getKitchenQueue,
+  listOrders,
+  listActiveOrders,
+  getOrderTotals
+} = require('./db');
+
+// Order store - confirmed orders are written here first, then integrations
+// (Google Sheets, POS, Zapier) read the saved order back from SQLite
+
+// Emits 'order' with the full order record whenever an order is saved or changes status (kitchen board)
+// and 'status' (order, previousStatus) only when the status changes (customer notifications)
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0); // One listener per open kitchen board
+
+// Staff actions and the statuses they're allowed from
+const ORDER_TRANSITIONS = {
+  accept: { to: 'in_kitchen', from: ['received', 'sent_to_pos'] },
+  ready: { to: 'ready', from: ['received', 'sent_to_pos', 'in_kitchen'] },
+  out_for_delivery: { to: 'out_for_delivery', from: ['ready'] },
+  complete: { to: 'completed', from: ['ready', 'out_for_delivery'] },
+  cancel: { to: 'cancelled', from: ['received', 'sent_to_pos', 'in_kitchen', 'ready', 'out_for_delivery'] }
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+};
+
+// Save (or re-save) a confirmed order and its items, keyed by Call SID
+const saveOrderTransaction = db.transaction((order, clientSlug) => {
+  const callSid = order.callSid;
+  if (!callSid) {
+    throw new Error('Cannot save order without a CallSid');
+  }
+
+  const totals = order.totals || {};
+  const quote = order.readyTimeQuote || {};
+
+  upsertOrder.run({
+    call_sid: callSid,
+    client_slug: clientSlug || order.storeSlug || 'unknown',
+    customer_name: order.customerName || null,
+    customer_phone: order.customerPhone || null,
+    delivery_method: order.deliveryMethod || null,
+    address: order.address || null,
+    payment_method: order.paymentMethod || null,
+    subtotal: toNumber(totals.subtotal ?? order.subtotal),
+    tax: toNumber(totals.tax ?? order.tax),
+    total: toNumber(order.finalTotal ?? totals.total ?? order.total),
+    requested_time: order.requestedTime || null,
+    requested_time_label: order.requestedTimeLabel || null,
+    estimated_ready_at: quote.readyAt || order.estimatedReadyAt || null,
+    estimated_ready_minutes: quote.minutes ?? order.estimatedReadyMinutes ?? null,
+    order_date: (order.timestamp || new Date().toISOString()).split('T')[0]
+  });
+
+  const saved = getOrderByCallSid.get(callSid);
+
+  // Replace items so a re-save never duplicates them
+  deleteOrderItems.run(saved.id);
+  (order.items || []).forEach(item => {
+    const quantity = parseInt(item.quantity, 10) || 1;
+    const unitPrice = toNumber(item.unitPrice ?? item.price);
+    insertOrderItem.run({
+      order_id: saved.id,
+      name: item.name,
+      size: item.size || null,
+      quantity,
+      unit_price: unitPrice,
+      line_total: toNumber(item.lineTotal ?? item.itemTotal ?? unitPrice * quantity),
+      flavor: item.flavor || null,
+      dressing: item.dressing || null,
+      special_instructions: item.specialInstructions || null,
+      details: JSON.stringify(item)
+    });
+  });
+
+  return getOrder(callSid);
+});
+
+function saveOrder(order, clientSlug) {
+  const record = saveOrderTransaction(order, clientSlug);
+  orderEvents.emit('order', record);
+  return record;
+}
+
+// Convert database rows to an order record
+function toRecord(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    callSid: row.call_sid,
+    clientSlug: row.client_slug,
+    status: row.status,
+    customerName: row.customer_name,
+    customerPhone: row.customer_phone,
+    deliveryMethod: row.delivery_method,
+    address: row.address,
+    paymentMethod: row.payment_method,
+    subtotal: row.subtotal,
+    tax: row.tax,
+    total: row.total,
+    requestedTime: row.requested_time,
+    requestedTimeLabel: row.requested_time_label,
+    estimatedReadyAt: row.estimated_ready_at,
+    estimatedReadyMinutes: row.estimated_ready_minutes,
+    posOrderId: row.pos_order_id,
+    orderDate: row.order_date,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    items: getOrderItems.all(row.id).map(item => ({
+      id: item.id,
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      unitPrice: item.unit_price,
+      lineTotal: item.line_total,
+      flavor: item.flavor,
+      dressing: item.dressing,
+      specialInstructions: item.special_instructions,
+      details: item.details ? JSON.parse(item.details) : {}
+    }))
+  };
+}
+
+// Get an order (with items) by Call SID
+function getOrder(callSid) {
+  return toRecord(getOrderByCallSid.get(callSid));
+}
+
+// Get an order (with items) by numeric ID
+function getOrderRecordById(id) {
+  return toRecord(getOrderById.get(id));
+}
+
+// Change an order's status (optionally recording the POS order ID)
+function updateOrderStatus(callSid, status, { posOrderId } = {}) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new Error(`Invalid order status: ${status}`);
+  }
+
+  const row = getOrderByCallSid.get(callSid);
+  if (!row) {
+    throw new Error(`Order not found: ${callSid}`);
+  }
+
+  setOrderStatus.run(status, row.id);
+  if (posOrderId) {
+    setOrderPosId.run(String(posOrderId), row.id);
+  }
+
+  const record = getOrder(callSid);
+  orderEvents.emit('order', record);
+  if (status !== row.status) {
+    orderEvents.emit('status', record, row.status);
+  }
+  return record;
+}
+
+// Apply a staff action (accept, ready, out_for_delivery, complete, cancel) to an order
+// Returns the updated order, or null if there's no such order. Throws for actions not allowed from the current status.
+function transitionOrder(id, action) {
+  const transition = ORDER_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown order action: ${action}`);
+  }
+
+  const row = getOrderById.get(id);
+  if (!row) {
+    return null;
+  }
+
+  if (!transition.from.includes(row.status)) {
+    throw new Error(`Cannot ${action.replace(/_/g, ' ')} an order that is ${row.status.replace(/_/g, ' ')}`);
+  }
+  if (action === 'out_for_delivery' && row.delivery_method !== 'delivery') {
+    throw new Error('Cannot send a pickup order out for delivery');
+  }
+
+  setOrderStatus.run(transition.to, row.id);
+
+  const record = getOrderRecordById(row.id);
+  orderEvents.emit('order', record);
+  orderEvents.emit('status', record, row.status);
+  return record;
+}
+
+// List orders, newest first
+// Filters: clientSlug, status, from/to (YYYY-MM-DD order dates), phone (any format), limit, offset
+function findOrders({ clientSlug = null, status = null, from = null, to = null, phone = null, limit = 50, offset = 0 } = {}) {
+  if (status && !ORDER_STATUSES.includes(status)) {
+    throw new Error(`Invalid order status: ${status}`);
+  }
+
+  // Match on the last 10 digits so "+1 (315) 555-1234" finds "+13155551234"
+  const digits = phone ? String(phone).replace(/\D/g, '').slice(-10) : null;
+
+  return listOrders.all({
+    client_slug: clientSlug,
+    status,
+    from,
+    to,
+    phone: digits || null,
+    limit,
+    offset
+  }).map(toRecord);
+}
+
+// Order counts and sales for a date range - cancelled orders don't count toward sales
+function getTotals({ clientSlug = null, from = null, to = null } = {}) {
+  const rows = getOrderTotals.all({ client_slug: clientSlug, from, to });
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  const byStatus = {};
+  const totals = { orderCount: 0, cancelledCount: 0, subtotal: 0, tax: 0, total: 0, averageOrder: 0 };
+  rows.forEach(row => {
+    byStatus[row.status] = { orderCount: row.order_count, total: round(row.total) };
+    if (row.status === 'cancelled') {
+      totals.cancelledCount += row.order_count;
+      return;
+    }
+    totals.orderCount += row.order_count;
+    totals.subtotal += row.subtotal || 0;
+    totals.tax += row.tax || 0;
+    totals.total += row.total || 0;
+  });
+
+  totals.averageOrder = totals.orderCount > 0 ? round(totals.total / totals.orderCount) : 0;
+  totals.subtotal = round(totals.subtotal);
+  totals.tax = round(totals.tax);
+  totals.total = round(totals.total);
+  return { ...totals, byStatus };
+}
+
+// Shape a saved order the way the integrations (Sheets, POS, Zapier) expect it
+function toIntegrationOrder(record) {
+  return {
+    orderId: record.id,
+    callSid: record.callSid,
+    status: record.status,
+    items: record.items.map(item => ({
+      ...item.details,
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      price: item.unitPrice,
+      unitPrice: item.unitPrice,
+      lineTotal: item.lineTotal,
+      flavor: item.flavor || item.details.flavor,
+      dressing: item.dressing || item.details.dressing
+    })),
+    deliveryMethod: record.deliveryMethod,
+    address: record.address,
+    customerName: record.customerName,
+    customerPhone: record.customerPhone,
+    from: record.customerPhone,
+    paymentMethod: record.paymentMethod,
+    totals: { subtotal: record.subtotal, tax: record.tax, total: record.total },
+    finalTotal: record.total,
+    requestedTime: record.requestedTime,
+    requestedTimeLabel: record.requestedTimeLabel,
+    readyTimeQuote: record.estimatedReadyAt
+      ? { readyAt: record.estimatedReadyAt, minutes: record.estimatedReadyMinutes }
+      : null
+  };
+}
+
+// Orders on the kitchen board - everything not completed or cancelled
+function listKitchenBoard(clientSlug) {
+  return listActiveOrders.all(clientSlug).map(toRecord);
+}
+
+// Orders the kitchen is working on right now - used as the ready-time estimator's queue.
+// Scheduled orders count once they're within the hour.
+function listKitchenQueue(clientSlug, now = new Date()) {
+  const soon = new Date(now.getTime() + 60 * 60000).toISOString();
+  return getKitchenQueue.all(clientSlug, now.toISOString(), soon).map(toRecord);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  orderEvents,
+  saveOrder,
+  getOrder,
+  getOrderRecordById,
+  updateOrderStatus,
+  transitionOrder,
+  findOrders,
+  getTotals,
+  toIntegrationOrder,
+  listKitchenQueue,
+  listKitchenBoard
+};
+
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const {
+  ORDER_TRANSITIONS,
+  orderEvents,
+  listKitchenBoard,
+  findOrders,
+  getOrderRecordById,
+  transitionOrder,
+  getTotals
+} = require('./order-store');
+const { requireApiKey } = require('./auth');
+
+// Orders API for kitchen displays and staff apps - STAFF_API_KEY (or ADMIN_API_KEY) as a Bearer token
+router.use(requireApiKey('STAFF_API_KEY', 'ADMIN_API_KEY'));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read client and date range filters, returning an error message for bad dates
+function getRangeFilters(query) {
+  const from = query.from || null;
+  const to = query.to || null;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'from and to must be YYYY-MM-DD dates' };
+  }
+  return { clientSlug: query.client || null, from, to };
+}
+
+// GET /api/orders?client=unclesals&status=ready&from=2026-10-01&to=2026-10-19&phone=3155551234 - List orders
+router.get('/', (req, res) => {
+  try {
+    const filters = getRangeFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const orders = findOrders({
+      ...filters,
+      status: req.query.status || null,
+      phone: req.query.phone || null,
+      limit,
+      offset
+    });
+
+    res.json({ orders, limit, offset });
+  } catch (error) {
+    if (error.message.startsWith('Invalid order status')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error listing orders:', error);
+    res.status(500).json({ error: 'Failed to list orders' });
+  }
+});
+
+// GET /api/orders/totals?client=unclesals&from=2026-10-19&to=2026-10-19 - Order counts and sales
+router.get('/totals', (req, res) => {
+  try {
+    const filters = getRangeFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    res.json(getTotals(filters));
+  } catch (error) {
+    console.error('Error getting order totals:', error);
+    res.status(500).json({ error: 'Failed to get order totals' });
+  }
+});
+
+// GET /api/orders/kitchen?client=unclesals - Orders on the kitchen board (not completed or cancelled)
+router.get('/kitchen', (req, res) => {
+  try {
+    if (!req.query.client) {
+      return res.status(400).json({ error: 'client parameter required' });
+    }
+    res.json({ orders: listKitchenBoard(req.query.client) });
+  } catch (error) {
+    console.error('Error getting kitchen board:', error);
+    res.status(500).json({ error: 'Failed to get kitchen board' });
+  }
+});
+
+// GET /api/orders/stream?client=unclesals - Server-Sent Events: an "order" event each time an order is saved or changes status
+router.get('/stream', (req, res) => {
+  const client = req.query.client;
+  if (!client) {
+    return res.status(400).json({ error: 'client parameter required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+  });
+  res.write('retry: 3000\n\n');
+
+  const onOrder = (order) => {
+    if (order.clientSlug === client) {
+      res.write(`event: order\ndata: ${JSON.stringify(order)}\n\n`);
+    }
+  };
+
+  // Comment line keeps idle connections open through proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  orderEvents.on('order', onOrder);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    orderEvents.off('order', onOrder);
+  });
+});
+
+// GET /api/orders/:id - Get one order with its items
+router.get('/:id', (req, res) => {
+  try {
+    const order = getOrderRecordById(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ order });
+  } catch (error) {
+    console.error('Error getting order:', error);
+    res.status(500).json({ error: 'Failed to get order' });
+  }
+});
+
+// POST /api/orders/:id/accept | ready | out-for-delivery | complete | cancel - Move an order along
+router.post('/:id/:action', (req, res) => {
+  const action = req.params.action.replace(/-/g, '_');
+  if (!ORDER_TRANSITIONS[action]) {
+    return res.status(404).json({ error: `Unknown order action: ${req.params.action}` });
+  }
+
+  try {
+    const order = transitionOrder(parseInt(req.params.id), action);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    console.log(`📋 Order #${order.id} (${order.clientSlug}) -> ${order.status}`);
+    res.json({ success: true, order });
+  } catch (error) {
+    if (error.message.startsWith('Cannot')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error updating order:', error);
+    res.status(500).json({ error: 'Failed to update order' });
+  }
+});
+
+module.exports = router;
+
@@ -0,0 +1,172 @@
+const {
+  OUTBOX_STATUSES,
+  insertOutboxJob,
+  getDueOutboxJobs,
+  getOutboxJob,
+  listOutboxJobs,
+  markOutboxDelivered,
+  markOutboxFailed,
+  resetOutboxJob
+} = require('./db');
+const { getOrder } = require('./order-store');
+
+// Order outbox - each saved order gets one delivery job per destination (Sheets, Zapier, POS).
+// Jobs live in SQLite, so retries with backoff carry on after a restart. Jobs that run out of
+// attempts are marked "dead" and can be replayed from the admin API.
+
+// Convert a job row to a job record
+function toJob(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    callSid: row.call_sid,
+    clientSlug: row.client_slug,
+    destination: row.destination,
+    status: row.status,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// List jobs, newest first (filter by status and client)
+function listJobs({ status = null, clientSlug = null, limit = 100 } = {}) {
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    throw new Error(`Invalid outbox status: ${status}`);
+  }
+  return listOutboxJobs.all({ status, client_slug: clientSlug, limit }).map(toJob);
+}
+
+// Put a job back in the queue for an immediate retry with a fresh set of attempts
+function replayJob(id, now = new Date()) {
+  const job = getOutboxJob.get(id);
+  if (!job) {
+    throw new Error(`Outbox job not found: ${id}`);
+  }
+  resetOutboxJob.run(now.toISOString(), id);
+  return toJob(getOutboxJob.get(id));
+}
+
+class Outbox {
+  /**
+   * @param {Object} options
+   * @param {Object} options.handlers - destination -> async (order, payload, job) => result
+   *   A handler delivers the saved order; throwing or returning false counts as a failed attempt.
+   */
+  constructor(options = {}) {
+    this.handlers = options.handlers || {};
+    this.maxAttempts = options.maxAttempts || 8;
+    this.baseDelayMs = options.baseDelayMs || 30000; // 30s, 1m, 2m, 4m...
+    this.maxDelayMs = options.maxDelayMs || 60 * 60000; // Capped at an hour
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.batchSize = options.batchSize || 20;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Add delivery jobs for a saved order
+   * @param {Object} order - Saved order record from the order store
+   * @param {Array} jobs - [{ destination, payload }]
+   */
+  enqueue(order, jobs, now = new Date()) {
+    jobs.forEach(({ destination, payload = null }) => {
+      if (!this.handlers[destination]) {
+        throw new Error(`No outbox handler for destination: ${destination}`);
+      }
+      insertOutboxJob.run(order.callSid, order.clientSlug, destination, payload ? JSON.stringify(payload) : null, now.toISOString());
+    });
+    console.log(`📬 Queued order ${order.callSid} for: ${jobs.map(job => job.destination).join(', ') || 'nothing'}`);
+  }
+
+  /**
+   * Backoff before the next attempt (attempts = attempts made so far)
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Deliver every job that's due
+   * @returns {Object} { delivered, retried, dead }
+   */
+  async processDue(now = new Date()) {
+    const summary = { delivered: 0, retried: 0, dead: 0 };
+    if (this.processing) {
+      return summary;
+    }
+
+    this.processing = true;
+    try {
+      const jobs = getDueOutboxJobs.all(now.toISOString(), this.batchSize).map(toJob);
+      for (const job of jobs) {
+        const outcome = await this._deliver(job, now);
+        summary[outcome]++;
+      }
+    } finally {
+      this.processing = false;
+    }
+    return summary;
+  }
+
+  async _deliver(job, now) {
+    const attempts = job.attempts + 1;
+
+    try {
+      const order = getOrder(job.callSid);
+      if (!order) {
+        throw new Error(`Order not found: ${job.callSid}`);
+      }
+
+      const result = await this.handlers[job.destination](order, job.payload, job);
+      if (result === false) {
+        throw new Error(`${job.destination} delivery was not accepted`);
+      }
+
+      markOutboxDelivered.run(job.id);
+      console.log(`✓ Delivered order ${job.callSid} to ${job.destination} (attempt ${attempts})`);
+      return 'delivered';
+    } catch (error) {
+      if (attempts >= this.maxAttempts) {
+        markOutboxFailed.run('dead', error.message, now.toISOString(), job.id);
+        console.error(`✗ Giving up on order ${job.callSid} to ${job.destination} after ${attempts} attempts:`, error.message);
+        return 'dead';
+      }
+
+      const nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(attempts));
+      markOutboxFailed.run('pending', error.message, nextAttemptAt.toISOString(), job.id);
+      console.error(`✗ Delivery of order ${job.callSid} to ${job.destination} failed (attempt ${attempts}/${this.maxAttempts}), retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+      return 'retried';
+    }
+  }
+
+  /**
+   * Poll for due jobs (also picks up jobs left over from before a restart)
+   */
+  start() {
+    if (this.timer) return;
+    const run = () => this.processDue().catch(error => console.error('Error processing outbox:', error));
+    this.timer = setInterval(run, this.pollIntervalMs);
+    this.timer.unref();
+    console.log('✓ Order outbox started');
+    run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = Outbox;
+module.exports.listJobs = listJobs;
+module.exports.replayJob = replayJob;
+module.exports.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
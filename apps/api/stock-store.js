@@ -0,0 +1,62 @@
+const {
+  STOCK_KINDS,
+  upsertStockOut,
+  deleteStockOut,
+  getStockOut,
+  listActiveStockOuts,
+  purgeExpiredStockOuts
+} = require('./db');
+
+// Stock store - items, toppings and wing flavors staff have 86'd from the dashboard.
+// Each entry lasts until its restore time (the next business day by default), then it's back in stock.
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+function toEntry(row) {
+  return {
+    kind: row.kind,
+    name: row.display_name,
+    until: row.until,
+    createdAt: row.created_at
+  };
+}
+
+// 86 something until the given time - marking it again moves the restore time
+function markOutOfStock(clientSlug, kind, name, until) {
+  if (!STOCK_KINDS.includes(kind)) {
+    throw new Error(`Unknown stock kind "${kind}" - expected ${STOCK_KINDS.join(', ')}`);
+  }
+  upsertStockOut.run({
+    client_slug: clientSlug,
+    kind,
+    name: normalizeName(name),
+    display_name: String(name).trim(),
+    until: new Date(until).toISOString()
+  });
+  return toEntry(getStockOut.get(clientSlug, kind, normalizeName(name)));
+}
+
+// Put something back in stock early - returns false when it wasn't 86'd
+function restoreStock(clientSlug, kind, name) {
+  return deleteStockOut.run(clientSlug, kind, normalizeName(name)).changes > 0;
+}
+
+// Everything 86'd for a store right now (expired entries are cleaned up)
+function listOutOfStock(clientSlug, now = new Date()) {
+  purgeExpiredStockOuts.run(now.toISOString());
+  return listActiveStockOuts.all(clientSlug, now.toISOString()).map(toEntry);
+}
+
+function isOutOfStock(clientSlug, kind, name, now = new Date()) {
+  const row = getStockOut.get(clientSlug, kind, normalizeName(name));
+  return !!row && row.until > now.toISOString();
+}
+
+module.exports = {
+  STOCK_KINDS,
+  markOutOfStock,
+  restoreStock,
+  listOutOfStock,
+  isOutOfStock
+};
+
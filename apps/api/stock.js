@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { STOCK_KINDS, markOutOfStock, restoreStock, listOutOfStock } = require('./stock-store');
+const { requireApiKey } = require('./auth');
+const { getStoreBySlug } = require('../../src/config/stores');
+const { loadMenu } = require('../../src/services/menu-service');
+const { getNextBusinessDayStart } = require('../../src/services/business-hours');
+const { findStockName, listStockNames } = require('../../src/services/out-of-stock');
+
+// Stock API - 86 items, toppings and wing flavors for the rest of the day,
+// STAFF_API_KEY (or ADMIN_API_KEY) as a Bearer token
+router.use(requireApiKey('STAFF_API_KEY', 'ADMIN_API_KEY'));
+
+// Every route needs ?client= (or "client" in the body) naming a known store
+function getStore(req, res) {
+  const clientSlug = req.query.client || (req.body && req.body.client);
+  if (!clientSlug) {
+    res.status(400).json({ error: 'client is required' });
+    return null;
+  }
+  const store = getStoreBySlug(clientSlug);
+  if (!store) {
+    res.status(404).json({ error: `Store not found: ${clientSlug}` });
+  }
+  return store;
+}
+
+// GET /api/stock?client=unclesals - What's 86'd right now
+router.get('/', (req, res) => {
+  const store = getStore(req, res);
+  if (!store) return;
+  try {
+    res.json({ client: store.slug, outOfStock: listOutOfStock(store.slug) });
+  } catch (error) {
+    console.error('Error listing stock:', error);
+    res.status(500).json({ error: 'Failed to list stock' });
+  }
+});
+
+// GET /api/stock/menu?client=unclesals - Everything on the menu that can be 86'd, with its stock status
+router.get('/menu', async (req, res) => {
+  const store = getStore(req, res);
+  if (!store) return;
+  try {
+    const menuData = await loadMenu(store);
+    const outOfStock = new Map(listOutOfStock(store.slug).map(entry => [`${entry.kind}:${entry.name.toLowerCase()}`, entry]));
+    const names = listStockNames(menuData);
+    const stock = {};
+    STOCK_KINDS.forEach(kind => {
+      stock[kind] = names[kind].map(name => {
+        const entry = outOfStock.get(`${kind}:${name.toLowerCase()}`);
+        return {
+          name,
+          ...(kind === 'item' && { category: menuData.menu[name].category || null }),
+          ...(kind === 'topping' && { type: (menuData.toppings.find(topping => topping.name === name) || {}).type || null }),
+          outOfStock: !!entry,
+          until: entry ? entry.until : null
+        };
+      });
+    });
+    res.json({ client: store.slug, menuVersion: menuData.version, stock });
+  } catch (error) {
+    console.error('Error loading stock menu:', error);
+    res.status(500).json({ error: 'Failed to load menu' });
+  }
+});
+
+// POST /api/stock - 86 something ({ client, kind, name, until }) - until defaults to the next business day
+router.post('/', async (req, res) => {
+  const store = getStore(req, res);
+  if (!store) return;
+  const { kind, name, until } = req.body || {};
+  if (!STOCK_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${STOCK_KINDS.join(', ')}` });
+  }
+  if (until !== undefined && until !== null && isNaN(new Date(until).getTime())) {
+    return res.status(400).json({ error: 'until must be an ISO date and time' });
+  }
+
+  try {
+    const menuName = findStockName(kind, name, await loadMenu(store));
+    if (!menuName) {
+      return res.status(404).json({ error: `Not on the menu: ${name}` });
+    }
+    const restoreAt = until ? new Date(until) : getNextBusinessDayStart(store);
+    const entry = markOutOfStock(store.slug, kind, menuName, restoreAt);
+    console.log(`🚫 86'd ${kind} "${menuName}" for ${store.slug} until ${entry.until}`);
+    res.status(201).json({ entry });
+  } catch (error) {
+    console.error('Error marking out of stock:', error);
+    res.status(500).json({ error: 'Failed to mark out of stock' });
+  }
+});
+
+// DELETE /api/stock/item/cheese%20pizza?client=unclesals - Back in stock now
+router.delete('/:kind/:name', (req, res) => {
+  const store = getStore(req, res);
+  if (!store) return;
+  try {
+    if (!restoreStock(store.slug, req.params.kind, req.params.name)) {
+      return res.status(404).json({ error: `Not marked out of stock: ${req.params.name}` });
+    }
+    console.log(`✅ Restored ${req.params.kind} "${req.params.name}" for ${store.slug}`);
+    res.json({ restored: true });
+  } catch (error) {
+    console.error('Error restoring stock:', error);
+    res.status(500).json({ error: 'Failed to restore stock' });
+  }
+});
+
+module.exports = router;
+
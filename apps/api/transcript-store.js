@@ -0,0 +1,94 @@
+const {
+  TRANSCRIPT_ROLES,
+  insertTranscriptEntry,
+  listTranscriptEntries,
+  upsertCallRecording,
+  getCallRecording
+} = require('./db');
+
+// Transcript store - what was said on each call (caller, assistant, tool calls) for dispute resolution.
+// Entries are keyed by Call SID, the same key as the call's order.
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const fromJson = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+function toEntry(row) {
+  const entry = { role: row.role, text: row.text, at: row.spoken_at };
+  if (row.tool_name) {
+    entry.tool = {
+      name: row.tool_name,
+      arguments: fromJson(row.tool_arguments),
+      result: fromJson(row.tool_result)
+    };
+  }
+  return entry;
+}
+
+// Add one turn or tool call to a call's transcript
+function addTranscriptEntry(callSid, clientSlug, { role, text = null, tool = null, at = new Date() }) {
+  if (!TRANSCRIPT_ROLES.includes(role)) {
+    throw new Error(`Unknown transcript role "${role}" - expected ${TRANSCRIPT_ROLES.join(', ')}`);
+  }
+  insertTranscriptEntry.run({
+    call_sid: callSid,
+    client_slug: clientSlug,
+    role,
+    text,
+    tool_name: tool ? tool.name : null,
+    tool_arguments: tool ? toJson(tool.arguments) : null,
+    tool_result: tool ? toJson(tool.result) : null,
+    spoken_at: new Date(at).toISOString()
+  });
+}
+
+// Record where a call's WAV captures were written
+function saveCallRecording(callSid, clientSlug, { callerPath = null, assistantPath = null, durationSec = 0 }) {
+  upsertCallRecording.run({
+    call_sid: callSid,
+    client_slug: clientSlug,
+    caller_path: callerPath,
+    assistant_path: assistantPath,
+    duration_sec: durationSec
+  });
+}
+
+// File path of one audio leg ('caller' or 'assistant'), or null
+function getRecordingPath(callSid, leg) {
+  const row = getCallRecording.get(callSid);
+  if (!row) return null;
+  return (leg === 'caller' ? row.caller_path : leg === 'assistant' ? row.assistant_path : null) || null;
+}
+
+// A call's full transcript - null when nothing was recorded for it
+function getCallTranscript(callSid) {
+  const rows = listTranscriptEntries.all(callSid);
+  const recording = getCallRecording.get(callSid);
+  if (rows.length === 0 && !recording) {
+    return null;
+  }
+  return {
+    callSid,
+    clientSlug: rows[0]?.client_slug || recording.client_slug,
+    entries: rows.map(toEntry),
+    recording: recording
+      ? { caller: !!recording.caller_path, assistant: !!recording.assistant_path, durationSec: recording.duration_sec }
+      : null
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_ROLES,
+  addTranscriptEntry,
+  saveCallRecording,
+  getRecordingPath,
+  getCallTranscript
+};
+
@@ -250,7 +250,9 @@ function formatPhoneNumber(phone) {
  * @param {Object} storeConfig - Store configuration (name, location, etc.)
  */
 async function logOrderToGoogleSheets(order, storeConfig = {}) {
-  if (!sheetsClient || !spreadsheetId) {
+  // Each store can log to its own spreadsheet (falls back to the one from initialization)
+  const targetSpreadsheetId = storeConfig.integrations?.googleSheetsId || spreadsheetId;
+  if (!sheetsClient || !targetSpreadsheetId) {
     console.log('⚠ Google Sheets not configured - skipping order log');
     return false;
   }
@@ -286,7 +288,7 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
       if (order.finalTotal !== undefined && typeof order.finalTotal === 'number' && order.finalTotal > 0) {
         finalTotalValue = order.finalTotal;
         // Reconstruct totals object from finalTotal
-        const taxRate = parseFloat(storeConfig.taxRate) || 0.08;
+        const taxRate = parseFloat(storeConfig.taxRate ?? 0.08);
         // Reverse calculate: total = subtotal + tax, tax = subtotal * taxRate
         // So: total = subtotal * (1 + taxRate)
         // subtotal = total / (1 + taxRate)
@@ -305,7 +307,7 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
         console.log('📊 LOGGED_TOTAL: Using stored totals from order state:', JSON.stringify(totals));
       } else {
         // Calculate using same function as spoken totals
-        const taxRate = parseFloat(storeConfig.taxRate) || 0.08; // 8% NYS tax
+        const taxRate = parseFloat(storeConfig.taxRate ?? 0.08); // 8% NYS tax
         totals = calculateOrderTotals(order.items, taxRate);
         finalTotalValue = totals.total;
         // Store in order for consistency
@@ -438,7 +440,7 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
     // Log delivery method status
     console.log('📋 Raw delivery method:', order.deliveryMethod, '| Address:', order.address || 'none');
     
-    // Calculate estimated pickup time based on order complexity
+    // Fallback estimate based on order complexity (used when no kitchen-aware quote was made)
     // Base time: 15 minutes for simple orders, add time for complexity
     let estimatedMinutes = 15;
     
@@ -462,11 +464,18 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
     // Round to nearest 5 minutes and ensure minimum
     estimatedMinutes = Math.max(15, Math.ceil(estimatedMinutes / 5) * 5);
     
-    // Calculate estimated pickup time
+    // Pick up time: ready-time estimator quote (already honors a requested time), then the
+    // customer-requested time (scheduled order), then the fallback estimate
     const now = new Date();
-    const estimatedPickupTime = new Date(now.getTime() + estimatedMinutes * 60000);
+    let estimatedPickupTime = new Date(now.getTime() + estimatedMinutes * 60000);
+    if (order.readyTimeQuote?.readyAt) {
+      estimatedPickupTime = new Date(order.readyTimeQuote.readyAt);
+      estimatedMinutes = order.readyTimeQuote.minutes;
+    } else if (order.requestedTime) {
+      estimatedPickupTime = new Date(order.requestedTime);
+    }
     const pickupTimeString = estimatedPickupTime.toLocaleString('en-US', { 
-      timeZone: 'America/New_York',
+      timeZone: storeConfig.timezone || 'America/New_York',
       month: 'short',
       day: 'numeric',
       hour: 'numeric',
@@ -480,7 +489,7 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
     console.log('🔍 Column B (Phone):', phoneNumber);
     console.log('🔍 Column C (Pick Up/Delivery):', order.deliveryMethod === 'delivery' ? 'Delivery' : order.deliveryMethod === 'pickup' ? 'Pickup' : '-');
     console.log('🔍 Column D (Delivery Address):', order.deliveryMethod === 'delivery' ? capitalizeWords(order.address) || 'Address Not Provided' : '-');
-    console.log('🔍 Column E (Pick Up Time):', pickupTimeString, '| Estimated:', estimatedMinutes, 'minutes');
+    console.log('🔍 Column E (Pick Up Time):', pickupTimeString, order.requestedTime ? '| Requested by customer' : `| Estimated: ${estimatedMinutes} minutes`);
     console.log('🔍 Column G (Order Details):', capitalizeWords(itemsString));
     console.log('🔍 Full order object:', {
       customerName: order.customerName,
@@ -764,7 +773,7 @@ async function logOrderToGoogleSheets(order, storeConfig = {}) {
       
       // Append to sheet - write to columns A through G (7 columns)
       const response = await sheetsClient.spreadsheets.values.append({
-        spreadsheetId: spreadsheetId,
+        spreadsheetId: targetSpreadsheetId,
         range: 'Sheet1!A:G', // Match your 7 columns exactly
         valueInputOption: 'USER_ENTERED',
         insertDataOption: 'INSERT_ROWS',
@@ -60,7 +60,8 @@ function initializeSquare() {
  * @param {Object} storeConfig - Store configuration
  */
 async function createSquareOrder(order, storeConfig = {}) {
-  if (!squareClient || !squareLocationId) {
+  const locationId = storeConfig.integrations?.pos?.squareLocationId || squareLocationId;
+  if (!squareClient || !locationId) {
     console.log('⚠ Square POS not configured - skipping order creation');
     return false;
   }
@@ -83,10 +84,25 @@ async function createSquareOrder(order, storeConfig = {}) {
     
     // Create order request
     const requestBody = {
-      idempotencyKey: order.streamSid || `order-${Date.now()}`,
+      idempotencyKey: order.callSid || order.streamSid || `order-${Date.now()}`,
       order: {
-        locationId: squareLocationId,
+        locationId: locationId,
         lineItems: lineItems,
+        // Scheduled orders carry the customer's requested time instead of ASAP
+        fulfillments: [{
+          type: order.deliveryMethod === 'delivery' ? 'DELIVERY' : 'PICKUP',
+          ...(order.deliveryMethod === 'delivery' ? {
+            deliveryDetails: {
+              scheduleType: order.requestedTime ? 'SCHEDULED' : 'ASAP',
+              ...(order.requestedTime ? { deliverAt: order.requestedTime } : {}),
+            },
+          } : {
+            pickupDetails: {
+              scheduleType: order.requestedTime ? 'SCHEDULED' : 'ASAP',
+              ...(order.requestedTime ? { pickupAt: order.requestedTime } : {}),
+            },
+          }),
+        }],
         // Add customer info if available
         // customerId: order.customerId,
       },
@@ -115,7 +131,7 @@ async function createSquareOrder(order, storeConfig = {}) {
  */
 async function createToastOrder(order, storeConfig = {}) {
   const apiKey = process.env.TOAST_API_KEY;
-  const restaurantId = process.env.TOAST_RESTAURANT_ID;
+  const restaurantId = storeConfig.integrations?.pos?.toastRestaurantId || process.env.TOAST_RESTAURANT_ID;
   
   if (!apiKey || !restaurantId) {
     console.log('⚠ Toast POS not configured - skipping order creation');
@@ -137,6 +153,10 @@ async function createToastOrder(order, storeConfig = {}) {
       customer: {
         phone: order.from || '',
       },
+      // Scheduled orders: promised time requested by the customer
+      ...(order.requestedTime ? {
+        promisedDate: order.requestedTime,
+      } : {}),
       // Add delivery address if delivery
       ...(order.deliveryMethod === 'delivery' && order.address ? {
         deliveryAddress: order.address,
@@ -173,7 +193,8 @@ async function createToastOrder(order, storeConfig = {}) {
  * @param {Object} storeConfig - Store configuration
  */
 async function sendOrderToPOS(order, storeConfig = {}) {
-  const posSystem = process.env.POS_SYSTEM || 'none'; // 'square', 'toast', 'none'
+  // Per-store POS from the store registry, falling back to POS_SYSTEM
+  const posSystem = storeConfig.integrations?.pos?.system || process.env.POS_SYSTEM || 'none'; // 'square', 'toast', 'none'
   
   switch (posSystem.toLowerCase()) {
     case 'square':
@@ -8,12 +8,20 @@
 require('dotenv').config();
 
 const express = require('express');
+const path = require('path');
 const WebSocket = require('ws');
 const { validateEnv, sanitizeForLog } = require('./src/utils/validation');
 const handleIncomingCall = require('./src/routes/incoming-call');
+const handleVoicemail = require('./src/routes/voicemail');
 const setupMediaStream = require('./src/routes/media-stream');
 const healthCheck = require('./src/routes/health');
+const handleCallStatus = require('./src/routes/call-status');
+const handleTransferWhisper = require('./src/routes/staff-transfer');
+const dashboardRoutes = require('./src/routes/dashboard');
 const Logger = require('./src/services/logger');
+const SmsNotifier = require('./src/services/sms-notifier');
+const { getStoreBySlug, getStoreConfig, listStores } = require('./src/config/stores');
+const { loadMenu, watchMenus } = require('./src/services/menu-service');
 
 // Validate environment variables at startup
 try {
@@ -43,7 +51,20 @@ app.use((req, res, next) => {
 
 // Routes
 app.post('/incoming-call', handleIncomingCall);
+app.post('/voicemail', handleVoicemail);
+app.get('/transfer-whisper', handleTransferWhisper);
+app.post('/transfer-status', handleTransferWhisper.handleTransferStatus);
 app.get('/health', healthCheck);
+app.post('/api/calls/twilio-status', handleCallStatus);
+
+// Call analytics API (dashboard stats)
+if (process.env.ENABLE_ANALYTICS !== 'false') {
+  try {
+    app.use('/api/calls', require('./apps/api/calls'));
+  } catch (error) {
+    console.warn('⚠️  Analytics API not available:', error.message);
+  }
+}
 
 // WebSocket server for Media Streams
 const server = app.listen(port, () => {
@@ -75,19 +96,56 @@ const logger = new Logger(
   1000 // initial retry delay (ms)
 );
 
+// Order confirmation and "ready" texts to the caller
+const smsNotifier = new SmsNotifier();
+
+// Order outbox - durable delivery to Sheets, Zapier and POS (needs the SQLite order store)
+let outbox = null;
+try {
+  const { orderEvents } = require('./apps/api/order-store');
+  const Outbox = require('./apps/api/outbox');
+  const { deliveryHandlers } = require('./apps/api/order-delivery');
+  outbox = new Outbox({ handlers: deliveryHandlers });
+  outbox.start();
+  app.use('/api/orders', require('./apps/api/orders'));
+  app.use('/api/customers', require('./apps/api/customers'));
+  app.use('/api/admin', require('./apps/api/admin'));
+  app.use('/api/stock', require('./apps/api/stock'));
+  
+  // Text the caller when staff mark their order ready
+  orderEvents.on('status', (order) => {
+    if (order.status === 'ready') {
+      smsNotifier.sendReadyNotification(order, getStoreBySlug(order.clientSlug) || getStoreConfig())
+        .catch(error => console.error('Error sending ready text:', error));
+    }
+  });
+} catch (error) {
+  console.warn('⚠️  Order outbox not available - orders go to Zapier through the logger:', error.message);
+}
+
+// Client dashboard (/:clientSlug) and kitchen board (/:clientSlug/kitchen) - after the API routes
+app.use(dashboardRoutes);
+
 // Setup media stream handler
-setupMediaStream(wss, logger);
+setupMediaStream(wss, logger, undefined, outbox, smsNotifier);
+
+// Load every store's menu from its menu provider - calls use the cached menu
+const loadMenus = () => Promise.all(listStores().map(store => loadMenu(store)))
+  .catch(error => console.warn('⚠️  Failed to load menus (calls use the built-in menu):', error.message));
+loadMenus().then(() => watchMenus(listStores())); // File menus with "watch": true reload when saved
 
 // Periodic cleanup to prevent resource accumulation
 setInterval(() => {
   // Clean up any stale resources if needed
   // This is handled by the services themselves
   console.log(`📊 Server health check - ${new Date().toISOString()}`);
+  loadMenus(); // Re-reads Sheets menus once their cache has expired
 }, 300000); // Every 5 minutes
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  if (outbox) outbox.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -96,6 +154,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  if (outbox) outbox.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -97,6 +97,66 @@ const twilio = require('twilio');
 const googleSheets = require('./integrations/google-sheets');
 const posSystems = require('./integrations/pos-systems');
 
+// Multi-store registry (store name, tax, menu sheet, integrations) keyed by called number
+const { getStoreConfig, getStoreBySlug, listStores } = require('./src/config/stores');
+const { getStoreStatus, getAfterHoursMode, getAfterHoursMessage, addAfterHoursTwiml, getHoursPromptContext } = require('./src/services/business-hours');
+const handleVoicemail = require('./src/routes/voicemail');
+const ReadyTimeEstimator = require('./src/services/ready-time-estimator');
+const OrderManager = require('./src/services/order-manager');
+const { getToolDefinitions, runTool } = require('./src/services/tool-registry');
+const { loadMenu, watchMenus, getDefaultMenuData, lookupMenuItemDescription } = require('./src/services/menu-service');
+const handleCallStatus = require('./src/routes/call-status');
+const dashboardRoutes = require('./src/routes/dashboard');
+const SmsNotifier = require('./src/services/sms-notifier');
+const { getStockPromptContext } = require('./src/services/out-of-stock');
+const StaffTransfer = require('./src/services/staff-transfer');
+const CallHandoff = require('./src/services/call-handoff');
+const handleTransferWhisper = require('./src/routes/staff-transfer');
+const { concatBase64 } = require('./src/utils/audio-codec');
+const PlaybackTracker = require('./src/services/playback-tracker');
+const CallTranscript = require('./src/services/call-transcript');
+
+// Order confirmation and "ready" texts to the caller
+const smsNotifier = new SmsNotifier();
+
+// Warm transfers to store staff when the caller asks for a person or the AI gets stuck
+const staffTransfer = new StaffTransfer();
+
+// Order store (SQLite system of record) - optional, integrations fall back to the in-memory order
+// Saved orders are delivered to Sheets, Zapier and POS through the durable outbox
+let orderStore = null;
+let orderOutbox = null;
+let orderDelivery = null;
+let customerStore = null;
+let stockStore = null;
+try {
+  orderStore = require('./apps/api/order-store');
+  orderDelivery = require('./apps/api/order-delivery');
+  customerStore = require('./apps/api/customer-store');
+  stockStore = require('./apps/api/stock-store');
+  const Outbox = require('./apps/api/outbox');
+  orderOutbox = new Outbox({ handlers: orderDelivery.deliveryHandlers });
+  console.log('✓ Order store enabled');
+} catch (error) {
+  console.warn('⚠️  Order store not available:', error.message);
+}
+
+// Kitchen queue shared by all calls - quotes account for orders already being made
+// With the order store, the queue is the saved orders that aren't ready yet (survives restarts)
+const readyTimeEstimator = orderStore
+  ? new ReadyTimeEstimator({ getQueuedOrders: (storeSlug, now) => orderStore.listKitchenQueue(storeSlug, now) })
+  : new ReadyTimeEstimator();
+
+// Text the caller when staff mark their order ready (kitchen board / orders API)
+if (orderStore) {
+  orderStore.orderEvents.on('status', (order) => {
+    if (order.status === 'ready') {
+      smsNotifier.sendReadyNotification(order, getStoreBySlug(order.clientSlug) || getStoreConfig())
+        .catch(error => console.error('❌ Error sending ready text:', error.message));
+    }
+  });
+}
+
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -140,7 +200,7 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin);
   }
   
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.header('Access-Control-Allow-Credentials', 'true');
   
@@ -165,6 +225,15 @@ if (process.env.ENABLE_ANALYTICS !== 'false') {
   }
 }
 
+// Orders API (staff apps, kitchen displays), customers API and admin API (outbox) - need the order store
+if (orderStore) {
+  app.use('/api/orders', require('./apps/api/orders'));
+  app.use('/api/customers', require('./apps/api/customers'));
+  app.use('/api/admin', require('./apps/api/admin'));
+  app.use('/api/stock', require('./apps/api/stock'));
+  console.log('✓ Orders, customers, admin and stock API enabled');
+}
+
 // Debug: Check if environment variables are loaded
 console.log('Environment check:');
 console.log('- OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? '✓ Found' : '✗ Missing');
@@ -263,7 +332,7 @@ function shouldDebounceResponse(streamSid) {
 const { calculateOrderTotals, computeFinalTotal } = require('./integrations/google-sheets');
 
 /**
- * Calculate exact order total from items (with 8% NYS tax)
+ * Calculate exact order total from items (with the store's tax rate, 8% NYS tax by default)
  * Uses shared calculateOrderTotals function for consistency
  * CRITICAL: Store totals in order state so both speaking and logging use the SAME value
  */
@@ -273,7 +342,8 @@ function calculateOrderTotal(order) {
   }
   
   // Use shared calculation function - SINGLE SOURCE OF TRUTH
-  const totals = calculateOrderTotals(order.items, 0.08);
+  // Tax rate comes from the store registry (set on the order at stream start)
+  const totals = calculateOrderTotals(order.items, order.taxRate ?? 0.08);
   
   // CRITICAL: Store totals in order state so both speaking and logging use the SAME value
   // This ensures spoken total = logged total
@@ -345,6 +415,45 @@ function getOrderTotals(order) {
   return totals;
 }
 
+/**
+ * Run a registry tool against a call's order
+ * The order and Sheets menu are wrapped in an OrderManager so the tool behaves as it does in server-new.js
+ * (including the wing piece-count and flavor rules and 86'd items, toppings and wing flavors)
+ * @param {Object} menuData - The call's menu from loadMenu ({ menu, toppings, wingOptions, ... })
+ * @returns {Object} Tool result for the function_call_output ({ success, error, order, ... })
+ */
+function runRegistryTool(streamSid, order, functionName, functionArgs, storeConfig, menuData, handoff = null) {
+  const isOutOfStock = stockStore && storeConfig
+    ? (kind, name) => stockStore.isOutOfStock(storeConfig.slug, kind, name)
+    : undefined;
+  const orderManager = new OrderManager(streamSid, order.callSid || null, order.customerPhone, storeConfig, {
+    order,
+    menu: menuData.menu,
+    toppings: menuData.toppings,
+    wingOptions: menuData.wingOptions || null,
+    isOutOfStock
+  });
+  const previousAddress = order.address;
+  const result = runTool(functionName, functionArgs, { orderManager, storeConfig, readyTimeEstimator, handoff });
+  if (order.address !== previousAddress) {
+    order.addressConfirmed = false; // A new address has to be read back before the order is logged
+  }
+  if (handoff) {
+    handoff.checkToolResult(functionName, result);
+  }
+  
+  // Totals are cached on the order - drop them so the new total is spoken and logged
+  delete order.totals;
+  delete order.finalTotal;
+  order.items.forEach(item => {
+    item.unitPrice = item.price;
+    delete item.lineTotal;
+  });
+  
+  const totals = getOrderTotals(order);
+  return { ...result, order: { ...result.order, subtotal: totals.subtotal, tax: totals.tax, total: totals.total } };
+}
+
 /**
  * Create compact conversation summary (<=120 tokens)
  * Only includes essential order info, not full transcript
@@ -385,10 +494,12 @@ function createConversationSummary(order) {
   parts.push(`Items: ${items}`);
   if (order.items?.length > 0 && finalTotalValue > 0) {
     // CRITICAL: Use finalTotal (single source of truth)
-    parts.push(`Total: $${finalTotalValue.toFixed(2)} (exact, includes 8% tax)`);
+    const taxPercent = parseFloat(((order.taxRate ?? 0.08) * 100).toFixed(3));
+    parts.push(`Total: $${finalTotalValue.toFixed(2)} (exact, includes ${taxPercent}% tax)`);
   }
   if (order.customerName) parts.push(`Name: ${order.customerName}`);
   if (order.deliveryMethod) parts.push(`Method: ${order.deliveryMethod}`);
+  if (order.requestedTimeLabel) parts.push(`For: ${order.requestedTimeLabel}`);
   if (order.address) parts.push(`Addr: ${order.address}`);
   
   // Determine what to ask next (helps AI focus)
@@ -420,8 +531,8 @@ function createConversationSummary(order) {
 /**
  * Get minimal core rules prompt (~200 tokens) - ultra-compact
  */
-function getCoreRulesPrompt() {
-  return `Pizza assistant for Uncle Sal's. Max 1-2 short sentences per response.
+function getCoreRulesPrompt(storeName = 'Uncle Sal\'s') {
+  return `Pizza assistant for ${storeName}. Max 1-2 short sentences per response.
 
 CRITICAL TOOL REQUIREMENTS - YOU MUST CALL THESE TOOLS:
 1. add_item_to_order - Call IMMEDIATELY when customer orders ANY food item (include "flavor" for wings!)
@@ -430,9 +541,15 @@ CRITICAL TOOL REQUIREMENTS - YOU MUST CALL THESE TOOLS:
 4. set_customer_name - Call IMMEDIATELY when customer gives their name
 5. confirm_order - Call at the very end to finalize
 6. get_item_description - Call when customer asks "what is [item]?" or "what comes on [item]?"
+7. set_requested_time - Call when customer wants the order for a later time ("pick up at 6:30", "tomorrow at noon") - pass their words
+8. get_ready_time - Call before confirm_order and tell the customer when the order will be ready
+9. repeat_last_order - Call when a returning customer wants "the usual" or "same as last time"
+10. remove_item / update_item_quantity / change_item_size - Call when customer changes an item already ordered ("take off the knots", "make that a medium") - NEVER add_item_to_order again
+11. clear_order - Call ONLY when customer wants to start the whole order over
+12. transfer_to_staff - Call when customer asks for a person or manager, or you can't help them - say you're connecting them
 
 ORDER FLOW (follow this EXACT sequence):
-1. Greet: "Thanks for calling Uncle Sal's. What can I get you?"
+1. Greet: "Thanks for calling ${storeName}. What can I get you?"
 2. When customer orders item → Check requirements:
    - IF item has multiple sizes AND customer didn't specify size → Ask "What size would you like?" (DO NOT call add_item_to_order yet)
    - IF item is WINGS and customer didn't specify FLAVOR → Ask "What flavor would you like for your wings?" (DO NOT call add_item_to_order yet)
@@ -442,7 +559,7 @@ ORDER FLOW (follow this EXACT sequence):
 5. When customer says pickup/delivery → Call set_delivery_method
 6. IF DELIVERY → Ask "What's the delivery address?" → When given address → Call set_address → Confirm address
 7. Ask "And what name for the order?" → When given name → Call set_customer_name → Confirm name
-8. Call confirm_order → Say "Awesome, thanks for ordering with Uncle Sal's today!"
+8. Call confirm_order → Say "Awesome, thanks for ordering with ${storeName} today!"
 
 WING ORDERING RULES (CRITICAL - FOLLOW THIS EXACT ORDER):
 1. PIECE COUNT MUST BE ASKED FIRST (before flavor):
@@ -527,171 +644,6 @@ function getMenuItemsOnDemand(menu, searchTerm = null) {
   return items.length > 0 ? items.join('\n') : '';
 }
 
-/**
- * MENU DESCRIPTION LOOKUP - For "what is [item]?" questions
- * Returns ONLY the Column E description, nothing else
- * @param {Object} menu - The parsed menu object
- * @param {string} query - The user's query (e.g., "luna pizza", "cheese pizza")
- * @returns {Object} { matched: boolean, itemName: string, description: string, alternatives: string[] }
- */
-function lookupMenuItemDescription(menu, query) {
-  if (!menu || !query) {
-    return { matched: false, itemName: null, description: null, alternatives: [] };
-  }
-  
-  // Normalize the query
-  const normalizedQuery = query.toLowerCase()
-    .replace(/[^\w\s]/g, '') // Remove punctuation
-    .replace(/\s+/g, ' ')    // Normalize spaces
-    .trim();
-  
-  // Common synonyms
-  const synonyms = {
-    'cheese pie': 'cheese pizza',
-    'plain pie': 'cheese pizza',
-    'plain pizza': 'cheese pizza',
-    'pepperoni pie': 'pepperoni pizza',
-    'pep pizza': 'pepperoni pizza',
-    'buff chicken': 'buffalo chicken pizza',
-    'buffalo': 'buffalo chicken pizza',
-  };
-  
-  // Apply synonyms if applicable
-  let searchQuery = synonyms[normalizedQuery] || normalizedQuery;
-  
-  // Try to find exact match first
-  let exactMatch = null;
-  let partialMatches = [];
-  
-  for (const [itemName, itemData] of Object.entries(menu)) {
-    const normalizedItemName = itemName.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    // Exact match
-    if (normalizedItemName === searchQuery) {
-      exactMatch = { name: itemName, data: itemData };
-      break;
-    }
-    
-    // Partial match - query contains item name or vice versa
-    if (normalizedItemName.includes(searchQuery) || searchQuery.includes(normalizedItemName)) {
-      partialMatches.push({ name: itemName, data: itemData, score: normalizedItemName.length });
-    }
-    
-    // Word-by-word match for multi-word items
-    const queryWords = searchQuery.split(' ');
-    const itemWords = normalizedItemName.split(' ');
-    const matchedWords = queryWords.filter(qw => itemWords.some(iw => iw.includes(qw) || qw.includes(iw)));
-    if (matchedWords.length >= 2 || (matchedWords.length === 1 && queryWords.length === 1)) {
-      const score = matchedWords.length / Math.max(queryWords.length, itemWords.length);
-      if (score > 0.5) {
-        partialMatches.push({ name: itemName, data: itemData, score: score * 100 });
-      }
-    }
-  }
-  
-  // Log the lookup for debugging
-  console.log(`🔍 MENU LOOKUP: query="${query}", normalized="${searchQuery}", exactMatch=${exactMatch?.name || 'NONE'}, partialMatches=${partialMatches.length}`);
-  
-  // #region agent log
-  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:lookupMenuItemDescription',message:'MENU_DESCRIPTION_LOOKUP',data:{query:query,normalizedQuery:searchQuery,exactMatch:exactMatch?.name||null,partialMatchCount:partialMatches.length,partialMatches:partialMatches.slice(0,5).map(m=>m.name)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-  // #endregion
-  
-  // Return exact match if found
-  if (exactMatch) {
-    // CRITICAL: Get description from Column E - must be from the menu data
-    // If description is empty/null/undefined, return empty string (do NOT invent description)
-    const description = (exactMatch.data.description && typeof exactMatch.data.description === 'string') 
-      ? exactMatch.data.description.trim() 
-      : '';
-    
-    const hasDescription = description.length > 0;
-    console.log(`✅ EXACT MATCH: "${exactMatch.name}" => Has description: ${hasDescription}${hasDescription ? ` => "${description.substring(0, 100)}..."` : ' (EMPTY - will tell customer no description listed)'}`);
-    
-    // #region agent log
-    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:lookupMenuItemDescription:exactMatch',message:'EXACT_MATCH_FOUND',data:{itemName:exactMatch.name,rowIndex:'N/A',hasDescription:hasDescription,descriptionValue:description||'EMPTY',descriptionPreview:description.substring(0,150)||'NONE'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-    // #endregion
-    
-    // CRITICAL: Return empty string if no description - caller will handle "no description listed" message
-    // DO NOT return "No description available" here - that would be inventing text
-    return {
-      matched: true,
-      itemName: exactMatch.name,
-      description: description, // Empty string if Column E is empty - caller handles messaging
-      alternatives: []
-    };
-  }
-  
-  // Sort partial matches by score and return best match or alternatives
-  partialMatches.sort((a, b) => b.score - a.score);
-  
-  // If we have a clear best match (significantly better than others)
-  if (partialMatches.length === 1 || (partialMatches.length > 1 && partialMatches[0].score > partialMatches[1].score * 1.5)) {
-    const bestMatch = partialMatches[0];
-    // CRITICAL: Get description from Column E - must be from the menu data
-    // If description is empty/null/undefined, return empty string (do NOT invent description)
-    const description = (bestMatch.data.description && typeof bestMatch.data.description === 'string') 
-      ? bestMatch.data.description.trim() 
-      : '';
-    
-    const hasDescription = description.length > 0;
-    console.log(`✅ BEST MATCH: "${bestMatch.name}" => Has description: ${hasDescription}${hasDescription ? ` => "${description.substring(0, 100)}..."` : ' (EMPTY - will tell customer no description listed)'}`);
-    
-    // #region agent log
-    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:lookupMenuItemDescription:bestMatch',message:'BEST_MATCH_FOUND',data:{itemName:bestMatch.name,rowIndex:'N/A',hasDescription:hasDescription,descriptionValue:description||'EMPTY',descriptionPreview:description.substring(0,150)||'NONE',score:bestMatch.score},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-    // #endregion
-    
-    // CRITICAL: Return empty string if no description - caller will handle "no description listed" message
-    return {
-      matched: true,
-      itemName: bestMatch.name,
-      description: description, // Empty string if Column E is empty - caller handles messaging
-      alternatives: []
-    };
-  }
-  
-  // Multiple similar matches - return alternatives
-  if (partialMatches.length > 1) {
-    const alternatives = partialMatches.slice(0, 3).map(m => m.name);
-    console.log(`⚠️ MULTIPLE MATCHES: ${alternatives.join(', ')}`);
-    
-    // #region agent log
-    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:lookupMenuItemDescription:multipleMatches',message:'MULTIPLE_MATCHES',data:{alternatives:alternatives},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-    // #endregion
-    
-    return {
-      matched: false,
-      itemName: null,
-      description: null,
-      alternatives: alternatives
-    };
-  }
-  
-  // No match found - find closest items for suggestions
-  const allItems = Object.keys(menu);
-  const suggestions = allItems
-    .filter(item => {
-      const itemLower = item.toLowerCase();
-      return searchQuery.split(' ').some(word => word.length > 2 && itemLower.includes(word));
-    })
-    .slice(0, 3);
-  
-  console.log(`❌ NO MATCH for "${query}". Suggestions: ${suggestions.join(', ') || 'NONE'}`);
-  
-  // #region agent log
-  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:lookupMenuItemDescription:noMatch',message:'NO_MATCH_FOUND',data:{query:query,suggestions:suggestions},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-  // #endregion
-  
-  return {
-    matched: false,
-    itemName: null,
-    description: null,
-    alternatives: suggestions
-  };
-}
-
 /**
  * Get cached menu snippet for session, or retrieve new one
  */
@@ -733,12 +685,56 @@ function getSessionMenuSnippet(streamSid, menu, userText) {
   return cache.cachedMenu;
 }
 
+/**
+ * Describe a returning customer for the AI (name, last order, saved address)
+ */
+function getReturningCustomerContext(order) {
+  const profile = order?.returningCustomer;
+  if (!profile || !customerStore) {
+    return '';
+  }
+  
+  const parts = [`RETURNING CUSTOMER: ${profile.name || 'name unknown'} (${profile.orderCount} previous orders).`];
+  if (profile.name) {
+    parts.push('Greet them by name. Do NOT ask for their name.');
+  }
+  if (profile.lastOrder) {
+    parts.push(`Last order: ${customerStore.describeOrderItems(profile.lastOrder)}. If they want "the usual" or "same as last time", call repeat_last_order.`);
+  }
+  if (order.savedAddress && order.deliveryMethod !== 'pickup' && !order.addressConfirmed) {
+    parts.push(`Saved delivery address: ${order.savedAddress}. For delivery, ask "Still at ${order.savedAddress}?" instead of asking for the address.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Get the opening line - returning customers are welcomed back by name and offered their usual
+ */
+function getGreeting(storeConfig, order) {
+  const defaultGreeting = storeConfig?.greeting || 'Thanks for calling Uncle Sal\'s Pizza. What would you like to order?';
+  const profile = order?.returningCustomer;
+  if (!profile?.name || !customerStore) {
+    return defaultGreeting;
+  }
+  
+  const storeName = storeConfig?.name || 'Uncle Sal\'s Pizza';
+  const usual = profile.lastOrder ? customerStore.describeOrderItems(profile.lastOrder) : '';
+  return usual
+    ? `Thanks for calling ${storeName}. Welcome back, ${profile.name}! Would you like your usual - ${usual} - or something different?`
+    : `Thanks for calling ${storeName}. Welcome back, ${profile.name}! What can I get you?`;
+}
+
 /**
  * Build ultra-compact session instructions (aim for <800 tokens total)
  */
-function buildCompactInstructions(order, menu, conversationContext) {
-  const coreRules = getCoreRulesPrompt();
+function buildCompactInstructions(order, menu, conversationContext, storeConfig = null) {
+  const coreRules = getCoreRulesPrompt(storeConfig?.name);
   const summary = createConversationSummary(order);
+  // Recomputed on every rebuild so the minutes-until-close stay current during the call
+  const hoursContext = getHoursPromptContext(getStoreStatus(storeConfig));
+  const customerContext = getReturningCustomerContext(order);
+  // 86'd items, toppings and wing flavors - staff can change these mid-call from the dashboard
+  const stockContext = stockStore && storeConfig ? getStockPromptContext(stockStore.listOutOfStock(storeConfig.slug)) : '';
   
   // Get only relevant menu items based on conversation
   const menuSnippet = conversationContext?.lastUserText 
@@ -747,7 +743,7 @@ function buildCompactInstructions(order, menu, conversationContext) {
   
   // Build compact instructions
   const instructions = `${coreRules}
-
+${hoursContext ? `\n${hoursContext}\n` : ''}${stockContext ? `\n${stockContext}\n` : ''}${customerContext ? `\n${customerContext}\n` : ''}
 MENU: ${menuSnippet || 'Ask what they want'}
 
 ORDER: ${summary}`;
@@ -781,829 +777,137 @@ function logTokenUsage(streamSid, promptTokens, completionTokens, source) {
   return tpm;
 }
 
-// Menu configuration (hardcoded for now, add Google Sheets later)
-const getMenuText = () => {
-  return `PIZZA:
-- cheese pizza (sizes: small, medium, large) - small $12.99, medium $15.99, large $18.99
-- pepperoni pizza (sizes: small, medium, large) - small $14.99, medium $17.99, large $20.99
-- margherita pizza (sizes: small, medium, large) - small $15.99, medium $18.99, large $21.99
-- white pizza (sizes: small, medium, large) - small $14.99, medium $17.99, large $20.99
-- supreme pizza (sizes: small, medium, large) - small $17.99, medium $20.99, large $23.99
-- veggie pizza (sizes: small, medium, large) - small $16.99, medium $19.99, large $22.99
-
-CALZONE:
-- calzone (regular) - $12.99
-- pepperoni calzone (regular) - $14.99
-
-SIDES:
-- garlic bread (regular) - $5.99
-- garlic knots (regular) - $6.99
-- mozzarella sticks (regular) - $7.99
-- french fries (sizes: regular, large) - regular $4.99, large $6.99
-- salad (sizes: small, large) - small $6.99, large $9.99
-
-DRINKS:
-- soda (regular) - $2.99
-- water (regular) - $1.99`;
-};
-
-// Menu as structured object for price lookup
-const getMenu = () => {
-  return {
-    'cheese pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 12.99, medium: 15.99, large: 18.99 }
-    },
-    'pepperoni pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 14.99, medium: 17.99, large: 20.99 }
-    },
-    'margherita pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 15.99, medium: 18.99, large: 21.99 }
-    },
-    'white pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 14.99, medium: 17.99, large: 20.99 }
-    },
-    'supreme pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 17.99, medium: 20.99, large: 23.99 }
-    },
-    'veggie pizza': {
-      sizes: ['small', 'medium', 'large'],
-      priceMap: { small: 16.99, medium: 19.99, large: 22.99 }
-    },
-    'calzone': {
-      sizes: ['regular'],
-      price: 12.99,
-      priceMap: { regular: 12.99 }
-    },
-    'pepperoni calzone': {
-      sizes: ['regular'],
-      price: 14.99,
-      priceMap: { regular: 14.99 }
-    },
-    'garlic bread': {
-      sizes: ['regular'],
-      price: 5.99,
-      priceMap: { regular: 5.99 }
-    },
-    'garlic knots': {
-      sizes: ['regular'],
-      price: 6.99,
-      priceMap: { regular: 6.99 }
-    },
-    'mozzarella sticks': {
-      sizes: ['regular'],
-      price: 7.99,
-      priceMap: { regular: 7.99 }
-    },
-    'french fries': {
-      sizes: ['regular', 'large'],
-      priceMap: { regular: 4.99, large: 6.99 }
-    },
-    'salad': {
-      sizes: ['small', 'large'],
-      priceMap: { small: 6.99, large: 9.99 }
-    },
-    'soda': {
-      sizes: ['regular'],
-      price: 2.99,
-      priceMap: { regular: 2.99 }
-    },
-    'water': {
-      sizes: ['regular'],
-      price: 1.99,
-      priceMap: { regular: 1.99 }
-    }
-  };
-};
-
-// ============================================================================
-// DYNAMIC MENU FROM GOOGLE SHEETS
-// ============================================================================
-
-// Cache menu to avoid fetching on every call (refresh every 5 minutes)
-let menuCache = null;
-let menuCacheTimestamp = 0;
-const MENU_CACHE_DURATION = 30 * 60 * 1000; // CRITICAL: 30 minutes cache - pre-load menu on startup to avoid delays
-
-/**
- * Fetch menu from Google Sheets
- * Returns both formatted text for AI prompt and structured object for price lookup
- */
-async function fetchMenuFromGoogleSheets() {
-  try {
-    // Check cache first
-    const now = Date.now();
-    if (menuCache && (now - menuCacheTimestamp) < MENU_CACHE_DURATION) {
-      console.log('✓ Using cached menu');
-      return menuCache;
-    }
-
-    const menuSheetId = process.env.GOOGLE_SHEETS_MENU_ID || process.env.GOOGLE_SHEETS_ID;
-    if (!menuSheetId) {
-      console.warn('⚠️  GOOGLE_SHEETS_MENU_ID not set, using default menu');
-      return getDefaultMenuData();
-    }
-
-    // Use existing Google Sheets client if available, or create new one
-    const { google } = require('googleapis');
-    const path = require('path');
-    const fs = require('fs');
-    
-    const credentialsPath = process.env.GOOGLE_SHEETS_CREDENTIALS_PATH;
-    const credentialsBase64 = process.env.GOOGLE_SHEETS_CREDENTIALS_BASE64;
-    
-    if (!credentialsPath && !credentialsBase64) {
-      console.warn('⚠️  GOOGLE_SHEETS_CREDENTIALS_PATH or GOOGLE_SHEETS_CREDENTIALS_BASE64 not set, using default menu');
-      return getDefaultMenuData();
-    }
-
-    let auth;
-    
-    // Option 1: Use base64 encoded credentials (for Railway/cloud deployments)
-    if (credentialsBase64) {
-      try {
-        // Clean the base64 string: remove whitespace, newlines, and any trailing characters
-        const cleanedBase64 = credentialsBase64.trim().replace(/\s/g, '').replace(/[^A-Za-z0-9+/=]/g, '');
-        
-        if (!cleanedBase64 || cleanedBase64.length < 100) {
-          console.warn('⚠️  Base64 credentials string is too short, using default menu');
-          return getDefaultMenuData();
-        }
-        
-        const credentialsJson = Buffer.from(cleanedBase64, 'base64').toString('utf-8');
-        const credentials = JSON.parse(credentialsJson);
-        
-        // Store service account email for error messages
-        const serviceAccountEmail = credentials.client_email;
-        if (serviceAccountEmail) {
-          console.log('📧 Service Account Email:', serviceAccountEmail);
-        }
-        
-        auth = new google.auth.GoogleAuth({
-          credentials: credentials,
-          scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-        });
-      } catch (error) {
-        console.error('❌ Failed to parse base64 credentials for menu:', error.message);
-        console.warn('⚠️  Using default menu as fallback');
-        return getDefaultMenuData();
-      }
-    }
-    // Option 2: Use file path (for local development)
-    else if (credentialsPath) {
-      const credentialsAbsolutePath = path.isAbsolute(credentialsPath)
-        ? credentialsPath
-        : path.resolve(__dirname, credentialsPath.replace(/^\.\//, ''));
-
-      if (!fs.existsSync(credentialsAbsolutePath)) {
-        console.warn('⚠️  Credentials file not found, using default menu');
-        return getDefaultMenuData();
-      }
-
-      auth = new google.auth.GoogleAuth({
-        keyFile: credentialsAbsolutePath,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-      });
-    }
-
-    const sheets = google.sheets({ version: 'v4', auth });
+// Menu loading (per-store menu provider: Google Sheets, file or SQLite, cached, built-in fallback) lives in src/services/menu-service.js
 
-    // Sheet names from environment variables
-    const menuSheetName = process.env.GOOGLE_SHEETS_MENU_SHEET || 'Menu Items';
-    const toppingsSheetName = process.env.GOOGLE_SHEETS_TOPPINGS_SHEET || 'Pizza_Toppings';
-    const sizeGuideSheetName = process.env.GOOGLE_SHEETS_SIZE_GUIDE_SHEET || 'Size_Guide';
-    const wingOptionsSheetName = process.env.GOOGLE_SHEETS_WING_SHEET || 'Wing_Options';
+// Twilio webhook endpoint - returns TwiML to connect Media Stream
+// Store caller phone numbers by callSid (from initial POST request)
+const callerPhoneNumbers = new Map(); // callSid -> phoneNumber
 
-    console.log(`📋 Fetching menu from Google Sheets: ${menuSheetId}`);
-    console.log(`📋 Sheet names: Menu="${menuSheetName}", Toppings="${toppingsSheetName}", SizeGuide="${sizeGuideSheetName}", Wings="${wingOptionsSheetName}"`);
-    
-    // Fetch all sheets in parallel for efficiency
-    let menuRows = [];
-    let toppingsRows = [];
-    let sizeGuideRows = [];
-    let wingOptionsRows = [];
-    
-    // Fetch Menu Items sheet (A-R to capture all columns)
-    try {
-      const menuRange = `'${menuSheetName}'!A2:R1000`;
-      console.log(`📋 Fetching menu items: ${menuRange}`);
-      const menuResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId: menuSheetId,
-        range: menuRange,
-      });
-      menuRows = menuResponse.data.values || [];
-      console.log(`📋 Found ${menuRows.length} menu item rows`);
-    } catch (error) {
-      console.error(`❌ Error fetching menu items sheet "${menuSheetName}":`, error.message);
-    }
-    
-    // Fetch Pizza Toppings sheet
-    try {
-      const toppingsRange = `'${toppingsSheetName}'!A2:D100`;
-      console.log(`📋 Fetching toppings: ${toppingsRange}`);
-      const toppingsResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId: menuSheetId,
-        range: toppingsRange,
-      });
-      toppingsRows = toppingsResponse.data.values || [];
-      console.log(`📋 Found ${toppingsRows.length} topping rows`);
-    } catch (error) {
-      console.warn(`⚠️  Could not fetch toppings sheet "${toppingsSheetName}":`, error.message);
-      console.warn(`⚠️  Continuing without toppings data`);
+app.post('/incoming-call', (req, res) => {
+  // CRITICAL: Wrap EVERYTHING in try-catch to ensure we ALWAYS return a valid response
+  // This prevents "application error" messages from Twilio
+  let responseSent = false;
+  let timeoutFired = false;
+  let timeout = null; // Declare timeout here so it's accessible everywhere
+  
+  // CRITICAL: Helper function to send TwiML response (guaranteed valid)
+  const sendTwiMLResponse = (host = null, introMessage = 'Connecting you now.') => {
+    if (responseSent) {
+      console.warn('⚠️  Response already sent - skipping duplicate');
+      return true; // Return true since response was already sent
     }
     
-    // Fetch Size Guide sheet
     try {
-      const sizeGuideRange = `'${sizeGuideSheetName}'!A2:C100`;
-      console.log(`📋 Fetching size guide: ${sizeGuideRange}`);
-      const sizeGuideResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId: menuSheetId,
-        range: sizeGuideRange,
-      });
-      sizeGuideRows = sizeGuideResponse.data.values || [];
-      console.log(`📋 Found ${sizeGuideRows.length} size guide rows`);
+      responseSent = true;
+      if (timeout) {
+        clearTimeout(timeout);
+      }
+      
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say(introMessage);
+        const stream = twiml.connect();
+      
+      // Use provided host or fallback
+      const wsHost = host || req?.headers?.host || process.env.NGROK_URL?.replace('https://', '').replace('http://', '') || 'localhost:3000';
+      const wsUrl = wsHost.startsWith('wss://') ? `${wsHost}/media-stream` : `wss://${wsHost}/media-stream`;
+      
+      const mediaStream = stream.stream({ url: wsUrl });
+      // Pass the called number through so the stream handler can resolve the store
+      mediaStream.parameter({ name: 'calledNumber', value: req.body?.Called || req.body?.To || '' });
+      
+        res.type('text/xml');
+      res.status(200).send(twiml.toString());
+      console.log('✓ TwiML response sent successfully to:', wsUrl);
+      return true;
     } catch (error) {
-      console.warn(`⚠️  Could not fetch size guide sheet "${sizeGuideSheetName}":`, error.message);
-      console.warn(`⚠️  Continuing without size guide data`);
+      console.error('❌ Error creating TwiML response:', error);
+      // Last resort: send minimal valid XML
+      try {
+        const fallbackHost = host || req?.headers?.host || process.env.NGROK_URL?.replace('https://', '').replace('http://', '') || 'localhost:3000';
+        const fallbackUrl = fallbackHost.startsWith('wss://') ? `${fallbackHost}/media-stream` : `wss://${fallbackHost}/media-stream`;
+        const minimalXML = `<?xml version="1.0" encoding="UTF-8"?><Response><Say>Connecting you now.</Say><Connect><Stream url="${fallbackUrl}"/></Connect></Response>`;
+        res.type('text/xml');
+        res.status(200).send(minimalXML);
+        console.log('✓ Sent minimal fallback TwiML');
+        return true;
+      } catch (e) {
+        console.error('❌ CRITICAL: Failed to send ANY TwiML response:', e);
+        // If we get here, something is very wrong - but still try to send something
+        res.type('text/xml');
+        res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Connecting you now.</Say></Response>');
+        return false;
+      }
     }
-    
-    // Fetch Wing_Options sheet (flavors, piece counts, dressings, extras)
-    // This is a TAB inside the same Google Sheet as Menu Items
-    try {
-      const wingOptionsRange = `'${wingOptionsSheetName}'!A2:I100`; // Extended to column I for all wing data
-      console.log(`📋 Fetching wing options from same sheet: ${wingOptionsRange}`);
-      const wingOptionsResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId: menuSheetId,
-        range: wingOptionsRange,
-      });
-      wingOptionsRows = wingOptionsResponse.data.values || [];
-      console.log(`🍗 Found ${wingOptionsRows.length} wing option rows`);
-    } catch (error) {
-      console.warn(`⚠️  Could not fetch wing options sheet "${wingOptionsSheetName}":`, error.message);
-      console.warn(`⚠️  Continuing without wing options data - flavors will not be available`);
+  };
+  
+  // CRITICAL: Set response timeout to ensure Twilio always gets a response
+  // Twilio requires response within 10 seconds, we use 8 seconds for safety
+  timeout = setTimeout(() => {
+    if (!responseSent && !timeoutFired) {
+      timeoutFired = true;
+      console.error('⚠️  Response timeout - sending fallback TwiML');
+      sendTwiMLResponse();
     }
+  }, 8000); // 8 second timeout (Twilio allows 10 seconds)
+  
+  // CRITICAL: Main try-catch block - ensure we ALWAYS send a response
+  try {
+    console.log('Incoming call received');
+    console.log('Request headers:', req.headers);
     
-    if (menuRows.length === 0) {
-      console.warn('⚠️  No menu data found in Google Sheets, using default menu');
-      return getDefaultMenuData();
-    }
-
-    // Parse toppings, size guide, and wing options first
-    const toppings = parseToppingsFromSheets(toppingsRows);
-    const sizeGuide = parseSizeGuideFromSheets(sizeGuideRows);
-    const wingOptions = parseWingOptionsFromSheets(wingOptionsRows);
+    // CRITICAL: Get caller's phone number from Twilio POST request
+    // This is the PRIMARY source - MUST capture here
+    const callerPhone = req.body.From || req.body.Caller || req.body.CallerId || null;
+    const callSid = req.body.CallSid || null;
     
-    // Parse menu data with toppings, size guide, and wing options
-    const menuData = parseMenuFromSheets(menuRows, toppings, sizeGuide);
-    menuData.wingOptions = wingOptions; // Add wing options to menu data
+    // CRITICAL: Log caller phone at call start
+    console.log('📞 CALLER_FROM (incoming-call webhook):', callerPhone || 'NULL/UNDEFINED');
+    console.log('📞 CallSid:', callSid);
     
-    // CRITICAL: If parsing resulted in 0 items, fall back to default menu
-    const itemCount = Object.keys(menuData.menu).length;
-    if (itemCount === 0) {
-      console.error('❌ Menu parsing resulted in 0 items - this will break the AI prompt!');
-      console.error('❌ Falling back to default menu to prevent silent calls');
-      console.error('❌ Please check:');
-      console.error('   1. Sheet is shared with service account');
-      console.error('   2. Sheet name matches GOOGLE_SHEETS_MENU_SHEET (currently: ' + menuSheetName + ')');
-      console.error('   3. Data starts at row 2 (row 1 should be headers)');
-      console.error('   4. Columns: Category | Item | IN STOCK | Price | Description');
-      return getDefaultMenuData();
+    if (callerPhone) {
+      // Clean phone number (remove +1 prefix if present, keep only digits)
+      const cleanPhone = callerPhone.replace(/[^\d]/g, '').replace(/^1/, '').slice(-10);
+      console.log('📞 Caller phone number:', callerPhone, '-> cleaned:', cleanPhone);
+      
+      // Store phone number by callSid so we can retrieve it when Media Stream connects
+      if (callSid) {
+        callerPhoneNumbers.set(callSid, cleanPhone);
+        console.log('✓ Stored caller phone for callSid:', callSid, '->', cleanPhone);
+      }
+    } else {
+      console.error('❌❌❌ CRITICAL: No caller phone number found in Twilio webhook!');
+      console.error('❌ Request body:', JSON.stringify(req.body, null, 2));
+      // Store "Unknown" as fallback
+      if (callSid) {
+        callerPhoneNumbers.set(callSid, 'Unknown');
+        console.log('⚠️  Stored "Unknown" as fallback phone for callSid:', callSid);
+      }
     }
     
-    // Cache the result
-    menuCache = menuData;
-    menuCacheTimestamp = now;
-    
-    console.log(`✅ Menu fetched from Google Sheets: ${itemCount} items, ${toppings.length} toppings, ${sizeGuide.length} size guide entries, ${wingOptions.flavors?.length || 0} wing flavors`);
-    return menuData;
-
-  } catch (error) {
-    console.error('❌ Error fetching menu from Google Sheets:', error.message);
-    console.error('❌ Error code:', error.code);
-    console.error('❌ Error details:', error.response?.data || error.message);
-    
-    // Extract service account email from credentials if available
-    let serviceAccountEmail = null;
-    try {
-      if (auth && auth.credentials && auth.credentials.client_email) {
-        serviceAccountEmail = auth.credentials.client_email;
-      } else if (process.env.GOOGLE_SHEETS_CREDENTIALS_BASE64) {
-        const cleanedBase64 = process.env.GOOGLE_SHEETS_CREDENTIALS_BASE64.replace(/\s/g, '');
-        const credentialsJson = Buffer.from(cleanedBase64, 'base64').toString('utf-8');
-        const credentials = JSON.parse(credentialsJson);
-        serviceAccountEmail = credentials.client_email;
+    // Check business hours before connecting the media stream
+    const callStore = getStoreConfig(req.body.Called || req.body.To);
+    const storeStatus = getStoreStatus(callStore);
+    let introMessage = 'Connecting you now.';
+    if (!storeStatus.acceptingOrders) {
+      const afterHoursMode = getAfterHoursMode(callStore);
+      console.log(`🌙 ${callStore.name} not taking orders (${storeStatus.reason}) - after-hours mode: ${afterHoursMode}`);
+      
+      if (afterHoursMode === 'schedule') {
+        // Still connect the AI - the prompt tells it to only take orders for later
+        introMessage = getAfterHoursMessage(callStore, storeStatus);
+      } else {
+        const afterHoursTwiml = new twilio.twiml.VoiceResponse();
+        addAfterHoursTwiml(afterHoursTwiml, callStore, storeStatus);
+        responseSent = true;
+        clearTimeout(timeout);
+        res.type('text/xml');
+        res.status(200).send(afterHoursTwiml.toString());
+        console.log('✓ After-hours TwiML sent');
+        return;
       }
-    } catch (e) {
-      // Ignore errors extracting email
     }
     
-    if (serviceAccountEmail) {
-      console.error('');
-      console.error('📧 ============================================');
-      console.error('📧 ACTION REQUIRED: Share your Google Sheet!');
-      console.error('📧 ============================================');
-      console.error('📧 Service Account Email:', serviceAccountEmail);
-      console.error('📧 Sheet ID:', menuSheetId);
-      console.error('📧 Expected Sheets: Menu Items, Pizza_Toppings, Size_Guide');
-      console.error('📧 Steps:');
-      console.error('   1. Open your Google Sheet:', `https://docs.google.com/spreadsheets/d/${menuSheetId}/edit`);
-      console.error('   2. Click "Share" button (top right)');
-      console.error('   3. Paste this email:', serviceAccountEmail);
-      console.error('   4. Give it "Viewer" access (read-only is fine)');
-      console.error('   5. Click "Send"');
-      console.error('📧 ============================================');
-      console.error('');
-    }
-    
-    console.error('❌ Using default menu as fallback');
-    return getDefaultMenuData();
-  }
-}
-
-/**
- * Parse Google Sheets rows into menu format
- * UNCLE SAL'S FORMAT: A=Category, B=Item, C=IN STOCK, D=Price, E=Description
- */
-function parseMenuFromSheets(rows, toppings = [], sizeGuide = []) {
-  const menu = {};
-  const menuTextByCategory = {};
-  
-  console.log(`📋 Parsing menu with Uncle Sal's format: A=Category, B=Item, C=InStock, D=Price, E=Description`);
-  
-  rows.forEach((row, index) => {
-    // Skip empty rows or rows with less than 4 columns
-    if (!row || row.length < 4) {
-      return;
-    }
-    
-    // Uncle Sal's format: A=Category, B=Item, C=IN STOCK, D=Price, E=Description
-    const category = (row[0] || '').toString().trim();
-    const itemName = (row[1] || '').toString().trim();
-    const inStock = (row[2] || '').toString().trim().toUpperCase();
-    let priceStr = (row[3] || '').toString().trim();
-    const description = (row[4] || '').toString().trim();
-    
-    // #region agent log
-    // DEBUG: Log first 5 items with their descriptions to verify parsing
-    if (index < 5) {
-      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:parseMenuFromSheets',message:'MENU_ROW_PARSED',data:{index:index,category:category,itemName:itemName,inStock:inStock,price:priceStr,description:description.substring(0,100),rowLength:row.length},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'A'})}).catch(()=>{});
-    }
-    // #endregion
-    
-    // Skip if not in stock
-    if (inStock !== 'YES') {
-      return;
-    }
-    
-    // Skip if no item name
-    if (!itemName) {
-      return;
-    }
-    
-    // Parse price (remove $ sign)
-    priceStr = priceStr.replace(/^\$/, '');
-    const price = parseFloat(priceStr) || 0;
-    
-    // Normalize item name for menu lookup
-    const baseItemName = itemName.toLowerCase();
-    
-    // Determine available sizes based on item type and sizeGuide
-    let sizes = ['regular'];
-    const lowerItem = itemName.toLowerCase();
-    const lowerCategory = category.toLowerCase();
-    
-    // Check sizeGuide for this item type/category - be more flexible with matching
-    const matchingSizes = sizeGuide.filter(sg => {
-      const sgType = (sg.itemType || '').toLowerCase();
-      const sgSize = (sg.size || '').toLowerCase();
-      
-      // Match by category (e.g., "Pizza" category matches "Pizza" in sizeGuide)
-      if (sgType === lowerCategory) return true;
-      
-      // Match by item name (e.g., "cheese pizza" matches "pizza" or "cheese pizza")
-      if (sgType === lowerItem) return true;
-      if (lowerItem.includes(sgType)) return true;
-      if (sgType.includes(lowerItem.split(' ')[0])) return true;
-      
-      // Special case: if sizeGuide has "Pizza" as itemType, match all pizza items
-      if (sgType === 'pizza' && lowerItem.includes('pizza') && !lowerItem.includes('create your own')) return true;
-      
-      return false;
-    });
-    
-    if (matchingSizes.length > 0) {
-      // Extract unique sizes from sizeGuide
-      sizes = [...new Set(matchingSizes.map(sg => (sg.size || 'regular').toLowerCase()))];
-      // If we got sizes from sizeGuide, use them (don't default to regular)
-      if (sizes.length === 0) sizes = ['regular'];
-    } else {
-      // Fallback: check common patterns - but only if sizeGuide has no matches
-      // For pizzas, check if there's a generic "Pizza" entry in sizeGuide
-      if (lowerItem.includes('pizza') && !lowerItem.includes('create your own')) {
-        // Check for generic pizza sizes in sizeGuide
-        const pizzaSizes = sizeGuide.filter(sg => {
-          const sgType = (sg.itemType || '').toLowerCase();
-          return sgType === 'pizza' || sgType.includes('pizza');
-        });
-        if (pizzaSizes.length > 0) {
-          sizes = [...new Set(pizzaSizes.map(sg => (sg.size || 'regular').toLowerCase()))];
-        } else {
-          // Default pizzas to have multiple sizes if not in sizeGuide
-          sizes = ['small', 'medium', 'large'];
-        }
-      } else if (lowerItem.includes('wings')) {
-        sizes = ['regular'];
-      } else if (lowerItem.includes('salad')) {
-        sizes = ['regular'];
-      } else if (lowerItem.includes('sub') || lowerItem.includes('gyro')) {
-        sizes = ['regular'];
-      }
-    }
-    
-    // Create menu entry
-    if (!menu[baseItemName]) {
-      menu[baseItemName] = {
-        sizes: sizes,
-        priceMap: {},
-        category: category,
-        description: description
-      };
-    }
-    
-    // Set price for each size
-    sizes.forEach(size => {
-      menu[baseItemName].priceMap[size] = price;
-    });
-    
-    // Track categories for formatting
-    if (!menuTextByCategory[category]) {
-      menuTextByCategory[category] = [];
-    }
-  });
-
-  // Format menu text for AI prompt
-  const menuText = formatMenuText(menu, menuTextByCategory, toppings, sizeGuide);
-  
-  const itemCount = Object.keys(menu).length;
-  if (itemCount === 0) {
-    console.warn('⚠️  Warning: parseMenuFromSheets returned 0 items after parsing');
-  } else {
-    console.log(`📋 Parsed ${itemCount} menu items from ${rows.length} rows`);
-  }
-  
-  // #region agent log
-  // DEBUG: Log sample of menu items with descriptions
-  const menuSample = Object.entries(menu).slice(0, 5).map(([name, data]) => ({
-    name: name,
-    description: data.description ? data.description.substring(0, 80) : 'NO DESCRIPTION',
-    hasDesc: !!data.description
-  }));
-  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:parseMenuFromSheets:end',message:'MENU_PARSED_RESULT',data:{itemCount:itemCount,menuTextLength:menuText.length,sampleItems:menuSample,menuTextPreview:menuText.substring(0,500)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B'})}).catch(()=>{});
-  // #endregion
-
-  return {
-    menu: menu,
-    menuText: menuText,
-    toppings: toppings,
-    sizeGuide: sizeGuide
-  };
-}
-
-/**
- * Parse toppings from Pizza_Toppings sheet
- * Format: A=Topping, B=Type, C=Add-on Price, D=Notes
- */
-function parseToppingsFromSheets(rows) {
-  const toppings = [];
-  
-  rows.forEach((row, index) => {
-    if (!row || row.length < 3) return;
-    
-    const toppingName = (row[0] || '').toString().trim();
-    const type = (row[1] || '').toString().trim();
-    let priceStr = (row[2] || '').toString().trim();
-    const notes = (row[3] || '').toString().trim();
-    
-    if (!toppingName) return;
-    
-    // Parse price
-    priceStr = priceStr.replace(/^\$/, '');
-    const price = parseFloat(priceStr) || 0;
-    
-    toppings.push({
-      name: toppingName,
-      type: type,
-      price: price,
-      notes: notes
-    });
-  });
-  
-  console.log(`📋 Parsed ${toppings.length} toppings`);
-  return toppings;
-}
-
-/**
- * Parse size guide from Size_Guide sheet
- * Format: A=Item Type, B=Size, C=Price Modifier or Base Price
- */
-function parseSizeGuideFromSheets(rows) {
-  const sizeGuide = [];
-  
-  rows.forEach((row, index) => {
-    if (!row || row.length < 2) return;
-    
-    const itemType = (row[0] || '').toString().trim();
-    const size = (row[1] || '').toString().trim();
-    let priceStr = (row[2] || '').toString().trim();
-    
-    if (!itemType || !size) return;
-    
-    // Parse price
-    priceStr = priceStr.replace(/^\$/, '');
-    const price = parseFloat(priceStr) || 0;
-    
-    sizeGuide.push({
-      itemType: itemType,
-      size: size,
-      price: price
-    });
-  });
-  
-  console.log(`📋 Parsed ${sizeGuide.length} size guide entries`);
-  return sizeGuide;
-}
-
-/**
- * Parse wing options from Wing_Options sheet
- * User's actual format:
- * A=Wing Type, B=Piece Count, C=Base Price, D=Flavor Option, E=Flavor Type, F=Flavor Upcharge, G=Dressing Option, H=Dressing, I=Extra Option
- * 
- * We extract:
- * - Flavors from Column D (e.g., "Plain", "Mild", "Hot", "BBQ", etc.)
- * - Piece counts from Column B (e.g., "6 Pieces", "10 Pieces")
- * - Dressings from Column G/H (e.g., "Ranch Dressing", "Blue Cheese Dressing")
- * - Extras from Column I
- */
-function parseWingOptionsFromSheets(rows) {
-  const wingOptions = {
-    flavors: [],
-    pieceCounts: [],
-    dressings: [],
-    extras: []
-  };
-  
-  const seenFlavors = new Set();
-  const seenPieceCounts = new Set();
-  const seenDressings = new Set();
-  const seenExtras = new Set();
-  
-  rows.forEach((row, index) => {
-    if (!row || row.length < 1) return;
-    
-    // Column D: Flavor Option (e.g., "Plain", "Mild", "Hot", "BBQ")
-    const flavorName = (row[3] || '').toString().trim();
-    if (flavorName && !seenFlavors.has(flavorName.toLowerCase())) {
-      seenFlavors.add(flavorName.toLowerCase());
-      // Column F: Flavor Upcharge price
-      let flavorPrice = (row[5] || '').toString().trim().replace(/^\$/, '');
-      wingOptions.flavors.push({
-        name: flavorName,
-        price: parseFloat(flavorPrice) || 0,
-        notes: (row[4] || '').toString().trim() // Column E: Flavor Type (e.g., "Sauce")
-      });
-    }
-    
-    // Column B: Piece Count (e.g., "6 Pieces", "10 Pieces")
-    const pieceCount = (row[1] || '').toString().trim();
-    if (pieceCount && !seenPieceCounts.has(pieceCount.toLowerCase())) {
-      seenPieceCounts.add(pieceCount.toLowerCase());
-      // Column C: Base Price
-      let basePrice = (row[2] || '').toString().trim().replace(/^\$/, '');
-      wingOptions.pieceCounts.push({
-        name: pieceCount,
-        price: parseFloat(basePrice) || 0,
-        notes: ''
-      });
-    }
-    
-    // Column G/H: Dressing Option
-    const dressingOption = (row[6] || '').toString().trim();
-    const dressingName = (row[7] || '').toString().trim();
-    if (dressingName && !seenDressings.has(dressingName.toLowerCase())) {
-      seenDressings.add(dressingName.toLowerCase());
-      wingOptions.dressings.push({
-        name: dressingName,
-        price: 0,
-        notes: ''
-      });
-    }
-    
-    // Column I: Extra Option
-    const extraOption = (row[8] || '').toString().trim();
-    if (extraOption && !seenExtras.has(extraOption.toLowerCase())) {
-      seenExtras.add(extraOption.toLowerCase());
-      wingOptions.extras.push({
-        name: extraOption,
-        price: 0,
-        notes: ''
-      });
-    }
-  });
-  
-  console.log(`🍗 Parsed wing options: ${wingOptions.flavors.length} flavors, ${wingOptions.pieceCounts.length} piece counts, ${wingOptions.dressings.length} dressings, ${wingOptions.extras.length} extras`);
-  console.log(`🍗 Available flavors: ${wingOptions.flavors.map(f => f.name).join(', ')}`);
-  
-  // #region agent log
-  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:parseWingOptionsFromSheets',message:'WING_OPTIONS_PARSED',data:{flavorCount:wingOptions.flavors.length,flavors:wingOptions.flavors.map(f=>f.name),pieceCountCount:wingOptions.pieceCounts.length,pieceCounts:wingOptions.pieceCounts.map(p=>p.name),dressingCount:wingOptions.dressings.length,dressings:wingOptions.dressings.map(d=>d.name)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'I_wings'})}).catch(()=>{});
-  // #endregion
-  
-  return wingOptions;
-}
-
-/**
- * Format menu object into text for AI prompt
- */
-function formatMenuText(menu, menuTextByCategory, toppings = [], sizeGuide = []) {
-  // TOKEN OPTIMIZATION: Compact menu format (removes prices from prompt - prices are in tool/order logic)
-  // Group by category first
-  const categories = {};
-  
-  Object.keys(menu).forEach(itemName => {
-    const item = menu[itemName];
-    const category = item.category || 'Other';
-    
-    if (!categories[category]) {
-      categories[category] = [];
-    }
-    
-    // Include item name, price, and description for customer reference
-    const price = item.priceMap[item.sizes[0]] || 0;
-    const description = item.description || '';
-    const sizeInfo = item.sizes && item.sizes.length > 1 ? ` (sizes: ${item.sizes.join(', ')})` : '';
-    const descInfo = description ? ` - ${description}` : '';
-    categories[category].push(`${itemName} ($${price.toFixed(2)})${sizeInfo}${descInfo}`);
-  });
-
-  // Format by category - compact format
-  let menuText = '';
-  Object.keys(categories).sort().forEach(category => {
-    menuText += `${category}:\n${categories[category].join(', ')}\n\n`;
-  });
-
-  // Add toppings section if available
-  if (toppings.length > 0) {
-    const toppingsByType = {};
-    toppings.forEach(t => {
-      const type = t.type || 'Other';
-      if (!toppingsByType[type]) {
-        toppingsByType[type] = [];
-      }
-      toppingsByType[type].push(`${t.name} (+$${t.price.toFixed(2)})`);
-    });
-    
-    menuText += `\nAVAILABLE TOPPINGS:\n`;
-    Object.keys(toppingsByType).forEach(type => {
-      menuText += `${type}: ${toppingsByType[type].join(', ')}\n`;
-    });
-  }
-
-  // Add size guide section if available
-  if (sizeGuide.length > 0) {
-    const sizesByItem = {};
-    sizeGuide.forEach(s => {
-      if (!sizesByItem[s.itemType]) {
-        sizesByItem[s.itemType] = [];
-      }
-      sizesByItem[s.itemType].push(`${s.size} ($${s.price.toFixed(2)})`);
-    });
-    
-    menuText += `\nSIZE OPTIONS:\n`;
-    Object.keys(sizesByItem).forEach(itemType => {
-      menuText += `${itemType}: ${sizesByItem[itemType].join(', ')}\n`;
-    });
-  }
-
-  return menuText.trim();
-}
-
-/**
- * Get default menu (fallback if Google Sheets fails)
- */
-function getDefaultMenuData() {
-  return {
-    menu: getMenu(), // Use existing getMenu() function
-    menuText: getMenuText() // Use existing getMenuText() function
-  };
-}
-
-// Twilio webhook endpoint - returns TwiML to connect Media Stream
-// Store caller phone numbers by callSid (from initial POST request)
-const callerPhoneNumbers = new Map(); // callSid -> phoneNumber
-
-app.post('/incoming-call', (req, res) => {
-  // CRITICAL: Wrap EVERYTHING in try-catch to ensure we ALWAYS return a valid response
-  // This prevents "application error" messages from Twilio
-  let responseSent = false;
-  let timeoutFired = false;
-  let timeout = null; // Declare timeout here so it's accessible everywhere
-  
-  // CRITICAL: Helper function to send TwiML response (guaranteed valid)
-  const sendTwiMLResponse = (host = null) => {
-    if (responseSent) {
-      console.warn('⚠️  Response already sent - skipping duplicate');
-      return true; // Return true since response was already sent
-    }
-    
-    try {
-      responseSent = true;
-      if (timeout) {
-        clearTimeout(timeout);
-      }
-      
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Connecting you now.');
-        const stream = twiml.connect();
-      
-      // Use provided host or fallback
-      const wsHost = host || req?.headers?.host || process.env.NGROK_URL?.replace('https://', '').replace('http://', '') || 'localhost:3000';
-      const wsUrl = wsHost.startsWith('wss://') ? `${wsHost}/media-stream` : `wss://${wsHost}/media-stream`;
-      
-      stream.stream({ url: wsUrl });
-      
-        res.type('text/xml');
-      res.status(200).send(twiml.toString());
-      console.log('✓ TwiML response sent successfully to:', wsUrl);
-      return true;
-    } catch (error) {
-      console.error('❌ Error creating TwiML response:', error);
-      // Last resort: send minimal valid XML
-      try {
-        const fallbackHost = host || req?.headers?.host || process.env.NGROK_URL?.replace('https://', '').replace('http://', '') || 'localhost:3000';
-        const fallbackUrl = fallbackHost.startsWith('wss://') ? `${fallbackHost}/media-stream` : `wss://${fallbackHost}/media-stream`;
-        const minimalXML = `<?xml version="1.0" encoding="UTF-8"?><Response><Say>Connecting you now.</Say><Connect><Stream url="${fallbackUrl}"/></Connect></Response>`;
-        res.type('text/xml');
-        res.status(200).send(minimalXML);
-        console.log('✓ Sent minimal fallback TwiML');
-        return true;
-      } catch (e) {
-        console.error('❌ CRITICAL: Failed to send ANY TwiML response:', e);
-        // If we get here, something is very wrong - but still try to send something
-        res.type('text/xml');
-        res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Connecting you now.</Say></Response>');
-        return false;
-      }
-    }
-  };
-  
-  // CRITICAL: Set response timeout to ensure Twilio always gets a response
-  // Twilio requires response within 10 seconds, we use 8 seconds for safety
-  timeout = setTimeout(() => {
-    if (!responseSent && !timeoutFired) {
-      timeoutFired = true;
-      console.error('⚠️  Response timeout - sending fallback TwiML');
-      sendTwiMLResponse();
-    }
-  }, 8000); // 8 second timeout (Twilio allows 10 seconds)
-  
-  // CRITICAL: Main try-catch block - ensure we ALWAYS send a response
-  try {
-    console.log('Incoming call received');
-    console.log('Request headers:', req.headers);
-    
-    // CRITICAL: Get caller's phone number from Twilio POST request
-    // This is the PRIMARY source - MUST capture here
-    const callerPhone = req.body.From || req.body.Caller || req.body.CallerId || null;
-    const callSid = req.body.CallSid || null;
-    
-    // CRITICAL: Log caller phone at call start
-    console.log('📞 CALLER_FROM (incoming-call webhook):', callerPhone || 'NULL/UNDEFINED');
-    console.log('📞 CallSid:', callSid);
-    
-    if (callerPhone) {
-      // Clean phone number (remove +1 prefix if present, keep only digits)
-      const cleanPhone = callerPhone.replace(/[^\d]/g, '').replace(/^1/, '').slice(-10);
-      console.log('📞 Caller phone number:', callerPhone, '-> cleaned:', cleanPhone);
-      
-      // Store phone number by callSid so we can retrieve it when Media Stream connects
-      if (callSid) {
-        callerPhoneNumbers.set(callSid, cleanPhone);
-        console.log('✓ Stored caller phone for callSid:', callSid, '->', cleanPhone);
-      }
-    } else {
-      console.error('❌❌❌ CRITICAL: No caller phone number found in Twilio webhook!');
-      console.error('❌ Request body:', JSON.stringify(req.body, null, 2));
-      // Store "Unknown" as fallback
-      if (callSid) {
-        callerPhoneNumbers.set(callSid, 'Unknown');
-        console.log('⚠️  Stored "Unknown" as fallback phone for callSid:', callSid);
-      }
-    }
-    
-    const twiml = new twilio.twiml.VoiceResponse();
+    const twiml = new twilio.twiml.VoiceResponse();
     
     // Get the full URL from request or use environment variable
     // For ngrok, we need the full HTTPS URL
@@ -1632,7 +936,7 @@ app.post('/incoming-call', (req, res) => {
     const host = req.headers.host || process.env.NGROK_URL?.replace('https://', '').replace('http://', '') || 'localhost:3000';
     
     // CRITICAL: Use the helper function to ensure response is sent IMMEDIATELY
-    if (!sendTwiMLResponse(host)) {
+    if (!sendTwiMLResponse(host, introMessage)) {
       // If sendTwiMLResponse failed, try one more time with the manually created TwiML
       try {
         responseSent = true;
@@ -1642,7 +946,7 @@ app.post('/incoming-call', (req, res) => {
         console.log('✓ TwiML response sent (manual fallback)');
       } catch (e) {
         console.error('❌ Failed to send manual TwiML, using minimal fallback');
-        sendTwiMLResponse(host);
+        sendTwiMLResponse(host, introMessage);
       }
     }
     
@@ -1672,6 +976,13 @@ app.post('/incoming-call', (req, res) => {
   }
 });
 
+// After-hours voicemail (<Record> action) - MUST be registered before the POST catch-all
+app.post('/voicemail', handleVoicemail);
+
+// Staff transfer whisper and <Dial> result - same reason
+app.get('/transfer-whisper', handleTransferWhisper);
+app.post('/transfer-status', handleTransferWhisper.handleTransferStatus);
+
 // CRITICAL: Global Express error handler - catch ANY unhandled errors in routes
 // This MUST be after all routes but before server.listen
 app.use((err, req, res, next) => {
@@ -1714,123 +1025,18 @@ app.use((err, req, res, next) => {
   }
 });
 
-// ============================================================================
-// PHASE 1: ANALYTICS - Call Logging (Non-blocking, isolated)
-// ============================================================================
-// This section adds call analytics WITHOUT affecting existing call flow
-// All logging is non-blocking and won't interrupt calls
+// Twilio status callback - logs completed calls for analytics (non-blocking)
+app.post('/api/calls/twilio-status', handleCallStatus);
 
-// Twilio Status Callback - Logs call when it ends
-// Configure this URL in Twilio: https://your-domain.com/api/calls/twilio-status
-app.post('/api/calls/twilio-status', express.urlencoded({ extended: true }), async (req, res) => {
-  // DEBUG: Log incoming callback to verify endpoint is hit
-  console.log('📞 Twilio status callback received:', {
-    CallSid: req.body.CallSid,
-    CallStatus: req.body.CallStatus,
-    CallDuration: req.body.CallDuration,
-    AnsweredBy: req.body.AnsweredBy
-  });
-  
-  // CRITICAL: Respond immediately to Twilio (non-blocking)
-  res.status(200).send('OK');
+// Client dashboard (/:clientSlug) and kitchen board (/:clientSlug/kitchen) - must be BEFORE the catch-all route
+app.use(dashboardRoutes);
+
+// CRITICAL: Catch-all route handler - ensures Twilio ALWAYS gets a response even if route doesn't exist
+app.all('*', (req, res) => {
+  console.warn('⚠️  Unknown route requested:', req.method, req.path);
   
-  // Process logging asynchronously (doesn't block Twilio)
-  setImmediate(async () => {
-    try {
-      // Only log completed calls
-      if (req.body.CallStatus !== 'completed') {
-        console.log(`📞 Status callback received but status is '${req.body.CallStatus}' (not 'completed'), skipping log`);
-        return;
-      }
-      
-      const callSid = req.body.CallSid;
-      const duration = parseInt(req.body.CallDuration || 0);
-      const answered = req.body.AnsweredBy !== 'machine';
-      
-      // Extract client slug from phone number or use default
-      // You can map phone numbers to client slugs here
-      const clientSlug = process.env.DEFAULT_CLIENT_SLUG || 'unclesals';
-      
-      // Get current date (YYYY-MM-DD format)
-      const callDate = new Date().toISOString().split('T')[0];
-      
-      // Log to database (non-blocking)
-      if (process.env.ENABLE_ANALYTICS !== 'false') {
-        try {
-          const { logCall } = require('./apps/api/db');
-          logCall.run(
-            callSid,
-            clientSlug,
-            callDate,
-            duration,
-            Math.round((duration / 60) * 100) / 100, // minutes_used
-            answered ? 1 : 0,
-            1 // ai_handled (default true)
-          );
-          
-          console.log(`✓ Call logged: ${callSid}, ${duration}s, ${clientSlug}`);
-        } catch (dbError) {
-          // Log error but don't throw - analytics should never break calls
-          console.error('⚠️  Error logging call (non-critical):', dbError.message);
-        }
-      }
-    } catch (error) {
-      // Log error but don't throw - analytics should never break calls
-      console.error('⚠️  Error in status callback (non-critical):', error.message);
-    }
-  });
-});
-
-// ============================================================================
-// PHASE 1: ANALYTICS Dashboard (Isolated route)
-// ============================================================================
-// This route serves the client dashboard at /:clientSlug (e.g., /unclesals)
-// It only matches if the path is a valid client slug (alphanumeric + hyphens)
-// IMPORTANT: This route must be BEFORE the catch-all route
-app.get('/:clientSlug', (req, res, next) => {
-  const clientSlug = req.params.clientSlug;
-  
-  // Skip if it's an API route, known route, or has file extension
-  if (clientSlug.startsWith('api') || 
-      clientSlug === 'health' || 
-      clientSlug === 'media-stream' ||
-      clientSlug === 'incoming-call' ||
-      clientSlug.includes('.') ||
-      !/^[a-z0-9-]+$/.test(clientSlug) ||
-      clientSlug.length > 50) {
-    return next(); // Let other routes handle it
-  }
-  
-  // Serve dashboard HTML
-  const path = require('path');
-  const fs = require('fs');
-  const dashboardPath = path.join(__dirname, 'apps/dashboard/public/index.html');
-  
-  console.log('📊 Dashboard route matched for:', clientSlug);
-  console.log('📊 Dashboard file path:', dashboardPath);
-  console.log('📊 File exists:', fs.existsSync(dashboardPath));
-  
-  // Check if file exists
-  if (fs.existsSync(dashboardPath)) {
-    try {
-      res.sendFile(dashboardPath);
-      console.log('✓ Dashboard served successfully');
-    } catch (error) {
-      console.error('Error serving dashboard:', error);
-      res.status(500).send('Error loading dashboard');
-    }
-  } else {
-    console.error('❌ Dashboard file not found at:', dashboardPath);
-    res.status(404).send('Dashboard not found. File path: ' + dashboardPath);
-  }
-});
-
-// CRITICAL: Catch-all route handler - ensures Twilio ALWAYS gets a response even if route doesn't exist
-app.all('*', (req, res) => {
-  console.warn('⚠️  Unknown route requested:', req.method, req.path);
-  
-  // If it's POST to /incoming-call (or any POST), return TwiML
-  if (req.method === 'POST' || req.path === '/incoming-call') {
+  // If it's POST to /incoming-call (or any POST), return TwiML
+  if (req.method === 'POST' || req.path === '/incoming-call') {
     try {
       const twiml = new twilio.twiml.VoiceResponse();
       twiml.say('Connecting you now.');
@@ -1982,10 +1188,13 @@ const server = app.listen(port, '0.0.0.0', () => {
   // Use setTimeout to ensure this doesn't block server startup
   setTimeout(() => {
     console.log('📋 Pre-loading menu cache for faster connection...');
-    fetchMenuFromGoogleSheets()
-      .then((menuData) => {
+    Promise.all(listStores().map(store => loadMenu(store)))
+      .then((menus) => {
         console.log('✅ Menu cache pre-loaded successfully');
-        console.log(`📋 Cached menu contains ${Object.keys(menuData?.menu || {}).length} items`);
+        menus.forEach((menuData, index) => {
+          console.log(`📋 Cached menu for ${listStores()[index].slug} contains ${Object.keys(menuData?.menu || {}).length} items`);
+        });
+        watchMenus(listStores()); // File menus with "watch": true reload when saved
       })
       .catch((error) => {
         console.warn('⚠️  Failed to pre-load menu cache (non-critical):', error.message);
@@ -2049,7 +1258,26 @@ wss.on('connection', (ws, req) => {
     let preConnectionAudioQueue = []; // Queue audio while OpenAI is connecting
     let openaiReady = false; // Track when OpenAI is ready to receive audio
     let responseInProgress = false; // Track if a response is already being generated (prevent duplicates)
+    let respondAfterResponse = false; // A system message arrived mid-response - answer it once the response is done
     let storeConfig = null; // Store configuration for this connection
+    let callHandoff = null; // Hands the call to staff when the caller asks or the AI gets stuck
+    let callTranscript = null; // Saves caller/AI turns and tool calls for dispute resolution
+    
+    // Barge-in: marks track what the caller has heard, so talking over the AI clears Twilio's queue
+    // and truncates the AI's item to the audio that was actually played
+    const playback = new PlaybackTracker({
+      sendToTwilio: (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(message));
+        }
+      },
+      truncate: (itemId, audioEndMs) => safeSendToOpenAI({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs
+      }, 'conversation.item.truncate (barge-in)')
+    });
   let recentResponses = []; // Track recent responses to detect loops (max 10)
   let consecutiveSimilarResponses = 0; // Track consecutive similar responses
   let lastAIResponse = null; // Track last AI response to prevent exact repeats
@@ -2079,6 +1307,7 @@ wss.on('connection', (ws, req) => {
           console.log('Stream started:', data.start);
           streamSid = data.start.streamSid;
           const callSid = data.start.callSid;
+          playback.reset(streamSid);
           
           // CRITICAL: Get caller's phone number from stored map
           let callerPhone = callerPhoneNumbers.get(callSid) || null;
@@ -2097,6 +1326,41 @@ wss.on('connection', (ws, req) => {
           // CRITICAL: Log phone number at stream start
           console.log('📞 CALLER_PHONE_AT_STREAM_START:', callerPhone);
           
+          // Resolve store from the called number passed as a stream parameter (default store if unknown)
+          if (!storeConfig) {
+            storeConfig = getStoreConfig(data.start.customParameters?.calledNumber);
+            console.log('✓ Store config loaded:', storeConfig.slug, '-', storeConfig.name);
+          }
+          
+          // Caller asks for a person, or the AI loops or keeps failing - hand the call to staff
+          callHandoff = new CallHandoff({
+            callSid,
+            storeConfig,
+            staffTransfer,
+            getOrder: () => activeOrders.get(streamSid),
+            baseUrl: `https://${req.headers.host}`,
+            // The redirect failed - the AI apologizes and keeps taking the order
+            onTransferFailed: (message) => {
+              if (callTranscript) {
+                callTranscript.addEvent('Transfer to staff failed');
+              }
+              safeSendToOpenAI({
+                type: 'conversation.item.create',
+                item: {
+                  type: 'message',
+                  role: 'system',
+                  content: [{ type: 'input_text', text: message }]
+                }
+              }, 'transfer failed notice');
+              if (responseInProgress) {
+                respondAfterResponse = true;
+              } else if (safeSendToOpenAI({ type: 'response.create', response: { modalities: ['audio', 'text'] } }, 'response.create (transfer failed)')) {
+                responseInProgress = true;
+              }
+            }
+          });
+          callTranscript = new CallTranscript({ callSid, storeConfig });
+          
           // CRITICAL: Clean up any existing OpenAI connection from previous call
           // This prevents multiple connections and state confusion
           if (openaiClient) {
@@ -2118,6 +1382,7 @@ wss.on('connection', (ws, req) => {
           openaiReady = false;
           audioBuffer = [];
           responseInProgress = false;
+          respondAfterResponse = false;
           recentResponses = []; // Reset loop detection
           consecutiveSimilarResponses = 0; // Reset loop counter
           lastAIResponse = null; // Reset last response tracking
@@ -2140,18 +1405,38 @@ wss.on('connection', (ws, req) => {
           
           console.log('📞 ORDER_INIT_PHONE:', orderPhone);
           
+          // Returning caller? Their profile gives us their name, last order and delivery address
+          let customerProfile = null;
+          if (customerStore) {
+            try {
+              customerProfile = customerStore.getCustomerProfile(storeConfig.slug, orderPhone);
+              if (customerProfile) {
+                console.log(`✓ Returning customer: ${customerProfile.name || 'no name'} (${customerProfile.orderCount} previous orders)`);
+              }
+            } catch (error) {
+              console.error('❌ Error looking up customer profile:', error.message);
+            }
+          }
+          
           order = {
             items: [],
             deliveryMethod: null,
             address: null,
             addressConfirmed: false, // Track if address was confirmed back to customer
-            customerName: null,
+            customerName: customerProfile?.name || null, // Returning customers aren't asked again
             customerPhone: orderPhone, // CRITICAL: Always set, never null
+            savedAddress: customerProfile?.address || null, // Offered back for delivery - still needs confirming
+            returningCustomer: customerProfile, // Profile from the customer store (null for new callers)
             paymentMethod: null,
+            requestedTime: null, // ISO time for scheduled orders (null = ASAP)
+            requestedTimeLabel: null, // Spoken form, e.g. "tomorrow at 12:00 PM"
+            readyTimeQuote: null, // Latest quote from the ready-time estimator
             confirmed: false,
             logged: false, // Track if order has been logged to prevent duplicates
             streamSid: streamSid,
-            from: callSid // Keep callSid for reference, but use customerPhone for logging
+            callSid: callSid, // Order store key
+            from: callSid, // Keep callSid for reference, but use customerPhone for logging
+            taxRate: storeConfig.taxRate
           };
           activeOrders.set(streamSid, order);
           
@@ -2234,6 +1519,11 @@ wss.on('connection', (ws, req) => {
           }
           break;
           
+        case 'mark':
+          // Twilio played the AI's audio up to this mark
+          playback.onMark(data.mark?.name);
+          break;
+          
         case 'stop':
           console.log('Stream stopped:', streamSid);
           
@@ -2287,7 +1577,11 @@ wss.on('connection', (ws, req) => {
               
               order.logged = true;
               activeOrders.set(streamSid, order);
-              logOrder(order, storeConfig || {}).catch(error => {
+              logOrder(order, storeConfig || {}).then(() => {
+                // Text the caller their order - logOrder has set the ready-time quote by now
+                smsNotifier.sendOrderConfirmation(order, storeConfig)
+                  .catch(error => console.error('❌ Error sending confirmation text:', error.message));
+              }).catch(error => {
                 console.error('❌ Error logging order on stream end:', error);
                 // Reset logged flag on error so it can be retried
                 order.logged = false;
@@ -2366,7 +1660,7 @@ wss.on('connection', (ws, req) => {
           }
           // Send any remaining buffered audio
           if (audioBuffer.length > 0) {
-            const combinedAudio = audioBuffer.join('');
+            const combinedAudio = concatBase64(audioBuffer).toString('base64'); // Padded base64 can't be joined as text
             const audioPayload = {
               type: 'input_audio_buffer.append',
               audio: combinedAudio
@@ -2502,10 +1796,10 @@ wss.on('connection', (ws, req) => {
     console.log('📋 Fetching menu for call...');
     let menuData;
     try {
-      menuData = await fetchMenuFromGoogleSheets();
+      menuData = await loadMenu(storeConfig);
       // CRITICAL: Validate menu data before using it
       if (!menuData || typeof menuData !== 'object') {
-        console.error('❌ Invalid menu data returned from fetchMenuFromGoogleSheets');
+        console.error('❌ Invalid menu data returned from loadMenu');
         menuData = getDefaultMenuData();
       }
       if (!menuData.menuText || typeof menuData.menuText !== 'string') {
@@ -2517,12 +1811,14 @@ wss.on('connection', (ws, req) => {
         menuData = getDefaultMenuData();
       }
     } catch (error) {
-      console.error('❌ Error fetching menu from Google Sheets:', error);
+      console.error('❌ Error loading menu:', error);
       console.error('Error message:', error.message);
       console.error('⚠️  Using default menu as fallback');
       menuData = getDefaultMenuData();
     }
     
+    // menuData is this call's snapshot - a menu refresh mid-call only affects new calls
+    console.log(`📋 Menu version ${menuData.version} (${menuData.source})`);
     const menuText = menuData.menuText;
     const menu = menuData.menu;
     const sizeGuide = menuData.sizeGuide || [];
@@ -2593,6 +1889,7 @@ wss.on('connection', (ws, req) => {
         type: 'session.update',
         session: {
           modalities: ['audio', 'text'], // OpenAI requires both audio and text
+          voice: storeConfig?.voice || 'alloy', // Per-store voice from the store registry
           input_audio_format: 'g711_ulaw', // Match Twilio's mu-law format (8kHz) - OpenAI expects 'g711_ulaw'
           output_audio_format: 'g711_ulaw', // Match Twilio's expected format - this fixes the "air" sound issue
           input_audio_transcription: {
@@ -2607,148 +1904,9 @@ wss.on('connection', (ws, req) => {
           },
           temperature: 0.7,  // Slightly lower for faster, more focused responses
           max_response_output_tokens: TOKEN_BUDGET.MAX_OUTPUT_TOKENS,  // HARD CAP: 150 tokens max per response
-          tools: [
-            {
-              type: 'function',
-              name: 'add_item_to_order',
-              description: 'MANDATORY: You MUST call this tool immediately when the customer orders ANY item. Do NOT just mention items in your response - you MUST call this tool to add them to the order. If customer says "large pepperoni pizza", call this tool with name="pepperoni pizza", size="large". If customer says "fries", call this tool with name="french fries". For WINGS: You MUST include the flavor parameter - if customer did not specify flavor, ASK them "What flavor would you like for your wings?" BEFORE calling this tool. DO NOT generate text responses about items without calling this tool.',
-              parameters: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type: 'string',
-                    description: 'The exact menu item name (e.g., "pepperoni pizza", "garlic knots", "soda", "regular wings")'
-                  },
-                  size: {
-                    type: 'string',
-                    description: 'Size if applicable (e.g., "small", "medium", "large", "regular")',
-                    enum: ['small', 'medium', 'large', 'regular']
-                  },
-                  quantity: {
-                    type: 'integer',
-                    description: 'Quantity of this item (default: 1)',
-                    default: 1
-                  },
-                  flavor: {
-                    type: 'string',
-                    description: 'REQUIRED FOR WINGS: The wing flavor (e.g., "hot", "mild", "bbq", "garlic parmesan", "buffalo"). You MUST ask the customer for their flavor choice if ordering wings and they did not specify.'
-                  },
-                  dressing: {
-                    type: 'string',
-                    description: 'For wings: the dressing/dip choice (e.g., "blue cheese", "ranch"). Ask customer if they want blue cheese or ranch with their wings.'
-                  },
-                  modifiers: {
-                    type: 'string',
-                    description: 'Any special instructions or modifiers (e.g., "extra crispy", "no onions", "side of hot sauce")'
-                  }
-                },
-                required: ['name']
-              }
-            },
-            {
-              type: 'function',
-              name: 'set_delivery_method',
-              description: 'Set whether the order is for pickup or delivery',
-              parameters: {
-                type: 'object',
-                properties: {
-                  method: {
-                    type: 'string',
-                    enum: ['pickup', 'delivery'],
-                    description: 'Pickup or delivery'
-                  }
-                },
-                required: ['method']
-              }
-            },
-            {
-              type: 'function',
-              name: 'set_address',
-              description: 'MANDATORY: Set the delivery address. You MUST call this tool IMMEDIATELY when the customer provides ANY delivery address. Do NOT just talk about the address - CALL THIS TOOL.',
-              parameters: {
-                type: 'object',
-                properties: {
-                  address: {
-                    type: 'string',
-                    description: 'Full delivery address'
-                  }
-                },
-                required: ['address']
-              }
-            },
-            {
-              type: 'function',
-              name: 'set_customer_name',
-              description: 'Set the customer\'s name for the order',
-              parameters: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type: 'string',
-                    description: 'Customer\'s name'
-                  }
-                },
-                required: ['name']
-              }
-            },
-            {
-              type: 'function',
-              name: 'set_customer_phone',
-              description: 'Set the customer\'s phone number',
-              parameters: {
-                type: 'object',
-                properties: {
-                  phone: {
-                    type: 'string',
-                    description: 'Customer\'s phone number (10 digits)'
-                  }
-                },
-                required: ['phone']
-              }
-            },
-            {
-              type: 'function',
-              name: 'set_payment_method',
-              description: 'Set the payment method',
-              parameters: {
-                type: 'object',
-                properties: {
-                  method: {
-                    type: 'string',
-                    enum: ['cash', 'card'],
-                    description: 'Payment method'
-                  }
-                },
-                required: ['method']
-              }
-            },
-            {
-              type: 'function',
-              name: 'confirm_order',
-              description: 'Mark the order as confirmed when the customer agrees to the final total',
-              parameters: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              type: 'function',
-              name: 'get_item_description',
-              description: 'MANDATORY: Call this tool IMMEDIATELY when customer asks "what is [item]?", "what comes on [item]?", "tell me about [item]", "what\'s in [item]?", or any question about what a menu item is or contains. You MUST call this tool to get the description - do NOT make up or guess descriptions. Only use the description returned by this tool.',
-              parameters: {
-                type: 'object',
-                properties: {
-                  item_name: {
-                    type: 'string',
-                    description: 'The menu item name the customer is asking about (e.g., "cheese pizza", "luna pizza", "buffalo chicken pizza")'
-                  }
-                },
-                required: ['item_name']
-              }
-            }
-          ],
+          tools: getToolDefinitions(),
           tool_choice: 'auto', // Encourage the AI to call tools when appropriate
-          instructions: buildCompactInstructions(currentOrder, menu, null)
+          instructions: buildCompactInstructions(currentOrder, menu, null, storeConfig)
         }
       };
       
@@ -2798,7 +1956,7 @@ wss.on('connection', (ws, req) => {
             // Flush any queued audio that arrived before OpenAI was ready
             if (preConnectionAudioQueue.length > 0) {
               console.log(`📤 Flushing ${preConnectionAudioQueue.length} queued audio chunks to OpenAI...`);
-              const queuedAudio = preConnectionAudioQueue.join('');
+              const queuedAudio = concatBase64(preConnectionAudioQueue).toString('base64');
               preConnectionAudioQueue = []; // Clear queue
               
               // CRITICAL: Use safeSendToOpenAI to prevent errors
@@ -2836,7 +1994,7 @@ wss.on('connection', (ws, req) => {
                         content: [
                           {
                             type: 'input_text',
-                          text: 'The customer just called. You MUST immediately greet them by saying the COMPLETE sentence: "Thanks for calling Uncle Sal\'s Pizza. What would you like to order?" - FINISH THE ENTIRE SENTENCE. After they order something and finish speaking COMPLETELY, ALWAYS confirm what you heard (e.g., "Perfect. Large pepperoni pizza, anything else?") and ask a follow-up question like "What else can I get you?" - CRITICAL: WAIT for them to finish speaking COMPLETELY before responding. NEVER interrupt. NEVER say "take your time" or similar phrases. IMPORTANT: Once you have asked for the order and they have provided items, NEVER ask "What would you like to order?" again. Instead, if you need something more, ask "What else can I get you?" or "Anything else?"'
+                          text: `The customer just called. You MUST immediately greet them by saying the COMPLETE sentence: "${getGreeting(storeConfig, activeOrders.get(sid))}" - FINISH THE ENTIRE SENTENCE. After they order something and finish speaking COMPLETELY, ALWAYS confirm what you heard (e.g., "Perfect. Large pepperoni pizza, anything else?") and ask a follow-up question like "What else can I get you?" - CRITICAL: WAIT for them to finish speaking COMPLETELY before responding. NEVER interrupt. NEVER say "take your time" or similar phrases. IMPORTANT: Once you have asked for the order and they have provided items, NEVER ask "What would you like to order?" again. Instead, if you need something more, ask "What else can I get you?" or "Anything else?"`
                         }
                       ]
                     }
@@ -2945,7 +2103,7 @@ wss.on('connection', (ws, req) => {
             } else if (data.item?.type === 'function_call') {
               console.log('🔧 Function call item added:', data.item?.name);
               console.log('🔧 Function call ID:', data.item?.id);
-              // Function calls are handled in response.content_part.added, but log here for visibility
+              // Function calls are handled in response.output_item.done, but log here for visibility
             } else {
               console.log('⚠ Unknown item type:', data.item?.type);
             }
@@ -2954,7 +2112,7 @@ wss.on('connection', (ws, req) => {
           case 'response.output_item.delta':
             // THIS IS THE CORRECT EVENT FOR AUDIO CHUNKS!
             // Stream audio immediately without delays for fastest response
-            if (data.item?.type === 'audio' && data.delta) {
+            if (data.item?.type === 'audio' && data.delta && playback.shouldPlay(data.item.id)) {
               // Forward audio chunk to Twilio IMMEDIATELY - no logging delays
               // OpenAI outputs g711_ulaw (mu-law) which matches Twilio's expected format
               const mediaMessage = {
@@ -2968,6 +2126,7 @@ wss.on('connection', (ws, req) => {
               // Send immediately if WebSocket is open
               if (ws.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify(mediaMessage));
+                playback.onAudioSent(data.item.id, Buffer.byteLength(data.delta, 'base64'));
                 // Only log occasionally to reduce overhead (every 50th chunk)
                 if (Math.random() < 0.02) {
                   console.log('✓ Streaming audio to Twilio...');
@@ -2995,391 +2154,38 @@ wss.on('connection', (ws, req) => {
                 console.log('🔧 Function call item completed:', functionName);
                 console.log('🔧 Function call arguments:', functionArgs);
                 
-                if (functionName === 'add_item_to_order' && functionArgs) {
-                  // #region agent log
-                  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2211',message:'add_item_to_order tool called',data:{functionName:functionName,functionArgs:functionArgs,streamSid:streamSid},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-                  // #endregion
-                  // Parse arguments - they come as a string
-                  let toolInput;
-                  try {
-                    toolInput = typeof functionArgs === 'string' ? JSON.parse(functionArgs) : functionArgs;
-                  } catch (e) {
-                    console.error('Error parsing function call arguments:', e);
-                    // Try to extract name from string
-                    if (typeof functionArgs === 'string') {
-                      const nameMatch = functionArgs.match(/"name"\s*:\s*"([^"]+)"/);
-                      if (nameMatch) {
-                        toolInput = { name: nameMatch[1] };
-                      } else {
-                        console.error('❌ Could not parse function call arguments');
-                        break;
-                      }
-                    } else {
-                      console.error('❌ Function args is not a string and not an object');
-                      break;
-                    }
+                // Every advertised tool runs through the shared tool registry and is answered with its result
+                const currentOrder = activeOrders.get(streamSid);
+                if (currentOrder) {
+                  const toolResult = runRegistryTool(streamSid, currentOrder, functionName, functionArgs, storeConfig, menuData, callHandoff);
+                  activeOrders.set(streamSid, currentOrder);
+                  if (callTranscript) {
+                    callTranscript.addToolCall(functionName, functionArgs, toolResult);
                   }
                   
-                  if (toolInput && toolInput.name) {
-                    const currentOrder = activeOrders.get(streamSid);
-                    if (!currentOrder) {
-                      console.error('❌ No order found for streamSid:', streamSid);
-                      break;
-                    }
-                    
-                    // Ensure items array exists
-                    if (!Array.isArray(currentOrder.items)) {
-                      currentOrder.items = [];
-                    }
-                    
-                    const { name, size, quantity = 1 } = toolInput;
-                    console.log(`🔧 Processing add_item_to_order from output_item.done: name=${name}, size=${size}, quantity=${quantity}`);
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2246',message:'Parsing tool input',data:{name:name,size:size,quantity:quantity,orderItemsBefore:currentOrder.items.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-                    // #endregion
-                    
-                    // Menu is already available from connectToOpenAI scope
-                    if (!menu || typeof menu !== 'object') {
-                      console.error('❌ Menu is not valid');
-                      break;
-                    }
-                    
-                    let itemPrice = 0;
-                    let itemName = name;
-                    let menuItemData = null; // Declare outside loop so it's accessible later
-                    
-                    // Try to find item in menu - CRITICAL: Only add items that exist in menu
-                    let foundInMenu = false;
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2258',message:'Searching menu for item',data:{searchName:name,menuItems:Object.keys(menu).slice(0,10)},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-                    // #endregion
-                    try {
-                      for (const menuItem in menu) {
-                        if (menuItem.toLowerCase() === name.toLowerCase()) {
-                          itemName = menuItem;
-                          foundInMenu = true;
-                          menuItemData = menu[menuItem]; // Now assigns to outer variable
-                          // #region agent log
-                          fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2261',message:'Item found in menu',data:{searchName:name,matchedItem:menuItem,size:size,hasPriceMap:!!menuItemData.priceMap,hasPrice:!!menuItemData.price},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-                          // #endregion
-                          
-                          // Try to get price from priceMap first (for items with sizes)
-                          if (size && menuItemData && menuItemData.priceMap && menuItemData.priceMap[size]) {
-                            itemPrice = menuItemData.priceMap[size];
-                            console.log(`✅ Found price for ${itemName} (${size}): $${itemPrice}`);
-                          } 
-                          // Fallback to direct price property
-                          else if (menuItemData && menuItemData.price) {
-                            itemPrice = menuItemData.price;
-                            console.log(`✅ Found price for ${itemName}: $${itemPrice}`);
-                          }
-                          // Try default size if no size specified
-                          else if (menuItemData && menuItemData.priceMap) {
-                            const defaultSize = menuItemData.sizes && menuItemData.sizes.length > 0 ? menuItemData.sizes[0] : 'regular';
-                            if (menuItemData.priceMap[defaultSize]) {
-                              itemPrice = menuItemData.priceMap[defaultSize];
-                              console.log(`✅ Found price for ${itemName} (default size ${defaultSize}): $${itemPrice}`);
-                            }
-                          }
-                          
-                          if (itemPrice === 0) {
-                            console.error(`❌ WARNING: Item "${itemName}" found in menu but price is 0!`);
-                            console.error(`❌ Menu item data:`, JSON.stringify(menuItemData, null, 2));
-                          }
-                          
-                          break;
-                        }
-                      }
-                    } catch (e) {
-                      console.error('❌ Error searching menu:', e);
-                      break;
-                    }
-                    
-                    // CRITICAL: Only add items that are in the menu - prevent adding names or invalid items
-                    if (!foundInMenu) {
-                      console.warn(`⚠️  Item "${name}" not found in menu - skipping. This might be a name or invalid item.`);
-                      // #region agent log
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2299',message:'Item NOT found in menu',data:{searchName:name,menuItems:Object.keys(menu)},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-                      // #endregion
-                      try {
-                        console.warn(`⚠️  Available menu items: ${Object.keys(menu).join(', ')}`);
-                      } catch (e) {
-                        console.warn('⚠️  Could not list menu items');
-                      }
-                      break; // Don't add items that aren't in the menu
-                    }
-                    
-                    // CRITICAL: Don't add items with 0 price - this causes $0.00 orders
-                    if (itemPrice === 0) {
-                      console.error(`❌❌❌ CANNOT ADD ITEM - PRICE IS 0 ❌❌❌`);
-                      console.error(`❌ Item: ${itemName}, Size: ${size || 'regular'}`);
-                      console.error(`❌ This will cause the order to have $0.00 total`);
-                      console.error(`❌ Menu structure may be incorrect or item not properly configured`);
-                      // Don't add item - it will cause price calculation issues
-                      return; // Exit early - don't add item
-                    }
-                    
-                    // Check for wing items
-                    const itemNameLower2 = itemName.toLowerCase();
-                    const isWingsItem2 = itemNameLower2.includes('wing');
-                    const flavor2 = toolInput.flavor;
-                    const modifiers2 = toolInput.modifiers;
-                    const dressing2 = toolInput.dressing;
-                    
-                    // ============================================================
-                    // WING PARSING (backup handler) - same logic as main handler
-                    // ============================================================
-                    let finalQuantity2 = quantity;
-                    let pieceCount2 = null;
-                    let wingPrice2 = itemPrice;
-                    
-                    if (isWingsItem2) {
-                      console.log('🍗🍗🍗 WING ORDER (backup handler) - Parsing pieceCount vs quantity');
-                      console.log(`🍗 RAW: name=${name}, size=${size}, quantity=${quantity}`);
-                      
-                      // Get valid piece counts
-                      const validPieceCounts2 = menuCache?.wingOptions?.pieceCounts || [];
-                      const validCountNumbers2 = validPieceCounts2.map(pc => {
-                        const match = pc.name.match(/(\d+)/);
-                        return match ? parseInt(match[1]) : null;
-                      }).filter(n => n !== null);
-                      const allowedCounts2 = validCountNumbers2.length > 0 ? validCountNumbers2 : [6, 10, 20, 30, 50];
-                      
-                      // Extract pieceCount from size
-                      if (size) {
-                        const sizeMatch2 = String(size).match(/(\d+)/);
-                        if (sizeMatch2) {
-                          pieceCount2 = parseInt(sizeMatch2[1]);
-                        }
-                      }
-                      
-                      // If quantity looks like piece count, fix it
-                      if (!pieceCount2 && allowedCounts2.includes(quantity)) {
-                        pieceCount2 = quantity;
-                        finalQuantity2 = 1;
-                        console.log(`🍗 CORRECTED: quantity ${quantity} was pieceCount! Set quantity=1, pieceCount=${pieceCount2}`);
-                      }
-                      
-                      if (!pieceCount2 && quantity > 5) {
-                        pieceCount2 = quantity;
-                        finalQuantity2 = 1;
-                      }
-                      
-                      // CRITICAL: If pieceCount is missing, REJECT and ask for it FIRST
-                      if (!pieceCount2) {
-                        console.log(`🍗❌ PIECE COUNT MISSING (backup handler) - REJECTING ORDER`);
-                        const validOptions2 = allowedCounts2.join(', ');
-                        
-                        safeSendToOpenAI({
-                          type: 'response.cancel'
-                        }, 'cancel - need piece count first');
-                        
-                        safeSendToOpenAI({
-                          type: 'session.update',
-                          session: {
-                            instructions: `CRITICAL: Customer ordered wings but did NOT specify piece count. You MUST ask for piece count FIRST. Say: "What size wings would you like: ${validOptions2} pieces?" Do NOT ask about flavor yet.`
-                          }
-                        }, 'wing piece count required first (backup)');
-                        
-                        safeSendToOpenAI({
-                          type: 'response.create',
-                          response: {
-                            modalities: ['audio', 'text'],
-                            instructions: `YOU MUST SAY: "What size wings would you like: ${validOptions2} pieces?"\n\nAsk for piece count FIRST, not flavor.`
-                          }
-                        }, 'ask for wing piece count first (backup)');
-                        
-                        return; // Don't proceed
-                      }
-                      
-                      // Validate piece count
-                      if (!allowedCounts2.includes(pieceCount2)) {
-                        console.log(`🍗❌ INVALID PIECE COUNT (backup): ${pieceCount2}`);
-                        const validOptions2 = allowedCounts2.join(', ');
-                        
-                        safeSendToOpenAI({
-                          type: 'response.cancel'
-                        }, 'cancel - invalid piece count');
-                        
-                        safeSendToOpenAI({
-                          type: 'response.create',
-                          response: {
-                            modalities: ['audio', 'text'],
-                            instructions: `YOU MUST SAY: "We don't have ${pieceCount2}-piece wings. We have ${validOptions2} pieces. Which would you like?"`
-                          }
-                        }, 'correct invalid piece count (backup)');
-                        
-                        return;
-                      }
-                      
-                      // Lookup price from Wing_Options
-                      const matchingOption2 = validPieceCounts2.find(pc => pc.name.includes(String(pieceCount2)));
-                      if (matchingOption2 && matchingOption2.price > 0) {
-                        wingPrice2 = matchingOption2.price;
-                        console.log(`🍗 Found wing price (backup): ${pieceCount2}-piece = $${wingPrice2}`);
-                      }
-                      
-                      console.log(`🍗 FINAL (backup): quantity=${finalQuantity2}, pieceCount=${pieceCount2}, price=$${wingPrice2}`);
-                    }
-                    
-                    // Check if item already exists to prevent duplicates
-                    try {
-                      const existingItemIndex = currentOrder.items.findIndex(
-                        item => item && item.name && item.name.toLowerCase() === itemName.toLowerCase() && 
-                                (item.pieceCount || 'regular') === (pieceCount2 || 'regular') &&
-                                (!isWingsItem2 || item.flavor === flavor2)
-                      );
-                      
-                      if (existingItemIndex >= 0 && !isWingsItem2) {
-                        // Update quantity if item already exists (non-wings)
-                        currentOrder.items[existingItemIndex].quantity += finalQuantity2;
-                        console.log(`✅ Updated item quantity: ${currentOrder.items[existingItemIndex].quantity}x ${itemName}`);
-                        
-                        // CRITICAL: Clear stored totals when items change
-                        if (currentOrder.totals) {
-                          delete currentOrder.totals;
-                          console.log('💰 Cleared stored totals - will recalculate with updated quantity (backup handler)');
-                        }
-                      } else {
-                        // Add new item with proper wing parsing
-                        const newItem2 = {
-                          name: itemName,
-                          size: isWingsItem2 ? 'regular' : (size || 'regular'),
-                          quantity: finalQuantity2,
-                          price: isWingsItem2 ? wingPrice2 : itemPrice,
-                          category: menuItemData?.category || 'other'
-                        };
-                        
-                        // For wings, add pieceCount and wingType
-                        if (isWingsItem2 && pieceCount2) {
-                          newItem2.pieceCount = pieceCount2;
-                          newItem2.itemType = 'wings';
-                          newItem2.wingType = 'Regular Wings';
-                        }
-                        
-                        if (flavor2) newItem2.flavor = flavor2;
-                        if (dressing2) newItem2.dressing = dressing2;
-                        if (modifiers2) newItem2.modifiers = modifiers2;
-                        
-                        currentOrder.items.push(newItem2);
-                        
-                        // CRITICAL: Clear stored totals when items change
-                        if (currentOrder.totals) {
-                          delete currentOrder.totals;
-                          console.log('💰 Cleared stored totals - will recalculate with new item (backup handler)');
-                        }
-                        
-                        // DEBUG: Log complete item structure
-                        console.log('📦 ITEM_ADDED_FULL (backup handler):', JSON.stringify(newItem2, null, 2));
-                        
-                        const pieceStr2 = pieceCount2 ? ` (${pieceCount2} pieces)` : '';
-                        const flavorStr2 = flavor2 ? ` ${flavor2}` : '';
-                        console.log(`✅ Added: ${finalQuantity2}x ${itemName}${pieceStr2}${flavorStr2} - $${isWingsItem2 ? wingPrice2 : itemPrice}`);
-                      }
-                      
-                      // CRITICAL: Update order in map immediately
-                      activeOrders.set(streamSid, currentOrder);
-                      console.log(`📊 Order now has ${currentOrder.items.length} item(s):`, currentOrder.items.map(i => {
-                        const f = i.flavor ? ` (${i.flavor})` : '';
-                        return `${i.quantity}x ${i.name}${f}`;
-                      }).join(', '));
-                      // #region agent log
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2342',message:'Item added to order',data:{streamSid:streamSid,itemsCount:currentOrder.items.length,items:currentOrder.items.map(i=>({name:i.name,quantity:i.quantity,price:i.price,flavor:i.flavor||null}))},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-                      // #endregion
-                      
-                      // Verify the order was saved correctly
-                      const verifyOrder = activeOrders.get(streamSid);
-                      if (verifyOrder && verifyOrder.items && verifyOrder.items.length !== currentOrder.items.length) {
-                        console.error('❌ CRITICAL: Order not saved correctly! Expected', currentOrder.items.length, 'items but got', verifyOrder.items.length);
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2347',message:'Order NOT saved correctly',data:{expected:currentOrder.items.length,actual:verifyOrder.items.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-                        // #endregion
-                      } else {
-                        console.log('✅ Order saved correctly - verified', verifyOrder?.items?.length || 0, 'items in map');
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:2350',message:'Order saved correctly',data:{itemsCount:verifyOrder.items.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-                        // #endregion
-                      }
-                    } catch (e) {
-                      console.error('❌ Error adding item to order:', e);
-                      console.error('❌ Error stack:', e.stack);
-                    }
-                  }
-                }
-                
-                // Handle other tool calls in response.output_item.done (backup handler)
-                if (functionName === 'set_delivery_method' && functionArgs) {
-                  try {
-                    console.log('🔍🔍🔍 DEBUG: Processing set_delivery_method in output_item.done');
-                    console.log('🔍 Function args:', functionArgs);
-                    const toolInput = typeof functionArgs === 'string' ? JSON.parse(functionArgs) : functionArgs;
-                    console.log('🔍 Parsed tool input:', JSON.stringify(toolInput, null, 2));
-                    
-                    if (toolInput && toolInput.method) {
-                      const currentOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order BEFORE setting delivery method:', {
-                        deliveryMethod: currentOrder?.deliveryMethod,
-                        streamSid: streamSid
-                      });
-                      
-                      if (currentOrder) {
-                        currentOrder.deliveryMethod = toolInput.method;
-                        activeOrders.set(streamSid, currentOrder);
-                        console.log(`✅ Set delivery method from output_item.done: ${toolInput.method}`);
-                        
-                        // Verify
-                        const verify = activeOrders.get(streamSid);
-                        console.log('🔍 Order AFTER setting delivery method:', {
-                          deliveryMethod: verify?.deliveryMethod,
-                          verified: verify?.deliveryMethod === toolInput.method
-                        });
-                      } else {
-                        console.error('❌ No order found for streamSid:', streamSid);
-                      }
-                    } else {
-                      console.error('❌ Tool input missing method:', JSON.stringify(toolInput, null, 2));
+                  // Answer the call itself - the response below reads the result back
+                  safeSendToOpenAI({
+                    type: 'conversation.item.create',
+                    item: {
+                      type: 'function_call_output',
+                      call_id: data.item.call_id,
+                      output: JSON.stringify(toolResult)
                     }
-                  } catch (e) {
-                    console.error('❌ Error processing set_delivery_method in output_item.done:', e);
-                    console.error('❌ Error stack:', e.stack);
-                  }
-                }
-                
-                if (functionName === 'set_customer_name' && functionArgs) {
-                  try {
-                    console.log('🔍🔍🔍 DEBUG: Processing set_customer_name in output_item.done');
-                    console.log('🔍 Function args:', functionArgs);
-                    const toolInput = typeof functionArgs === 'string' ? JSON.parse(functionArgs) : functionArgs;
-                    console.log('🔍 Parsed tool input:', JSON.stringify(toolInput, null, 2));
-                    
-                    if (toolInput && toolInput.name) {
-                      const currentOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order BEFORE setting customer name:', {
-                        customerName: currentOrder?.customerName,
-                        streamSid: streamSid
-                      });
-                      
-                      if (currentOrder) {
-                        currentOrder.customerName = toolInput.name;
-                        activeOrders.set(streamSid, currentOrder);
-                        console.log(`✅ Set customer name from output_item.done: ${toolInput.name}`);
-                        
-                        // Verify
-                        const verify = activeOrders.get(streamSid);
-                        console.log('🔍 Order AFTER setting customer name:', {
-                          customerName: verify?.customerName,
-                          verified: verify?.customerName === toolInput.name
-                        });
-                      } else {
-                        console.error('❌ No order found for streamSid:', streamSid);
+                  }, `${functionName} result`);
+                  
+                  // Returning customer - offer their saved address back instead of asking for it
+                  if (toolResult.savedAddress) {
+                    safeSendToOpenAI({
+                      type: 'conversation.item.create',
+                      item: {
+                        type: 'message',
+                        role: 'system',
+                        content: [{ type: 'input_text', text: `Saved address on file: ${toolResult.savedAddress}. Ask "Still at ${toolResult.savedAddress}?" - if they give a different address, call set_address.` }]
                       }
-                    } else {
-                      console.error('❌ Tool input missing name:', JSON.stringify(toolInput, null, 2));
-                    }
-                  } catch (e) {
-                    console.error('❌ Error processing set_customer_name in output_item.done:', e);
-                    console.error('❌ Error stack:', e.stack);
+                    }, 'saved address prompt');
                   }
+                } else {
+                  console.error('❌ No order found for streamSid:', streamSid);
                 }
                 
                 // CRITICAL: Check if we're in post-greeting silence period before forcing response
@@ -3387,7 +2193,7 @@ wss.on('connection', (ws, req) => {
                 const inPostGreetingPeriod = timeSinceGreetingForTool < postGreetingSilencePeriod;
                 
                 // Ensure AI responds after tool call completes (but NOT during post-greeting silence)
-                if (!inPostGreetingPeriod && (functionName === 'add_item_to_order' || functionName === 'set_delivery_method' || functionName === 'set_customer_name' || functionName === 'set_address')) {
+                if (!inPostGreetingPeriod) {
                   setTimeout(() => {
                     // CRITICAL: Double-check we're still not in post-greeting period
                     const currentTimeSinceGreeting = greetingCompletedTimestamp > 0 ? Date.now() - greetingCompletedTimestamp : Infinity;
@@ -3417,7 +2223,7 @@ wss.on('connection', (ws, req) => {
                         };
                         
                         // Estimate tokens for tracking
-                        const estimatedPrompt = estimateTokens(buildCompactInstructions(activeOrders.get(streamSid), menu, null));
+                        const estimatedPrompt = estimateTokens(buildCompactInstructions(activeOrders.get(streamSid), menu, null, storeConfig));
                         logTokenUsage(streamSid, estimatedPrompt, TOKEN_BUDGET.MAX_OUTPUT_TOKENS, 'tool-call-response');
                         
                         if (safeSendToOpenAI(responseCreatePayload, 'response.create after tool call')) {
@@ -3456,7 +2262,7 @@ wss.on('connection', (ws, req) => {
           case 'response.audio.delta':
             // Alternative audio event (if OpenAI uses this)
             console.log('Audio delta (alternative event) received');
-            if (data.delta) {
+            if (data.delta && playback.shouldPlay(data.item_id) && ws.readyState === WebSocket.OPEN) {
               ws.send(JSON.stringify({
                 event: 'media',
                 streamSid: sid,
@@ -3464,6 +2270,7 @@ wss.on('connection', (ws, req) => {
                   payload: data.delta
                 }
               }));
+              playback.onAudioSent(data.item_id, Buffer.byteLength(data.delta, 'base64'));
               console.log('Sent audio chunk to Twilio (alternative)');
             }
             break;
@@ -3471,6 +2278,9 @@ wss.on('connection', (ws, req) => {
           case 'input_audio_buffer.speech_started':
             console.log('✓ User started speaking - BLOCKING all responses until they finish');
             userIsSpeaking = true; // CRITICAL: Mark that user is speaking - block all responses
+            // Barge-in: stop the AI's queued audio and trim its item to what the caller heard
+            // (server VAD cancels the response itself)
+            playback.interrupt();
             break;
             
           case 'input_audio_buffer.speech_stopped':
@@ -3569,6 +2379,15 @@ wss.on('connection', (ws, req) => {
             // User spoke - log what they said
             if (data.transcript) {
               console.log('✓ User said:', data.transcript);
+              if (callTranscript) {
+                callTranscript.addCaller(data.transcript);
+              }
+              
+              // Caller wants a person - hand the call to staff instead of answering
+              if (callHandoff && callHandoff.checkCallerText(data.transcript)) {
+                safeSendToOpenAI({ type: 'response.cancel' }, 'cancel response for staff transfer');
+                break;
+              }
               
               // #region agent log
               // DEBUG: Track user input for name/address detection
@@ -3607,7 +2426,7 @@ wss.on('connection', (ws, req) => {
                   const requestedCount = pieceCountMatch ? parseInt(pieceCountMatch[1]) : null;
                   
                   // Get valid piece counts from wingOptions
-                  const validPieceCounts = menuCache?.wingOptions?.pieceCounts || [];
+                  const validPieceCounts = menuData.wingOptions?.pieceCounts || [];
                   const validCountNumbers = validPieceCounts.map(pc => {
                     const match = pc.name.match(/(\d+)/);
                     return match ? parseInt(match[1]) : null;
@@ -3798,1273 +2617,220 @@ wss.on('connection', (ws, req) => {
                       console.log('🍗 Wings item detected - added flavor question');
                       
                       // #region agent log
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:wings',message:'WING_FLAVOR_PROMPT_TRIGGERED',data:{itemName:lookupResult.itemName,descriptionReturned:lookupResult.description.substring(0,100)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'I_wings'})}).catch(()=>{});
-                      // #endregion
-                    }
-                    
-                    console.log(`✅ MATCHED: "${lookupResult.itemName}" => Using EXACT description from Column E: "${lookupResult.description.substring(0, 100)}..."`);
-                    
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:matched',message:'DESCRIPTION_RETURNED_FROM_SHEET',data:{userQuery:data.transcript,normalizedQuery:itemQuery,matchedItemName:lookupResult.itemName,rowIndex:'N/A',descriptionFromSheet:lookupResult.description,descriptionLength:lookupResult.description.length,exactDescriptionUsed:true},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'G_description_guardrail'})}).catch(()=>{});
-                    // #endregion
-                  }
-                } else if (lookupResult.alternatives.length > 0) {
-                  // Multiple matches - ask for clarification
-                  const alternativesList = lookupResult.alternatives.slice(0, 3).join(', ');
-                  responseText = `I don't see that exact item on our menu. Did you mean ${alternativesList}?`;
-                  console.log(`⚠️ NO EXACT MATCH - Suggesting: ${alternativesList}`);
-                  
-                  // #region agent log
-                  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:multiple',message:'MULTIPLE_MATCHES',data:{userQuery:data.transcript,normalizedQuery:itemQuery,alternatives:lookupResult.alternatives,action:'asking_clarification'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-                  // #endregion
-                } else {
-                  // No match found - say it's not on the menu (NO description)
-                  const suggestions = Object.keys(menu).filter(item => {
-                    const itemLower = item.toLowerCase();
-                    return itemQuery.split(' ').some(word => word.length > 2 && itemLower.includes(word));
-                  }).slice(0, 3);
-                  
-                  if (suggestions.length > 0) {
-                    responseText = `I don't see that item on our menu. Did you mean ${suggestions.join(', ')}?`;
-                  } else {
-                    responseText = `I don't see that item on our menu. Can I help you with something else?`;
-                  }
-                  
-                  console.log(`❌ NO MATCH FOUND for "${itemQuery}" - no description provided`);
-                  
-                  // #region agent log
-                  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:no_match',message:'NO_MATCH_FOUND',data:{userQuery:data.transcript,normalizedQuery:itemQuery,suggestions:suggestions,action:'told_customer_not_listed',descriptionProvided:false},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
-                  // #endregion
-                }
-                
-                // #region agent log
-                fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_response',message:'SENDING_DESCRIPTION_RESPONSE',data:{responseText:responseText.substring(0,200),isWingsItem:isWingsItem,wingsFlavorPromptTriggered:isWingsItem},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H_immediate_response'})}).catch(()=>{});
-                // #endregion
-                
-                // STEP 5: Send the response IMMEDIATELY with the description
-                // Use response.create with instructions that tell AI exactly what to say
-                safeSendToOpenAI({
-                  type: 'response.create',
-                  response: {
-                    modalities: ['audio', 'text'],
-                    instructions: `YOU MUST SAY EXACTLY THIS AND NOTHING ELSE: "${responseText}"\n\nDo NOT add any extra information. Do NOT say "let me check" or "one moment". Say the response above IMMEDIATELY.`
-                  }
-                }, 'immediate description response');
-                
-                console.log('✅ DESCRIPTION RESPONSE SENT IMMEDIATELY');
-                
-                // Mark that we've handled this - don't let other handlers respond
-                responseInProgress = true;
-              }
-              // #endregion
-              
-              // TOKEN OPTIMIZATION: Track last 2 user turns for memory summary
-              const summary = conversationSummaries.get(streamSid) || { summary: '', lastUserTurns: [], lastAssistantTurns: [] };
-              summary.lastUserTurns.push(data.transcript);
-              // Keep only last 2 turns (TOKEN_BUDGET.MAX_HISTORY_TURNS)
-              while (summary.lastUserTurns.length > TOKEN_BUDGET.MAX_HISTORY_TURNS) {
-                summary.lastUserTurns.shift();
-              }
-              // Store last user text for menu retrieval
-              summary.lastUserText = data.transcript;
-              conversationSummaries.set(streamSid, summary);
-              
-              // Update session menu cache based on what user mentioned
-              getSessionMenuSnippet(streamSid, menu, data.transcript);
-              
-              // Log estimated token usage for this turn
-              const currentOrderForTokens = activeOrders.get(streamSid);
-              const estimatedPrompt = estimateTokens(buildCompactInstructions(currentOrderForTokens, menu, { lastUserText: data.transcript }));
-              console.log(`📊 Estimated prompt tokens for this turn: ~${estimatedPrompt}`);
-              
-              // Extract name and phone number from user's speech
-              const transcript = data.transcript;
-              const currentOrder = activeOrders.get(streamSid);
-              
-              if (currentOrder) {
-                // Extract name - look for patterns like "my name is", "it's", "this is", or direct name responses
-                if (!currentOrder.customerName) {
-                  // Check if AI just asked for name (look for name-related context in recent messages)
-                  // Simple extraction: if user says something that looks like a name after being asked
-                  const namePatterns = [
-                    /(?:my name is|it'?s|this is|i'?m|call me|name'?s)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i,
-                    /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)$/i  // Just a name if it's a short response
-                  ];
-                  
-                  for (const pattern of namePatterns) {
-                    const match = data.transcript.match(pattern);
-                    if (match && match[1]) {
-                      currentOrder.customerName = match[1].trim();
-                      console.log('✓ Extracted customer name:', currentOrder.customerName);
-                      activeOrders.set(streamSid, currentOrder);
-                      break;
-                    }
-                  }
-                }
-                
-                // Extract phone number - look for phone number patterns
-                if (!currentOrder.customerPhone) {
-                  const phonePatterns = [
-                    /(\d{3}[-.\s]?\d{3}[-.\s]?\d{4})/,  // Standard US format
-                    /(?:phone|number|call|text)\s*(?:is|at)?\s*(\d{3}[-.\s]?\d{3}[-.\s]?\d{4})/i,
-                    /(\d{10})/  // Just 10 digits
-                  ];
-                  
-                  for (const pattern of phonePatterns) {
-                    const match = data.transcript.match(pattern);
-                    if (match && match[1]) {
-                      // Clean up the phone number
-                      const phone = match[1].replace(/[-.\s]/g, '');
-                      if (phone.length === 10) {
-                        currentOrder.customerPhone = phone;
-                        console.log('✓ Extracted customer phone:', currentOrder.customerPhone);
-                        activeOrders.set(streamSid, currentOrder);
-                        break;
-                      }
-                    }
-                  }
-                }
-                
-                // CRITICAL: Extract delivery method - AI often fails to call set_delivery_method tool
-                // Server-side extraction as backup to ensure delivery method is captured
-                if (!currentOrder.deliveryMethod) {
-                  const transcriptLower = data.transcript.toLowerCase().trim();
-                  
-                  // Check for clear delivery/pickup indicators
-                  if (transcriptLower === 'delivery' || 
-                      transcriptLower === 'for delivery' || 
-                      transcriptLower.includes('delivery please') ||
-                      transcriptLower.includes("i'll do delivery") ||
-                      transcriptLower.includes("i want delivery") ||
-                      transcriptLower.includes("make it delivery") ||
-                      (transcriptLower.includes('deliver') && !transcriptLower.includes('pickup'))) {
-                    currentOrder.deliveryMethod = 'delivery';
-                    console.log('✓ SERVER-SIDE: Extracted delivery method: delivery');
-                    activeOrders.set(streamSid, currentOrder);
-                  } else if (transcriptLower === 'pickup' || 
-                             transcriptLower === 'pick up' ||
-                             transcriptLower === 'for pickup' ||
-                             transcriptLower.includes('pickup please') ||
-                             transcriptLower.includes("i'll do pickup") ||
-                             transcriptLower.includes("i'll pick it up") ||
-                             transcriptLower.includes("i want pickup")) {
-                    currentOrder.deliveryMethod = 'pickup';
-                    console.log('✓ SERVER-SIDE: Extracted delivery method: pickup');
-                    activeOrders.set(streamSid, currentOrder);
-                  }
-                }
-                
-                // CRITICAL: Extract delivery address - AI often fails to call set_address tool
-                // Server-side extraction as backup to ensure address is captured
-                if (currentOrder.deliveryMethod === 'delivery' && !currentOrder.address) {
-                  // Look for address patterns - street number + street name
-                  const addressPatterns = [
-                    // "123 Main Street" or "123 Main St"
-                    /(\d+\s+[A-Za-z]+(?:\s+[A-Za-z]+)*\s*(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Place|Pl|Way|Circle|Cir)\.?)/i,
-                    // "123 Main" (short form)
-                    /(\d+\s+[A-Za-z]+(?:\s+[A-Za-z]+)?)/i
-                  ];
-                  
-                  for (const pattern of addressPatterns) {
-                    const match = data.transcript.match(pattern);
-                    if (match && match[1]) {
-                      const potentialAddress = match[1].trim();
-                      // Validate it looks like an address (has number and letters, reasonable length)
-                      if (potentialAddress.length >= 5 && potentialAddress.length <= 100 && /^\d+\s+[A-Za-z]/.test(potentialAddress)) {
-                        currentOrder.address = potentialAddress;
-                        currentOrder.addressConfirmed = false; // Will be set to true when AI confirms
-                        console.log('✓ SERVER-SIDE: Extracted address:', potentialAddress);
-                        activeOrders.set(streamSid, currentOrder);
-                        
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:address_extracted',message:'SERVER_SIDE_ADDRESS_EXTRACTED',data:{address:potentialAddress,transcript:data.transcript},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H5_server_extract'})}).catch(()=>{});
-                        // #endregion
-                        break;
-                      }
-                    }
-                  }
-                }
-              }
-            }
-            break;
-            
-          case 'conversation.item.input_audio_transcription.failed':
-            // Transcription failed - this is the error we're seeing!
-            console.error('✗ Audio transcription failed!');
-            console.error('Error details:', JSON.stringify(data.error, null, 2));
-            console.error('Item ID:', data.item_id);
-            console.error('Content index:', data.content_index);
-            // If transcription keeps failing, OpenAI can't understand the user
-            // This might be due to audio format mismatch or invalid audio data
-            break;
-            
-          case 'response.content_part.added':
-            // Tool call or text content added
-            if (data.part?.type === 'tool_call') {
-              try {
-                console.log('🔧🔧🔧 TOOL CALL DETECTED:', data.part.name);
-                try {
-                  console.log('🔧 Tool call full data:', JSON.stringify(data.part, null, 2));
-                } catch (e) {
-                  console.log('🔧 Tool call detected (could not stringify)');
-                }
-                const toolCall = data.part;
-                const currentOrder = activeOrders.get(streamSid);
-                
-                // DEBUG: Log order state before processing tool call
-                if (data.part.name === 'set_customer_name' || data.part.name === 'set_delivery_method') {
-                  console.log('🔍🔍🔍 DEBUG: Order state BEFORE processing', data.part.name, 'tool:');
-                  console.log('🔍 Current order:', {
-                    customerName: currentOrder?.customerName || 'NOT SET',
-                    deliveryMethod: currentOrder?.deliveryMethod || 'NOT SET',
-                    streamSid: streamSid
-                  });
-                }
-                
-                if (!currentOrder) {
-                  console.error('❌ No order found for streamSid:', streamSid);
-                  break;
-                }
-                
-                // Ensure items array exists
-                if (!Array.isArray(currentOrder.items)) {
-                  currentOrder.items = [];
-                }
-                
-                if (toolCall.name) {
-                  // Handle different tool calls
-                  switch (toolCall.name) {
-                    case 'add_item_to_order':
-                    // Tool call input might be in different formats - handle all possibilities
-                    let toolInput = toolCall.input || toolCall.arguments;
-                    
-                    // If arguments is a string, parse it
-                    if (toolInput && typeof toolInput === 'string') {
-                      try {
-                        toolInput = JSON.parse(toolInput);
-                      } catch (e) {
-                        console.error('Error parsing tool call arguments as JSON:', e);
-                        // Try to extract name directly from string
-                        const nameMatch = toolInput.match(/"name"\s*:\s*"([^"]+)"/);
-                        if (nameMatch) {
-                          toolInput = { name: nameMatch[1] };
-                        }
-                      }
-                    }
-                    
-                    if (toolInput && toolInput.name) {
-                      const { name, size, quantity = 1 } = toolInput;
-                      console.log(`🔧 Processing add_item_to_order: name=${name}, size=${size}, quantity=${quantity}`);
-                      
-                      // #region agent log
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:add_item_handler_entry',message:'ADD_ITEM_TOOL_CALL',data:{name,size:size||'NULL',quantity,fullToolInput:JSON.stringify(toolInput)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'O_wing_debug'})}).catch(()=>{});
-                      // #endregion
-                      // Menu is already available from connectToOpenAI scope
-                      let itemPrice = 0;
-                      let itemName = name;
-                      
-                      // Try to find item in menu - CRITICAL: Only add items that exist in menu
-                      let foundInMenu = false;
-                      let menuItemData = null;
-                      for (const menuItem in menu) {
-                        if (menuItem.toLowerCase() === name.toLowerCase()) {
-                          itemName = menuItem;
-                          foundInMenu = true;
-                          menuItemData = menu[menuItem];
-                          if (size && menuItemData.priceMap && menuItemData.priceMap[size]) {
-                            itemPrice = menuItemData.priceMap[size];
-                          } else if (menuItemData.price) {
-                            itemPrice = menuItemData.price;
-                          }
-                          break;
-                        }
-                      }
-                      
-                      // CRITICAL: Only add items that are in the menu - prevent adding names or invalid items
-                      if (!foundInMenu) {
-                        console.warn(`⚠️  Item "${name}" not found in menu - skipping. This might be a name or invalid item.`);
-                        console.warn(`⚠️  Available menu items: ${Object.keys(menu).join(', ')}`);
-                        break; // Don't add items that aren't in the menu
-                      }
-                      
-                      // Check if item has multiple sizes and size is missing
-                      if (menuItemData && menuItemData.sizes && menuItemData.sizes.length > 1 && !size) {
-                        console.log(`⚠️  Item "${itemName}" has multiple sizes (${menuItemData.sizes.join(', ')}) but no size provided - rejecting tool call`);
-                        // Send session.update to instruct AI to ask for size, then trigger a response
-                        const sizeOptions = menuItemData.sizes.join(', ');
-                        safeSendToOpenAI({
-                          type: 'session.update',
-                          session: {
-                            instructions: `CRITICAL: Customer ordered "${itemName}" but did not specify a size. This item comes in: ${sizeOptions}. You MUST ask "What size would you like?" Do NOT add the item to the order yet - wait for the customer to specify the size first.`
-                          }
-                        }, 'size request instruction');
-                        // Trigger a response to ask for size
-                        setTimeout(() => {
-                          safeSendToOpenAI({
-                            type: 'response.create',
-                            response: {
-                              modalities: ['text']
-                            }
-                          }, 'size request response');
-                        }, 100);
-                        break; // Don't add item without size
-                      }
-                      
-                      // CRITICAL: Check if item is wings
-                      const itemNameLower = itemName.toLowerCase();
-                      const categoryLower = (menuItemData?.category || '').toLowerCase();
-                      const isWingsItem = categoryLower.includes('wing') || itemNameLower.includes('wing');
-                      const { flavor, modifiers } = toolInput;
-                      
-                      // ============================================================
-                      // WING ORDER PARSING - pieceCount vs quantity
-                      // CRITICAL: "10-piece wings" = quantity:1, pieceCount:10
-                      //           NOT quantity:10!
-                      // ============================================================
-                      let finalQuantity = quantity;
-                      let pieceCount = null;
-                      let wingPrice = itemPrice;
-                      
-                      if (isWingsItem) {
-                        console.log('🍗🍗🍗 WING ORDER DETECTED - Parsing pieceCount vs quantity');
-                        console.log(`🍗 RAW INPUT: name=${name}, size=${size}, quantity=${quantity}`);
-                        
-                        // Get valid piece counts from Wing_Options sheet
-                        const validPieceCounts = menuCache?.wingOptions?.pieceCounts || [];
-                        const allowedCounts = validPieceCounts.map(pc => {
-                          const match = pc.name.match(/(\d+)/);
-                          return match ? parseInt(match[1]) : null;
-                        }).filter(n => n !== null);
-                        
-                        // Default valid counts if Wing_Options not loaded
-                        const validCountNumbers = allowedCounts.length > 0 ? allowedCounts : [6, 10, 20, 30, 50];
-                        
-                        // CRITICAL: Extract pieceCount from size parameter
-                        // "10-piece", "10 pieces", "10" in size field => pieceCount = 10
-                        if (size) {
-                          const sizeMatch = String(size).match(/(\d+)/);
-                          if (sizeMatch) {
-                            pieceCount = parseInt(sizeMatch[1]);
-                            console.log(`🍗 Extracted pieceCount from size: ${pieceCount}`);
-                          }
-                        }
-                        
-                        // CRITICAL: If quantity looks like a piece count (6, 10, 20, 30, 50), 
-                        // it was likely misinterpreted - fix it!
-                        if (!pieceCount && validCountNumbers.includes(quantity)) {
-                          pieceCount = quantity;
-                          finalQuantity = 1; // Reset to 1 order
-                          console.log(`🍗 CORRECTED: quantity ${quantity} was actually pieceCount! Set quantity=1, pieceCount=${pieceCount}`);
-                        }
-                        
-                        // If still no piece count, but quantity > 5, assume it's piece count
-                        if (!pieceCount && quantity > 5) {
-                          pieceCount = quantity;
-                          finalQuantity = 1;
-                          console.log(`🍗 INFERRED: quantity ${quantity} looks like pieceCount. Set quantity=1, pieceCount=${pieceCount}`);
-                        }
-                        
-                        // CRITICAL: If pieceCount is missing, REJECT and ask for it FIRST
-                        // Do NOT default to 10 - we MUST ask the customer!
-                        if (!pieceCount) {
-                          console.log(`🍗❌ PIECE COUNT MISSING - REJECTING ORDER - MUST ASK FIRST`);
-                          const validOptions = validCountNumbers.join(', ');
-                          
-                          // #region agent log
-                          fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_piece_missing',message:'WING_PIECE_COUNT_MISSING',data:{itemName,validOptions,rawQuantity:quantity,rawSize:size||'NULL'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'Q_wing_required'})}).catch(()=>{});
-                          // #endregion
-                          
-                          safeSendToOpenAI({
-                            type: 'response.cancel'
-                          }, 'cancel response - need piece count first');
-                          
-                          safeSendToOpenAI({
-                            type: 'session.update',
-                            session: {
-                              instructions: `CRITICAL: Customer ordered wings but did NOT specify a piece count. You MUST ask for piece count FIRST before asking about flavor. Say: "What size wings would you like: ${validOptions} pieces?" Do NOT ask about flavor yet. Do NOT add wings to the order until piece count is provided.`
-                            }
-                          }, 'wing piece count required first');
-                          
-                          safeSendToOpenAI({
-                            type: 'response.create',
-                            response: {
-                              modalities: ['audio', 'text'],
-                              instructions: `YOU MUST SAY EXACTLY THIS: "What size wings would you like: ${validOptions} pieces?"\n\nDo NOT ask about flavor yet. Ask for piece count FIRST.`
-                            }
-                          }, 'ask for wing piece count first');
-                          
-                          break; // Don't proceed without piece count
-                        }
-                        
-                        console.log(`🍗 FINAL PARSE: quantity=${finalQuantity}, pieceCount=${pieceCount}`);
-                        
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_parsing_before_validation',message:'WING_PARSED_BEFORE_VALIDATION',data:{rawQuantity:quantity,rawSize:size||'NULL',finalQuantity,pieceCount,validCounts:validCountNumbers,isValid:validCountNumbers.includes(pieceCount)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'O_wing_debug'})}).catch(()=>{});
-                        // #endregion
-                        
-                        // Validate piece count
-                        if (!validCountNumbers.includes(pieceCount)) {
-                          console.log(`🍗❌ INVALID PIECE COUNT: ${pieceCount} - REJECTING ORDER`);
-                          const validOptions = validCountNumbers.join(', ');
-                          
-                          // #region agent log
-                          fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_piece_validation',message:'INVALID_WING_PIECE_COUNT',data:{pieceCount,allowedCounts:validCountNumbers,itemName,rawQuantity:quantity,rawSize:size},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'N_wing_parsing'})}).catch(()=>{});
-                          // #endregion
-                          
-                          safeSendToOpenAI({
-                            type: 'response.cancel'
-                          }, 'cancel response for invalid wing count');
-                          
-                          safeSendToOpenAI({
-                            type: 'response.create',
-                            response: {
-                              modalities: ['audio', 'text'],
-                              instructions: `YOU MUST SAY EXACTLY THIS: "We don't have ${pieceCount}-piece wings. We have ${validOptions} pieces. Which would you like?"\n\nDo NOT proceed until customer gives a valid piece count.`
-                            }
-                          }, 'wing piece count correction');
-                          
-                          break;
-                        }
-                        
-                        // CRITICAL: Look up price from Wing_Options by pieceCount
-                        const matchingPieceOption = validPieceCounts.find(pc => pc.name.includes(String(pieceCount)));
-                        if (matchingPieceOption && matchingPieceOption.price > 0) {
-                          wingPrice = matchingPieceOption.price;
-                          console.log(`🍗 Found wing price from Wing_Options: ${pieceCount}-piece = $${wingPrice}`);
-                        } else {
-                          console.log(`🍗 Wing price not found in Wing_Options for ${pieceCount}-piece, using menu price: $${itemPrice}`);
-                        }
-                        
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_parsing_complete',message:'WING_ORDER_PARSED',data:{rawQuantity:quantity,rawSize:size,finalQuantity,pieceCount,wingPrice,itemName},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'N_wing_parsing'})}).catch(()=>{});
-                        // #endregion
-                      }
-                      
-                      // ============================================================
-                      // WING FLAVOR VALIDATION - Require flavor for wings
-                      // ============================================================
-                      if (isWingsItem && !flavor) {
-                        console.log(`🍗 Wings item "${itemName}" ordered without flavor - must ask for flavor!`);
-                        
-                        const availableFlavors = menuCache?.wingOptions?.flavors || [];
-                        let flavorList = availableFlavors.length > 0 
-                          ? availableFlavors.map(f => f.name).join(', ')
-                          : 'hot, mild, BBQ, garlic parmesan, buffalo';
-                        
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_flavor_check',message:'WINGS_NO_FLAVOR',data:{itemName,pieceCount,flavorList},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'I_wings'})}).catch(()=>{});
-                        // #endregion
-                        
-                        safeSendToOpenAI({
-                          type: 'session.update',
-                          session: {
-                            instructions: `CRITICAL: Customer ordered "${itemName}" but did not specify a wing flavor. Available flavors: ${flavorList}. You MUST ask "What flavor would you like for your wings?" Do NOT add the wings to the order yet.`
-                          }
-                        }, 'wing flavor request instruction');
-                        
-                        setTimeout(() => {
-                          safeSendToOpenAI({
-                            type: 'response.create',
-                            response: {
-                              modalities: ['text']
-                            }
-                          }, 'wing flavor request response');
-                        }, 100);
-                        break;
-                      }
-                      
-                      // Ensure items array exists
-                      if (!Array.isArray(currentOrder.items)) {
-                        currentOrder.items = [];
-                      }
-                      
-                      // Check if item already exists to prevent duplicates (only if same flavor for wings)
-                      const existingItemIndex = currentOrder.items.findIndex(
-                        item => item && item.name && item.name.toLowerCase() === itemName.toLowerCase() && 
-                                (item.size || 'regular') === (size || 'regular') &&
-                                (!isWingsItem || item.flavor === flavor)
-                      );
-                      
-                      if (existingItemIndex >= 0 && !isWingsItem) {
-                        // Update quantity if item already exists (only for non-wing items)
-                        currentOrder.items[existingItemIndex].quantity += finalQuantity;
-                        console.log(`✅ Updated item quantity: ${currentOrder.items[existingItemIndex].quantity}x ${size || 'regular'} ${itemName}`);
-                        
-                        // CRITICAL: Clear stored totals when items change - they need to be recalculated
-                        if (currentOrder.totals) {
-                          delete currentOrder.totals;
-                          console.log('💰 Cleared stored totals - will recalculate with updated quantity');
-                        }
-                      } else {
-                        // Add new item with ALL details for proper logging
-                        // CRITICAL: Resolve unitPrice from sheets (wings from Wing_Options, others from Menu_Items)
-                        const resolvedUnitPrice = isWingsItem ? wingPrice : itemPrice;
-                        
-                        // CRITICAL: Calculate lineTotal immediately
-                        const lineTotal = resolvedUnitPrice * finalQuantity;
-                        
-                        const newItem = {
-                          name: itemName,
-                          size: isWingsItem ? 'regular' : (size || 'regular'), // Wings don't use size, they use pieceCount
-                          quantity: finalQuantity, // Use corrected quantity
-                          price: resolvedUnitPrice, // Keep for backward compatibility
-                          unitPrice: resolvedUnitPrice, // CRITICAL: Store unitPrice (single source of truth)
-                          lineTotal: lineTotal, // CRITICAL: Store lineTotal (quantity * unitPrice)
-                          category: menuItemData?.category || 'other'
-                        };
-                        
-                        // CRITICAL: For wings, store pieceCount separately
-                        if (isWingsItem && pieceCount) {
-                          newItem.pieceCount = pieceCount;
-                          newItem.itemType = 'wings';
-                          newItem.wingType = 'Regular Wings';
-                          console.log(`🍗 Set pieceCount: ${pieceCount}, price: $${wingPrice}`);
-                          
-                          // #region agent log
-                          fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:wing_item_created',message:'WING_ITEM_CREATED',data:{itemName,quantity:finalQuantity,pieceCount,flavor,wingPrice,itemStructure:JSON.stringify(newItem)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'O_wing_debug'})}).catch(()=>{});
-                          // #endregion
-                        }
-                        
-                        // Add flavor for wings
-                        if (flavor) {
-                          newItem.flavor = flavor;
-                          console.log(`🍗 Added wing flavor: ${flavor}`);
-                        }
-                        
-                        // Add dressing for wings (extract from modifiers or toolInput)
-                        const dressing = toolInput.dressing;
-                        if (dressing) {
-                          newItem.dressing = dressing;
-                          console.log(`🍗 Added wing dressing: ${dressing}`);
-                        }
-                        
-                        // Add modifiers/notes
-                        if (modifiers) {
-                          newItem.modifiers = modifiers;
-                          console.log(`📝 Added modifiers: ${modifiers}`);
-                        }
-                        
-                        currentOrder.items.push(newItem);
-                        
-                        // CRITICAL: Clear stored totals when items change - they need to be recalculated
-                        // This ensures totals are always up-to-date with current items
-                        if (currentOrder.totals) {
-                          delete currentOrder.totals;
-                          console.log('💰 Cleared stored totals - will recalculate with new item');
-                        }
-                        
-                        // DEBUG: Log complete item structure
-                        console.log('📦 ITEM_ADDED_FULL:', JSON.stringify(newItem, null, 2));
-                        
-                        // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:item_added',message:'ITEM_ADDED_TO_ORDER',data:{itemName,size:size||'regular',quantity,price:itemPrice,flavor:flavor||null,modifiers:modifiers||null,totalItems:currentOrder.items.length},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'J_multiitem'})}).catch(()=>{});
-                        // #endregion
-                        
-                        const flavorStr = flavor ? ` (${flavor})` : '';
-                        const modifierStr = modifiers ? ` [${modifiers}]` : '';
-                        console.log(`✅ Added item to order: ${quantity}x ${size || 'regular'} ${itemName}${flavorStr}${modifierStr} - $${itemPrice}`);
-                      }
-                      
-                      // CRITICAL: Update order in map immediately
-                      activeOrders.set(streamSid, currentOrder);
-                      try {
-                        console.log(`📊 Order now has ${currentOrder.items.length} item(s):`, currentOrder.items.map(i => {
-                          const f = i.flavor ? ` (${i.flavor})` : '';
-                          return `${i.quantity}x ${i.name}${f}`;
-                        }).join(', '));
-                      } catch (e) {
-                        console.log(`📊 Order now has ${currentOrder.items.length} item(s)`);
-                      }
-                      
-                      // Verify the order was saved correctly
-                      try {
-                        const verifyOrder = activeOrders.get(streamSid);
-                        if (verifyOrder && verifyOrder.items && verifyOrder.items.length !== currentOrder.items.length) {
-                          console.error('❌ CRITICAL: Order not saved correctly! Expected', currentOrder.items.length, 'items but got', verifyOrder.items.length);
-                        } else {
-                          console.log('✅ Order saved correctly - verified', verifyOrder?.items?.length || 0, 'items in map');
-                        }
-                      } catch (e) {
-                        console.error('❌ Error verifying order:', e);
-                      }
-                      
-                      // CRITICAL: Ensure AI responds after adding item - but only if user is not speaking
-                      // Wait a moment to ensure user has finished speaking, then trigger response
-                      setTimeout(() => {
-                        if (!userIsSpeaking && !responseInProgress && openaiClient && openaiClient.readyState === WebSocket.OPEN && streamSid === sid) {
-                          console.log('✓ Item added - ensuring AI responds with confirmation');
-                          try {
-                            responseInProgress = true;
-                            // Send subtle typing sound to indicate processing
-                            sendTypingSound();
-                            const toolCallResponsePayload = {
-                              type: 'response.create',
-                              response: {
-                                modalities: ['audio', 'text']
-                              }
-                            };
-                            
-                            if (!safeSendToOpenAI(toolCallResponsePayload, 'response.create (after tool call)')) {
-                              responseInProgress = false;
-                              console.error('❌ Failed to create response after tool call');
-                            }
-                            console.log('✓ Response creation sent after item added');
-                          } catch (error) {
-                            console.error('Error creating response after item added:', error);
-                            responseInProgress = false;
-                          }
-                        } else {
-                          console.log('⚠️  Skipping response after item - user speaking:', userIsSpeaking, 'response in progress:', responseInProgress);
-                        }
-                      }, 200); // Short delay to ensure user has finished speaking
-                    } else {
-                      console.error('❌ Tool call input missing for add_item_to_order');
-                      try {
-                        console.error('❌ Tool call data:', JSON.stringify(toolCall, null, 2));
-                        console.error('❌ Current order state:', JSON.stringify(currentOrder, null, 2));
-                      } catch (e) {
-                        console.error('❌ Could not stringify tool call or order data');
-                      }
-                    }
-                    break;
-                    
-                  case 'set_delivery_method':
-                    console.log('🔍🔍🔍 DEBUG: set_delivery_method tool called');
-                    console.log('🔍 Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    console.log('🔍 Current order BEFORE setting:', {
-                      deliveryMethod: currentOrder.deliveryMethod,
-                      customerName: currentOrder.customerName,
-                      items: currentOrder.items.length
-                    });
-                    
-                    if (toolCall.input?.method) {
-                      // CRITICAL: Validate delivery method is valid - prevent mystery rows
-                      const methodValue = String(toolCall.input.method).trim().toLowerCase();
-                      
-                      // CRITICAL: Reject any numeric values (like ZIP codes "46031") - these are NOT valid delivery methods
-                      if (/^\d+$/.test(methodValue) && methodValue.length > 2) {
-                        console.error('❌ INVALID: Delivery method is a number (like ZIP code):', toolCall.input.method);
-                        console.error('❌ Rejecting invalid delivery method - this prevents mystery rows');
-                        console.error('❌ Valid delivery methods are: "pickup" or "delivery"');
-                        // Don't set invalid delivery method - this prevents corrupted data
-                        break;
-                      }
-                      
-                      // Only accept "pickup" or "delivery" - normalize to lowercase
-                      if (methodValue === 'pickup' || methodValue === 'delivery') {
-                        currentOrder.deliveryMethod = methodValue;
-                        console.log('✅ Set delivery method:', methodValue);
-                      activeOrders.set(streamSid, currentOrder);
-                      } else {
-                        console.error('❌ INVALID: Delivery method is not "pickup" or "delivery":', toolCall.input.method);
-                        console.error('❌ Rejecting invalid delivery method - this prevents mystery rows');
-                        // Don't set invalid delivery method
-                        break;
-                      }
-                      
-                      // Verify it was saved
-                      const verifyOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order state AFTER saving:', {
-                        deliveryMethod: verifyOrder?.deliveryMethod,
-                        customerName: verifyOrder?.customerName,
-                        address: verifyOrder?.address,
-                        streamSid: streamSid
-                      });
-                      
-                      if (verifyOrder && verifyOrder.deliveryMethod === toolCall.input.method) {
-                        console.log('✅ Verified delivery method saved correctly:', verifyOrder.deliveryMethod);
-                        
-                        // CRITICAL: If delivery was selected, ensure address is requested
-                        if (toolCall.input.method === 'delivery' && !verifyOrder.address) {
-                          console.log('📋 Delivery selected - address will be requested by AI');
-                        }
-                      } else {
-                        console.error('❌ ERROR: Delivery method not saved correctly!');
-                        console.error('❌ Expected:', toolCall.input.method);
-                        console.error('❌ Got:', verifyOrder?.deliveryMethod);
-                      }
-                      
-                      // CRITICAL: Force IMMEDIATE response after delivery method is set - NO DELAY for natural flow
-                      // This ensures the AI responds immediately and never goes silent after receiving pickup/delivery answer
-                      let deliveryRetryCount = 0;
-                      const maxDeliveryRetries = 5;
-                      
-                      const ensureDeliveryResponse = () => {
-                        // Use immediate execution (0ms) for first attempt - don't wait
-                        setTimeout(() => {
-                          if (!userIsSpeaking && openaiClient && openaiClient.readyState === WebSocket.OPEN && streamSid === sid) {
-                            // CRITICAL: NEVER check responseInProgress - ALWAYS force response immediately
-                            // This ensures the AI NEVER goes silent after delivery confirmation
-                            console.log('✓ Delivery method set - ensuring IMMEDIATE AI response with confirmation (attempt ' + (deliveryRetryCount + 1) + '/' + maxDeliveryRetries + ')');
-                            const deliveryResponsePayload = {
-                              type: 'response.create',
-                              response: {
-                                modalities: ['audio', 'text']
-                              }
-                            };
-                            
-                            try {
-                              // CRITICAL: Force response immediately - don't check responseInProgress
-                              responseInProgress = false; // Clear flag before sending
-                              const sendResult = safeSendToOpenAI(deliveryResponsePayload, 'response.create (after delivery method)');
-                              if (sendResult) {
-                                console.log('✓ Response creation sent IMMEDIATELY after delivery method set');
-                                // CRITICAL: Don't reset responseInProgress immediately - wait for response to actually start
-                                // Set a longer timeout to check if response actually started
-                                setTimeout(() => {
-                                  // Check if response actually started (responseInProgress should still be true if it did)
-                                  // If it's false, the response might have failed
-                                  if (!responseInProgress) {
-                                    console.warn('⚠️  Response creation sent but responseInProgress is false - response may have failed');
-                                    // Retry if we haven't exceeded max retries
-                                    if (deliveryRetryCount < maxDeliveryRetries - 1) {
-                                      deliveryRetryCount++;
-                                      console.log('🔄 Retrying delivery response due to potential failure');
-                                      ensureDeliveryResponse();
-                                    }
-                                  } else {
-                                    // Response started successfully, reset after it completes
-                                    setTimeout(() => {
-                                      responseInProgress = false;
-                                    }, 500);
-                                  }
-                                }, 500);
-                              } else {
-                                console.error('❌ Failed to create response after delivery method');
-                                // Retry faster if we haven't exceeded max retries
-                                if (deliveryRetryCount < maxDeliveryRetries - 1) {
-                                  deliveryRetryCount++;
-                                  ensureDeliveryResponse();
-                                } else {
-                                  responseInProgress = false;
-                                  console.error('❌ Max retries reached - delivery confirmation may be silent');
-                                }
-                              }
-                            } catch (error) {
-                              console.error('Error creating response after delivery method:', error);
-                              // Retry faster if we haven't exceeded max retries
-                              if (deliveryRetryCount < maxDeliveryRetries - 1) {
-                                deliveryRetryCount++;
-                                ensureDeliveryResponse();
-                              } else {
-                                responseInProgress = false;
-                              }
-                            }
-                          } else {
-                            // User is speaking or client not ready - retry faster when they're done
-                            if (deliveryRetryCount < maxDeliveryRetries - 1) {
-                              deliveryRetryCount++;
-                              console.log('⚠️  User speaking or client not ready - will retry delivery confirmation IMMEDIATELY (attempt ' + (deliveryRetryCount + 1) + '/' + maxDeliveryRetries + ')');
-                              ensureDeliveryResponse();
-                            } else {
-                              console.error('❌ Max retries reached for delivery confirmation response');
-                              responseInProgress = false;
-                            }
-                          }
-                        }, deliveryRetryCount === 0 ? 0 : 50); // CRITICAL: First attempt is IMMEDIATE (0ms), retries are VERY fast (50ms)
-                      };
-                      
-                      ensureDeliveryResponse();
-                    } else {
-                      console.error('❌ set_delivery_method called but input.method is missing');
-                      console.error('❌ Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    }
-                    break;
-                    
-                  case 'set_address':
-                    console.log('🔍🔍🔍 DEBUG: set_address tool called');
-                    console.log('🔍 Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    console.log('🔍 Current order BEFORE setting address:', {
-                      address: currentOrder.address,
-                      deliveryMethod: currentOrder.deliveryMethod,
-                      customerName: currentOrder.customerName,
-                      items: currentOrder.items.length
-                    });
-                    
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:set_address',message:'TOOL_CALLED_SET_ADDRESS',data:{inputAddress:toolCall.input?.address||'MISSING',orderBefore:currentOrder.address||'NOT_SET'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'C_address_tool'})}).catch(()=>{});
-                    // #endregion
-                    
-                    if (toolCall.input?.address) {
-                      // CRITICAL: Ensure address is properly saved and delivery method is set to 'delivery'
-                      // This prevents the address from being lost or delivery method from being corrupted
-                      const addressValue = String(toolCall.input.address).trim();
-                      
-                      // Validate address is not just a number (prevents ZIP codes from being used as address)
-                      if (/^\d+$/.test(addressValue) && addressValue.length <= 5) {
-                        console.error('❌ ERROR: Address appears to be just a ZIP code (not a full address):', addressValue);
-                        console.error('❌ Address must be a full address, not just a ZIP code');
-                        // Still save it but warn - the AI should have asked for full address
-                      }
-                      
-                      currentOrder.address = addressValue;
-                      currentOrder.addressConfirmed = false; // Track if address was confirmed back to customer
-                      
-                      // CRITICAL: Ensure delivery method is set to 'delivery' if address is being set
-                      // This prevents corrupted data where address exists but deliveryMethod is wrong
-                      if (!currentOrder.deliveryMethod || currentOrder.deliveryMethod !== 'delivery') {
-                        console.warn('⚠️  WARNING: Address being set but deliveryMethod is not "delivery" - setting it now');
-                        currentOrder.deliveryMethod = 'delivery';
-                      }
-                      
-                      console.log('✅ Set address:', addressValue);
-                      activeOrders.set(streamSid, currentOrder);
-                      
-                      // #region agent log
-                      // DEBUG: Log address being saved
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:set_address_saved',message:'ADDRESS_SAVED',data:{addressValue:addressValue,orderAddress:currentOrder.address,streamSid:streamSid},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H2_address_saved'})}).catch(()=>{});
-                      // #endregion
-                      
-                      // CRITICAL: Immediately trigger address confirmation response
-                      // This ensures the AI confirms the address back to the customer
-                      setTimeout(() => {
-                        if (!userIsSpeaking && !responseInProgress && openaiClient && openaiClient.readyState === WebSocket.OPEN && streamSid === sid) {
-                          console.log('✓ Address set - ensuring AI confirms it back to customer');
-                          try {
-                            responseInProgress = true;
-                            const addressConfirmPayload = {
-                              type: 'response.create',
-                              response: {
-                                modalities: ['audio', 'text']
-                              }
-                            };
-                            
-                            if (!safeSendToOpenAI(addressConfirmPayload, 'response.create (address confirmation)')) {
-                              responseInProgress = false;
-                              console.error('❌ Failed to create address confirmation response');
-                            } else {
-                              console.log('✓ Address confirmation response sent');
-                            }
-                          } catch (error) {
-                            console.error('Error creating address confirmation response:', error);
-                            responseInProgress = false;
-                          }
-                        }
-                      }, 200);
-                      
-                      // Verify address and delivery method were saved correctly
-                      const verifyOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order state AFTER saving address:', {
-                        address: verifyOrder?.address,
-                        deliveryMethod: verifyOrder?.deliveryMethod,
-                        customerName: verifyOrder?.customerName,
-                        streamSid: streamSid
-                      });
-                      
-                      if (verifyOrder && verifyOrder.address === addressValue) {
-                        console.log('✅ Verified address saved correctly:', verifyOrder.address);
-                        console.log('✅ Verified delivery method:', verifyOrder.deliveryMethod);
-                        console.log('✅ Full delivery info - Method:', verifyOrder.deliveryMethod, 'Address:', verifyOrder.address);
-                      } else {
-                        console.error('❌ ERROR: Address not saved correctly!');
-                        console.error('❌ Expected:', addressValue);
-                        console.error('❌ Got:', verifyOrder?.address);
-                        // Retry saving
-                        if (verifyOrder) {
-                          verifyOrder.address = addressValue;
-                          verifyOrder.deliveryMethod = 'delivery';
-                          activeOrders.set(streamSid, verifyOrder);
-                          console.log('✅ Retried saving address and delivery method');
-                        }
-                      }
-                      
-                      // CRITICAL: Force response after address is set - MUST ALWAYS confirm address back to customer
-                      // This ensures the AI never goes silent after receiving the address
-                      let addressRetryCount = 0;
-                      const maxAddressRetries = 5;
-                      
-                      // CRITICAL: Force immediate response after address is set - NO DELAY for natural flow
-                      // This ensures the AI responds immediately and never goes silent
-                      const ensureAddressResponse = () => {
-                        // Use immediate execution (0ms) for first attempt - don't wait
-                        setTimeout(() => {
-                          if (!userIsSpeaking && openaiClient && openaiClient.readyState === WebSocket.OPEN && streamSid === sid) {
-                            // Don't check responseInProgress - force response even if one is in progress
-                            console.log('✓ Address set - ensuring IMMEDIATE AI response with confirmation (attempt ' + (addressRetryCount + 1) + '/' + maxAddressRetries + ')');
-                            const addressResponsePayload = {
-                              type: 'response.create',
-                              response: {
-                                modalities: ['audio', 'text']
-                              }
-                            };
-                            
-                            try {
-                              if (safeSendToOpenAI(addressResponsePayload, 'response.create (after address)')) {
-                                console.log('✓ Response creation sent IMMEDIATELY after address set');
-                                // Reset flag after a short delay to allow response to start
-                                setTimeout(() => {
-                                  responseInProgress = false;
-                                }, 200);
-                              } else {
-                                console.error('❌ Failed to create response after address');
-                                // Retry faster if we haven't exceeded max retries
-                                if (addressRetryCount < maxAddressRetries - 1) {
-                                  addressRetryCount++;
-                                  ensureAddressResponse();
-                                } else {
-                                  responseInProgress = false;
-                                }
-                              }
-                            } catch (error) {
-                              console.error('Error creating response after address:', error);
-                              // Retry faster if we haven't exceeded max retries
-                              if (addressRetryCount < maxAddressRetries - 1) {
-                                addressRetryCount++;
-                                ensureAddressResponse();
-                              } else {
-                                responseInProgress = false;
-                              }
-                            }
-                          } else {
-                            // User is speaking or client not ready - retry faster when they're done
-                            if (addressRetryCount < maxAddressRetries - 1) {
-                              addressRetryCount++;
-                              console.log('⚠️  User speaking or client not ready - will retry address confirmation IMMEDIATELY (attempt ' + (addressRetryCount + 1) + '/' + maxAddressRetries + ')');
-                              ensureAddressResponse();
-                            } else {
-                              console.error('❌ Max retries reached for address confirmation response');
-                              responseInProgress = false;
-                            }
-                          }
-                        }, addressRetryCount === 0 ? 0 : 100); // CRITICAL: First attempt is IMMEDIATE (0ms), retries are fast (100ms)
-                      };
-                      
-                      ensureAddressResponse();
-                    } else {
-                      console.error('❌ set_address called but input.address is missing');
-                      console.error('❌ Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    }
-                    break;
-                    
-                  case 'set_customer_name':
-                    console.log('🔍🔍🔍 DEBUG: set_customer_name tool called');
-                    console.log('🔍 Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    console.log('🔍 Current order BEFORE setting:', {
-                      customerName: currentOrder.customerName,
-                      deliveryMethod: currentOrder.deliveryMethod,
-                      items: currentOrder.items.length
-                    });
-                    
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:set_customer_name',message:'TOOL_CALLED_SET_NAME',data:{inputName:toolCall.input?.name||'MISSING',orderBefore:currentOrder.customerName||'NOT_SET'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B_name_tool'})}).catch(()=>{});
-                    // #endregion
-                    
-                    if (toolCall.input?.name) {
-                      currentOrder.customerName = toolCall.input.name;
-                      console.log('✅ Set customer name:', toolCall.input.name);
-                      activeOrders.set(streamSid, currentOrder);
-                      
-                      // Verify it was saved
-                      const verifyOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order state AFTER saving:', {
-                        customerName: verifyOrder?.customerName,
-                        deliveryMethod: verifyOrder?.deliveryMethod,
-                        streamSid: streamSid
-                      });
-                      
-                      if (verifyOrder && verifyOrder.customerName === toolCall.input.name) {
-                        console.log('✅ Verified customer name saved correctly:', verifyOrder.customerName);
-                      } else {
-                        console.error('❌ ERROR: Customer name not saved correctly!');
-                        console.error('❌ Expected:', toolCall.input.name);
-                        console.error('❌ Got:', verifyOrder?.customerName);
-                      }
-                      
-                      // CRITICAL: Force IMMEDIATE response after name is set - NO DELAY for natural flow
-                      // This ensures the AI responds immediately and never goes silent after receiving the customer's name
-                      let nameRetryCount = 0;
-                      const maxNameRetries = 5;
-                      
-                      const ensureNameResponse = () => {
-                        // Use immediate execution (0ms) for first attempt - don't wait
-                        setTimeout(() => {
-                          if (!userIsSpeaking && openaiClient && openaiClient.readyState === WebSocket.OPEN && streamSid === sid) {
-                            // Don't check responseInProgress - force response even if one is in progress
-                            console.log('✓ Customer name set - ensuring IMMEDIATE AI response with confirmation (attempt ' + (nameRetryCount + 1) + '/' + maxNameRetries + ')');
-                            const nameResponsePayload = {
-                              type: 'response.create',
-                              response: {
-                                modalities: ['audio', 'text']
-                              }
-                            };
-                            
-                            try {
-                              if (safeSendToOpenAI(nameResponsePayload, 'response.create (after customer name)')) {
-                                console.log('✓ Response creation sent IMMEDIATELY after customer name set');
-                                // Reset flag after a short delay to allow response to start
-                                setTimeout(() => {
-                                  responseInProgress = false;
-                                }, 200);
-                              } else {
-                                console.error('❌ Failed to create response after customer name');
-                                // Retry faster if we haven't exceeded max retries
-                                if (nameRetryCount < maxNameRetries - 1) {
-                                  nameRetryCount++;
-                                  ensureNameResponse();
-                                } else {
-                                  responseInProgress = false;
-                                }
-                              }
-                            } catch (error) {
-                              console.error('Error creating response after customer name:', error);
-                              // Retry faster if we haven't exceeded max retries
-                              if (nameRetryCount < maxNameRetries - 1) {
-                                nameRetryCount++;
-                                ensureNameResponse();
-                              } else {
-                                responseInProgress = false;
-                              }
-                            }
-                          } else {
-                            // User is speaking or client not ready - retry faster when they're done
-                            if (nameRetryCount < maxNameRetries - 1) {
-                              nameRetryCount++;
-                              console.log('⚠️  User speaking or client not ready - will retry name confirmation IMMEDIATELY (attempt ' + (nameRetryCount + 1) + '/' + maxNameRetries + ')');
-                              ensureNameResponse();
-                            } else {
-                              console.error('❌ Max retries reached for name confirmation response');
-                              responseInProgress = false;
-                            }
-                          }
-                        }, nameRetryCount === 0 ? 0 : 100); // CRITICAL: First attempt is IMMEDIATE (0ms), retries are fast (100ms)
-                      };
-                      
-                      ensureNameResponse();
-                    } else {
-                      console.error('❌ set_customer_name called but input.name is missing');
-                      console.error('❌ Tool call input:', JSON.stringify(toolCall.input, null, 2));
-                    }
-                    break;
-                    
-                  case 'set_customer_phone':
-                    if (toolCall.input?.phone) {
-                      // Clean phone number
-                      const phone = toolCall.input.phone.replace(/[-.\s()]/g, '');
-                      if (phone.length === 10 || phone.length === 11) {
-                        currentOrder.customerPhone = phone.slice(-10); // Keep last 10 digits
-                        console.log('✅ Set customer phone:', currentOrder.customerPhone);
-                        activeOrders.set(streamSid, currentOrder);
-                      }
-                    }
-                    break;
-                    
-                  case 'set_payment_method':
-                    if (toolCall.input?.method) {
-                      currentOrder.paymentMethod = toolCall.input.method;
-                      console.log('✅ Set payment method:', toolCall.input.method);
-                      activeOrders.set(streamSid, currentOrder);
+                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:wings',message:'WING_FLAVOR_PROMPT_TRIGGERED',data:{itemName:lookupResult.itemName,descriptionReturned:lookupResult.description.substring(0,100)},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'I_wings'})}).catch(()=>{});
+                      // #endregion
                     }
-                    break;
                     
-                  case 'confirm_order':
-                    currentOrder.confirmed = true;
-                    console.log('✅ Order confirmed via tool call');
+                    console.log(`✅ MATCHED: "${lookupResult.itemName}" => Using EXACT description from Column E: "${lookupResult.description.substring(0, 100)}..."`);
                     
                     // #region agent log
-                    // DEBUG: Log order state at confirmation
-                    console.log('🔍🔍🔍 DEBUG CONFIRM_ORDER - ADDRESS STATUS:');
-                    console.log('🔍 currentOrder.address:', currentOrder.address || 'NULL/UNDEFINED');
-                    console.log('🔍 currentOrder.addressConfirmed:', currentOrder.addressConfirmed || false);
-                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:confirm_order',message:'CONFIRM_ORDER_ADDRESS',data:{address:currentOrder.address||'NULL',addressConfirmed:currentOrder.addressConfirmed||false,deliveryMethod:currentOrder.deliveryMethod||'NULL'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H4_confirm_order'})}).catch(()=>{});
+                    fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:matched',message:'DESCRIPTION_RETURNED_FROM_SHEET',data:{userQuery:data.transcript,normalizedQuery:itemQuery,matchedItemName:lookupResult.itemName,rowIndex:'N/A',descriptionFromSheet:lookupResult.description,descriptionLength:lookupResult.description.length,exactDescriptionUsed:true},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'G_description_guardrail'})}).catch(()=>{});
                     // #endregion
-                    
+                  }
+                } else if (lookupResult.alternatives.length > 0) {
+                  // Multiple matches - ask for clarification
+                  const alternativesList = lookupResult.alternatives.slice(0, 3).join(', ');
+                  responseText = `I don't see that exact item on our menu. Did you mean ${alternativesList}?`;
+                  console.log(`⚠️ NO EXACT MATCH - Suggesting: ${alternativesList}`);
+                  
+                  // #region agent log
+                  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:multiple',message:'MULTIPLE_MATCHES',data:{userQuery:data.transcript,normalizedQuery:itemQuery,alternatives:lookupResult.alternatives,action:'asking_clarification'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
+                  // #endregion
+                } else {
+                  // No match found - say it's not on the menu (NO description)
+                  const suggestions = Object.keys(menu).filter(item => {
+                    const itemLower = item.toLowerCase();
+                    return itemQuery.split(' ').some(word => word.length > 2 && itemLower.includes(word));
+                  }).slice(0, 3);
+                  
+                  if (suggestions.length > 0) {
+                    responseText = `I don't see that item on our menu. Did you mean ${suggestions.join(', ')}?`;
+                  } else {
+                    responseText = `I don't see that item on our menu. Can I help you with something else?`;
+                  }
+                  
+                  console.log(`❌ NO MATCH FOUND for "${itemQuery}" - no description provided`);
+                  
+                  // #region agent log
+                  fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_handler:no_match',message:'NO_MATCH_FOUND',data:{userQuery:data.transcript,normalizedQuery:itemQuery,suggestions:suggestions,action:'told_customer_not_listed',descriptionProvided:false},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_lookup'})}).catch(()=>{});
+                  // #endregion
+                }
+                
+                // #region agent log
+                fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:description_response',message:'SENDING_DESCRIPTION_RESPONSE',data:{responseText:responseText.substring(0,200),isWingsItem:isWingsItem,wingsFlavorPromptTriggered:isWingsItem},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H_immediate_response'})}).catch(()=>{});
+                // #endregion
+                
+                // STEP 5: Send the response IMMEDIATELY with the description
+                // Use response.create with instructions that tell AI exactly what to say
+                safeSendToOpenAI({
+                  type: 'response.create',
+                  response: {
+                    modalities: ['audio', 'text'],
+                    instructions: `YOU MUST SAY EXACTLY THIS AND NOTHING ELSE: "${responseText}"\n\nDo NOT add any extra information. Do NOT say "let me check" or "one moment". Say the response above IMMEDIATELY.`
+                  }
+                }, 'immediate description response');
+                
+                console.log('✅ DESCRIPTION RESPONSE SENT IMMEDIATELY');
+                
+                // Mark that we've handled this - don't let other handlers respond
+                responseInProgress = true;
+              }
+              // #endregion
+              
+              // TOKEN OPTIMIZATION: Track last 2 user turns for memory summary
+              const summary = conversationSummaries.get(streamSid) || { summary: '', lastUserTurns: [], lastAssistantTurns: [] };
+              summary.lastUserTurns.push(data.transcript);
+              // Keep only last 2 turns (TOKEN_BUDGET.MAX_HISTORY_TURNS)
+              while (summary.lastUserTurns.length > TOKEN_BUDGET.MAX_HISTORY_TURNS) {
+                summary.lastUserTurns.shift();
+              }
+              // Store last user text for menu retrieval
+              summary.lastUserText = data.transcript;
+              conversationSummaries.set(streamSid, summary);
+              
+              // Update session menu cache based on what user mentioned
+              getSessionMenuSnippet(streamSid, menu, data.transcript);
+              
+              // Log estimated token usage for this turn
+              const currentOrderForTokens = activeOrders.get(streamSid);
+              const estimatedPrompt = estimateTokens(buildCompactInstructions(currentOrderForTokens, menu, { lastUserText: data.transcript }, storeConfig));
+              console.log(`📊 Estimated prompt tokens for this turn: ~${estimatedPrompt}`);
+              
+              // Extract name and phone number from user's speech
+              const transcript = data.transcript;
+              const currentOrder = activeOrders.get(streamSid);
+              
+              if (currentOrder) {
+                // Extract name - look for patterns like "my name is", "it's", "this is", or direct name responses
+                if (!currentOrder.customerName) {
+                  // Check if AI just asked for name (look for name-related context in recent messages)
+                  // Simple extraction: if user says something that looks like a name after being asked
+                  const namePatterns = [
+                    /(?:my name is|it'?s|this is|i'?m|call me|name'?s)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i,
+                    /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)$/i  // Just a name if it's a short response
+                  ];
+                  
+                  for (const pattern of namePatterns) {
+                    const match = data.transcript.match(pattern);
+                    if (match && match[1]) {
+                      currentOrder.customerName = match[1].trim();
+                      console.log('✓ Extracted customer name:', currentOrder.customerName);
+                      activeOrders.set(streamSid, currentOrder);
+                      break;
+                    }
+                  }
+                }
+                
+                // Extract phone number - look for phone number patterns
+                if (!currentOrder.customerPhone) {
+                  const phonePatterns = [
+                    /(\d{3}[-.\s]?\d{3}[-.\s]?\d{4})/,  // Standard US format
+                    /(?:phone|number|call|text)\s*(?:is|at)?\s*(\d{3}[-.\s]?\d{3}[-.\s]?\d{4})/i,
+                    /(\d{10})/  // Just 10 digits
+                  ];
+                  
+                  for (const pattern of phonePatterns) {
+                    const match = data.transcript.match(pattern);
+                    if (match && match[1]) {
+                      // Clean up the phone number
+                      const phone = match[1].replace(/[-.\s]/g, '');
+                      if (phone.length === 10) {
+                        currentOrder.customerPhone = phone;
+                        console.log('✓ Extracted customer phone:', currentOrder.customerPhone);
+                        activeOrders.set(streamSid, currentOrder);
+                        break;
+                      }
+                    }
+                  }
+                }
+                
+                // CRITICAL: Extract delivery method - AI often fails to call set_delivery_method tool
+                // Server-side extraction as backup to ensure delivery method is captured
+                if (!currentOrder.deliveryMethod) {
+                  const transcriptLower = data.transcript.toLowerCase().trim();
+                  
+                  // Check for clear delivery/pickup indicators
+                  if (transcriptLower === 'delivery' || 
+                      transcriptLower === 'for delivery' || 
+                      transcriptLower.includes('delivery please') ||
+                      transcriptLower.includes("i'll do delivery") ||
+                      transcriptLower.includes("i want delivery") ||
+                      transcriptLower.includes("make it delivery") ||
+                      (transcriptLower.includes('deliver') && !transcriptLower.includes('pickup'))) {
+                    currentOrder.deliveryMethod = 'delivery';
+                    console.log('✓ SERVER-SIDE: Extracted delivery method: delivery');
                     activeOrders.set(streamSid, currentOrder);
-                    break;
-                    
-                  case 'get_item_description':
-                    // CRITICAL: Handle menu item description lookup
-                    // This tool MUST be called when customer asks "what is [item]?"
-                    const itemQuery = toolCall.input?.item_name || toolCall.arguments?.item_name;
-                    if (itemQuery) {
-                      console.log(`🔍 GET_ITEM_DESCRIPTION called for: "${itemQuery}"`);
-                      
-                      // Perform the lookup
-                      const lookupResult = lookupMenuItemDescription(menu, itemQuery);
-                      
-                      // #region agent log
-                      fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:get_item_description',message:'DESCRIPTION_TOOL_CALLED',data:{itemQuery:itemQuery,matched:lookupResult.matched,itemName:lookupResult.itemName,hasDescription:!!lookupResult.description,descriptionPreview:lookupResult.description?.substring(0,150)||'NONE',alternatives:lookupResult.alternatives},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'F_tool_call'})}).catch(()=>{});
-                      // #endregion
-                      
-                      // CRITICAL: Build response with hard guardrail - NEVER invent descriptions
-                      let descriptionResponse;
-                      if (lookupResult.matched) {
-                        // CRITICAL: If Column E is empty, do NOT invent description
-                        if (!lookupResult.description || lookupResult.description.trim() === '') {
-                          // Column E is empty - tell AI to say "no description listed"
-                          descriptionResponse = `ITEM FOUND: "${lookupResult.itemName}"\nDESCRIPTION: NO DESCRIPTION LISTED\n\nYOU MUST SAY EXACTLY THIS: "I don't have a description listed for that item. I can tell you the price or help you choose something similar."\n\nDO NOT invent a description. DO NOT use general knowledge. DO NOT say what it "usually has".`;
-                          console.log(`⚠️ Description EMPTY for "${lookupResult.itemName}" - AI will tell customer no description listed`);
-                        } else {
-                          // CRITICAL: Return ONLY the description from Column E - word for word
-                          descriptionResponse = `ITEM FOUND: "${lookupResult.itemName}"\nDESCRIPTION FROM MENU SHEET (use this EXACTLY, word-for-word): ${lookupResult.description}\n\nCRITICAL RULES:\n- Use ONLY the description provided above\n- Do NOT add any ingredients or details not in the description\n- Do NOT say "it usually has" or use general food knowledge\n- Do NOT paraphrase - use the exact text from the menu sheet`;
-                          console.log(`✅ Description found for "${lookupResult.itemName}": ${lookupResult.description.substring(0, 100)}...`);
-                        }
+                  } else if (transcriptLower === 'pickup' || 
+                             transcriptLower === 'pick up' ||
+                             transcriptLower === 'for pickup' ||
+                             transcriptLower.includes('pickup please') ||
+                             transcriptLower.includes("i'll do pickup") ||
+                             transcriptLower.includes("i'll pick it up") ||
+                             transcriptLower.includes("i want pickup")) {
+                    currentOrder.deliveryMethod = 'pickup';
+                    console.log('✓ SERVER-SIDE: Extracted delivery method: pickup');
+                    activeOrders.set(streamSid, currentOrder);
+                  }
+                }
+                
+                // CRITICAL: Extract delivery address - AI often fails to call set_address tool
+                // Server-side extraction as backup to ensure address is captured
+                if (currentOrder.deliveryMethod === 'delivery' && !currentOrder.address) {
+                  // Look for address patterns - street number + street name
+                  const addressPatterns = [
+                    // "123 Main Street" or "123 Main St"
+                    /(\d+\s+[A-Za-z]+(?:\s+[A-Za-z]+)*\s*(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Place|Pl|Way|Circle|Cir)\.?)/i,
+                    // "123 Main" (short form)
+                    /(\d+\s+[A-Za-z]+(?:\s+[A-Za-z]+)?)/i
+                  ];
+                  
+                  for (const pattern of addressPatterns) {
+                    const match = data.transcript.match(pattern);
+                    if (match && match[1]) {
+                      const potentialAddress = match[1].trim();
+                      // Validate it looks like an address (has number and letters, reasonable length)
+                      if (potentialAddress.length >= 5 && potentialAddress.length <= 100 && /^\d+\s+[A-Za-z]/.test(potentialAddress)) {
+                        currentOrder.address = potentialAddress;
+                        currentOrder.addressConfirmed = false; // Will be set to true when AI confirms
+                        console.log('✓ SERVER-SIDE: Extracted address:', potentialAddress);
+                        activeOrders.set(streamSid, currentOrder);
                         
                         // #region agent log
-                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:get_item_description:matched',message:'DESCRIPTION_RETURNED',data:{itemQuery:itemQuery,matchedItemName:lookupResult.itemName,descriptionFromSheet:lookupResult.description||'EMPTY',descriptionLength:lookupResult.description?.length||0},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'G_description_guardrail'})}).catch(()=>{});
+                        fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:address_extracted',message:'SERVER_SIDE_ADDRESS_EXTRACTED',data:{address:potentialAddress,transcript:data.transcript},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H5_server_extract'})}).catch(()=>{});
                         // #endregion
-                      } else if (lookupResult.alternatives.length > 0) {
-                        // Multiple matches or suggestions - ask for clarification
-                        descriptionResponse = `ITEM NOT FOUND: "${itemQuery}" is not on the menu.\nDid you mean one of these? ${lookupResult.alternatives.join(', ')}.\nASK THE CUSTOMER: "I don't see that exact item. Did you mean ${lookupResult.alternatives[0]}?"`;
-                        console.log(`⚠️ No exact match for "${itemQuery}". Alternatives: ${lookupResult.alternatives.join(', ')}`);
-                      } else {
-                        // No match at all
-                        descriptionResponse = `ITEM NOT FOUND: "${itemQuery}" is not on the menu.\nTell the customer: "I don't see that item on our menu. Can I help you with something else?"`;
-                        console.log(`❌ No match found for "${itemQuery}"`);
+                        break;
                       }
-                      
-                      // CRITICAL: Send result with HARD GUARDRAIL - prevent hallucinations
-                      safeSendToOpenAI({
-                        type: 'session.update',
-                        session: {
-                          instructions: `CRITICAL: The customer asked about "${itemQuery}". Here is the ONLY information you may use:\n\n${descriptionResponse}\n\nHARD GUARDRAIL - DO NOT VIOLATE:\n- If description says "NO DESCRIPTION LISTED" → Say EXACTLY the provided message (no inventing)\n- If description is provided → Use it EXACTLY word-for-word (no additions, no paraphrasing, no extra ingredients)\n- DO NOT use general food knowledge\n- DO NOT say what it "usually has" or "typically contains"\n- DO NOT invent any text not in the description\n- If you cannot find the item → Ask for clarification or say it's not listed (NEVER invent a description)`
-                        }
-                      }, 'description lookup result with guardrail');
-                      
-                      // Trigger a response
-                      setTimeout(() => {
-                        safeSendToOpenAI({
-                          type: 'response.create',
-                          response: {
-                            modalities: ['text']
-                          }
-                        }, 'description response');
-                      }, 100);
                     }
-                    
-                    // CRITICAL: Log order immediately when confirmed (get fresh order state first)
-                    // Use delay to ensure ALL tool calls (name, delivery method) are processed
-                    setTimeout(async () => {
-                      // Get FRESH order state right before logging to ensure we have latest data
-                      console.log('🔍🔍🔍 DEBUG: About to log order - getting fresh state...');
-                      const confirmedOrder = activeOrders.get(streamSid);
-                      console.log('🔍 Order retrieved from map:', {
-                        exists: !!confirmedOrder,
-                        confirmed: confirmedOrder?.confirmed,
-                        logged: confirmedOrder?.logged,
-                        itemsCount: confirmedOrder?.items?.length || 0,
-                        customerName: confirmedOrder?.customerName || 'NOT SET',
-                        deliveryMethod: confirmedOrder?.deliveryMethod || 'NOT SET',
-                        customerPhone: confirmedOrder?.customerPhone || 'NOT SET',
-                        streamSid: streamSid
-                      });
-                      
-                      if (confirmedOrder && confirmedOrder.confirmed && !confirmedOrder.logged && confirmedOrder.items && confirmedOrder.items.length > 0) {
-                        const validItems = confirmedOrder.items.filter(item => item.name && item.name.length > 0 && (item.price || 0) > 0);
-                        
-                        // CRITICAL: Validate ALL required fields before logging
-                        const hasName = !!confirmedOrder.customerName && confirmedOrder.customerName.trim().length > 0;
-                        const hasDeliveryMethod = !!confirmedOrder.deliveryMethod;
-                        // CRITICAL: For delivery, address must exist AND be confirmed back to customer
-                        const hasAddress = confirmedOrder.deliveryMethod !== 'delivery' || (!!confirmedOrder.address && confirmedOrder.address.trim().length > 0 && confirmedOrder.addressConfirmed === true);
-                        const hasValidItems = validItems.length > 0;
-                        const allItemsHavePrices = validItems.every(item => (item.price || 0) > 0);
-                        
-                        console.log('🔍🔍🔍 VALIDATION CHECK BEFORE LOGGING:');
-                        console.log('🔍 Has name:', hasName, '| Name:', confirmedOrder.customerName || 'MISSING');
-                        console.log('🔍 Has delivery method:', hasDeliveryMethod, '| Method:', confirmedOrder.deliveryMethod || 'MISSING');
-                        console.log('🔍 Has address (if needed):', hasAddress, '| Address:', confirmedOrder.address || 'MISSING', '| Confirmed:', confirmedOrder.addressConfirmed || false);
-                        console.log('🔍 Has valid items:', hasValidItems, '| Items count:', validItems.length);
-                        console.log('🔍 All items have prices:', allItemsHavePrices);
-                        
-                        if (!hasName) {
-                          console.error('❌❌❌ CANNOT LOG - NAME IS MISSING ❌❌❌');
-                          console.error('❌ The AI must ask for and collect the customer name BEFORE calling confirm_order');
-                          console.error('❌ Order will NOT be logged until name is provided');
-                          // Don't log - wait for name to be collected
-                          return; // Use return instead of break in setTimeout callback
-                        }
-                        
-                        if (!hasDeliveryMethod) {
-                          console.error('❌❌❌ CANNOT LOG - DELIVERY METHOD IS MISSING ❌❌❌');
-                          console.error('❌ The AI must ask for pickup/delivery BEFORE calling confirm_order');
-                          console.error('❌ Order will NOT be logged until delivery method is provided');
-                          // Don't log - wait for delivery method to be collected
-                          return; // Use return instead of break in setTimeout callback
-                        }
-                        
-                        if (!hasAddress) {
-                          console.error('❌❌❌ CANNOT LOG - ADDRESS IS MISSING FOR DELIVERY ❌❌❌');
-                          console.error('❌ The AI must ask for and collect the delivery address BEFORE calling confirm_order');
-                          console.error('❌ Order will NOT be logged until address is provided');
-                          // Don't log - wait for address to be collected
-                          return; // Use return instead of break in setTimeout callback
-                        }
-                        
-                        if (!hasValidItems || !allItemsHavePrices) {
-                          console.error('❌❌❌ CANNOT LOG - ITEMS ARE INVALID OR MISSING PRICES ❌❌❌');
-                          console.error('❌ All items must have names and prices');
-                          console.error('❌ Valid items:', validItems.length, '| Items with prices:', validItems.filter(i => (i.price || 0) > 0).length);
-                          // Don't log - items are invalid
-                          return; // Use return instead of break in setTimeout callback
-                        }
-                        
-                        if (validItems.length > 0) {
-                          console.log('✅✅✅ ALL VALIDATION PASSED - LOGGING ORDER ✅✅✅');
-                          console.log('📝 Order confirmed - logging to Google Sheets...');
-                          console.log('📋 Confirmed order details (FINAL STATE - THIS IS WHAT WILL BE LOGGED):', {
-                            totalItems: confirmedOrder.items.length,
-                            validItems: validItems.length,
-                            itemsList: validItems.map(i => `${i.quantity}x ${i.name} @ $${(i.price || 0).toFixed(2)}`).join(', '),
-                            customerName: confirmedOrder.customerName,
-                            deliveryMethod: confirmedOrder.deliveryMethod,
-                            address: confirmedOrder.address || 'N/A (pickup)',
-                            customerPhone: confirmedOrder.customerPhone || 'not provided'
-                          });
-                          
-                          // CRITICAL DEBUG: Show exact values that will be sent to Google Sheets
-                          console.log('🔍🔍🔍 EXACT VALUES FOR GOOGLE SHEETS:');
-                          console.log('🔍 Column A (Name):', confirmedOrder.customerName);
-                          console.log('🔍 Column B (Phone):', confirmedOrder.customerPhone || 'not provided');
-                          console.log('🔍 Column C (Pick Up/Delivery):', confirmedOrder.deliveryMethod === 'delivery' && confirmedOrder.address 
-                            ? `delivery - ${confirmedOrder.address}` 
-                            : confirmedOrder.deliveryMethod);
-                          console.log('🔍 Address:', confirmedOrder.address || 'N/A (pickup)');
-                          
-                          // CRITICAL: Use ALL valid items
-                          confirmedOrder.logged = true;
-                          confirmedOrder.items = validItems;
-                          activeOrders.set(streamSid, confirmedOrder);
-                          
-                          logOrder(confirmedOrder, storeConfig || {}).catch(error => {
-                            console.error('❌ Error logging confirmed order:', error);
-                            confirmedOrder.logged = false;
-                            activeOrders.set(streamSid, confirmedOrder);
-                          });
-                        } else {
-                          console.warn('⚠️  Confirmed order has no valid items - will log on call end');
-                        }
-                      } else if (confirmedOrder?.logged) {
-                        console.log('⚠️  Order already logged - skipping duplicate log');
-                      } else {
-                        console.warn('⚠️  Order not ready to log:', {
-                          exists: !!confirmedOrder,
-                          confirmed: confirmedOrder?.confirmed,
-                          hasItems: confirmedOrder?.items?.length > 0
-                        });
-                      }
-                    }, 2000); // 2 second delay to ensure ALL tool calls (name, delivery method) are processed
-                    break;
                   }
                 }
-              } catch (error) {
-                console.error('❌❌❌ CRITICAL ERROR in response.content_part.added handler ❌❌❌');
-                console.error('❌ Error message:', error.message);
-                console.error('❌ Error stack:', error.stack);
-                // Don't break - continue processing other events
               }
             }
             break;
             
+          case 'conversation.item.input_audio_transcription.failed':
+            // Transcription failed - this is the error we're seeing!
+            console.error('✗ Audio transcription failed!');
+            console.error('Error details:', JSON.stringify(data.error, null, 2));
+            console.error('Item ID:', data.item_id);
+            console.error('Content index:', data.content_index);
+            // If transcription keeps failing, OpenAI can't understand the user
+            // This might be due to audio format mismatch or invalid audio data
+            break;
+            
+          case 'response.content_part.added':
+            // Text/audio content only - tool calls arrive as function_call items in response.output_item.done
+            break;
+            
           case 'response.function_call_arguments.done':
             // Tool call arguments completed - backup handler for tool calls
-            // NOTE: This is a backup handler - the main handler in response.content_part.added should handle tool calls
+            // NOTE: The main handler is the function_call item in response.output_item.done
             // This handler is only for cases where the main handler might miss something
             if (data.arguments) {
               console.log('🔧 Function call arguments completed (backup handler):', data.arguments);
               console.log('🔧 Item ID:', data.item_id);
               // We need to get the function name from the response output, not just from args
               // This backup handler should only process if we can identify the function name
-              // For now, skip this backup handler - rely on the main handler in response.content_part.added
+              // For now, skip this backup handler - rely on the main handler in response.output_item.done
               console.log('⚠️  Backup handler: Skipping - main handler should process tool calls');
             }
             break;
@@ -5084,6 +2850,9 @@ wss.on('connection', (ws, req) => {
             // Extract transcript if available
             if (data.transcript) {
               console.log('AI said:', data.transcript);
+              if (callTranscript) {
+                callTranscript.addAssistant(data.transcript);
+              }
               
               // #region agent log
               fetch('http://127.0.0.1:7242/ingest/6a2bbb7a-af1b-4d24-9b15-1c6328457d57',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:ai_response',message:'AI_SAID',data:{transcript:data.transcript,currentName:activeOrders.get(streamSid)?.customerName||'NOT_SET',currentAddress:activeOrders.get(streamSid)?.address||'NOT_SET'},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'E_ai_output'})}).catch(()=>{});
@@ -5119,7 +2888,7 @@ wss.on('connection', (ws, req) => {
                       const forceToolPayload = {
                         type: 'session.update',
                         session: {
-                          instructions: buildCompactInstructions(orderForCheck, menu, null) + '\n\nCRITICAL: The customer just mentioned items but they are NOT in the order. You MUST call add_item_to_order tool NOW. Do NOT generate another response without calling the tool first.'
+                          instructions: buildCompactInstructions(orderForCheck, menu, null, storeConfig) + '\n\nCRITICAL: The customer just mentioned items but they are NOT in the order. You MUST call add_item_to_order tool NOW. Do NOT generate another response without calling the tool first.'
                         }
                       };
                       safeSendToOpenAI(forceToolPayload, 'session.update (force tool call)');
@@ -5155,6 +2924,12 @@ wss.on('connection', (ws, req) => {
                 }
               }
               
+              // Still repeating after loop-break messages - hand the call to staff
+              if (callHandoff && callHandoff.checkAiText(data.transcript)) {
+                console.error('🚨 AI is stuck in a loop - transferring call to staff');
+                return;
+              }
+              
               // CRITICAL: Enhanced loop detection - prevent ANY repetition
               const now = Date.now();
               const timeSinceLastResponse = now - lastAIResponseTimestamp;
@@ -5313,7 +3088,7 @@ wss.on('connection', (ws, req) => {
                 conversationSummaries.set(streamSid, existing);
                 
                 // Log token usage for completed response
-                const estimatedPrompt = estimateTokens(buildCompactInstructions(currentOrder, menu, existing));
+                const estimatedPrompt = estimateTokens(buildCompactInstructions(currentOrder, menu, existing, storeConfig));
                 const estimatedCompletion = messageItem?.content?.[0]?.text ? estimateTokens(messageItem.content[0].text) : TOKEN_BUDGET.MAX_OUTPUT_TOKENS;
                 logTokenUsage(streamSid, estimatedPrompt, estimatedCompletion, 'response-done');
               }
@@ -5389,6 +3164,15 @@ wss.on('connection', (ws, req) => {
               console.log('⚠️  Keeping responseInProgress true - failed handler will manage retry');
             }
             
+            // A system message (e.g. a failed transfer) arrived while this response ran - answer it now
+            // A cancelled response means the caller barged in - their turn's response will see it
+            if (respondAfterResponse && !responseInProgress) {
+              respondAfterResponse = false;
+              if (data.response?.status !== 'cancelled' && safeSendToOpenAI({ type: 'response.create', response: { modalities: ['audio', 'text'] } }, 'response.create (after system message)')) {
+                responseInProgress = true;
+              }
+            }
+            
             if (data.response?.status === 'failed') {
               console.error('\n✗✗✗ RESPONSE FAILED ✗✗✗');
               
@@ -5870,10 +3654,41 @@ wss.on('connection', (ws, req) => {
     validItems.forEach(item => {
       subtotal += (item.price || 0) * (item.quantity || 1);
     });
-    const taxRate = config.taxRate || 0.08;
+    const taxRate = config.taxRate ?? 0.08;
     const tax = subtotal * taxRate;
     const total = subtotal + tax;
     
+    // Ready time: keep the quote the customer heard, otherwise quote now - then add to the kitchen queue
+    const readyTimeQuote = order.readyTimeQuote || readyTimeEstimator.estimate({ ...order, items: validItems }, config);
+    order.readyTimeQuote = readyTimeQuote;
+    if (!orderStore) {
+      readyTimeEstimator.recordOrder({ ...order, items: validItems }, config, readyTimeQuote);
+    }
+    
+    // Save to the order store first - integrations below read the saved order back
+    let savedOrder = null;
+    if (orderStore && order.callSid) {
+      try {
+        savedOrder = orderStore.saveOrder({
+          ...order,
+          items: validItems,
+          totals: order.totals || { subtotal, tax, total }
+        }, config.slug);
+        console.log(`✓ Order saved to order store: #${savedOrder.id} (${savedOrder.status})`);
+      } catch (error) {
+        console.error('❌ Error saving order to order store:', error.message);
+      }
+    }
+    
+    // Remember the caller for next time (name, delivery address, last order)
+    if (savedOrder && customerStore) {
+      try {
+        customerStore.recordCustomerOrder(savedOrder);
+      } catch (error) {
+        console.error('❌ Error updating customer profile:', error.message);
+      }
+    }
+    
     // Create validated order data
     const orderData = {
       items: validItems, // Use only valid items
@@ -5890,8 +3705,26 @@ wss.on('connection', (ws, req) => {
       order_timestamp: new Date().toISOString(), // CRITICAL: Also include order_timestamp field (fixes Zapier invalid time value error)
       storeName: config.name || 'Uncle Sal\'s Pizza',
       storeLocation: config.location || 'Syracuse, NY',
+      requestedTime: order.requestedTime || null, // Scheduled orders only (ISO) - null means ASAP
+      requestedTimeLabel: order.requestedTimeLabel || 'ASAP',
+      estimatedReadyAt: readyTimeQuote.readyAt,
+      estimatedReadyMinutes: readyTimeQuote.minutes,
+      orderId: savedOrder?.id || null,
+      orderStatus: savedOrder?.status || null,
     };
     
+    // Hand delivery to the outbox - it retries with backoff (across restarts) until each destination accepts
+    if (savedOrder && orderOutbox) {
+      try {
+        orderOutbox.enqueue(savedOrder, orderDelivery.getDeliveryJobs(config, orderData));
+        orderOutbox.processDue().catch(error => console.error('❌ Error processing outbox:', error.message));
+        console.log('✓ Order logging complete (queued in outbox)');
+        return;
+      } catch (error) {
+        console.error('❌ Error queueing order in outbox - delivering directly:', error.message);
+      }
+    }
+    
     // Log to Google Sheets
     try {
       console.log('📝 Attempting to log to Google Sheets...');
@@ -5903,11 +3736,10 @@ wss.on('connection', (ws, req) => {
         total: orderData.total
       });
       
-      // Create a clean order object for Google Sheets (only valid items)
-      const cleanOrder = {
-        ...order,
-        items: validItems // Replace with validated items
-      };
+      // Create a clean order object for Google Sheets (saved order, or only valid items)
+      const cleanOrder = savedOrder
+        ? { ...order, ...orderStore.toIntegrationOrder(savedOrder) }
+        : { ...order, items: validItems };
       
       console.log('📋 Sending to Google Sheets:', {
         customerName: cleanOrder.customerName || 'not provided',
@@ -5946,14 +3778,18 @@ wss.on('connection', (ws, req) => {
     
     // Send to POS system
     try {
-      await posSystems.sendOrderToPOS(order, config);
+      const posOrder = savedOrder ? { ...order, ...orderStore.toIntegrationOrder(savedOrder) } : order;
+      const posOrderId = await posSystems.sendOrderToPOS(posOrder, config);
+      if (savedOrder && posOrderId) {
+        orderStore.updateOrderStatus(savedOrder.callSid, 'sent_to_pos', { posOrderId });
+      }
     } catch (error) {
       console.error('Error sending to POS system:', error);
     }
     
     // CRITICAL: Send to Zapier (if configured) - NON-BLOCKING, fire-and-forget
     // This MUST NEVER block the call flow - Zapier errors should NOT affect calls
-    const zapierWebhookUrl = process.env.ZAPIER_WEBHOOK_URL;
+    const zapierWebhookUrl = config.integrations?.zapierWebhookUrl || process.env.ZAPIER_WEBHOOK_URL;
     if (zapierWebhookUrl) {
       // CRITICAL: Use setTimeout with 0 delay to ensure this runs AFTER the response is sent
       // This prevents any Zapier errors from affecting the call
@@ -6161,6 +3997,11 @@ posSystems.initializePOS();
     console.error('❌ Error initializing POS systems:', error);
     console.error('❌ Server will continue running - this is non-critical');
   }
+  
+  // Deliver anything left in the outbox from before a restart, then keep polling
+  if (orderOutbox) {
+    orderOutbox.start();
+  }
 }, 500); // Wait 500ms after server starts to initialize integrations
 
 console.log('WebSocket server ready');
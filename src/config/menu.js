@@ -66,6 +66,28 @@ const menu = {
   }
 };
 
+/**
+ * Pizza toppings (same shape as the Pizza_Toppings sheet: name, type, add-on price, notes)
+ * Prices are for a whole pizza - half toppings are charged at half price
+ */
+const toppings = [
+  { name: 'pepperoni', type: 'Meat', price: 1.50, notes: '' },
+  { name: 'sausage', type: 'Meat', price: 1.50, notes: '' },
+  { name: 'meatball', type: 'Meat', price: 1.50, notes: '' },
+  { name: 'ham', type: 'Meat', price: 1.50, notes: '' },
+  { name: 'bacon', type: 'Meat', price: 1.75, notes: '' },
+  { name: 'grilled chicken', type: 'Meat', price: 2.00, notes: '' },
+  { name: 'mushrooms', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'onions', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'green peppers', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'black olives', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'banana peppers', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'spinach', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'tomatoes', type: 'Veggie', price: 1.25, notes: '' },
+  { name: 'cheese', type: 'Cheese', price: 1.50, notes: 'Use amount "extra" for extra cheese' },
+  { name: 'ricotta', type: 'Cheese', price: 1.75, notes: '' }
+];
+
 /**
  * Get menu as structured object
  */
@@ -108,35 +130,48 @@ function getMenuText() {
     lines.push(`- ${name} (regular) - $${item.priceMap.regular.toFixed(2)}`);
   });
   
+  lines.push('\nPIZZA TOPPINGS (whole pizza price, half price on a half):');
+  const toppingsByType = {};
+  toppings.forEach(t => {
+    if (!toppingsByType[t.type]) {
+      toppingsByType[t.type] = [];
+    }
+    toppingsByType[t.type].push(`${t.name} +$${t.price.toFixed(2)}`);
+  });
+  Object.keys(toppingsByType).forEach(type => {
+    lines.push(`- ${type}: ${toppingsByType[type].join(', ')}`);
+  });
+  
   return lines.join('\n');
 }
 
 /**
  * Find menu item by name (case-insensitive, fuzzy matching)
+ * items defaults to this menu - pass another menu (same shape) to search it instead
  */
-function findMenuItem(itemName) {
+function findMenuItem(itemName, items = menu) {
   if (!itemName) return null;
   
   const lowerName = itemName.toLowerCase().trim();
   
   // Exact match
-  if (menu[lowerName]) {
-    return { name: lowerName, data: menu[lowerName] };
+  if (items[lowerName]) {
+    return { name: lowerName, data: items[lowerName] };
   }
   
   // Case-insensitive match
-  for (const menuItem in menu) {
+  for (const menuItem in items) {
     if (menuItem.toLowerCase() === lowerName) {
-      return { name: menuItem, data: menu[menuItem] };
+      return { name: menuItem, data: items[menuItem] };
     }
   }
   
   // Fuzzy match - check if all words in item name are in menu item
   const words = lowerName.split(/\s+/);
-  for (const menuItem in menu) {
+  for (const menuItem in items) {
     const menuWords = menuItem.toLowerCase().split(/\s+/);
     if (words.every(word => menuWords.some(mw => mw.includes(word) || word.includes(mw)))) {
-      return { name: menuItem, data: menu[menuItem] };
+      return { name: menuItem, data: items[menuItem] };
     }
   }
   
@@ -146,8 +181,8 @@ function findMenuItem(itemName) {
 /**
  * Get price for a menu item
  */
-function getPrice(itemName, size = 'regular') {
-  const found = findMenuItem(itemName);
+function getPrice(itemName, size = 'regular', items = menu) {
+  const found = findMenuItem(itemName, items);
   if (!found) return null;
   
   const priceMap = found.data.priceMap;
@@ -164,11 +199,43 @@ function getPrice(itemName, size = 'regular') {
   return null;
 }
 
+/**
+ * Get available pizza toppings
+ */
+function getToppings() {
+  return toppings;
+}
+
+/**
+ * Find topping by name (case-insensitive, tolerates singular/plural)
+ */
+function findTopping(toppingName, list = toppings) {
+  if (!toppingName) return null;
+  
+  const lowerName = toppingName.toLowerCase().trim();
+  const singular = (word) => word.replace(/oes$/, 'o').replace(/s$/, '');
+  
+  // Exact match
+  const exact = list.find(t => t.name.toLowerCase() === lowerName);
+  if (exact) {
+    return exact;
+  }
+  
+  // Fuzzy match - every word matches ignoring plurals ("mushroom" -> "mushrooms", "pepper" -> "green peppers")
+  const words = lowerName.split(/\s+/).map(singular);
+  return list.find(t => {
+    const toppingWords = t.name.toLowerCase().split(/\s+/).map(singular);
+    return words.every(word => toppingWords.includes(word));
+  }) || null;
+}
+
 module.exports = {
   getMenu,
   getMenuText,
   findMenuItem,
-  getPrice
+  getPrice,
+  getToppings,
+  findTopping
 };
 
 
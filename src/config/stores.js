@@ -0,0 +1,186 @@
+/**
+ * Store Registry
+ * Multi-store configuration keyed by the Twilio number that was called
+ *
+ * Stores are read from src/config/stores.json (override with STORES_CONFIG_PATH).
+ * Any value left null in the file falls back to the matching environment variable,
+ * so single-store deployments keep working without a registry entry per number.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MENU_PROVIDERS } = require('../services/menu-providers');
+const { AUDIO_FORMATS } = require('../utils/audio-codec');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'stores.json');
+
+let registry = null;
+
+/**
+ * Normalize a phone number for lookups (last 10 digits, so +1 prefixes don't matter)
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * Fill in defaults and environment fallbacks for a store entry
+ */
+function normalizeStore(store) {
+  const integrations = store.integrations || {};
+  const pos = integrations.pos || {};
+  const menuSheetId = store.menuSheetId || process.env.GOOGLE_SHEETS_MENU_ID || process.env.GOOGLE_SHEETS_ID || null;
+
+  return {
+    slug: store.slug,
+    name: store.name || 'Uncle Sal\'s Pizza',
+    location: store.location || '',
+    phoneNumbers: (store.phoneNumbers || []).map(normalizePhoneNumber).filter(Boolean),
+    timezone: store.timezone || 'America/New_York',
+    taxRate: typeof store.taxRate === 'number' ? store.taxRate : 0.08,
+    hours: store.hours || null,
+    afterHours: {
+      mode: 'message', // 'message', 'voicemail' or 'schedule'
+      message: null,
+      maxRecordingSeconds: 120,
+      ...store.afterHours
+    },
+    scheduling: {
+      minLeadMinutes: 20, // Earliest requested time is this many minutes out
+      maxDaysAhead: 7,
+      ...store.scheduling
+    },
+    kitchen: store.kitchen || {}, // Ready-time estimator overrides (prep minutes, oven capacity)
+    sms: {
+      enabled: true, // Order confirmation and "ready" texts
+      fromNumber: null, // Defaults to TWILIO_PHONE_NUMBER, then the store's first phone number
+      ...store.sms
+    },
+    transfer: {
+      maxRepeatedResponses: 2, // Hand off when the AI repeats itself this many times in a row
+      maxToolFailures: 3, // ...or when this many tool calls fail in a row
+      message: null, // Said to the caller before ringing staff
+      unavailableMessage: null, // Said if nobody picks up
+      ...store.transfer,
+      staffNumber: store.transfer?.staffNumber || process.env.STAFF_TRANSFER_NUMBER || null // Where "talk to a person" calls ring
+    },
+    transcripts: {
+      enabled: true, // Save each call's turns and tool calls (GET /api/calls/:callSid/transcript)
+      recordAudio: false, // Also keep WAV files of both audio legs (RECORDINGS_DIR)
+      ...store.transcripts
+    },
+    menuSheetId,
+    menu: {
+      path: null, // JSON/YAML menu for the file provider, relative to the project root
+      watch: false, // File provider: reload as soon as the file changes
+      cacheMinutes: null, // Sheets provider: re-read after this long (default 30)
+      ...store.menu,
+      provider: store.menu?.provider || (menuSheetId ? 'sheets' : 'builtin') // 'sheets', 'file', 'sqlite' or 'builtin'
+    },
+    audio: {
+      format: 'g711_ulaw', // Realtime audio format: 'g711_ulaw' (Twilio's own) or 'pcm16' (converted in the media stream)
+      ...store.audio
+    },
+    greeting: store.greeting || `Thanks for calling ${store.name || 'Uncle Sal\'s Pizza'}. What would you like to order?`,
+    voice: store.voice || 'alloy',
+    integrations: {
+      googleSheetsId: integrations.googleSheetsId || process.env.GOOGLE_SHEETS_ID || null,
+      zapierWebhookUrl: integrations.zapierWebhookUrl || process.env.ZAPIER_WEBHOOK_URL || null,
+      pos: {
+        ...pos,
+        system: (pos.system || process.env.POS_SYSTEM || 'none').toLowerCase()
+      }
+    }
+  };
+}
+
+/**
+ * Load the store registry from disk
+ */
+function loadStores(configPath = process.env.STORES_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  const stores = (raw.stores || []).map(normalizeStore);
+
+  if (stores.length === 0) {
+    throw new Error(`Store registry has no stores: ${configPath}`);
+  }
+
+  const missingSlug = stores.find(store => !store.slug);
+  if (missingSlug) {
+    throw new Error(`Store "${missingSlug.name}" is missing a slug in ${configPath}`);
+  }
+
+  const badMenu = stores.find(store => !MENU_PROVIDERS[store.menu.provider]);
+  if (badMenu) {
+    throw new Error(`Store "${badMenu.slug}" has unknown menu provider "${badMenu.menu.provider}" in ${configPath}`);
+  }
+
+  const badAudio = stores.find(store => !AUDIO_FORMATS.includes(store.audio.format));
+  if (badAudio) {
+    throw new Error(`Store "${badAudio.slug}" has unknown audio format "${badAudio.audio.format}" in ${configPath}`);
+  }
+
+  const defaultSlug = process.env.DEFAULT_CLIENT_SLUG || raw.defaultStore || stores[0].slug;
+  const defaultStore = stores.find(store => store.slug === defaultSlug) || stores[0];
+
+  const byPhone = new Map();
+  stores.forEach(store => {
+    store.phoneNumbers.forEach(phone => byPhone.set(phone, store));
+  });
+
+  registry = { stores, byPhone, defaultStore };
+  console.log(`✓ Store registry loaded: ${stores.length} store(s), default "${defaultStore.slug}"`);
+  return registry;
+}
+
+function getRegistry() {
+  return registry || loadStores();
+}
+
+/**
+ * Get store configuration for the Twilio number that was called
+ * Falls back to the default store for unknown or missing numbers
+ */
+function getStoreConfig(calledNumber) {
+  const { byPhone, defaultStore } = getRegistry();
+  const phone = normalizePhoneNumber(calledNumber);
+  return (phone && byPhone.get(phone)) || defaultStore;
+}
+
+/**
+ * Get store configuration by client slug (e.g. "unclesals")
+ */
+function getStoreBySlug(slug) {
+  return getRegistry().stores.find(store => store.slug === slug) || null;
+}
+
+/**
+ * List all configured stores
+ */
+function listStores() {
+  return getRegistry().stores;
+}
+
+/**
+ * Drop the cached registry so the next lookup re-reads the file
+ */
+function reloadStores() {
+  registry = null;
+  return getRegistry();
+}
+
+module.exports = {
+  getStoreConfig,
+  getStoreBySlug,
+  listStores,
+  loadStores,
+  reloadStores,
+  normalizePhoneNumber
+};
+
+
+
+
+
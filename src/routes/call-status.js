@@ -0,0 +1,61 @@
+/**
+ * Call Status Route
+ * Twilio status callback - logs completed calls for the analytics dashboard
+ * Configure in Twilio as: https://your-domain.com/api/calls/twilio-status
+ *
+ * Twilio gets its 200 straight away; logging happens afterwards and never throws,
+ * so analytics can't break a call.
+ */
+
+const { getStoreConfig } = require('../config/stores');
+
+/**
+ * Log a completed call to the analytics database
+ * @returns {boolean} True if the call was logged
+ */
+function logCompletedCall(body, now = new Date()) {
+  if (body.CallStatus !== 'completed') {
+    console.log(`📞 Status callback for ${body.CallSid} is '${body.CallStatus}' (not 'completed'), skipping log`);
+    return false;
+  }
+  if (process.env.ENABLE_ANALYTICS === 'false') {
+    return false;
+  }
+
+  try {
+    const { logCall } = require('../../apps/api/db');
+    const duration = parseInt(body.CallDuration || 0, 10);
+    const clientSlug = getStoreConfig(body.Called || body.To).slug;
+
+    logCall.run(
+      body.CallSid,
+      clientSlug,
+      now.toISOString().split('T')[0],
+      duration,
+      Math.round((duration / 60) * 100) / 100, // minutes_used
+      body.AnsweredBy !== 'machine' ? 1 : 0,
+      1 // ai_handled
+    );
+    console.log(`✓ Call logged: ${body.CallSid}, ${duration}s, ${clientSlug}`);
+    return true;
+  } catch (error) {
+    console.error('⚠️  Error logging call (non-critical):', error.message);
+    return false;
+  }
+}
+
+function handleCallStatus(req, res) {
+  const body = req.body || {};
+  console.log(`📞 Twilio status callback: ${body.CallSid} ${body.CallStatus} (${body.CallDuration || 0}s)`);
+
+  res.status(200).send('OK');
+  setImmediate(() => logCompletedCall(body));
+}
+
+module.exports = handleCallStatus;
+module.exports.logCompletedCall = logCompletedCall;
+
+
+
+
+
@@ -0,0 +1,63 @@
+/**
+ * Dashboard Routes
+ * Client analytics dashboard at /:clientSlug, kitchen board at /:clientSlug/kitchen,
+ * 86 board at /:clientSlug/stock and call detail at /:clientSlug/calls/:callSid
+ * (e.g. /unclesals, /unclesals/kitchen). Mount after the API and webhook routes.
+ */
+
+const express = require('express');
+const path = require('path');
+
+const router = express.Router();
+const PUBLIC_DIR = path.join(__dirname, '../../apps/dashboard/public');
+const RESERVED_PATHS = ['api', 'health', 'keepalive', 'media-stream', 'incoming-call', 'voicemail', 'transfer-whisper', 'transfer-status'];
+
+/**
+ * Client slugs are lowercase letters, numbers and hyphens (up to 50 characters)
+ */
+function isClientSlug(slug) {
+  return /^[a-z0-9-]{1,50}$/.test(slug) && !RESERVED_PATHS.some(reserved => slug === reserved || slug.startsWith('api'));
+}
+
+router.get('/:clientSlug', (req, res, next) => {
+  if (!isClientSlug(req.params.clientSlug)) {
+    return next();
+  }
+  console.log('📊 Dashboard route matched for:', req.params.clientSlug);
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+// Live orders from /api/orders/stream
+router.get('/:clientSlug/kitchen', (req, res, next) => {
+  if (!isClientSlug(req.params.clientSlug)) {
+    return next();
+  }
+  console.log('🍕 Kitchen board route matched for:', req.params.clientSlug);
+  res.sendFile(path.join(PUBLIC_DIR, 'kitchen.html'));
+});
+
+// Mark items, toppings and wing flavors out of stock (/api/stock)
+router.get('/:clientSlug/stock', (req, res, next) => {
+  if (!isClientSlug(req.params.clientSlug)) {
+    return next();
+  }
+  console.log('🚫 86 board route matched for:', req.params.clientSlug);
+  res.sendFile(path.join(PUBLIC_DIR, 'stock.html'));
+});
+
+// Transcript, recordings and order for one call (/api/calls/:callSid/transcript)
+router.get('/:clientSlug/calls/:callSid', (req, res, next) => {
+  if (!isClientSlug(req.params.clientSlug)) {
+    return next();
+  }
+  console.log('📝 Call detail route matched for:', req.params.clientSlug, req.params.callSid);
+  res.sendFile(path.join(PUBLIC_DIR, 'call.html'));
+});
+
+module.exports = router;
+module.exports.isClientSlug = isClientSlug;
+
+
+
+
+
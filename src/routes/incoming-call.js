@@ -5,6 +5,8 @@
  */
 
 const twilio = require('twilio');
+const { getStoreConfig } = require('../config/stores');
+const { getStoreStatus, addAfterHoursTwiml } = require('../services/business-hours');
 
 function handleIncomingCall(req, res) {
   try {
@@ -22,6 +24,19 @@ function handleIncomingCall(req, res) {
     // Create TwiML response
     const twiml = new twilio.twiml.VoiceResponse();
     
+    // Check business hours before connecting the AI
+    const storeConfig = getStoreConfig(calledNumber);
+    const storeStatus = getStoreStatus(storeConfig);
+    if (!storeStatus.acceptingOrders) {
+      console.log(`🌙 ${storeConfig.name} not taking orders (${storeStatus.reason}) - after-hours mode: ${storeConfig.afterHours.mode}`);
+      const connectStream = addAfterHoursTwiml(twiml, storeConfig, storeStatus);
+      if (!connectStream) {
+        res.type('text/xml');
+        res.send(twiml.toString());
+        return;
+      }
+    }
+    
     // Connect to Media Stream
     const connect = twiml.connect();
     const stream = connect.stream({
@@ -29,6 +44,10 @@ function handleIncomingCall(req, res) {
       name: callSid // Use CallSid as stream identifier
     });
     
+    // Pass call details to the media stream (Twilio drops query strings on stream URLs)
+    stream.parameter({ name: 'from', value: fromNumber || '' });
+    stream.parameter({ name: 'calledNumber', value: calledNumber || '' });
+    
     console.log(`✓ TwiML generated, connecting to: ${wsUrl}`);
     
     res.type('text/xml');
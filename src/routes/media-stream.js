@@ -7,24 +7,159 @@ const WebSocket = require('ws');
 const OrderManager = require('../services/order-manager');
 const OpenAIService = require('../services/openai-service');
 const Logger = require('../services/logger');
+const ReadyTimeEstimator = require('../services/ready-time-estimator');
+const SmsNotifier = require('../services/sms-notifier');
+const PlaybackTracker = require('../services/playback-tracker');
+const StaffTransfer = require('../services/staff-transfer');
+const CallHandoff = require('../services/call-handoff');
+const CallTranscript = require('../services/call-transcript');
+const CallRecorder = require('../services/call-recorder');
+const { getStoreConfig } = require('../config/stores');
+const { getCachedMenuData, getDefaultMenuData } = require('../services/menu-service');
+const { concatBase64, twilioToProvider, providerToTwilio } = require('../utils/audio-codec');
 
-function setupMediaStream(wss, logger) {
+// Order store (SQLite) is optional - without it orders only go to the logger
+let orderStore = null;
+let orderDelivery = null;
+let customerStore = null;
+let stockStore = null;
+try {
+  orderStore = require('../../apps/api/order-store');
+  orderDelivery = require('../../apps/api/order-delivery');
+  customerStore = require('../../apps/api/customer-store');
+  stockStore = require('../../apps/api/stock-store');
+} catch (error) {
+  console.warn('⚠️  Order store not available:', error.message);
+}
+
+function createReadyTimeEstimator() {
+  return orderStore
+    ? new ReadyTimeEstimator({ getQueuedOrders: (storeSlug, now) => orderStore.listKitchenQueue(storeSlug, now) })
+    : new ReadyTimeEstimator();
+}
+
+/**
+ * @param {Object} outbox - Optional order outbox; saved orders are delivered through it instead of the logger
+ * @param {SmsNotifier} smsNotifier - Texts the caller their confirmed order
+ * @param {StaffTransfer} staffTransfer - Hands calls to store staff
+ */
+function setupMediaStream(wss, logger, readyTimeEstimator = createReadyTimeEstimator(), outbox = null, smsNotifier = new SmsNotifier(), staffTransfer = new StaffTransfer()) {
   wss.on('connection', (ws, req) => {
     console.log('📡 Twilio Media Stream WebSocket connection received');
     
     let streamSid = null;
     let callSid = null;
     let fromNumber = null;
+    let storeConfig = null;
     let orderManager = null;
+    let orderFinalized = false;
     let openaiService = null;
+    let transcript = null;
+    let recorder = null;
     let audioBuffer = [];
     let audioBufferTimer = null;
+    let audioFormat = 'g711_ulaw';
+    
+    const sendToTwilio = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+    
+    // Barge-in: tracks what the caller has heard so their speech can cut the assistant off
+    const playback = new PlaybackTracker({
+      sendToTwilio,
+      truncate: (itemId, audioEndMs) => openaiService && openaiService.truncateItem(itemId, audioEndMs)
+    });
     
     // Extract stream identifier from URL query params
     const url = new URL(req.url, `http://${req.headers.host}`);
     const streamName = url.searchParams.get('name') || url.pathname.split('/').pop();
     callSid = streamName; // Use as callSid
     
+    // Quote the order (if the AI didn't ask for a ready time) and add it to the kitchen queue
+    // With the order store, saving the order is what puts it in the queue - returns the saved order
+    const queueInKitchen = () => {
+      const order = orderManager.getOrder();
+      const quote = order.readyTimeQuote || readyTimeEstimator.estimate(order, storeConfig);
+      orderManager.setReadyTimeQuote(quote);
+      
+      if (!orderStore) {
+        readyTimeEstimator.recordOrder(order, storeConfig, quote);
+        return null;
+      }
+      try {
+        const saved = orderStore.saveOrder(orderManager.getOrderForLogging(), storeConfig.slug);
+        console.log(`✓ Order saved to order store: #${saved.id}`);
+        customerStore.recordCustomerOrder(saved);
+        return saved;
+      } catch (error) {
+        console.error('Error saving order to order store:', error);
+        return null;
+      }
+    };
+    
+    // Text the caller their confirmed order (itemized, total, pickup/delivery and ETA)
+    const sendConfirmationText = () => {
+      smsNotifier.sendOrderConfirmation(orderManager.getOrder(), storeConfig)
+        .catch(error => console.error('Error sending confirmation text:', error));
+    };
+    
+    // Queue a saved order for delivery - the outbox retries until each destination accepts it
+    const deliverViaOutbox = (savedOrder, orderData) => {
+      if (!savedOrder || !outbox) {
+        return false;
+      }
+      outbox.enqueue(savedOrder, orderDelivery.getDeliveryJobs(storeConfig, orderData));
+      outbox.processDue().catch(error => console.error('Error processing outbox:', error));
+      orderManager.markAsLogged();
+      return true;
+    };
+    
+    // Queue, text and log the order once - Twilio sends 'stop' and then closes the socket, and
+    // logging is async, so the flag is set before any of it starts
+    const finalizeOrder = () => {
+      if (orderFinalized || !orderManager || !orderManager.isReadyToLog()) {
+        return;
+      }
+      orderFinalized = true;
+      
+      const savedOrder = queueInKitchen();
+      sendConfirmationText();
+      const orderData = orderManager.getOrderForLogging();
+      if (deliverViaOutbox(savedOrder, orderData)) {
+        return;
+      }
+      logger.logOrder(orderData, storeConfig.integrations.zapierWebhookUrl).then(result => {
+        if (result.success) {
+          orderManager.markAsLogged();
+          console.log('✓ Order logged successfully');
+        } else {
+          console.error('✗ Failed to log order after retries');
+        }
+      }).catch(error => {
+        console.error('Error logging order:', error);
+      });
+    };
+    
+    // Send buffered caller audio to OpenAI as one chunk
+    // Twilio frames are decoded and joined as bytes (padded base64 can't be joined as text)
+    const flushAudio = () => {
+      if (audioBuffer.length === 0 || !openaiService || !openaiService.isReady()) {
+        return;
+      }
+      const audio = twilioToProvider(concatBase64(audioBuffer), audioFormat);
+      openaiService.sendAudio(audio.toString('base64'));
+      audioBuffer = [];
+    };
+    
+    // Write the call's WAV capture, if the store records audio (only the first call does anything)
+    const saveRecording = () => {
+      if (recorder) {
+        recorder.save().catch(error => console.error('Error saving call audio:', error));
+      }
+    };
+    
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data.toString());
@@ -35,37 +170,101 @@ function setupMediaStream(wss, logger) {
             streamSid = message.start.streamSid;
             callSid = message.start.callSid || callSid;
             fromNumber = message.start.customParameters?.from || message.start.from || 'unknown';
+            storeConfig = getStoreConfig(message.start.customParameters?.calledNumber);
+            audioFormat = storeConfig.audio?.format || 'g711_ulaw';
+            playback.reset(streamSid);
+            
+            // Transcript (and optional WAV capture) for dispute resolution - keyed by Call SID like the order
+            transcript = new CallTranscript({ callSid, storeConfig });
+            recorder = new CallRecorder({ callSid, storeConfig });
+            
+            console.log(`✓ Stream started: ${streamSid} (CallSid: ${callSid}, From: ${fromNumber}, Store: ${storeConfig.slug})`);
             
-            console.log(`✓ Stream started: ${streamSid} (CallSid: ${callSid}, From: ${fromNumber})`);
+            // Store's menu (from its menu provider, pre-loaded at startup) - the built-in menu until it has loaded
+            // The call keeps this snapshot even if the menu is refreshed mid-call
+            const menuData = getCachedMenuData(storeConfig) || getDefaultMenuData();
+            console.log(`📋 Menu version ${menuData.version} (${menuData.source})`);
             
             // Initialize order manager
-            orderManager = new OrderManager(streamSid, callSid, fromNumber);
+            orderManager = new OrderManager(streamSid, callSid, fromNumber, storeConfig, {
+              menu: menuData.menu,
+              toppings: menuData.toppings,
+              wingOptions: menuData.wingOptions,
+              menuVersion: menuData.version,
+              // 86'd items are checked live - staff can mark something out mid-call
+              isOutOfStock: stockStore
+                ? (kind, name) => stockStore.isOutOfStock(storeConfig.slug, kind, name)
+                : undefined
+            });
+            
+            // Returning caller - greet them by name and offer their last order and address
+            if (customerStore) {
+              try {
+                orderManager.setCustomerProfile(customerStore.getCustomerProfile(storeConfig.slug, fromNumber));
+              } catch (error) {
+                console.error('Error looking up customer profile:', error);
+              }
+            }
+            
+            // Caller asks for a person, or the AI loops or keeps failing - hand the call to staff
+            const handoff = new CallHandoff({
+              callSid,
+              storeConfig,
+              staffTransfer,
+              getOrder: () => orderManager.getOrder(),
+              baseUrl: `https://${req.headers.host}`,
+              // The redirect failed - the AI apologizes and keeps taking the order
+              onTransferFailed: (message) => {
+                transcript.addEvent('Transfer to staff failed');
+                if (openaiService) {
+                  openaiService.sendSystemMessage(message);
+                }
+              }
+            });
             
             // Initialize OpenAI service
             openaiService = new OpenAIService(
               process.env.OPENAI_API_KEY,
               orderManager,
-              // onAudioCallback - send audio to Twilio
-              (audioBase64) => {
-                if (ws.readyState === WebSocket.OPEN) {
-                  // Convert base64 audio to format Twilio expects
-                  // Twilio expects mu-law PCM audio in base64
-                  // OpenAI sends PCM16, we need to convert or send as-is
-                  ws.send(JSON.stringify({
-                    event: 'media',
-                    streamSid: streamSid,
-                    media: {
-                      payload: audioBase64
-                    }
-                  }));
+              // onAudioCallback - send audio to Twilio, followed by a mark to track playback
+              (audioBase64, itemId) => {
+                if (ws.readyState !== WebSocket.OPEN || !playback.shouldPlay(itemId)) {
+                  return;
                 }
+                // Twilio plays 8kHz μ-law - g711_ulaw passes straight through, PCM16 is converted
+                const payload = audioFormat === 'g711_ulaw'
+                  ? audioBase64
+                  : providerToTwilio(Buffer.from(audioBase64, 'base64'), audioFormat).toString('base64');
+                sendToTwilio({
+                  event: 'media',
+                  streamSid: streamSid,
+                  media: {
+                    payload
+                  }
+                });
+                playback.onAudioSent(itemId, Buffer.byteLength(payload, 'base64'));
+                recorder.addAssistantAudio(Buffer.from(payload, 'base64'));
               },
               // onTranscriptCallback - handle user speech
-              (transcript) => {
-                console.log(`👤 User said: ${transcript}`);
-              }
+              (text) => {
+                console.log(`👤 User said: ${text}`);
+                transcript.addCaller(text);
+              },
+              storeConfig,
+              readyTimeEstimator,
+              menuData.menuText,
+              handoff
             );
             
+            openaiService.onSpeechStarted = () => {
+              const interrupted = playback.interrupt();
+              if (interrupted) {
+                transcript.addEvent(`Caller interrupted the assistant after ${interrupted.audioEndMs}ms`);
+              }
+            };
+            openaiService.onAssistantTranscript = (text) => transcript.addAssistant(text);
+            openaiService.onToolCall = (name, args, result) => transcript.addToolCall(name, args, result);
+            
             // Connect to OpenAI
             openaiService.connect().catch(error => {
               console.error('Error connecting to OpenAI:', error);
@@ -80,20 +279,22 @@ function setupMediaStream(wss, logger) {
               
               // Buffer audio and send in chunks to OpenAI
               audioBuffer.push(audioPayload);
+              if (recorder) {
+                recorder.addCallerAudio(Buffer.from(audioPayload, 'base64'));
+              }
               
               // Send buffered audio every 100ms
               if (!audioBufferTimer) {
-                audioBufferTimer = setInterval(() => {
-                  if (audioBuffer.length > 0 && openaiService && openaiService.isReady()) {
-                    const combinedAudio = audioBuffer.join('');
-                    openaiService.sendAudio(combinedAudio);
-                    audioBuffer = [];
-                  }
-                }, 100);
+                audioBufferTimer = setInterval(flushAudio, 100);
               }
             }
             break;
             
+          case 'mark':
+            // Twilio played the audio up to this mark
+            playback.onMark(message.mark?.name);
+            break;
+            
           case 'stop':
             // Stream stopped
             console.log(`Stream stopped: ${streamSid}`);
@@ -105,31 +306,16 @@ function setupMediaStream(wss, logger) {
             }
             
             // Send any remaining buffered audio
-            if (audioBuffer.length > 0 && openaiService && openaiService.isReady()) {
-              const combinedAudio = audioBuffer.join('');
-              openaiService.sendAudio(combinedAudio);
-              audioBuffer = [];
-            }
+            flushAudio();
             
             // Close OpenAI connection
             if (openaiService) {
               openaiService.close();
             }
+            saveRecording();
             
             // Log order if ready
-            if (orderManager && orderManager.isReadyToLog()) {
-              const orderData = orderManager.getOrderForLogging();
-              logger.logOrder(orderData).then(result => {
-                if (result.success) {
-                  orderManager.markAsLogged();
-                  console.log('✓ Order logged successfully');
-                } else {
-                  console.error('✗ Failed to log order after retries');
-                }
-              }).catch(error => {
-                console.error('Error logging order:', error);
-              });
-            }
+            finalizeOrder();
             
             break;
         }
@@ -152,19 +338,10 @@ function setupMediaStream(wss, logger) {
       if (openaiService) {
         openaiService.close();
       }
+      saveRecording();
       
-      // Log order if ready (fallback)
-      if (orderManager && orderManager.isReadyToLog() && !orderManager.getOrder().logged) {
-        const orderData = orderManager.getOrderForLogging();
-        logger.logOrder(orderData).then(result => {
-          if (result.success) {
-            orderManager.markAsLogged();
-            console.log('✓ Order logged successfully (on close)');
-          }
-        }).catch(error => {
-          console.error('Error logging order on close:', error);
-        });
-      }
+      // Log order if ready (fallback when the stream closed without a 'stop')
+      finalizeOrder();
       
       console.log('✓ Cleanup complete');
     });
@@ -0,0 +1,40 @@
+/**
+ * Staff Transfer Routes
+ * TwiML for calls the AI hands to store staff (see services/staff-transfer.js)
+ *
+ * GET /transfer-whisper?callSid= - the call's saved whisper, played to the staff member who answers before they're connected
+ * POST /transfer-status - <Dial> action: tells the caller if nobody picked up
+ */
+
+const twilio = require('twilio');
+const { getStoreConfig } = require('../config/stores');
+const { takeWhisper } = require('../services/staff-transfer');
+
+function handleTransferWhisper(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(takeWhisper(req.query.callSid) || 'Transferred call from the ordering line.');
+  res.type('text/xml');
+  res.send(twiml.toString());
+}
+
+function handleTransferStatus(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const { CallSid, DialCallStatus } = req.body || {};
+  console.log(`☎️  Staff transfer for ${CallSid} ended: ${DialCallStatus}`);
+
+  if (DialCallStatus !== 'completed') {
+    const storeConfig = getStoreConfig(req.body.Called || req.body.To);
+    twiml.say(storeConfig.transfer.unavailableMessage || 'Sorry, nobody at the store could pick up right now. Please call back in a few minutes. Goodbye.');
+  }
+  twiml.hangup();
+  res.type('text/xml');
+  res.send(twiml.toString());
+}
+
+module.exports = handleTransferWhisper;
+module.exports.handleTransferStatus = handleTransferStatus;
+
+
+
+
+
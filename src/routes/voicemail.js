@@ -0,0 +1,35 @@
+/**
+ * Voicemail Route
+ * Twilio <Record> action for after-hours voicemail
+ */
+
+const twilio = require('twilio');
+
+function handleVoicemail(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const { CallSid, From, RecordingUrl, RecordingDuration } = req.body;
+
+    if (RecordingUrl) {
+      console.log(`📼 Voicemail from ${From} (CallSid: ${CallSid}, ${RecordingDuration || 0}s): ${RecordingUrl}`);
+    } else {
+      console.log(`📼 Caller ${From} hung up without leaving a voicemail (CallSid: ${CallSid})`);
+    }
+
+    twiml.say('Thanks for your message. We\'ll get back to you soon. Goodbye.');
+  } catch (error) {
+    console.error('Error handling voicemail:', error);
+  }
+
+  twiml.hangup();
+  res.type('text/xml');
+  res.send(twiml.toString());
+}
+
+module.exports = handleVoicemail;
+
+
+
+
+
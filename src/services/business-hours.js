@@ -0,0 +1,341 @@
+/**
+ * Business Hours
+ * Decides whether a store is open (weekly hours, holiday overrides, last-order cutoff)
+ * and what to do with calls that come in after hours
+ *
+ * Hours live on the store entry in stores.json:
+ *   "hours": {
+ *     "weekly": { "monday": { "open": "11:00", "close": "22:00" }, "sunday": null, ... },
+ *     "holidays": { "2026-12-25": null, "2026-12-24": { "open": "11:00", "close": "16:00" } },
+ *     "lastOrderMinutesBeforeClose": 15
+ *   },
+ *   "afterHours": { "mode": "message" | "voicemail" | "schedule", "message": null }
+ *
+ * A close time at or before the open time means the store closes after midnight.
+ * Stores without hours are treated as always open.
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const AFTER_HOURS_MODES = ['message', 'voicemail', 'schedule'];
+
+/**
+ * Parse "HH:MM" (24-hour) into minutes after midnight
+ */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`Invalid time "${value}" - expected HH:MM`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Format minutes after midnight for speech (e.g. "10:30 PM")
+ */
+function formatClock(minutes) {
+  const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hour24 = Math.floor(normalized / 60);
+  const minute = normalized % 60;
+  const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+  return `${hour12}:${String(minute).padStart(2, '0')} ${hour24 < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Get the wall-clock date and time for a timezone
+ */
+function getLocalTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    dateKey,
+    weekday: getWeekday(dateKey),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function getWeekday(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to a Date
+ */
+function zonedTimeToDate(dateKey, minutes, timezone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, 0, minutes);
+  let result = target;
+
+  // Two passes settle the offset, including across DST changes
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalTime(new Date(result), timezone);
+    const [localYear, localMonth, localDay] = local.dateKey.split('-').map(Number);
+    result += target - Date.UTC(localYear, localMonth - 1, localDay, 0, local.minutes);
+  }
+  return new Date(result);
+}
+
+/**
+ * Get the opening interval for a calendar date (holiday overrides win over weekly hours)
+ * Returns { open, close, holiday } in minutes after midnight, or null when closed all day
+ */
+function getHoursForDate(hours, dateKey) {
+  const holidays = hours.holidays || {};
+  const isHoliday = Object.prototype.hasOwnProperty.call(holidays, dateKey);
+  const entry = isHoliday ? holidays[dateKey] : (hours.weekly || {})[getWeekday(dateKey)];
+
+  if (!entry || entry.closed) {
+    return isHoliday ? { closed: true, holiday: true } : null;
+  }
+
+  const open = parseClock(entry.open);
+  let close = parseClock(entry.close);
+  if (close <= open) {
+    close += MINUTES_PER_DAY; // Closes after midnight
+  }
+  return { open, close, holiday: isHoliday };
+}
+
+/**
+ * Describe a store's hours on a calendar date for speech (e.g. "open 11:00 AM to 10:00 PM")
+ */
+function describeHoursForDate(storeConfig, dateKey) {
+  if (!storeConfig?.hours) {
+    return 'open';
+  }
+  const interval = getHoursForDate(storeConfig.hours, dateKey);
+  if (!interval || interval.closed) {
+    return 'closed all day';
+  }
+  return `open ${formatClock(interval.open)} to ${formatClock(interval.close)}`;
+}
+
+/**
+ * Find the next opening after the given local time (searches one week ahead)
+ */
+function findNextOpening(hours, local) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const dateKey = shiftDateKey(local.dateKey, offset);
+    const interval = getHoursForDate(hours, dateKey);
+    if (!interval || interval.closed) continue;
+    if (offset === 0 && interval.open <= local.minutes) continue;
+
+    const dayLabel = offset === 0 ? 'today' : offset === 1 ? 'tomorrow' : getWeekday(dateKey).replace(/^\w/, c => c.toUpperCase());
+    return {
+      dateKey,
+      weekday: getWeekday(dateKey),
+      opensAt: formatClock(interval.open),
+      label: `${dayLabel} at ${formatClock(interval.open)}`
+    };
+  }
+  return null;
+}
+
+/**
+ * Get open/closed status for a store
+ * @param {Object} storeConfig - Store configuration from the store registry
+ * @param {Date} now - Current time (injectable for tests)
+ */
+function getStoreStatus(storeConfig, now = new Date()) {
+  const hours = storeConfig?.hours;
+  if (!hours) {
+    return {
+      isOpen: true,
+      acceptingOrders: true,
+      alwaysOpen: true,
+      reason: 'open',
+      minutesUntilClose: null,
+      minutesUntilLastOrder: null,
+      closesAt: null,
+      lastOrderAt: null,
+      nextOpen: null
+    };
+  }
+
+  const local = getLocalTime(now, storeConfig.timezone || 'America/New_York');
+  const lastOrderMinutes = hours.lastOrderMinutesBeforeClose || 0;
+
+  // Yesterday's hours may run past midnight into today
+  const candidates = [
+    { interval: getHoursForDate(hours, shiftDateKey(local.dateKey, -1)), minutes: local.minutes + MINUTES_PER_DAY },
+    { interval: getHoursForDate(hours, local.dateKey), minutes: local.minutes }
+  ];
+
+  const current = candidates.find(({ interval, minutes }) =>
+    interval && !interval.closed && minutes >= interval.open && minutes < interval.close
+  );
+
+  if (current) {
+    const minutesUntilClose = current.interval.close - current.minutes;
+    const minutesUntilLastOrder = minutesUntilClose - lastOrderMinutes;
+    const acceptingOrders = minutesUntilLastOrder > 0;
+    return {
+      isOpen: true,
+      acceptingOrders,
+      alwaysOpen: false,
+      reason: acceptingOrders ? 'open' : 'last_order_cutoff',
+      minutesUntilClose,
+      minutesUntilLastOrder: Math.max(minutesUntilLastOrder, 0),
+      closesAt: formatClock(current.interval.close),
+      lastOrderAt: formatClock(current.interval.close - lastOrderMinutes),
+      nextOpen: acceptingOrders ? null : findNextOpening(hours, local)
+    };
+  }
+
+  const today = candidates[1].interval;
+  return {
+    isOpen: false,
+    acceptingOrders: false,
+    alwaysOpen: false,
+    reason: today?.holiday ? 'holiday' : 'closed',
+    minutesUntilClose: null,
+    minutesUntilLastOrder: null,
+    closesAt: null,
+    lastOrderAt: null,
+    nextOpen: findNextOpening(hours, local)
+  };
+}
+
+/**
+ * When the store's next business day starts - used to restore 86'd items
+ * Anything 86'd today (even before opening) lasts until tomorrow's opening. A call after midnight during yesterday's late hours still belongs to yesterday, so
+ * today's opening counts. Stores without hours roll over at local midnight.
+ * @param {Object} storeConfig - Store configuration from the store registry
+ * @param {Date} now - Current time (injectable for tests)
+ */
+function getNextBusinessDayStart(storeConfig, now = new Date()) {
+  const timezone = storeConfig?.timezone || 'America/New_York';
+  const hours = storeConfig?.hours;
+  const local = getLocalTime(now, timezone);
+  const nextMidnight = zonedTimeToDate(shiftDateKey(local.dateKey, 1), 0, timezone);
+  if (!hours) {
+    return nextMidnight;
+  }
+
+  const yesterday = getHoursForDate(hours, shiftDateKey(local.dateKey, -1));
+  const inLateHours = yesterday && !yesterday.closed && local.minutes + MINUTES_PER_DAY < yesterday.close;
+  for (let offset = inLateHours ? 0 : 1; offset <= 7; offset++) {
+    const dateKey = shiftDateKey(local.dateKey, offset);
+    const interval = getHoursForDate(hours, dateKey);
+    if (interval && !interval.closed) {
+      return zonedTimeToDate(dateKey, interval.open, timezone);
+    }
+  }
+  return nextMidnight;
+}
+
+/**
+ * Get the after-hours mode for a store (defaults to a closed message)
+ */
+function getAfterHoursMode(storeConfig) {
+  const mode = storeConfig?.afterHours?.mode;
+  return AFTER_HOURS_MODES.includes(mode) ? mode : 'message';
+}
+
+/**
+ * Build the spoken message for callers who reach a store that isn't taking orders
+ */
+function getAfterHoursMessage(storeConfig, status) {
+  if (storeConfig?.afterHours?.message) {
+    return storeConfig.afterHours.message;
+  }
+
+  const storeName = storeConfig?.name || 'Uncle Sal\'s Pizza';
+  const closedText = status.reason === 'last_order_cutoff'
+    ? 'The kitchen has stopped taking orders for today.'
+    : 'We\'re closed right now.';
+  const reopenText = status.nextOpen ? ` We open again ${status.nextOpen.label}.` : '';
+
+  switch (getAfterHoursMode(storeConfig)) {
+    case 'voicemail':
+      return `Thanks for calling ${storeName}. ${closedText}${reopenText} Please leave a message after the beep.`;
+    case 'schedule':
+      return `Thanks for calling ${storeName}. ${closedText}${reopenText} I can still take an order for later.`;
+    default:
+      return `Thanks for calling ${storeName}. ${closedText}${reopenText} Goodbye.`;
+  }
+}
+
+/**
+ * Add after-hours verbs to a TwiML response
+ * Returns true when the call should still be connected to the media stream (schedule mode)
+ */
+function addAfterHoursTwiml(twiml, storeConfig, status) {
+  const mode = getAfterHoursMode(storeConfig);
+  twiml.say(getAfterHoursMessage(storeConfig, status));
+
+  if (mode === 'schedule') {
+    return true;
+  }
+
+  if (mode === 'voicemail') {
+    twiml.record({
+      action: '/voicemail',
+      method: 'POST',
+      maxLength: storeConfig.afterHours?.maxRecordingSeconds || 120,
+      playBeep: true
+    });
+  }
+
+  twiml.hangup();
+  return false;
+}
+
+/**
+ * Describe store hours for the AI prompt so it can warn callers about closing time
+ */
+function getHoursPromptContext(status) {
+  if (!status || status.alwaysOpen) {
+    return '';
+  }
+
+  if (status.acceptingOrders) {
+    let context = `STORE HOURS: Open now. Closes at ${status.closesAt} (${status.minutesUntilClose} min). Last orders at ${status.lastOrderAt}.`;
+    if (status.minutesUntilLastOrder <= 30) {
+      context += ` Tell the caller the kitchen stops taking orders in ${status.minutesUntilLastOrder} minutes.`;
+    }
+    return context;
+  }
+
+  const reopen = status.nextOpen ? ` Opens ${status.nextOpen.label}.` : '';
+  return `STORE HOURS: Not taking orders right now.${reopen} Only take orders for later - tell the caller it will be made after we open.`;
+}
+
+module.exports = {
+  getStoreStatus,
+  getAfterHoursMode,
+  getAfterHoursMessage,
+  addAfterHoursTwiml,
+  getHoursPromptContext,
+  getNextBusinessDayStart,
+  describeHoursForDate,
+  getLocalTime,
+  getWeekday,
+  shiftDateKey,
+  zonedTimeToDate,
+  formatClock,
+  parseClock
+};
+
+
+
+
+
@@ -0,0 +1,182 @@
+/**
+ * Call Handoff
+ * Decides when a live call should go to a person - one instance per call
+ *
+ * Triggers: the caller asks for a person, the AI keeps saying the same thing, or tool
+ * calls keep failing. The AI can also hand off itself with the transfer_to_staff tool.
+ * Limits come from the store's "transfer" settings; the transfer itself is StaffTransfer.
+ */
+
+// "let me talk to a person", "can I speak with the manager", "transfer me to someone"
+const CALLER_REQUEST_PATTERNS = [
+  /\b(talk|speak|transfer|connect|put)( me)?( through)? (to|with) (a|an|the|some|your)? ?(real |actual |live )?(person|human|someone|somebody|manager|employee|staff|representative|operator|agent|cashier)\b/,
+  /\b(real|actual|live) (person|human)\b/,
+  /\b(representative|operator)\b/
+];
+
+const MIN_LOOP_WORDS = 3; // Short answers ("Okay!") are allowed to repeat
+
+// Told to the AI when the redirect fails - it may already have said it's connecting them
+const TRANSFER_FAILED_MESSAGE = 'The transfer to the store didn\'t go through - the customer is still on the line with you. Apologize, say nobody can come to the phone right now, and keep helping them with their order.';
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9' ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether two AI responses say the same thing (exact match or mostly the same words)
+ */
+function isSimilarResponse(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  if (a === b) {
+    return true;
+  }
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.max(wordsA.size, wordsB.size) > 0.8;
+}
+
+/**
+ * Whether the caller is asking to speak to a person
+ */
+function isCallerAskingForPerson(text) {
+  const normalized = normalizeText(text);
+  return CALLER_REQUEST_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+class CallHandoff {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio Call SID of the live call
+   * @param {Object} options.storeConfig - Store configuration (staff number and limits in "transfer")
+   * @param {StaffTransfer} options.staffTransfer - Redirects the call
+   * @param {Function} options.getOrder - () => the order so far, for the staff whisper
+   * @param {string} options.baseUrl - Public URL of this server, for the transfer TwiML callbacks
+   * @param {Function} options.onTransferFailed - (message, result) => tell the AI, which is still on the call
+   */
+  constructor(options = {}) {
+    this.callSid = options.callSid;
+    this.storeConfig = options.storeConfig || {};
+    this.staffTransfer = options.staffTransfer;
+    this.getOrder = options.getOrder || (() => null);
+    this.baseUrl = options.baseUrl;
+    this.onTransferFailed = options.onTransferFailed || null;
+    this.limits = {
+      maxRepeatedResponses: this.storeConfig.transfer?.maxRepeatedResponses ?? 2,
+      maxToolFailures: this.storeConfig.transfer?.maxToolFailures ?? 3
+    };
+
+    this.state = 'idle'; // 'idle', 'transferring' or 'transferred'
+    this.reason = null;
+    this.lastResponse = null;
+    this.repeatedResponses = 0;
+    this.toolFailures = 0;
+  }
+
+  /**
+   * Whether the call can still be handed to staff
+   */
+  isAvailable() {
+    return this.state === 'idle' && !!this.staffTransfer && this.staffTransfer.isAvailable(this.storeConfig);
+  }
+
+  /**
+   * Hand the call to staff (only once per call)
+   * @returns {Promise<Object>} { transferred, reason }
+   */
+  async transfer(reason, details = null) {
+    if (!this.isAvailable()) {
+      return { transferred: false, reason: this.state === 'idle' ? 'not_configured' : 'already_transferring' };
+    }
+
+    this.state = 'transferring';
+    this.reason = reason;
+    console.log(`☎️  Handing call ${this.callSid} to staff: ${reason}${details ? ` (${details})` : ''}`);
+
+    let result;
+    try {
+      result = await this.staffTransfer.transfer({
+        callSid: this.callSid,
+        order: this.getOrder(),
+        reason,
+        storeConfig: this.storeConfig,
+        baseUrl: this.baseUrl
+      });
+    } catch (error) {
+      result = { transferred: false, reason: 'error', error: error.message };
+    }
+    // A failed transfer leaves the AI on the call - a later trigger can try again
+    this.state = result.transferred ? 'transferred' : 'idle';
+    if (!result.transferred && this.onTransferFailed) {
+      this.onTransferFailed(TRANSFER_FAILED_MESSAGE, result);
+    }
+    return result;
+  }
+
+  /**
+   * Start a transfer from a trigger without waiting for it
+   */
+  _trigger(reason, details) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+    this.transfer(reason, details).catch(error => console.error('Error handing call to staff:', error));
+    return true;
+  }
+
+  /**
+   * Check what the caller said - returns true if it started a transfer
+   */
+  checkCallerText(text) {
+    return isCallerAskingForPerson(text) && this._trigger('caller_request', text);
+  }
+
+  /**
+   * Check what the AI said for loops - returns true if it started a transfer
+   */
+  checkAiText(text) {
+    const normalized = normalizeText(text);
+    if (normalized.split(' ').length < MIN_LOOP_WORDS) {
+      return false;
+    }
+
+    this.repeatedResponses = isSimilarResponse(normalized, this.lastResponse) ? this.repeatedResponses + 1 : 0;
+    this.lastResponse = normalized;
+    if (this.repeatedResponses >= this.limits.maxRepeatedResponses) {
+      this.repeatedResponses = 0;
+      return this._trigger('repeated_loop', text);
+    }
+    return false;
+  }
+
+  /**
+   * Count tool results - returns true if failures in a row started a transfer
+   */
+  checkToolResult(name, result) {
+    if (name === 'transfer_to_staff') {
+      return false;
+    }
+    if (result?.success !== false) {
+      this.toolFailures = 0;
+      return false;
+    }
+
+    this.toolFailures++;
+    if (this.toolFailures >= this.limits.maxToolFailures) {
+      this.toolFailures = 0;
+      return this._trigger('tool_failures', `${name}: ${result.error?.message || 'failed'}`);
+    }
+    return false;
+  }
+}
+
+module.exports = CallHandoff;
+module.exports.isCallerAskingForPerson = isCallerAskingForPerson;
+
+
+
+
+
@@ -0,0 +1,123 @@
+/**
+ * Call Recorder
+ * Optional local WAV capture of both audio legs of a call (one instance per call)
+ *
+ * The caller leg is everything Twilio streamed in; the assistant leg is the audio sent back,
+ * padded with silence so both files line up on the same timeline. Files are written to
+ * RECORDINGS_DIR (default data/recordings) when the call ends. Turn it on per store with
+ * "transcripts": { "recordAudio": true } in stores.json - check local call-recording consent rules first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeMuLaw, encodeWav, TWILIO_SAMPLE_RATE } = require('../utils/audio-codec');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../../data/recordings');
+const MAX_RECORDING_SECONDS = 30 * 60; // Stop capturing after 30 minutes (about 29MB of WAV per leg)
+const MULAW_SILENCE = 0xff;
+
+/**
+ * Default: record the files on the call in the transcript store, if it's available
+ */
+function saveCallRecording(callSid, clientSlug, recording) {
+  try {
+    require('../../apps/api/transcript-store').saveCallRecording(callSid, clientSlug, recording);
+    return true;
+  } catch (error) {
+    console.error('⚠️  Error saving call recording (non-critical):', error.message);
+    return false;
+  }
+}
+
+class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio Call SID
+   * @param {Object} options.storeConfig - Store configuration from the store registry
+   * @param {string} options.dir - Where WAV files go (RECORDINGS_DIR, then data/recordings)
+   * @param {Function} options.saveRecording - (callSid, clientSlug, { callerPath, assistantPath, durationSec }) => void
+   */
+  constructor(options = {}) {
+    this.callSid = options.callSid;
+    this.clientSlug = options.storeConfig?.slug || 'default';
+    this.enabled = options.storeConfig?.transcripts?.recordAudio === true;
+    this.dir = options.dir || process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+    this.saveRecording = options.saveRecording || saveCallRecording;
+    this.maxBytes = MAX_RECORDING_SECONDS * TWILIO_SAMPLE_RATE;
+
+    this.caller = [];
+    this.callerBytes = 0;
+    this.assistant = [];
+    this.assistantBytes = 0;
+    this.saved = false;
+  }
+
+  /**
+   * Add 8kHz μ-law audio from the caller
+   */
+  addCallerAudio(mulaw) {
+    if (!this.enabled || this.saved || this.callerBytes >= this.maxBytes) {
+      return;
+    }
+    this.caller.push(mulaw);
+    this.callerBytes += mulaw.length;
+  }
+
+  /**
+   * Add 8kHz μ-law audio sent to the caller - silence fills the gap since the assistant last spoke
+   */
+  addAssistantAudio(mulaw) {
+    if (!this.enabled || this.saved || this.assistantBytes >= this.maxBytes) {
+      return;
+    }
+    const gap = Math.min(this.callerBytes, this.maxBytes) - this.assistantBytes;
+    if (gap > 0) {
+      this.assistant.push(Buffer.alloc(gap, MULAW_SILENCE));
+      this.assistantBytes += gap;
+    }
+    this.assistant.push(mulaw);
+    this.assistantBytes += mulaw.length;
+  }
+
+  /**
+   * Write both legs as WAV files and record them on the call (only once)
+   * @returns {Promise<Object|null>} { callerPath, assistantPath, durationSec } or null if nothing was saved
+   */
+  async save() {
+    if (!this.enabled || this.saved || !this.callSid || (this.callerBytes === 0 && this.assistantBytes === 0)) {
+      return null;
+    }
+    this.saved = true;
+
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const writeLeg = async (chunks, leg) => {
+        if (chunks.length === 0) return null;
+        const filePath = path.join(this.dir, `${this.callSid}-${leg}.wav`);
+        await fs.promises.writeFile(filePath, encodeWav(decodeMuLaw(Buffer.concat(chunks))));
+        return filePath;
+      };
+
+      const recording = {
+        callerPath: await writeLeg(this.caller, 'caller'),
+        assistantPath: await writeLeg(this.assistant, 'assistant'),
+        durationSec: Math.round(Math.max(this.callerBytes, this.assistantBytes) / TWILIO_SAMPLE_RATE * 10) / 10
+      };
+      this.caller = [];
+      this.assistant = [];
+      this.saveRecording(this.callSid, this.clientSlug, recording);
+      console.log(`🎙️  Call audio saved for ${this.callSid} (${recording.durationSec}s)`);
+      return recording;
+    } catch (error) {
+      console.error('⚠️  Error saving call audio (non-critical):', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = CallRecorder;
+
+
+
+
+
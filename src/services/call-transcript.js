@@ -0,0 +1,87 @@
+/**
+ * Call Transcript
+ * Saves what was said on a call - caller and assistant turns, tool calls with their
+ * arguments and results - to the transcript store as it happens (one instance per call)
+ *
+ * Saving never throws: a transcript problem must not break the call. Stores can turn
+ * transcripts off with "transcripts": { "enabled": false } in stores.json.
+ */
+
+/**
+ * Default store: the SQLite transcript store, if it's available
+ */
+function loadTranscriptStore() {
+  try {
+    return require('../../apps/api/transcript-store');
+  } catch (error) {
+    console.warn('⚠️  Transcript store not available:', error.message);
+    return null;
+  }
+}
+
+class CallTranscript {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio Call SID (links the transcript to the call's order)
+   * @param {Object} options.storeConfig - Store configuration from the store registry
+   * @param {Object} options.store - Anything with addTranscriptEntry(callSid, clientSlug, entry) - defaults to SQLite
+   * @param {Function} options.now - () => Date (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.callSid = options.callSid;
+    this.clientSlug = options.storeConfig?.slug || 'default';
+    this.enabled = options.storeConfig?.transcripts?.enabled !== false;
+    this.store = options.store || (this.enabled ? loadTranscriptStore() : null);
+    this.now = options.now || (() => new Date());
+  }
+
+  _add(entry) {
+    if (!this.enabled || !this.store || !this.callSid) {
+      return false;
+    }
+    try {
+      this.store.addTranscriptEntry(this.callSid, this.clientSlug, { ...entry, at: this.now() });
+      return true;
+    } catch (error) {
+      console.error('⚠️  Error saving transcript entry (non-critical):', error.message);
+      return false;
+    }
+  }
+
+  addCaller(text) {
+    return this._add({ role: 'caller', text });
+  }
+
+  addAssistant(text) {
+    return this._add({ role: 'assistant', text });
+  }
+
+  /**
+   * @param {Object|string} args - Arguments as sent by the AI (JSON strings are parsed when possible)
+   */
+  addToolCall(name, args, result) {
+    let parsed = args;
+    if (typeof args === 'string') {
+      try {
+        parsed = JSON.parse(args || '{}');
+      } catch (error) {
+        parsed = args;
+      }
+    }
+    return this._add({ role: 'tool', tool: { name, arguments: parsed, result } });
+  }
+
+  /**
+   * Something that happened on the call rather than something said (barge-in, staff transfer)
+   */
+  addEvent(text) {
+    return this._add({ role: 'event', text });
+  }
+}
+
+module.exports = CallTranscript;
+
+
+
+
+
@@ -16,8 +16,9 @@ class Logger {
   
   /**
    * Log order to Zapier webhook
+   * webhookUrl overrides the default webhook (per-store Zapier targets)
    */
-  async logOrder(orderData) {
+  async logOrder(orderData, webhookUrl = this.webhookUrl) {
     // Check idempotency - prevent duplicate logging
     const orderId = orderData.callSid || orderData.streamSid;
     if (this.loggedOrders.has(orderId)) {
@@ -29,7 +30,7 @@ class Logger {
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const result = await this._sendRequest(payload);
+        const result = await this._sendRequest(payload, webhookUrl);
         
         if (result.success) {
           // Mark as logged on success
@@ -63,10 +64,10 @@ class Logger {
   /**
    * Send HTTP request to Zapier webhook
    */
-  _sendRequest(payload) {
+  _sendRequest(payload, webhookUrl = this.webhookUrl) {
     return new Promise((resolve, reject) => {
       try {
-        const url = new URL(this.webhookUrl);
+        const url = new URL(webhookUrl);
         const isHttps = url.protocol === 'https:';
         const client = isHttps ? https : http;
         
@@ -0,0 +1,39 @@
+/**
+ * Built-in Menu Provider
+ * Serves the hardcoded menu from src/config/menu.js - used for stores without a menu source
+ * and as the fallback when a source can't be read
+ */
+
+const MenuProvider = require('./menu-provider');
+const { normalizeMenuData } = MenuProvider;
+const { getMenu, getMenuText, getToppings } = require('../../config/menu');
+
+/**
+ * Built-in menu in the normalized menu format
+ */
+function getDefaultMenuData() {
+  return normalizeMenuData({
+    menu: getMenu(),
+    menuText: getMenuText(),
+    toppings: getToppings()
+  }, { source: 'builtin' });
+}
+
+class BuiltinMenuProvider extends MenuProvider {
+  constructor(storeConfig, options = {}) {
+    super(storeConfig, options);
+    this.type = 'builtin';
+  }
+
+  async fetch() {
+    return { menu: getMenu(), menuText: getMenuText(), toppings: getToppings() };
+  }
+}
+
+module.exports = BuiltinMenuProvider;
+module.exports.getDefaultMenuData = getDefaultMenuData;
+
+
+
+
+
@@ -0,0 +1,108 @@
+/**
+ * File Menu Provider
+ * Reads a store's menu from a local JSON or YAML file (menu.path in stores.json,
+ * relative to the project root). With "watch": true the menu is re-read as soon as the file is saved.
+ *
+ * File format (YAML shown, JSON uses the same keys):
+ *   items:
+ *     - name: Cheese Pizza
+ *       category: Pizza
+ *       description: Classic mozzarella
+ *       priceMap: { small: 12.99, large: 18.99 }
+ *     - name: Garlic Knots
+ *       category: Sides
+ *       price: 6.99              # single price -> size "regular"
+ *       inStock: false           # left off the menu
+ *   toppings:
+ *     - { name: Pepperoni, type: Meat, price: 1.5 }
+ *   sizeGuide:
+ *     - { itemType: Pizza, size: Small, price: 12.99 }
+ *   wingOptions:
+ *     pieceCounts: [{ name: 10 Pieces, price: 13.99 }]
+ *     flavors: [Buffalo, BBQ]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MenuProvider = require('./menu-provider');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../../..');
+const WATCH_DEBOUNCE_MS = 300; // Editors write a file in several steps - wait for them to finish
+
+/**
+ * Parse menu file contents by extension (.json, .yaml or .yml)
+ */
+function parseMenuFile(contents, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    return require('js-yaml').load(contents) || {};
+  }
+  if (extension === '.json') {
+    return JSON.parse(contents);
+  }
+  throw new Error(`Unsupported menu file type "${extension}" - use .json, .yaml or .yml`);
+}
+
+class FileMenuProvider extends MenuProvider {
+  constructor(storeConfig, options = {}) {
+    super(storeConfig, options);
+    this.type = 'file';
+    const menuPath = options.path || this.storeConfig.menu?.path;
+    this.filePath = menuPath ? path.resolve(PROJECT_ROOT, menuPath) : null;
+    this.watcher = null;
+    this.watchTimer = null;
+  }
+
+  async fetch() {
+    if (!this.filePath) {
+      throw new Error('menu.path not set for the file menu provider');
+    }
+    const contents = await fs.promises.readFile(this.filePath, 'utf-8');
+    return parseMenuFile(contents, this.filePath);
+  }
+
+  /**
+   * Watch the menu file's directory (editors often replace the file rather than write to it)
+   */
+  watch() {
+    if (this.watcher) {
+      return true;
+    }
+    if (!this.filePath) {
+      return false;
+    }
+
+    const fileName = path.basename(this.filePath);
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) {
+        return;
+      }
+      clearTimeout(this.watchTimer);
+      this.watchTimer = setTimeout(() => {
+        console.log(`📋 Menu file changed, reloading: ${this.filePath}`);
+        this.refresh();
+      }, WATCH_DEBOUNCE_MS);
+      this.watchTimer.unref();
+    });
+    this.watcher.on('error', error => console.error(`❌ Error watching menu file ${this.filePath}:`, error.message));
+    this.watcher.unref(); // Watching doesn't keep the process alive
+    console.log(`👀 Watching menu file: ${this.filePath}`);
+    return true;
+  }
+
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = FileMenuProvider;
+module.exports.parseMenuFile = parseMenuFile;
+
+
+
+
+
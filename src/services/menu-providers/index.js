@@ -0,0 +1,58 @@
+/**
+ * Menu Providers
+ * Picks the menu source for a store from the "menu" entry in stores.json:
+ *   "menu": { "provider": "sheets" }                                 // menuSheetId (default when set)
+ *   "menu": { "provider": "file", "path": "menus/unclesals.yaml" }   // JSON or YAML
+ *   "menu": { "provider": "sqlite" }                                 // menu tables, by store slug
+ *   "menu": { "provider": "builtin" }                                // src/config/menu.js (default otherwise)
+ */
+
+const MenuProvider = require('./menu-provider');
+const SheetsMenuProvider = require('./sheets-provider');
+const FileMenuProvider = require('./file-provider');
+const SqliteMenuProvider = require('./sqlite-provider');
+const BuiltinMenuProvider = require('./builtin-provider');
+
+const MENU_PROVIDERS = {
+  sheets: SheetsMenuProvider,
+  file: FileMenuProvider,
+  sqlite: SqliteMenuProvider,
+  builtin: BuiltinMenuProvider
+};
+
+/**
+ * Provider type for a store - stores without a "menu" entry use their menu sheet if they have one
+ */
+function getMenuProviderType(storeConfig) {
+  return storeConfig?.menu?.provider || (storeConfig?.menuSheetId ? 'sheets' : 'builtin');
+}
+
+/**
+ * Create the menu provider configured for a store
+ */
+function createMenuProvider(storeConfig, options = {}) {
+  const type = getMenuProviderType(storeConfig);
+  const Provider = MENU_PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown menu provider "${type}" - use ${Object.keys(MENU_PROVIDERS).join(', ')}`);
+  }
+  return new Provider(storeConfig, options);
+}
+
+module.exports = {
+  createMenuProvider,
+  getMenuProviderType,
+  MENU_PROVIDERS,
+  MenuProvider,
+  SheetsMenuProvider,
+  FileMenuProvider,
+  SqliteMenuProvider,
+  BuiltinMenuProvider,
+  normalizeMenuData: MenuProvider.normalizeMenuData,
+  getDefaultMenuData: BuiltinMenuProvider.getDefaultMenuData
+};
+
+
+
+
+
@@ -0,0 +1,405 @@
+/**
+ * Menu Provider
+ * Base class for menu sources (Google Sheets, JSON/YAML file, SQLite, built-in menu)
+ *
+ * A provider reads its source with fetch() and the base class turns the result into the
+ * normalized menu every caller uses:
+ *   {
+ *     version,       // Content hash - unchanged menus keep the same version
+ *     source,        // Provider type ('sheets', 'file', 'sqlite', 'builtin')
+ *     loadedAt,
+ *     items,         // items[itemName] = { sizes, priceMap, category, description } (names lowercase)
+ *     menu,          // Same object as items (what OrderManager and the tools call the menu)
+ *     categories,    // Category names, sorted
+ *     toppings,      // [{ name, type, price, notes }]
+ *     sizeGuide,     // [{ itemType, size, price, modifier? }] - modifier: price is added to the item's price
+ *     wingOptions,   // { flavors, pieceCounts, dressings, extras } - each [{ name, price, notes }]
+ *     menuText,      // Menu formatted for the AI prompt
+ *     issues         // Problems found reading the source - see menu-validator.js
+ *   }
+ */
+
+const crypto = require('crypto');
+const { validateMenu, describeReport } = require('../menu-validator');
+
+const WING_OPTION_LISTS = ['flavors', 'pieceCounts', 'dressings', 'extras'];
+const MAX_SNAPSHOTS = 5; // Menu versions kept per store for calls that started on an older menu
+
+/**
+ * Parse a price from a sheet cell, file or database ("$12.99", "12.99", 12.99) - 0 when blank
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+  return parseFloat(String(value ?? '').trim().replace(/^\$/, '')) || 0;
+}
+
+/**
+ * A price that was filled in but isn't a number ("TBD", "market") - parsePrice() reads it as 0
+ */
+function isUnparseablePrice(value) {
+  if (typeof value === 'number') {
+    return !Number.isFinite(value);
+  }
+  const cleaned = String(value ?? '').trim().replace(/^\$/, '');
+  return cleaned !== '' && isNaN(parseFloat(cleaned));
+}
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Normalize one menu item - sizes come from the price map when they aren't listed
+ * A single "price" applies to every listed size (or "regular")
+ * Prices that aren't numbers are added to issues (for the menu validator)
+ */
+function normalizeItem(item, issues = [], itemName = text(item.name).toLowerCase()) {
+  const readPrice = (value) => {
+    if (isUnparseablePrice(value)) {
+      issues.push({ code: 'unparseable_price', item: itemName, message: `Price "${value}" for ${itemName} is not a number` });
+    }
+    return parsePrice(value);
+  };
+
+  const priceMap = {};
+  Object.entries(item.priceMap || item.prices || {}).forEach(([size, price]) => {
+    priceMap[text(size).toLowerCase()] = readPrice(price);
+  });
+
+  let sizes = (item.sizes || []).map(size => text(size).toLowerCase()).filter(Boolean);
+  if (sizes.length === 0) {
+    sizes = Object.keys(priceMap);
+  }
+  if (sizes.length === 0) {
+    sizes = ['regular'];
+  }
+  sizes.forEach(size => {
+    if (!(size in priceMap)) {
+      priceMap[size] = readPrice(item.price);
+    }
+  });
+
+  return {
+    sizes,
+    priceMap,
+    category: text(item.category),
+    description: text(item.description)
+  };
+}
+
+/**
+ * Items can be a list of { name, ... } or an object keyed by item name
+ * Items marked inStock: false are left off the menu; the first of two items with the same name is kept
+ */
+function normalizeItems(rawItems, issues = []) {
+  const entries = Array.isArray(rawItems)
+    ? rawItems.map(item => [item && item.name, item])
+    : Object.entries(rawItems || {});
+
+  const items = {};
+  entries.forEach(([name, item]) => {
+    const itemName = text(name).toLowerCase();
+    if (!itemName || !item || item.inStock === false) {
+      return;
+    }
+    const normalized = normalizeItem(item, issues, itemName);
+    if (itemName in items) {
+      issues.push(getDuplicateIssue(itemName, items[itemName].priceMap, normalized.priceMap));
+      return;
+    }
+    items[itemName] = normalized;
+  });
+  return items;
+}
+
+/**
+ * Issue for an item listed twice - conflicting prices make it a different issue code than a plain repeat
+ */
+function getDuplicateIssue(itemName, keptPrices, duplicatePrices) {
+  const conflicting = JSON.stringify(keptPrices) !== JSON.stringify(duplicatePrices);
+  return conflicting
+    ? { code: 'conflicting_duplicate_item', item: itemName, message: `${itemName} is listed more than once with different prices` }
+    : { code: 'duplicate_item', item: itemName, message: `${itemName} is listed more than once` };
+}
+
+function normalizeOption(option) {
+  if (typeof option === 'string') {
+    return { name: option.trim(), price: 0, notes: '' };
+  }
+  return { name: text(option.name), price: parsePrice(option.price), notes: text(option.notes) };
+}
+
+function normalizeWingOptions(raw = {}) {
+  const wingOptions = {};
+  WING_OPTION_LISTS.forEach(list => {
+    wingOptions[list] = (raw[list] || []).map(normalizeOption).filter(option => option.name);
+  });
+  return wingOptions;
+}
+
+/**
+ * Build the normalized menu from whatever a provider read
+ * @param {Object} raw - { items | menu, toppings, sizeGuide, wingOptions, menuText }
+ * @param {Object} options - { source }
+ */
+function normalizeMenuData(raw = {}, { source = 'unknown' } = {}) {
+  const issues = [...(raw.issues || [])]; // Problems the provider found reading the source (e.g. skipped sheet rows)
+  const items = normalizeItems(raw.items || raw.menu, issues);
+  const toppings = (raw.toppings || [])
+    .map(topping => (typeof topping === 'string' ? { name: topping } : topping))
+    .map(topping => ({ ...normalizeOption(topping), type: text(topping.type) }))
+    .filter(topping => topping.name)
+    .map(({ name, type, price, notes }) => ({ name, type, price, notes }));
+  const sizeGuide = (raw.sizeGuide || [])
+    .map(entry => ({
+      itemType: text(entry.itemType),
+      size: text(entry.size),
+      price: parsePrice(entry.price),
+      ...(entry.modifier && { modifier: true })
+    }))
+    .filter(entry => entry.itemType && entry.size);
+  const wingOptions = normalizeWingOptions(raw.wingOptions);
+  const categories = [...new Set(Object.values(items).map(item => item.category).filter(Boolean))].sort();
+
+  return {
+    version: getMenuVersion({ items, toppings, sizeGuide, wingOptions }),
+    source,
+    loadedAt: new Date().toISOString(),
+    items,
+    menu: items,
+    categories,
+    toppings,
+    sizeGuide,
+    wingOptions,
+    menuText: raw.menuText || formatMenuText(items, toppings, sizeGuide),
+    issues
+  };
+}
+
+/**
+ * Short content hash of a menu
+ */
+function getMenuVersion({ items, toppings, sizeGuide, wingOptions }) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify({ items, toppings, sizeGuide, wingOptions }))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Format menu object into text for AI prompt
+ */
+function formatMenuText(menu, toppings = [], sizeGuide = []) {
+  const categories = {};
+
+  Object.keys(menu).forEach(itemName => {
+    const item = menu[itemName];
+    const category = item.category || 'Other';
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+
+    const price = item.priceMap[item.sizes[0]] || 0;
+    const descInfo = item.description ? ` - ${item.description}` : '';
+    // Sizes priced differently are listed with their own prices so the AI quotes the right one
+    const perSize = item.sizes.length > 1 && item.sizes.some(size => (item.priceMap[size] || 0) !== price);
+    if (perSize) {
+      const sizePrices = item.sizes.map(size => `${size} $${(item.priceMap[size] || 0).toFixed(2)}`).join(', ');
+      categories[category].push(`${itemName} (${sizePrices})${descInfo}`);
+      return;
+    }
+    const sizeInfo = item.sizes && item.sizes.length > 1 ? ` (sizes: ${item.sizes.join(', ')})` : '';
+    categories[category].push(`${itemName} ($${price.toFixed(2)})${sizeInfo}${descInfo}`);
+  });
+
+  let menuText = '';
+  Object.keys(categories).sort().forEach(category => {
+    menuText += `${category}:\n${categories[category].join(', ')}\n\n`;
+  });
+
+  if (toppings.length > 0) {
+    const toppingsByType = {};
+    toppings.forEach(t => {
+      const type = t.type || 'Other';
+      toppingsByType[type] = toppingsByType[type] || [];
+      toppingsByType[type].push(`${t.name} (+$${t.price.toFixed(2)})`);
+    });
+    menuText += '\nAVAILABLE TOPPINGS:\n';
+    Object.keys(toppingsByType).forEach(type => {
+      menuText += `${type}: ${toppingsByType[type].join(', ')}\n`;
+    });
+  }
+
+  if (sizeGuide.length > 0) {
+    const sizesByItem = {};
+    sizeGuide.forEach(s => {
+      sizesByItem[s.itemType] = sizesByItem[s.itemType] || [];
+      const price = s.modifier ? `${s.price < 0 ? '-' : '+'}$${Math.abs(s.price).toFixed(2)}` : `$${s.price.toFixed(2)}`;
+      sizesByItem[s.itemType].push(`${s.size} (${price})`);
+    });
+    menuText += '\nSIZE OPTIONS:\n';
+    Object.keys(sizesByItem).forEach(itemType => {
+      menuText += `${itemType}: ${sizesByItem[itemType].join(', ')}\n`;
+    });
+  }
+
+  return menuText.trim();
+}
+
+/**
+ * Freeze a menu snapshot so no caller can change the menu another call is using
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+class MenuProvider {
+  /**
+   * @param {Object} storeConfig - Store configuration from the store registry
+   * @param {Object} options
+   * @param {number} options.maxAgeMs - Re-read the source on load() once the menu is this old (null = never)
+   */
+  constructor(storeConfig = {}, options = {}) {
+    this.storeConfig = storeConfig || {};
+    this.type = 'base';
+    this.maxAgeMs = options.maxAgeMs ?? null;
+    this.current = null;
+    this.loadedAt = null;
+    this.lastReport = null; // Lint report from the last read of the source
+    this.lastError = null; // Why the last refresh kept the previous menu (null when it succeeded)
+    this.snapshots = new Map(); // version -> frozen menu, newest last
+    this.pending = null;
+  }
+
+  /**
+   * Read the raw menu from the source - implemented by each provider
+   * @returns {Promise<Object>} { items | menu, toppings, sizeGuide, wingOptions, menuText }
+   */
+  async fetch() {
+    throw new Error(`${this.type} menu provider does not implement fetch()`);
+  }
+
+  /**
+   * Get the menu, reading the source the first time and once the menu is older than maxAgeMs
+   */
+  async load() {
+    if (this.current && !this.isStale()) {
+      return this.current;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Re-read the source now. If it fails the last good menu is kept; before any menu has
+   * loaded the built-in menu is returned (and the source is tried again on the next load)
+   */
+  refresh() {
+    // Calls that arrive while the source is being read share the same read
+    if (!this.pending) {
+      this.pending = this._refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async _refresh() {
+    const storeSlug = this.storeConfig.slug || 'default';
+    try {
+      const { menuData, report } = await this.lint();
+      if (!report.valid) {
+        throw new Error(`menu has fatal issues - ${describeReport(report)}`);
+      }
+      this.lastError = null;
+      if (report.warningCount > 0) {
+        console.warn(`⚠️  Menu for ${storeSlug}: ${describeReport(report)}`);
+      }
+
+      if (this.current && this.current.version === menuData.version) {
+        this.loadedAt = Date.now();
+        return this.current;
+      }
+      // Each version is a new frozen snapshot - calls already holding the old one keep it unchanged
+      this.current = deepFreeze(menuData);
+      this.loadedAt = Date.now();
+      this.snapshots.set(menuData.version, this.current);
+      if (this.snapshots.size > MAX_SNAPSHOTS) {
+        this.snapshots.delete(this.snapshots.keys().next().value);
+      }
+      console.log(`✅ Menu loaded for ${storeSlug} from ${this.type}: ${report.itemCount} items, ${menuData.toppings.length} toppings, version ${menuData.version}`);
+      return menuData;
+    } catch (error) {
+      console.error(`❌ Error loading ${this.type} menu for ${storeSlug}:`, error.message);
+      this.lastError = error.message;
+      if (this.current) {
+        console.error(`⚠️  Keeping menu version ${this.current.version}`);
+        return this.current;
+      }
+      console.error('❌ Using default menu as fallback');
+      const { getDefaultMenuData } = require('./builtin-provider');
+      return getDefaultMenuData();
+    }
+  }
+
+  /**
+   * Read and validate the source without swapping the menu in
+   * @returns {Promise<Object>} { menuData, report }
+   */
+  async lint() {
+    const menuData = normalizeMenuData(await this.fetch(), { source: this.type });
+    const report = validateMenu(menuData);
+    this.lastReport = { ...report, checkedAt: new Date().toISOString() };
+    return { menuData, report: this.lastReport };
+  }
+
+  /**
+   * Loaded menu, without reading the source (null until the first successful load)
+   */
+  getMenu() {
+    return this.current;
+  }
+
+  /**
+   * A menu version this provider has served (null once it's older than the last MAX_SNAPSHOTS)
+   */
+  getSnapshot(version) {
+    return this.snapshots.get(version) || null;
+  }
+
+  /**
+   * Re-read the menu whenever the source changes - providers that can watch their source override this
+   * @returns {boolean} Whether the source is being watched
+   */
+  watch() {
+    return false;
+  }
+
+  unwatch() {}
+
+  /**
+   * Version of the loaded menu (null until the first successful load)
+   */
+  get version() {
+    return this.current ? this.current.version : null;
+  }
+
+  isStale(now = Date.now()) {
+    return !this.current || (this.maxAgeMs !== null && now - this.loadedAt >= this.maxAgeMs);
+  }
+}
+
+module.exports = MenuProvider;
+module.exports.normalizeMenuData = normalizeMenuData;
+module.exports.formatMenuText = formatMenuText;
+module.exports.normalizeItem = normalizeItem;
+module.exports.getDuplicateIssue = getDuplicateIssue;
+module.exports.parsePrice = parsePrice;
+
+
+
+
+
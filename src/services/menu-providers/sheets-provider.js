@@ -0,0 +1,411 @@
+/**
+ * Google Sheets Menu Provider
+ * Reads a store's menu sheet (Menu Items, Pizza_Toppings, Size_Guide, Wing_Options tabs)
+ * Tab names can be changed with GOOGLE_SHEETS_MENU_SHEET, GOOGLE_SHEETS_TOPPINGS_SHEET,
+ * GOOGLE_SHEETS_SIZE_GUIDE_SHEET and GOOGLE_SHEETS_WING_SHEET
+ */
+
+const path = require('path');
+const fs = require('fs');
+const MenuProvider = require('./menu-provider');
+const { formatMenuText, getDuplicateIssue } = MenuProvider;
+
+const MENU_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes unless the store sets menu.cacheMinutes - POST /api/admin/menu/:clientSlug/refresh reloads now
+
+// Size names recognized as per-size price column headers, on top of the Size_Guide sizes
+const STANDARD_SIZES = ['personal', 'small', 'medium', 'large', 'x-large', 'extra large', 'family'];
+
+/**
+ * Build Google auth from GOOGLE_SHEETS_CREDENTIALS_BASE64 (cloud) or GOOGLE_SHEETS_CREDENTIALS_PATH (local)
+ * Returns null (with a warning) when credentials are missing or unreadable
+ */
+function getSheetsAuth(google) {
+  const credentialsPath = process.env.GOOGLE_SHEETS_CREDENTIALS_PATH;
+  const credentialsBase64 = process.env.GOOGLE_SHEETS_CREDENTIALS_BASE64;
+  const scopes = ['https://www.googleapis.com/auth/spreadsheets.readonly'];
+
+  if (credentialsBase64) {
+    try {
+      // Clean the base64 string: remove whitespace, newlines, and any trailing characters
+      const cleanedBase64 = credentialsBase64.trim().replace(/\s/g, '').replace(/[^A-Za-z0-9+/=]/g, '');
+      if (cleanedBase64.length < 100) {
+        console.warn('⚠️  Base64 credentials string is too short, skipping the menu sheet');
+        return null;
+      }
+      const credentials = JSON.parse(Buffer.from(cleanedBase64, 'base64').toString('utf-8'));
+      if (credentials.client_email) {
+        console.log('📧 Service Account Email:', credentials.client_email);
+      }
+      return new google.auth.GoogleAuth({ credentials, scopes });
+    } catch (error) {
+      console.error('❌ Failed to parse base64 credentials for menu:', error.message);
+      return null;
+    }
+  }
+
+  if (credentialsPath) {
+    const keyFile = path.isAbsolute(credentialsPath)
+      ? credentialsPath
+      : path.resolve(__dirname, '../../..', credentialsPath.replace(/^\.\//, ''));
+    if (!fs.existsSync(keyFile)) {
+      console.warn('⚠️  Credentials file not found, skipping the menu sheet');
+      return null;
+    }
+    return new google.auth.GoogleAuth({ keyFile, scopes });
+  }
+
+  console.warn('⚠️  GOOGLE_SHEETS_CREDENTIALS_PATH or GOOGLE_SHEETS_CREDENTIALS_BASE64 not set, skipping the menu sheet');
+  return null;
+}
+
+/**
+ * Read one sheet range - returns [] (with a warning) if the tab is missing or unreadable
+ */
+async function fetchRows(sheets, spreadsheetId, range) {
+  try {
+    const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+    return response.data.values || [];
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch ${range}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Find per-size price columns after the description from the header row
+ * Headers like "Small", "Large Price" or "Price (Large)" name a size from the Size_Guide (or a standard size)
+ * @returns {Array} [{ index, size }]
+ */
+function getSizeColumns(header = [], sizeGuide = []) {
+  const knownSizes = new Set([...STANDARD_SIZES, ...sizeGuide.map(sg => (sg.size || '').toLowerCase())]);
+  const columns = [];
+  header.forEach((cell, index) => {
+    const size = (cell || '').toString().toLowerCase().replace(/price|[$()]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (index > 4 && size && knownSizes.has(size)) {
+      columns.push({ index, size });
+    }
+  });
+  return columns;
+}
+
+/**
+ * Price each of an item's sizes from its Size_Guide entries
+ * Size_Guide prices are either modifiers added to the item's price ("+3.00", or 0 for the first size)
+ * or prices for the item type ("12.99", "18.99") - then the item keeps the same step between sizes,
+ * with its own price (column D) as the size whose type price it matches, or else the first size
+ */
+function getSizePrices(price, sizes, entries = []) {
+  const bySize = new Map();
+  entries.forEach(sg => {
+    const size = (sg.size || 'regular').toLowerCase();
+    if (!bySize.has(size)) bySize.set(size, sg);
+  });
+
+  const first = bySize.get(sizes[0]);
+  const modifiers = !first || first.price === 0 || entries.some(sg => sg.modifier);
+  const anchor = modifiers ? null : (entries.find(sg => sg.price === price) || first);
+
+  const priceMap = {};
+  sizes.forEach(size => {
+    const entry = bySize.get(size);
+    const offset = !entry ? 0 : modifiers ? entry.price : entry.price - anchor.price;
+    priceMap[size] = parseFloat((price + offset).toFixed(2));
+  });
+  return priceMap;
+}
+
+/**
+ * Parse Google Sheets rows into menu format
+ * UNCLE SAL'S FORMAT: A=Category, B=Item, C=IN STOCK, D=Price, E=Description
+ * Sizes are priced from the Size_Guide (see getSizePrices); per-size price columns after E
+ * (headed "Small", "Large", ...) set a size's price directly and win over the Size_Guide
+ * @param {Array} header - The sheet's header row (row 1), used to find per-size price columns
+ */
+function parseMenuFromSheets(rows, toppings = [], sizeGuide = [], header = []) {
+  const menu = {};
+  const issues = []; // Reported by the menu validator
+  const seenRows = new Map(); // item name -> price of the row already read
+  const sizeColumns = getSizeColumns(header, sizeGuide);
+
+  rows.forEach((row, index) => {
+    const sheetRow = index + 2; // Data starts on row 2, under the header
+
+    // Skip empty rows or rows with less than 4 columns
+    if (!row || row.length < 4) {
+      const itemName = row && (row[1] || '').toString().trim();
+      if (itemName) {
+        issues.push({ code: 'row_skipped', item: itemName.toLowerCase(), row: sheetRow, message: `Row ${sheetRow} (${itemName}) has no price column and was skipped` });
+      }
+      return;
+    }
+
+    const category = (row[0] || '').toString().trim();
+    const itemName = (row[1] || '').toString().trim();
+    const inStock = (row[2] || '').toString().trim().toUpperCase();
+    const priceStr = (row[3] || '').toString().trim().replace(/^\$/, '');
+    const description = (row[4] || '').toString().trim();
+
+    if (inStock !== 'YES' || !itemName) {
+      return;
+    }
+
+    const price = parseFloat(priceStr) || 0;
+    const baseItemName = itemName.toLowerCase();
+    const unparseable = (value, column) => {
+      issues.push({ code: 'unparseable_price', item: baseItemName, row: sheetRow, message: `Row ${sheetRow}: ${column}price "${value}" for ${itemName} is not a number` });
+    };
+
+    if (priceStr && isNaN(parseFloat(priceStr))) {
+      unparseable(row[3], '');
+    }
+
+    // Per-size price columns filled in on this row
+    const sizePrices = {};
+    sizeColumns.forEach(({ index, size }) => {
+      const value = (row[index] || '').toString().trim().replace(/^\$/, '');
+      if (!value) return;
+      if (isNaN(parseFloat(value))) {
+        unparseable(row[index], `${size} `);
+      }
+      sizePrices[size] = parseFloat(value) || 0;
+    });
+
+    const explicit = Object.keys(sizePrices).length > 0;
+    const { sizes, guessed, entries } = explicit
+      ? { sizes: Object.keys(sizePrices), guessed: false, entries: [] }
+      : getSizesForItem(baseItemName, category.toLowerCase(), sizeGuide);
+    if (seenRows.has(baseItemName)) {
+      issues.push({ ...getDuplicateIssue(baseItemName, seenRows.get(baseItemName), price), row: sheetRow });
+    } else {
+      seenRows.set(baseItemName, price);
+      if (guessed) {
+        issues.push({ code: 'size_guessed', item: baseItemName, row: sheetRow, message: `Sizes for ${itemName} (${sizes.join(', ')}) were guessed - add a Size_Guide entry for "${category || itemName}"` });
+      }
+    }
+
+    if (!menu[baseItemName]) {
+      menu[baseItemName] = {
+        sizes: sizes,
+        priceMap: {},
+        category: category,
+        description: description
+      };
+    }
+
+    const priceMap = explicit ? sizePrices : getSizePrices(price, sizes, entries);
+    sizes.forEach(size => {
+      menu[baseItemName].priceMap[size] = priceMap[size];
+    });
+  });
+
+  const itemCount = Object.keys(menu).length;
+  if (itemCount === 0) {
+    console.warn('⚠️  Warning: parseMenuFromSheets returned 0 items after parsing');
+  } else {
+    console.log(`📋 Parsed ${itemCount} menu items from ${rows.length} rows`);
+  }
+
+  return {
+    menu: menu,
+    menuText: formatMenuText(menu, toppings, sizeGuide),
+    toppings: toppings,
+    sizeGuide: sizeGuide,
+    issues: issues
+  };
+}
+
+/**
+ * Work out an item's sizes from the Size_Guide sheet (by category or item name)
+ * Returns { sizes, guessed, entries } - guessed unless a Size_Guide entry names the category or item exactly
+ * (items with no Size_Guide match at all are "regular", which isn't a guess); entries are the matched
+ * Size_Guide rows, used to price each size
+ */
+function getSizesForItem(lowerItem, lowerCategory, sizeGuide) {
+  const exactSizes = sizeGuide.filter(sg => {
+    const sgType = (sg.itemType || '').toLowerCase();
+    return sgType === lowerCategory || sgType === lowerItem;
+  });
+  const matchingSizes = sizeGuide.filter(sg => {
+    const sgType = (sg.itemType || '').toLowerCase();
+    if (sgType === lowerCategory || sgType === lowerItem) return true;
+    if (lowerItem.includes(sgType)) return true;
+    if (sgType.includes(lowerItem.split(' ')[0])) return true;
+    // A generic "Pizza" entry covers every pizza except create-your-own
+    return sgType === 'pizza' && lowerItem.includes('pizza') && !lowerItem.includes('create your own');
+  });
+
+  const sizeNames = (entries) => [...new Set(entries.map(sg => (sg.size || 'regular').toLowerCase()))];
+
+  if (matchingSizes.length > 0) {
+    const entries = exactSizes.length > 0 ? exactSizes : matchingSizes;
+    return { sizes: sizeNames(matchingSizes), guessed: exactSizes.length === 0, entries };
+  }
+
+  if (lowerItem.includes('pizza') && !lowerItem.includes('create your own')) {
+    const pizzaSizes = sizeGuide.filter(sg => (sg.itemType || '').toLowerCase().includes('pizza'));
+    return {
+      sizes: pizzaSizes.length > 0 ? sizeNames(pizzaSizes) : ['small', 'medium', 'large'],
+      guessed: true,
+      entries: pizzaSizes
+    };
+  }
+
+  return { sizes: ['regular'], guessed: false, entries: [] };
+}
+
+/**
+ * Parse toppings from Pizza_Toppings sheet
+ * Format: A=Topping, B=Type, C=Add-on Price, D=Notes
+ */
+function parseToppingsFromSheets(rows) {
+  const toppings = [];
+
+  rows.forEach(row => {
+    if (!row || row.length < 3) return;
+
+    const toppingName = (row[0] || '').toString().trim();
+    if (!toppingName) return;
+
+    toppings.push({
+      name: toppingName,
+      type: (row[1] || '').toString().trim(),
+      price: parseFloat((row[2] || '').toString().trim().replace(/^\$/, '')) || 0,
+      notes: (row[3] || '').toString().trim()
+    });
+  });
+
+  return toppings;
+}
+
+/**
+ * Parse size guide from Size_Guide sheet
+ * Format: A=Item Type, B=Size, C=Price Modifier or Base Price
+ * A price written with a sign ("+3.00", "-1.50") is always a modifier (see getSizePrices)
+ */
+function parseSizeGuideFromSheets(rows) {
+  const sizeGuide = [];
+
+  rows.forEach(row => {
+    if (!row || row.length < 2) return;
+
+    const itemType = (row[0] || '').toString().trim();
+    const size = (row[1] || '').toString().trim();
+    if (!itemType || !size) return;
+
+    const priceStr = (row[2] || '').toString().trim();
+    sizeGuide.push({
+      itemType: itemType,
+      size: size,
+      price: parseFloat(priceStr.replace(/^([+-]?)\s*\$/, '$1')) || 0,
+      modifier: /^[+-]/.test(priceStr)
+    });
+  });
+
+  return sizeGuide;
+}
+
+/**
+ * Parse wing options from Wing_Options sheet
+ * Format: A=Wing Type, B=Piece Count, C=Base Price, D=Flavor Option, E=Flavor Type, F=Flavor Upcharge,
+ * G=Dressing Option, H=Dressing, I=Extra Option
+ */
+function parseWingOptionsFromSheets(rows) {
+  const wingOptions = {
+    flavors: [],
+    pieceCounts: [],
+    dressings: [],
+    extras: []
+  };
+  const seen = { flavors: new Set(), pieceCounts: new Set(), dressings: new Set(), extras: new Set() };
+
+  // Each column lists options once per row - keep the first occurrence of each
+  const addOption = (list, name, price = 0, notes = '') => {
+    if (!name || seen[list].has(name.toLowerCase())) return;
+    seen[list].add(name.toLowerCase());
+    wingOptions[list].push({ name, price, notes });
+  };
+  const cell = (row, index) => (row[index] || '').toString().trim();
+  const price = (row, index) => parseFloat(cell(row, index).replace(/^\$/, '')) || 0;
+
+  rows.forEach(row => {
+    if (!row || row.length < 1) return;
+    addOption('flavors', cell(row, 3), price(row, 5), cell(row, 4));
+    addOption('pieceCounts', cell(row, 1), price(row, 2));
+    addOption('dressings', cell(row, 7));
+    addOption('extras', cell(row, 8));
+  });
+
+  console.log(`🍗 Parsed wing options: ${wingOptions.flavors.length} flavors, ${wingOptions.pieceCounts.length} piece counts, ${wingOptions.dressings.length} dressings, ${wingOptions.extras.length} extras`);
+  return wingOptions;
+}
+
+class SheetsMenuProvider extends MenuProvider {
+  /**
+   * Menu sheet comes from the store registry (falls back to GOOGLE_SHEETS_MENU_ID / GOOGLE_SHEETS_ID)
+   */
+  constructor(storeConfig, options = {}) {
+    const cacheMinutes = storeConfig?.menu?.cacheMinutes;
+    super(storeConfig, { maxAgeMs: cacheMinutes ? cacheMinutes * 60 * 1000 : MENU_CACHE_DURATION, ...options });
+    this.type = 'sheets';
+    this.menuSheetId = this.storeConfig.menuSheetId || null;
+  }
+
+  async fetch() {
+    if (!this.menuSheetId) {
+      throw new Error('GOOGLE_SHEETS_MENU_ID not set');
+    }
+
+    const { google } = require('googleapis');
+    const auth = getSheetsAuth(google);
+    if (!auth) {
+      throw new Error('Google Sheets credentials not available');
+    }
+    const sheets = google.sheets({ version: 'v4', auth });
+
+    const menuSheetName = process.env.GOOGLE_SHEETS_MENU_SHEET || 'Menu Items';
+    const toppingsSheetName = process.env.GOOGLE_SHEETS_TOPPINGS_SHEET || 'Pizza_Toppings';
+    const sizeGuideSheetName = process.env.GOOGLE_SHEETS_SIZE_GUIDE_SHEET || 'Size_Guide';
+    const wingOptionsSheetName = process.env.GOOGLE_SHEETS_WING_SHEET || 'Wing_Options';
+
+    console.log(`📋 Fetching menu from Google Sheets: ${this.menuSheetId}`);
+    try {
+      const [menuRows, toppingsRows, sizeGuideRows, wingOptionsRows] = await Promise.all([
+        fetchRows(sheets, this.menuSheetId, `'${menuSheetName}'!A1:R1000`),
+        fetchRows(sheets, this.menuSheetId, `'${toppingsSheetName}'!A2:D100`),
+        fetchRows(sheets, this.menuSheetId, `'${sizeGuideSheetName}'!A2:C100`),
+        fetchRows(sheets, this.menuSheetId, `'${wingOptionsSheetName}'!A2:I100`)
+      ]);
+
+      // Row 1 is the header - it names any per-size price columns
+      const [header = [], ...itemRows] = menuRows;
+      if (itemRows.length === 0) {
+        throw new Error(`no rows in "${menuSheetName}" - check the sheet is shared and the columns are Category | Item | IN STOCK | Price | Description`);
+      }
+
+      const toppings = parseToppingsFromSheets(toppingsRows);
+      const sizeGuide = parseSizeGuideFromSheets(sizeGuideRows);
+      const menuData = parseMenuFromSheets(itemRows, toppings, sizeGuide, header);
+      menuData.wingOptions = parseWingOptionsFromSheets(wingOptionsRows);
+      return menuData;
+    } catch (error) {
+      const serviceAccountEmail = auth.jsonContent?.client_email || auth.credentials?.client_email;
+      if (serviceAccountEmail) {
+        console.error(`📧 Share the sheet https://docs.google.com/spreadsheets/d/${this.menuSheetId}/edit with ${serviceAccountEmail} (Viewer access)`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SheetsMenuProvider;
+module.exports.parseMenuFromSheets = parseMenuFromSheets;
+module.exports.parseToppingsFromSheets = parseToppingsFromSheets;
+module.exports.parseSizeGuideFromSheets = parseSizeGuideFromSheets;
+module.exports.getSizePrices = getSizePrices;
+module.exports.parseWingOptionsFromSheets = parseWingOptionsFromSheets;
+module.exports.MENU_CACHE_DURATION = MENU_CACHE_DURATION;
+
+
+
+
+
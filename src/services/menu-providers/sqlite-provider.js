@@ -0,0 +1,27 @@
+/**
+ * SQLite Menu Provider
+ * Reads a store's menu from the menu tables in the calls database (apps/api/menu-store.js),
+ * keyed by the store slug
+ */
+
+const MenuProvider = require('./menu-provider');
+
+class SqliteMenuProvider extends MenuProvider {
+  constructor(storeConfig, options = {}) {
+    super(storeConfig, options);
+    this.type = 'sqlite';
+  }
+
+  async fetch() {
+    // Required on first use so stores on other providers don't need the database
+    const { getStoreMenu } = require('../../../apps/api/menu-store');
+    return getStoreMenu(this.storeConfig.slug);
+  }
+}
+
+module.exports = SqliteMenuProvider;
+
+
+
+
+
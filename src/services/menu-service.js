@@ -0,0 +1,201 @@
+/**
+ * Menu Service
+ * Loads each store's menu through the menu provider configured for it (Google Sheets,
+ * JSON/YAML file, SQLite or the built-in menu - see src/services/menu-providers) and keeps
+ * one provider per store, so every call gets the store's cached menu.
+ *
+ * Each menu version is a frozen snapshot: a call keeps the menu it started with while
+ * new calls get the refreshed one (admin refresh endpoint, file watch or Sheets cache expiry).
+ *
+ * Menu data is the normalized provider format:
+ *   { version, source, items, menu, categories, toppings, sizeGuide, wingOptions, menuText }
+ *   menu[itemName] = { sizes, priceMap, category, description }
+ */
+
+const { getStoreConfig } = require('../config/stores');
+const { createMenuProvider, getDefaultMenuData } = require('./menu-providers');
+const { MENU_CACHE_DURATION } = require('./menu-providers/sheets-provider');
+
+const providers = new Map(); // store slug -> menu provider
+
+/**
+ * Get the menu provider for a store (created on first use)
+ * A store whose menu settings changed (e.g. after reloadStores) gets a new provider
+ */
+function getMenuProvider(storeConfig = null) {
+  const store = storeConfig || getStoreConfig(null);
+  const key = store.slug || 'default';
+  const settings = JSON.stringify([store.menu || null, store.menuSheetId || null]);
+
+  const existing = providers.get(key);
+  if (existing && existing.settings === settings) {
+    return existing.provider;
+  }
+  if (existing) {
+    existing.provider.unwatch();
+  }
+  const provider = createMenuProvider(store);
+  providers.set(key, { provider, settings });
+  return provider;
+}
+
+/**
+ * Load a store's menu - cached by its provider (Sheets menus are re-read after MENU_CACHE_DURATION)
+ * Falls back to the built-in menu when the source can't be read
+ */
+function loadMenu(storeConfig = null) {
+  return getMenuProvider(storeConfig).load();
+}
+
+/**
+ * Re-read a store's menu from its source now (e.g. right after the sheet was edited)
+ * The menu is only swapped in if it could be read and passed validation
+ * @returns {Promise<Object>} { store, provider, previousVersion, version, changed, error, report }
+ */
+async function refreshMenu(storeConfig = null) {
+  const store = storeConfig || getStoreConfig(null);
+  const provider = getMenuProvider(store);
+  const previousVersion = provider.version;
+  await provider.refresh();
+  return {
+    store: store.slug,
+    provider: provider.type,
+    previousVersion,
+    version: provider.version,
+    changed: provider.version !== previousVersion,
+    error: provider.lastError,
+    report: provider.lastReport
+  };
+}
+
+/**
+ * Get a menu version a store has served - lets a call look up the exact menu it was priced with
+ */
+function getMenuSnapshot(storeConfig, version) {
+  return getMenuProvider(storeConfig).getSnapshot(version);
+}
+
+/**
+ * Start file-watch reloading for stores whose menu sets "watch": true
+ * @returns {Array} Slugs of the stores being watched
+ */
+function watchMenus(stores) {
+  return stores
+    .filter(store => store.menu && store.menu.watch)
+    .filter(store => getMenuProvider(store).watch())
+    .map(store => store.slug);
+}
+
+function unwatchMenus() {
+  providers.forEach(({ provider }) => provider.unwatch());
+}
+
+/**
+ * Read a store's menu source and return its lint report, without swapping the menu in
+ * @returns {Promise<Object>} { store, provider, activeVersion, report }
+ */
+async function lintMenu(storeConfig = null) {
+  const provider = getMenuProvider(storeConfig);
+  const { report } = await provider.lint();
+  return {
+    store: (storeConfig || getStoreConfig(null)).slug,
+    provider: provider.type,
+    activeVersion: provider.version,
+    report
+  };
+}
+
+/**
+ * Get the loaded menu for a store without reading the source (null if not loaded yet)
+ */
+function getCachedMenuData(storeConfig = null) {
+  return getMenuProvider(storeConfig).getMenu();
+}
+
+/**
+ * Look up a menu item's description (Column E) for "what is [item]?" questions
+ * Never invents a description - an item without one returns an empty string
+ * @returns {Object} { matched, itemName, description, alternatives }
+ */
+function lookupMenuItemDescription(menu, query) {
+  if (!menu || !query) {
+    return { matched: false, itemName: null, description: null, alternatives: [] };
+  }
+
+  const normalize = text => text.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+  const synonyms = {
+    'cheese pie': 'cheese pizza',
+    'plain pie': 'cheese pizza',
+    'plain pizza': 'cheese pizza',
+    'pepperoni pie': 'pepperoni pizza',
+    'pep pizza': 'pepperoni pizza',
+    'buff chicken': 'buffalo chicken pizza',
+    'buffalo': 'buffalo chicken pizza'
+  };
+  const searchQuery = synonyms[normalize(query)] || normalize(query);
+  const describe = (match) => ({
+    matched: true,
+    itemName: match.name,
+    description: typeof match.data.description === 'string' ? match.data.description.trim() : '',
+    alternatives: []
+  });
+
+  const partialMatches = [];
+  for (const [itemName, itemData] of Object.entries(menu)) {
+    const normalizedItemName = normalize(itemName);
+    if (normalizedItemName === searchQuery) {
+      return describe({ name: itemName, data: itemData });
+    }
+
+    // Query contains the item name or vice versa
+    if (normalizedItemName.includes(searchQuery) || searchQuery.includes(normalizedItemName)) {
+      partialMatches.push({ name: itemName, data: itemData, score: normalizedItemName.length });
+    }
+
+    // Word-by-word match for multi-word items
+    const queryWords = searchQuery.split(' ');
+    const itemWords = normalizedItemName.split(' ');
+    const matchedWords = queryWords.filter(qw => itemWords.some(iw => iw.includes(qw) || qw.includes(iw)));
+    if (matchedWords.length >= 2 || (matchedWords.length === 1 && queryWords.length === 1)) {
+      const score = matchedWords.length / Math.max(queryWords.length, itemWords.length);
+      if (score > 0.5) {
+        partialMatches.push({ name: itemName, data: itemData, score: score * 100 });
+      }
+    }
+  }
+
+  partialMatches.sort((a, b) => b.score - a.score);
+
+  // A clear best match (well ahead of the next one)
+  if (partialMatches.length === 1 || (partialMatches.length > 1 && partialMatches[0].score > partialMatches[1].score * 1.5)) {
+    return describe(partialMatches[0]);
+  }
+
+  if (partialMatches.length > 1) {
+    return { matched: false, itemName: null, description: null, alternatives: partialMatches.slice(0, 3).map(m => m.name) };
+  }
+
+  const suggestions = Object.keys(menu)
+    .filter(item => searchQuery.split(' ').some(word => word.length > 2 && item.toLowerCase().includes(word)))
+    .slice(0, 3);
+  return { matched: false, itemName: null, description: null, alternatives: suggestions };
+}
+
+module.exports = {
+  loadMenu,
+  refreshMenu,
+  lintMenu,
+  getMenuSnapshot,
+  watchMenus,
+  unwatchMenus,
+  getCachedMenuData,
+  getDefaultMenuData,
+  getMenuProvider,
+  lookupMenuItemDescription,
+  MENU_CACHE_DURATION
+};
+
+
+
+
+
@@ -0,0 +1,113 @@
+/**
+ * Menu Validator
+ * Lints a normalized menu (see menu-providers/menu-provider.js) into a structured report
+ *
+ * Fatal issues would make the AI quote wrong prices, so a menu with any of them is never
+ * swapped in - the store keeps its last good menu. Warnings are reported but don't block.
+ *
+ * Report: { valid, version, source, itemCount, fatalCount, warningCount, issues }
+ *   issues: [{ severity, code, message, item?, row? }]
+ */
+
+const { isWingsItem } = require('./wing-rules');
+
+const ISSUE_SEVERITY = {
+  empty_menu: 'fatal', // Nothing to sell
+  negative_price: 'fatal',
+  unparseable_price: 'fatal', // Price cell isn't a number (read as $0)
+  conflicting_duplicate_item: 'fatal', // Same item twice with different prices
+  duplicate_item: 'warning',
+  zero_price: 'warning', // Often a blank price cell
+  size_guessed: 'warning', // Sizes matched loosely from the size guide
+  missing_description: 'warning', // "What is [item]?" has no answer
+  missing_piece_counts: 'warning', // Wings fall back to the default piece counts and have no prices
+  topping_missing_type: 'warning',
+  negative_topping_price: 'fatal',
+  row_skipped: 'warning' // Sheet row without a price column
+};
+
+/**
+ * Check a normalized menu
+ * @param {Object} menuData - Normalized menu (with the provider's source issues)
+ * @returns {Object} Lint report
+ */
+function validateMenu(menuData) {
+  const issues = [...(menuData.issues || [])];
+  const items = menuData.items || menuData.menu || {};
+  const itemNames = Object.keys(items);
+
+  if (itemNames.length === 0) {
+    issues.push({ code: 'empty_menu', message: 'The menu has no in-stock items' });
+  }
+
+  itemNames.forEach(itemName => {
+    const item = items[itemName];
+    Object.entries(item.priceMap || {}).forEach(([size, price]) => {
+      const label = size === 'regular' ? itemName : `${itemName} (${size})`;
+      if (price < 0) {
+        issues.push({ code: 'negative_price', item: itemName, message: `${label} has a negative price ($${price.toFixed(2)})` });
+      } else if (price === 0 && !issues.some(issue => issue.code === 'unparseable_price' && issue.item === itemName)) {
+        issues.push({ code: 'zero_price', item: itemName, message: `${label} has no price ($0.00)` });
+      }
+    });
+    if (!item.description) {
+      issues.push({ code: 'missing_description', item: itemName, message: `${itemName} has no description` });
+    }
+  });
+
+  const wingOptions = menuData.wingOptions || {};
+  const sellsWings = itemNames.some(isWingsItem)
+    || ['flavors', 'dressings', 'extras'].some(list => (wingOptions[list] || []).length > 0);
+  const pieceCounts = (wingOptions.pieceCounts || []).filter(option => /\d/.test(option.name));
+  if (sellsWings && pieceCounts.length === 0) {
+    issues.push({ code: 'missing_piece_counts', message: 'Wings are on the menu but the wing options list no piece counts (e.g. "10 Pieces") - the default counts are used without prices' });
+  }
+
+  (menuData.toppings || []).forEach(topping => {
+    if (!topping.type) {
+      issues.push({ code: 'topping_missing_type', item: topping.name, message: `Topping ${topping.name} has no type` });
+    }
+    if (topping.price < 0) {
+      issues.push({ code: 'negative_topping_price', item: topping.name, message: `Topping ${topping.name} has a negative price` });
+    }
+  });
+
+  const report = issues.map(issue => ({ severity: ISSUE_SEVERITY[issue.code] || 'warning', ...issue }));
+  const fatalCount = report.filter(issue => issue.severity === 'fatal').length;
+
+  return {
+    valid: fatalCount === 0,
+    version: menuData.version || null,
+    source: menuData.source || null,
+    itemCount: itemNames.length,
+    fatalCount,
+    warningCount: report.length - fatalCount,
+    issues: report
+  };
+}
+
+/**
+ * One-line summary of a report for logs
+ */
+function describeReport(report) {
+  if (report.fatalCount === 0 && report.warningCount === 0) {
+    return 'no issues';
+  }
+  const counts = {};
+  report.issues.forEach(issue => {
+    counts[issue.code] = (counts[issue.code] || 0) + 1;
+  });
+  const breakdown = Object.entries(counts).map(([code, count]) => `${count} ${code}`).join(', ');
+  return `${report.fatalCount} fatal, ${report.warningCount} warnings (${breakdown})`;
+}
+
+module.exports = {
+  validateMenu,
+  describeReport,
+  ISSUE_SEVERITY
+};
+
+
+
+
+
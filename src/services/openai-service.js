@@ -5,16 +5,35 @@
 
 const WebSocket = require('ws');
 const { getMenuText } = require('../config/menu');
+const { getStoreStatus, getHoursPromptContext } = require('./business-hours');
+const { getToolDefinitions, runTool } = require('./tool-registry');
+const { getStockPromptContext } = require('./out-of-stock');
+
+const REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
 
 class OpenAIService {
-  constructor(apiKey, orderManager, onAudioCallback, onTranscriptCallback) {
+  /**
+   * @param {string} menuText - Store menu for the prompt (e.g. from the Google Sheets menu), defaults to the built-in menu
+   * @param {CallHandoff} handoff - Hands the call to staff when the caller asks or the AI gets stuck
+   */
+  constructor(apiKey, orderManager, onAudioCallback, onTranscriptCallback, storeConfig = null, readyTimeEstimator = null, menuText = null, handoff = null) {
     this.apiKey = apiKey;
     this.orderManager = orderManager;
+    this.storeConfig = storeConfig || {}; // Store name, greeting and voice from the store registry
+    this.readyTimeEstimator = readyTimeEstimator; // Kitchen-aware ready-time quotes for get_ready_time
+    this.menuText = menuText;
+    this.handoff = handoff;
+    this.audioFormat = this.storeConfig.audio?.format || 'g711_ulaw'; // Same μ-law as Twilio unless the store wants PCM16
     this.onAudioCallback = onAudioCallback; // Callback to send audio to Twilio
     this.onTranscriptCallback = onTranscriptCallback; // Callback for transcripts
+    this.onSpeechStarted = null; // Barge-in: called when the caller starts talking (set by the media stream)
+    this.onAssistantTranscript = null; // (text) => what the AI said, once each response's audio is done
+    this.onToolCall = null; // (name, args, result) => every tool call and its result
     this.client = null;
     this.ready = false;
     this.sessionId = null;
+    this.responseActive = false; // Between response.created and response.done
+    this.respondWhenDone = false; // Items added during the current response - it gets one follow-up response
   }
   
   /**
@@ -23,7 +42,8 @@ class OpenAIService {
   connect() {
     return new Promise((resolve, reject) => {
       try {
-        const url = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
+        // OPENAI_REALTIME_URL points calls at another Realtime endpoint (e.g. the offline call simulator)
+        const url = process.env.OPENAI_REALTIME_URL || REALTIME_URL;
         
         this.client = new WebSocket(url, {
           headers: {
@@ -66,10 +86,14 @@ class OpenAIService {
    * Setup OpenAI session with configuration
    */
   _setupSession() {
-    const menuText = getMenuText();
+    const menuText = this.menuText || getMenuText();
     const orderSummary = this.orderManager.getSummary();
+    const storeName = this.storeConfig.name || 'Uncle Sal\'s Pizza';
+    const hoursContext = getHoursPromptContext(getStoreStatus(this.storeConfig));
+    const { greeting, customerContext } = this._getCustomerGreeting(storeName);
+    const stockContext = getStockPromptContext(this.orderManager.getOutOfStock());
     
-    const instructions = `You are a friendly pizza ordering assistant for Uncle Sal's Pizza. You help customers place orders over the phone.
+    const instructions = `You are a friendly pizza ordering assistant for ${storeName}. You help customers place orders over the phone.
 
 AVAILABLE MENU ITEMS:
 ${menuText}
@@ -80,9 +104,10 @@ Delivery Method: ${this.orderManager.getOrder().deliveryMethod || 'not specified
 Address: ${this.orderManager.getOrder().address || 'not specified'}
 Customer Name: ${this.orderManager.getOrder().customerName || 'not provided'}
 Payment Method: ${this.orderManager.getOrder().paymentMethod || 'not specified'}
-
+Requested Time: ${this.orderManager.getOrder().requestedTimeLabel || 'as soon as possible'}
+${hoursContext ? `\n${hoursContext}\n` : ''}${stockContext ? `\n${stockContext}\n` : ''}${customerContext ? `\n${customerContext}\n` : ''}
 CONVERSATION RULES:
-1. Start by greeting: "Thanks for calling Uncle Sal's Pizza! What would you like to order today?"
+1. Start by greeting: "${greeting}"
 2. When customer mentions items, use the add_item_to_order tool immediately
 3. Ask follow-up questions naturally (size, quantity, etc.)
 4. Periodically summarize the order: "So far you have [items]. What else can I get you?"
@@ -94,6 +119,15 @@ CONVERSATION RULES:
 10. Be conversational and friendly, not robotic
 11. Use tools immediately when customer mentions items - don't wait
 12. Vary your responses - don't repeat the same question
+13. Pass pizza toppings in the toppings list of add_item_to_order. For half-and-half pizzas ("half pepperoni half mushroom") use placement "left" for the first half and "right" for the second half. Use amount "extra", "light" or "no" when the customer asks for extra, light or no of a topping
+14. If the customer wants the order for a later time ("pick up at 6:30", "tomorrow at noon"), call set_requested_time with their words and repeat the time back
+15. Before confirming, call get_ready_time and tell the customer when the order will be ready
+16. If a returning customer wants "the usual" or "same as last time", call repeat_last_order and read the items back. Don't ask a returning customer for a name you already have; if they have a saved address, ask "Still at [address]?" instead of asking for it
+17. When the customer changes an item already on the order, use remove_item, update_item_quantity or change_item_size (never add_item_to_order again), then read back the updated order. Only call clear_order when they want to start over
+18. Every tool answers with a result. If "success" is false, don't pretend it worked - tell the customer in your own words (error.message) and ask how to fix it. Use the "order" totals in the result, never your own math
+19. Wings are sold by piece count and need a flavor: pass the piece count as the size (e.g. "10 piece") and the flavor in add_item_to_order. Ask for whichever one the customer didn't say
+20. If the customer asks for something that's out of stock (listed above, or an add_item_to_order error with code "out_of_stock"), say "Sorry, we're out of that today" and offer the closest alternatives from the error message - never add an 86'd item
+21. If the customer asks for a person or a manager, or you can't help with what they need, call transfer_to_staff and tell them you're connecting them. If it fails, apologize and keep helping
 
 IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
 
@@ -102,9 +136,9 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
       session: {
         modalities: ['text', 'audio'],
         instructions: instructions,
-        voice: 'alloy',
-        input_audio_format: 'pcm16',
-        output_audio_format: 'pcm16',
+        voice: this.storeConfig.voice || 'alloy',
+        input_audio_format: this.audioFormat,
+        output_audio_format: this.audioFormat,
         input_audio_transcription: {
           model: 'whisper-1'
         },
@@ -114,120 +148,7 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
           prefix_padding_ms: 300,
           silence_duration_ms: 500
         },
-        tools: [
-          {
-            type: 'function',
-            name: 'add_item_to_order',
-            description: 'Add an item to the customer\'s order',
-            parameters: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'The menu item name (must match menu exactly)'
-                },
-                size: {
-                  type: 'string',
-                  description: 'Size of the item (small, medium, large, regular)',
-                  enum: ['small', 'medium', 'large', 'regular']
-                },
-                quantity: {
-                  type: 'number',
-                  description: 'Quantity of the item',
-                  minimum: 1,
-                  default: 1
-                }
-              },
-              required: ['name']
-            }
-          },
-          {
-            type: 'function',
-            name: 'set_delivery_method',
-            description: 'Set whether order is for pickup or delivery',
-            parameters: {
-              type: 'object',
-              properties: {
-                method: {
-                  type: 'string',
-                  enum: ['pickup', 'delivery'],
-                  description: 'Pickup or delivery'
-                }
-              },
-              required: ['method']
-            }
-          },
-          {
-            type: 'function',
-            name: 'set_address',
-            description: 'Set delivery address',
-            parameters: {
-              type: 'object',
-              properties: {
-                address: {
-                  type: 'string',
-                  description: 'Full delivery address'
-                }
-              },
-              required: ['address']
-            }
-          },
-          {
-            type: 'function',
-            name: 'set_customer_name',
-            description: 'Set customer name',
-            parameters: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Customer name'
-                }
-              },
-              required: ['name']
-            }
-          },
-          {
-            type: 'function',
-            name: 'set_customer_phone',
-            description: 'Set customer phone number',
-            parameters: {
-              type: 'object',
-              properties: {
-                phone: {
-                  type: 'string',
-                  description: 'Customer phone number'
-                }
-              },
-              required: ['phone']
-            }
-          },
-          {
-            type: 'function',
-            name: 'set_payment_method',
-            description: 'Set payment method',
-            parameters: {
-              type: 'object',
-              properties: {
-                method: {
-                  type: 'string',
-                  enum: ['cash', 'card'],
-                  description: 'Payment method'
-                }
-              },
-              required: ['method']
-            }
-          },
-          {
-            type: 'function',
-            name: 'confirm_order',
-            description: 'Confirm the order is complete and ready to be logged',
-            parameters: {
-              type: 'object',
-              properties: {}
-            }
-          }
-        ],
+        tools: getToolDefinitions(),
         tool_choice: 'auto',
         temperature: 0.8,
         max_response_output_tokens: 256
@@ -257,15 +178,29 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
           console.log('✓ OpenAI session updated');
           break;
           
-        case 'response.audio_transcript.delta':
-          // AI is speaking - send audio to Twilio
+        case 'response.audio.delta':
+          // AI is speaking - base64 audio in the session's output format goes to Twilio
           if (message.delta && this.onAudioCallback) {
-            this.onAudioCallback(message.delta);
+            this.onAudioCallback(message.delta, message.item_id);
+          }
+          break;
+          
+        case 'input_audio_buffer.speech_started':
+          // Caller is talking - server VAD cancels the response, the media stream stops playback
+          if (this.onSpeechStarted) {
+            this.onSpeechStarted();
           }
           break;
           
         case 'response.audio_transcript.done':
           console.log('✓ AI response complete');
+          if (message.transcript && this.onAssistantTranscript) {
+            this.onAssistantTranscript(message.transcript);
+          }
+          // Saying the same thing over and over means the AI is stuck - hand off to staff
+          if (message.transcript && this.handoff) {
+            this.handoff.checkAiText(message.transcript);
+          }
           break;
           
         case 'conversation.item.input_audio_transcription.completed':
@@ -273,11 +208,23 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
           if (message.transcript && this.onTranscriptCallback) {
             this.onTranscriptCallback(message.transcript);
           }
+          if (message.transcript && this.handoff) {
+            this.handoff.checkCallerText(message.transcript);
+          }
           break;
           
         case 'response.audio_transcript.done':
+          console.log('✓ Response completed');
+          break;
+          
+        case 'response.created':
+          this.responseActive = true;
+          break;
+          
         case 'response.done':
           console.log('✓ Response completed');
+          this.responseActive = false;
+          this._sendFollowUpResponse(message.response);
           break;
           
         case 'response.function_call_arguments.done':
@@ -299,71 +246,98 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
     }
   }
   
+  /**
+   * Greeting and prompt context for the caller - returning customers are welcomed back by name
+   */
+  _getCustomerGreeting(storeName) {
+    const order = this.orderManager.getOrder();
+    const profile = order.returningCustomer;
+    const defaultGreeting = this.storeConfig.greeting || `Thanks for calling ${storeName}! What would you like to order today?`;
+    if (!profile) {
+      return { greeting: defaultGreeting, customerContext: '' };
+    }
+    
+    const lastItems = ((profile.lastOrder && profile.lastOrder.items) || [])
+      .map(item => `${item.quantity}x${item.size && item.size !== 'regular' ? ` ${item.size}` : ''} ${item.name}`)
+      .join(', ');
+    const contextLines = [`RETURNING CUSTOMER: ${profile.name || 'name unknown'} (${profile.orderCount} previous orders)`];
+    if (lastItems) {
+      contextLines.push(`Last Order: ${lastItems}`);
+    }
+    if (order.savedAddress) {
+      contextLines.push(`Saved Address: ${order.savedAddress}`);
+    }
+    
+    let greeting = defaultGreeting;
+    if (profile.name) {
+      greeting = lastItems
+        ? `Thanks for calling ${storeName}! Welcome back, ${profile.name}. Would you like your usual - ${lastItems} - or something different?`
+        : `Thanks for calling ${storeName}! Welcome back, ${profile.name}. What can I get you today?`;
+    }
+    return { greeting, customerContext: contextLines.join('\n') };
+  }
+  
   /**
    * Handle tool calls from OpenAI
+   * Every call is answered with a function_call_output right away - the AI speaks the results once its response is done
    */
   _handleToolCall(message) {
-    try {
-      const callId = message.call_id;
-      const functionName = message.name;
-      const argumentsStr = message.arguments || '{}';
-      const args = JSON.parse(argumentsStr);
-      
-      console.log(`🔧 Tool call: ${functionName}`, args);
-      
-      switch (functionName) {
-        case 'add_item_to_order':
-          this.orderManager.addItem(
-            args.name,
-            args.size || 'regular',
-            args.quantity || 1
-          );
-          console.log(`✓ Added to order: ${args.quantity || 1}x ${args.size || 'regular'} ${args.name}`);
-          break;
-          
-        case 'set_delivery_method':
-          this.orderManager.setDeliveryMethod(args.method);
-          console.log(`✓ Delivery method set: ${args.method}`);
-          break;
-          
-        case 'set_address':
-          this.orderManager.setAddress(args.address);
-          console.log(`✓ Address set: ${args.address}`);
-          break;
-          
-        case 'set_customer_name':
-          this.orderManager.setCustomerName(args.name);
-          console.log(`✓ Customer name set: ${args.name}`);
-          break;
-          
-        case 'set_customer_phone':
-          this.orderManager.setCustomerPhone(args.phone);
-          console.log(`✓ Customer phone set: ${args.phone}`);
-          break;
-          
-        case 'set_payment_method':
-          this.orderManager.setPaymentMethod(args.method);
-          console.log(`✓ Payment method set: ${args.method}`);
-          break;
-          
-        case 'confirm_order':
-          this.orderManager.confirm();
-          console.log('✓ Order confirmed');
-          break;
+    console.log(`🔧 Tool call: ${message.name}`, message.arguments);
+    const result = runTool(message.name, message.arguments, {
+      orderManager: this.orderManager,
+      storeConfig: this.storeConfig,
+      readyTimeEstimator: this.readyTimeEstimator,
+      handoff: this.handoff
+    });
+    if (this.onToolCall) {
+      this.onToolCall(message.name, message.arguments, result);
+    }
+    if (this.handoff) {
+      this.handoff.checkToolResult(message.name, result);
+    }
+    this._sendToolResult(message.call_id, result);
+  }
+  
+  /**
+   * Send a tool result as the function call's output
+   * Asking for a response here would collide with the one still running (conversation_already_has_active_response)
+   */
+  _sendToolResult(callId, result) {
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    this.client.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(result)
       }
-      
-      // Send tool result back to OpenAI
-      this.client.send(JSON.stringify({
-        type: 'response.function_call_arguments.done',
-        call_id: callId
-      }));
-    } catch (error) {
-      console.error('Error handling tool call:', error);
+    }));
+    this.respondWhenDone = true;
+    return true;
+  }
+  
+  /**
+   * Once a response that called tools (or got a system message) is done, ask for one new response
+   * so the AI can speak to all of it. A cancelled response means the caller barged in - their turn's
+   * response will see the new items
+   */
+  _sendFollowUpResponse(response) {
+    if (!this.respondWhenDone) {
+      return false;
+    }
+    this.respondWhenDone = false;
+    if (response?.status === 'cancelled' || !this.client || this.client.readyState !== WebSocket.OPEN) {
+      return false;
     }
+    this.client.send(JSON.stringify({ type: 'response.create' }));
+    return true;
   }
   
   /**
-   * Send audio input to OpenAI
+   * Send audio input to OpenAI (base64, in the session's input format)
    */
   sendAudio(audioBase64) {
     if (!this.ready || !this.client || this.client.readyState !== WebSocket.OPEN) {
@@ -382,6 +356,49 @@ IMPORTANT: Finish complete sentences. Don't cut off mid-sentence.`;
     }
   }
   
+  /**
+   * Cut an assistant item's audio off where the caller stopped hearing it
+   * The transcript is trimmed to match, so the model doesn't think the caller heard the rest
+   */
+  truncateItem(itemId, audioEndMs) {
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    this.client.send(JSON.stringify({
+      type: 'conversation.item.truncate',
+      item_id: itemId,
+      content_index: 0,
+      audio_end_ms: audioEndMs
+    }));
+    return true;
+  }
+  
+  /**
+   * Tell the AI something mid-call (e.g. a failed staff transfer) and have it respond
+   * While a response is running, the new response waits for it to finish
+   */
+  sendSystemMessage(text) {
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    this.client.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'system',
+        content: [{ type: 'input_text', text }]
+      }
+    }));
+    if (this.responseActive) {
+      this.respondWhenDone = true;
+    } else {
+      this.client.send(JSON.stringify({ type: 'response.create' }));
+    }
+    return true;
+  }
+  
   /**
    * Send text input to OpenAI (for testing or fallback)
    */
@@ -0,0 +1,20 @@
+/**
+ * Order Error
+ * Error for an order change that can't be made - code is machine-readable (e.g. "menu_item_not_found"),
+ * the message can be read to the caller
+ */
+
+class OrderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OrderError';
+    this.code = code;
+  }
+}
+
+module.exports = OrderError;
+
+
+
+
+
@@ -3,14 +3,92 @@
  * Manages order state, calculations, and validation
  */
 
-const { getMenu, findMenuItem, getPrice } = require('../config/menu');
+const { getMenu, getToppings, findMenuItem, getPrice, findTopping } = require('../config/menu');
+const { resolveRequestedTime } = require('./requested-time');
+const { getStoreStatus } = require('./business-hours');
+const { isWingsItem, resolveWingOrder } = require('./wing-rules');
+const OrderError = require('./order-error');
+const { lookupMenuItemDescription } = require('./menu-service');
+const { listStockNames, suggestAlternatives, outOfStockError } = require('./out-of-stock');
+
+// Topping placement and amount multipliers applied to the whole-pizza add-on price
+// Light is less of the topping, not a discount - it costs the same as regular
+const TOPPING_PLACEMENTS = { whole: 1, left: 0.5, right: 0.5 };
+const TOPPING_AMOUNTS = { regular: 1, light: 1, extra: 2, no: 0 };
+
+/**
+ * Find the order item a caller is talking about ("the garlic knots", "the large one", "the second item")
+ * @param {Array} items - Order items
+ * @param {Object} target - { name, size, index } - index is 1-based, as read back to the caller
+ * @returns {number} Index into items
+ */
+function findItemIndex(items, { name, size, index } = {}) {
+  if (items.length === 0) {
+    throw new OrderError('order_empty', 'The order is empty');
+  }
+  
+  if (index !== undefined && index !== null && !name) {
+    const position = parseInt(index, 10);
+    if (!(position >= 1 && position <= items.length)) {
+      throw new OrderError('item_not_found', `There is no item number ${index} - the order has ${items.length} item${items.length === 1 ? '' : 's'}`);
+    }
+    return position - 1;
+  }
+  
+  if (!name || String(name).trim().length === 0) {
+    throw new OrderError('item_not_specified', 'Say which item (name or item number)');
+  }
+  
+  const wanted = String(name).trim().toLowerCase();
+  const wantedSize = size ? String(size).trim().toLowerCase() : null;
+  const candidates = items
+    .map((item, i) => ({ item, i, itemName: String(item.name || '').toLowerCase() }))
+    .filter(({ item }) => !wantedSize || String(item.size || 'regular').toLowerCase() === wantedSize);
+  
+  // Exact name first, then partial ("knots" -> "Garlic Knots")
+  let matches = candidates.filter(({ itemName }) => itemName === wanted);
+  if (matches.length === 0) {
+    matches = candidates.filter(({ itemName }) => itemName.includes(wanted) || wanted.includes(itemName));
+  }
+  
+  if (matches.length === 0) {
+    throw new OrderError('item_not_found', `No ${wantedSize ? `${wantedSize} ` : ''}${name} in the order`);
+  }
+  if (matches.length > 1) {
+    // "the pizza" with a large and a small on the order - a 1-based index picks between them
+    const position = parseInt(index, 10);
+    const picked = matches.find(({ i }) => i === position - 1);
+    if (picked) {
+      return picked.i;
+    }
+    const options = matches.map(({ item, i }) => `${i + 1}. ${item.size || 'regular'} ${item.name}`).join(', ');
+    throw new OrderError('ambiguous_item', `More than one ${name} in the order - which one? ${options}`);
+  }
+  return matches[0].i;
+}
 
 class OrderManager {
-  constructor(streamSid, callSid, fromNumber) {
+  /**
+   * @param {Object} options
+   * @param {Object} options.menu - Menu items to price against ({ name: { sizes, priceMap } }), defaults to the built-in menu
+   * @param {Array} options.toppings - Toppings list ([{ name, price }]), defaults to the built-in toppings
+   * @param {Object} options.wingOptions - Wing piece counts, prices and flavors (Wing_Options sheet)
+   * @param {string} options.menuVersion - Version of the menu snapshot the call is priced with
+   * @param {Function} options.isOutOfStock - (kind, name) => true when the item, topping or wing flavor is 86'd
+   * @param {Object} options.order - Existing order object to manage instead of a new empty one
+   */
+  constructor(streamSid, callSid, fromNumber, storeConfig = null, options = {}) {
     this.streamSid = streamSid;
     this.callSid = callSid;
     this.fromNumber = fromNumber;
-    this.order = this.createEmptyOrder();
+    this.storeConfig = storeConfig;
+    this.taxRate = storeConfig && typeof storeConfig.taxRate === 'number' ? storeConfig.taxRate : 0.08;
+    this.menu = options.menu || getMenu();
+    this.toppings = options.toppings || getToppings();
+    this.wingOptions = options.wingOptions || null;
+    this.menuVersion = options.menuVersion || null;
+    this.isOutOfStock = options.isOutOfStock || (() => false);
+    this.order = options.order || this.createEmptyOrder();
   }
   
   createEmptyOrder() {
@@ -24,6 +102,11 @@ class OrderManager {
       customerName: null,
       customerPhone: this.fromNumber,
       paymentMethod: null,
+      requestedTime: null, // ISO time the customer asked for (null = as soon as possible)
+      requestedTimeLabel: null, // Spoken form, e.g. "tomorrow at 12:00 PM"
+      readyTimeQuote: null, // Latest quote from the ready-time estimator
+      returningCustomer: null, // Customer profile for callers who have ordered before
+      savedAddress: null, // Returning customer's last delivery address - offered back, not assumed
       confirmed: false,
       logged: false,
       timestamp: new Date().toISOString(),
@@ -35,23 +118,51 @@ class OrderManager {
   
   /**
    * Add item to order
+   * toppings: [{ name, placement: 'whole'|'left'|'right', amount: 'regular'|'extra'|'light'|'no' }]
+   * (plain topping name strings are treated as whole/regular)
+   * Toppings cost half for left/right, double for extra, nothing for no, and light costs the same as regular
+   * extras: { flavor, dressing, modifiers } - wing flavor/dip and free-text modifiers
    */
-  addItem(itemName, size = 'regular', quantity = 1, specialInstructions = null) {
-    const found = findMenuItem(itemName);
+  addItem(itemName, size = 'regular', quantity = 1, specialInstructions = null, toppings = [], extras = {}) {
+    const found = findMenuItem(itemName, this.menu);
     
     if (!found) {
-      throw new Error(`Menu item not found: ${itemName}`);
+      throw new OrderError('menu_item_not_found', `Menu item not found: ${itemName}`);
+    }
+    this._checkInStock('item', found.name);
+    
+    const basePrice = getPrice(itemName, size, this.menu);
+    if (basePrice === null) {
+      throw new OrderError('price_not_found', `Price not found for ${itemName} (size: ${size})`);
     }
     
-    const price = getPrice(itemName, size);
-    if (price === null) {
-      throw new Error(`Price not found for ${itemName} (size: ${size})`);
+    // Wings are sold by piece count and need a flavor (see wing-rules)
+    const wings = isWingsItem(found.name)
+      ? resolveWingOrder({ size, quantity, flavor: extras && extras.flavor }, this.wingOptions)
+      : null;
+    if (wings) {
+      this._checkInStock('wing_flavor', wings.flavor);
+      size = 'regular';
+      quantity = wings.quantity;
     }
     
-    // Check if item already exists with same size
+    const resolvedToppings = this._resolveToppings(found.name, toppings || []);
+    const toppingsPrice = resolvedToppings.reduce((sum, t) => sum + t.price, 0);
+    const unitBasePrice = wings && wings.price !== null ? wings.price : basePrice;
+    const price = parseFloat((unitBasePrice + toppingsPrice).toFixed(2));
+    const toppingsKey = this._toppingsKey(resolvedToppings);
+    const { dressing = null, modifiers = null } = extras || {};
+    const flavor = wings ? wings.flavor : (extras && extras.flavor) || null;
+    const pieceCount = wings ? wings.pieceCount : null;
+    
+    // Check if item already exists with same size, toppings, flavor and piece count
     const existingIndex = this.order.items.findIndex(
       item => item.name.toLowerCase() === found.name.toLowerCase() && 
-              (item.size || 'regular') === (size || 'regular')
+              (item.size || 'regular') === (size || 'regular') &&
+              this._toppingsKey(item.toppings || []) === toppingsKey &&
+              (item.flavor || null) === flavor &&
+              (item.dressing || null) === dressing &&
+              (item.pieceCount || null) === pieceCount
     );
     
     if (existingIndex >= 0) {
@@ -63,8 +174,16 @@ class OrderManager {
         name: found.name,
         size: size || 'regular',
         quantity: quantity,
+        basePrice: unitBasePrice,
+        toppings: resolvedToppings,
+        toppingsPrice: parseFloat(toppingsPrice.toFixed(2)),
         price: price,
-        specialInstructions: specialInstructions
+        specialInstructions: specialInstructions,
+        ...(found.data.category && { category: found.data.category }),
+        ...(wings && { itemType: 'wings', pieceCount }),
+        ...(flavor && { flavor }),
+        ...(dressing && { dressing }),
+        ...(modifiers && { modifiers })
       });
     }
     
@@ -72,14 +191,190 @@ class OrderManager {
     return this.order;
   }
   
+  /**
+   * Remove an item from the order
+   * @param {Object} target - { name, size, index } (see findItemIndex)
+   */
+  removeItem(target) {
+    const index = findItemIndex(this.order.items, target);
+    this.order.items.splice(index, 1);
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Set how many of an item the customer wants (0 removes it)
+   */
+  updateItemQuantity(target, quantity) {
+    const newQuantity = parseInt(quantity, 10);
+    if (!(newQuantity >= 0)) {
+      throw new OrderError('invalid_quantity', `Invalid quantity: ${quantity}`);
+    }
+    
+    const index = findItemIndex(this.order.items, target);
+    if (newQuantity === 0) {
+      this.order.items.splice(index, 1);
+    } else {
+      this.order.items[index].quantity = newQuantity;
+    }
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Change an item's size and re-price it (toppings keep their add-on price)
+   * Merges into a matching item that's already on the order in the new size
+   */
+  changeItemSize(target, newSize) {
+    if (!newSize || String(newSize).trim().length === 0) {
+      throw new OrderError('invalid_size', 'New size cannot be empty');
+    }
+    
+    const index = findItemIndex(this.order.items, target);
+    const item = this.order.items[index];
+    if (item.itemType === 'wings') {
+      throw new OrderError('invalid_size', 'Wings are ordered by piece count - remove the wings and add the new count instead');
+    }
+    
+    const requestedSize = String(newSize).trim().toLowerCase();
+    const found = findMenuItem(item.name, this.menu);
+    const size = found && Object.keys(found.data.priceMap).find(key => key.toLowerCase() === requestedSize);
+    if (!size) {
+      const sizes = found ? Object.keys(found.data.priceMap).join(', ') : 'one size';
+      throw new OrderError('invalid_size', `${item.name} doesn't come in ${requestedSize} - available sizes: ${sizes}`);
+    }
+    const basePrice = getPrice(item.name, size, this.menu);
+    
+    item.size = size;
+    item.basePrice = basePrice;
+    item.price = parseFloat((basePrice + (item.toppingsPrice || 0)).toFixed(2));
+    
+    const toppingsKey = this._toppingsKey(item.toppings || []);
+    const duplicateIndex = this.order.items.findIndex((other, i) =>
+      i !== index &&
+      other.name.toLowerCase() === item.name.toLowerCase() &&
+      (other.size || 'regular') === size &&
+      this._toppingsKey(other.toppings || []) === toppingsKey
+    );
+    if (duplicateIndex >= 0) {
+      this.order.items[duplicateIndex].quantity += item.quantity;
+      this.order.items.splice(index, 1);
+    }
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Remove every item and start the order over (customer details are kept)
+   */
+  clearOrder() {
+    this.order.items = [];
+    this.order.readyTimeQuote = null;
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Resolve requested toppings against the toppings list and price them
+   */
+  _resolveToppings(itemName, toppings) {
+    if (toppings.length === 0) {
+      return [];
+    }
+    
+    if (!itemName.toLowerCase().includes('pizza')) {
+      throw new OrderError('invalid_topping', `Toppings are only available on pizzas: ${itemName}`);
+    }
+    
+    return toppings.map(requested => {
+      const request = typeof requested === 'string' ? { name: requested } : (requested || {});
+      const topping = findTopping(request.name, this.toppings);
+      
+      if (!topping) {
+        throw new OrderError('invalid_topping', `Topping not found: ${request.name}`);
+      }
+      
+      const placement = (request.placement || 'whole').toLowerCase();
+      const amount = (request.amount || 'regular').toLowerCase();
+      
+      if (!(placement in TOPPING_PLACEMENTS)) {
+        throw new OrderError('invalid_topping', `Invalid topping placement: ${request.placement}. Must be 'whole', 'left' or 'right'`);
+      }
+      if (!(amount in TOPPING_AMOUNTS)) {
+        throw new OrderError('invalid_topping', `Invalid topping amount: ${request.amount}. Must be 'regular', 'extra', 'light' or 'no'`);
+      }
+      if (amount !== 'no') {
+        this._checkInStock('topping', topping.name);
+      }
+      
+      const price = topping.price * TOPPING_PLACEMENTS[placement] * TOPPING_AMOUNTS[amount];
+      
+      return {
+        name: topping.name,
+        placement: placement,
+        amount: amount,
+        price: parseFloat(price.toFixed(2))
+      };
+    });
+  }
+  
+  /**
+   * Throw an out_of_stock error (with the closest alternatives) when something is 86'd
+   */
+  _checkInStock(kind, name) {
+    if (!this.isOutOfStock(kind, name)) {
+      return;
+    }
+    const menuData = { menu: this.menu, toppings: this.toppings, wingOptions: this.wingOptions };
+    throw outOfStockError(kind, name, suggestAlternatives(kind, name, menuData, this.isOutOfStock));
+  }
+  
+  /**
+   * Everything on this call's menu that's 86'd right now
+   * @returns {Array} [{ kind, name }]
+   */
+  getOutOfStock() {
+    const names = listStockNames({ menu: this.menu, toppings: this.toppings, wingOptions: this.wingOptions });
+    return Object.keys(names).flatMap(kind =>
+      names[kind].filter(name => this.isOutOfStock(kind, name)).map(name => ({ kind, name }))
+    );
+  }
+  
+  /**
+   * Stable key for comparing topping selections
+   */
+  _toppingsKey(toppings) {
+    return toppings
+      .map(t => `${t.name}:${t.placement}:${t.amount}`)
+      .sort()
+      .join('|');
+  }
+  
+  /**
+   * Format toppings for summaries (e.g. "pepperoni on left half, extra cheese, no onions")
+   */
+  _formatToppings(toppings) {
+    return toppings.map(t => {
+      const amount = t.amount && t.amount !== 'regular' ? `${t.amount} ` : '';
+      const placement = t.placement && t.placement !== 'whole' ? ` on ${t.placement} half` : '';
+      return `${amount}${t.name}${placement}`;
+    }).join(', ');
+  }
+  
   /**
    * Set delivery method
    */
   setDeliveryMethod(method) {
     if (method !== 'pickup' && method !== 'delivery') {
-      throw new Error(`Invalid delivery method: ${method}. Must be 'pickup' or 'delivery'`);
+      throw new OrderError('invalid_delivery_method', `Invalid delivery method: ${method}. Must be 'pickup' or 'delivery'`);
     }
     this.order.deliveryMethod = method;
+    
+    // Returning customer - prefill their saved address (the AI asks them to confirm it)
+    if (method === 'delivery' && !this.order.address && this.order.savedAddress) {
+      this.order.address = this.order.savedAddress;
+    }
     return this.order;
   }
   
@@ -88,7 +383,7 @@ class OrderManager {
    */
   setAddress(address) {
     if (!address || address.trim().length === 0) {
-      throw new Error('Address cannot be empty');
+      throw new OrderError('missing_address', 'Address cannot be empty');
     }
     this.order.address = address.trim();
     return this.order;
@@ -99,12 +394,68 @@ class OrderManager {
    */
   setCustomerName(name) {
     if (!name || name.trim().length === 0) {
-      throw new Error('Customer name cannot be empty');
+      throw new OrderError('missing_name', 'Customer name cannot be empty');
     }
     this.order.customerName = name.trim();
     return this.order;
   }
   
+  /**
+   * Use a returning customer's profile (from the customer store) - fills in their name and saved address
+   */
+  setCustomerProfile(profile) {
+    this.order.returningCustomer = profile || null;
+    if (profile) {
+      this.order.customerName = this.order.customerName || profile.name || null;
+      this.order.savedAddress = profile.address || null;
+    }
+    return this.order;
+  }
+  
+  /**
+   * Add the items from the returning customer's last order, priced from today's menu
+   * Items no longer on the menu (or in a wing flavor the store dropped) are skipped
+   * @returns {Object} { added, skipped } item names
+   */
+  repeatLastOrder() {
+    const lastOrder = this.order.returningCustomer && this.order.returningCustomer.lastOrder;
+    if (!lastOrder || !lastOrder.items || lastOrder.items.length === 0) {
+      throw new OrderError('no_previous_order', 'No previous order to repeat');
+    }
+    
+    const added = [];
+    const skipped = [];
+    lastOrder.items.forEach(item => {
+      const details = item.details || {};
+      try {
+        // Wings go back in by piece count so today's wing prices and flavor rules apply
+        const size = details.pieceCount ? `${details.pieceCount} piece` : item.size || 'regular';
+        this.addItem(item.name, size, item.quantity || 1, item.specialInstructions || null, details.toppings || [], {
+          flavor: item.flavor || null,
+          dressing: item.dressing || null
+        });
+        added.push(item.name);
+      } catch (error) {
+        skipped.push(item.name);
+      }
+    });
+    
+    return { added, skipped };
+  }
+  
+  /**
+   * Look up what a menu item is (for "what comes on the supreme?")
+   * @returns {Object} { name, description } - description is null when the menu doesn't list one
+   */
+  getItemDescription(itemName) {
+    const result = lookupMenuItemDescription(this.menu, itemName);
+    if (!result.matched) {
+      const suggestions = result.alternatives.length ? ` - did they mean ${result.alternatives.join(', ')}?` : '';
+      throw new OrderError('menu_item_not_found', `Menu item not found: ${itemName}${suggestions}`);
+    }
+    return { name: result.itemName, description: result.description || null };
+  }
+  
   /**
    * Set customer phone
    */
@@ -121,7 +472,7 @@ class OrderManager {
     const lowerMethod = method.toLowerCase();
     
     if (!validMethods.some(m => lowerMethod.includes(m))) {
-      throw new Error(`Invalid payment method: ${method}`);
+      throw new OrderError('invalid_payment_method', `Invalid payment method: ${method}`);
     }
     
     // Normalize to cash or card
@@ -129,16 +480,61 @@ class OrderManager {
     return this.order;
   }
   
+  /**
+   * Set a requested pickup/delivery time from what the customer said ("at six thirty", "tomorrow at noon")
+   * Validated against store hours and lead time
+   */
+  setRequestedTime(spokenTime, now = new Date()) {
+    if (!spokenTime || spokenTime.trim().length === 0) {
+      throw new OrderError('invalid_requested_time', 'Requested time cannot be empty');
+    }
+    
+    const result = resolveRequestedTime(spokenTime, this.storeConfig, now);
+    if (!result.valid) {
+      throw new OrderError('invalid_requested_time', result.error);
+    }
+    
+    this.order.requestedTime = result.requestedTime;
+    this.order.requestedTimeLabel = result.label;
+    return this.order;
+  }
+  
+  /**
+   * Clear requested time (back to as soon as possible)
+   */
+  clearRequestedTime() {
+    this.order.requestedTime = null;
+    this.order.requestedTimeLabel = null;
+    return this.order;
+  }
+  
+  /**
+   * Store the ready-time quote given to the customer
+   */
+  setReadyTimeQuote(quote) {
+    this.order.readyTimeQuote = quote;
+    return this.order;
+  }
+  
   /**
    * Confirm order
+   * While the store isn't taking orders (after-hours "schedule" mode) the order needs a requested time
    */
-  confirm() {
+  confirm(now = new Date()) {
     if (this.order.items.length === 0) {
-      throw new Error('Cannot confirm order with no items');
+      throw new OrderError('order_empty', 'Cannot confirm order with no items');
     }
     
     if (!this.order.customerName) {
-      throw new Error('Cannot confirm order without customer name');
+      throw new OrderError('missing_name', 'Cannot confirm order without customer name');
+    }
+    
+    if (!this.order.requestedTime) {
+      const status = getStoreStatus(this.storeConfig, now);
+      if (!status.acceptingOrders) {
+        const reopen = status.nextOpen ? ` We open again ${status.nextOpen.label}.` : '';
+        throw new OrderError('requested_time_required', `We're not taking orders for right now.${reopen} Ask what time they want it and call set_requested_time.`);
+      }
     }
     
     this.order.confirmed = true;
@@ -148,9 +544,10 @@ class OrderManager {
   /**
    * Recalculate order totals
    */
-  recalculateTotals(taxRate = 0.08) {
+  recalculateTotals(taxRate = this.taxRate) {
     let subtotal = 0;
     
+    // item.price is the unit price including any topping add-ons
     this.order.items.forEach(item => {
       subtotal += (item.price || 0) * (item.quantity || 1);
     });
@@ -180,7 +577,8 @@ class OrderManager {
     const items = this.order.items.map(item => {
       const qty = item.quantity || 1;
       const size = item.size ? ` ${item.size}` : '';
-      return `${qty}x${size} ${item.name}`;
+      const toppings = item.toppings && item.toppings.length > 0 ? ` (${this._formatToppings(item.toppings)})` : '';
+      return `${qty}x${size} ${item.name}${toppings}`;
     }).join(', ');
     
     return items;
@@ -194,7 +592,11 @@ class OrderManager {
       const qty = item.quantity || 1;
       const size = item.size ? ` ${item.size}` : '';
       const itemTotal = (item.price || 0) * qty;
-      return `${qty}x${size} ${item.name} - $${itemTotal.toFixed(2)}`;
+      const lines = [`${qty}x${size} ${item.name} - $${itemTotal.toFixed(2)}`];
+      (item.toppings || []).forEach(t => {
+        lines.push(`  + ${this._formatToppings([t])}${t.price > 0 ? ` ($${t.price.toFixed(2)})` : ''}`);
+      });
+      return lines.join('\n');
     }).join('\n');
     
     return `Order Summary:
@@ -205,6 +607,7 @@ Tax: $${this.order.tax.toFixed(2)}
 Total: $${this.order.total.toFixed(2)}
 
 Delivery Method: ${this.order.deliveryMethod || 'Not specified'}
+Requested Time: ${this.order.requestedTimeLabel || 'As soon as possible'}
 ${this.order.address ? `Address: ${this.order.address}` : ''}
 Customer: ${this.order.customerName || 'Not provided'}
 Payment: ${this.order.paymentMethod || 'Not specified'}`;
@@ -225,6 +628,10 @@ Payment: ${this.order.paymentMethod || 'Not specified'}`;
     return {
       callSid: this.order.callSid,
       streamSid: this.order.streamSid,
+      storeSlug: this.storeConfig ? this.storeConfig.slug : null,
+      storeName: this.storeConfig ? this.storeConfig.name : null,
+      storeLocation: this.storeConfig ? this.storeConfig.location : null,
+      menuVersion: this.menuVersion,
       timestamp: this.order.timestamp,
       from: this.order.from,
       customerName: this.order.customerName,
@@ -234,12 +641,28 @@ Payment: ${this.order.paymentMethod || 'Not specified'}`;
         size: item.size,
         quantity: item.quantity,
         price: item.price,
+        basePrice: item.basePrice,
+        toppings: (item.toppings || []).map(t => ({
+          name: t.name,
+          placement: t.placement,
+          amount: t.amount,
+          price: t.price
+        })),
+        toppingsPrice: item.toppingsPrice || 0,
         itemTotal: (item.price || 0) * (item.quantity || 1),
-        specialInstructions: item.specialInstructions
+        specialInstructions: item.specialInstructions,
+        ...(item.flavor && { flavor: item.flavor }),
+        ...(item.dressing && { dressing: item.dressing }),
+        ...(item.modifiers && { modifiers: item.modifiers }),
+        ...(item.pieceCount && { pieceCount: item.pieceCount, itemType: item.itemType })
       })),
       deliveryMethod: this.order.deliveryMethod,
       address: this.order.address,
       paymentMethod: this.order.paymentMethod,
+      requestedTime: this.order.requestedTime,
+      requestedTimeLabel: this.order.requestedTimeLabel,
+      estimatedReadyAt: this.order.readyTimeQuote ? this.order.readyTimeQuote.readyAt : null,
+      estimatedReadyMinutes: this.order.readyTimeQuote ? this.order.readyTimeQuote.minutes : null,
       subtotal: this.order.subtotal,
       tax: this.order.tax,
       total: this.order.total,
@@ -269,6 +692,8 @@ Payment: ${this.order.paymentMethod || 'Not specified'}`;
 }
 
 module.exports = OrderManager;
+module.exports.findItemIndex = findItemIndex;
+module.exports.OrderError = OrderError;
 
 
 
@@ -0,0 +1,144 @@
+/**
+ * Out of Stock
+ * Rules for 86'd menu items, toppings and wing flavors - matching names against the menu,
+ * picking the closest in-stock alternatives and the error the AI reads to the caller
+ *
+ * What's 86'd is stored per store (apps/api/stock-store); these helpers only need an
+ * isOutOfStock(kind, name) check so they work with or without the order store.
+ */
+
+const { findMenuItem, findTopping } = require('../config/menu');
+const { getFlavorNames } = require('./wing-rules');
+const OrderError = require('./order-error');
+
+const STOCK_KIND_LABELS = { item: 'items', topping: 'toppings', wing_flavor: 'wing flavors' };
+
+/**
+ * Match a requested name to the menu's own name for it
+ * @param {string} kind - 'item', 'topping' or 'wing_flavor'
+ * @param {Object} menuData - { menu, toppings, wingOptions }
+ * @returns {string|null} The menu's name, or null when the menu doesn't have it
+ */
+function findStockName(kind, name, menuData) {
+  if (!name || !String(name).trim()) {
+    return null;
+  }
+  switch (kind) {
+    case 'item': {
+      const found = findMenuItem(name, menuData.menu || {});
+      return found ? found.name : null;
+    }
+    case 'topping': {
+      const topping = findTopping(name, menuData.toppings || []);
+      return topping ? topping.name : null;
+    }
+    case 'wing_flavor': {
+      const wanted = String(name).trim().toLowerCase();
+      return getFlavorNames(menuData.wingOptions).find(flavor => flavor.toLowerCase() === wanted) || null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Every name on the menu that can be 86'd, by kind
+ */
+function listStockNames(menuData) {
+  return {
+    item: Object.keys(menuData.menu || {}),
+    topping: (menuData.toppings || []).map(topping => topping.name),
+    wing_flavor: getFlavorNames(menuData.wingOptions)
+  };
+}
+
+const words = (name) => String(name).toLowerCase().split(/\s+/).filter(Boolean);
+
+const lowestPrice = (item) => {
+  const prices = Object.values(item?.priceMap || {}).filter(price => typeof price === 'number');
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+/**
+ * Closest in-stock alternatives for something that's 86'd
+ * Items come from the same category, toppings of the same type and any other wing flavor.
+ * Names sharing the most words come first, then the closest price. Menus without categories
+ * only suggest items that share a word ("pepperoni pizza" -> "cheese pizza").
+ * @param {Function} isOutOfStock - (kind, name) => boolean
+ * @returns {Array<string>} Up to limit names
+ */
+function suggestAlternatives(kind, name, menuData, isOutOfStock = () => false, limit = 3) {
+  const wanted = words(name);
+  let candidates;
+  let mustShareWord = false;
+  if (kind === 'item') {
+    const menu = menuData.menu || {};
+    const target = menu[name] || findMenuItem(name, menu)?.data || {};
+    const category = String(target.category || '').toLowerCase();
+    const targetPrice = lowestPrice(target);
+    mustShareWord = !category;
+    candidates = Object.keys(menu)
+      .filter(other => !category || String(menu[other].category || '').toLowerCase() === category)
+      .map(other => {
+        const price = lowestPrice(menu[other]);
+        return { name: other, distance: targetPrice !== null && price !== null ? Math.abs(price - targetPrice) : Infinity };
+      });
+  } else if (kind === 'topping') {
+    const toppings = menuData.toppings || [];
+    const target = findTopping(name, toppings) || {};
+    candidates = toppings
+      .filter(topping => !target.type || topping.type === target.type)
+      .map(topping => ({ name: topping.name, distance: Math.abs((topping.price || 0) - (target.price || 0)) }));
+  } else {
+    candidates = getFlavorNames(menuData.wingOptions).map(flavor => ({ name: flavor, distance: 0 }));
+  }
+
+  return candidates
+    .filter(candidate => candidate.name.toLowerCase() !== String(name).toLowerCase() && !isOutOfStock(kind, candidate.name))
+    .map(candidate => ({ ...candidate, shared: words(candidate.name).filter(word => wanted.includes(word)).length }))
+    .filter(candidate => !mustShareWord || candidate.shared > 0)
+    .sort((a, b) => b.shared - a.shared || a.distance - b.distance)
+    .slice(0, limit)
+    .map(candidate => candidate.name);
+}
+
+/**
+ * Error for an 86'd item, topping or flavor - the message is what the caller hears
+ */
+function outOfStockError(kind, name, alternatives = []) {
+  const suggestion = alternatives.length > 0 ? ` Closest alternatives: ${alternatives.join(', ')}.` : '';
+  const error = new OrderError('out_of_stock', `We're out of ${name} today.${suggestion}`);
+  error.kind = kind;
+  error.alternatives = alternatives;
+  return error;
+}
+
+/**
+ * Describe what's 86'd for the AI prompt
+ * @param {Array} outOfStock - [{ kind, name }]
+ */
+function getStockPromptContext(outOfStock = []) {
+  if (outOfStock.length === 0) {
+    return '';
+  }
+  const lines = Object.keys(STOCK_KIND_LABELS)
+    .map(kind => {
+      const names = outOfStock.filter(entry => entry.kind === kind).map(entry => entry.name);
+      return names.length > 0 ? `${STOCK_KIND_LABELS[kind]}: ${names.join(', ')}` : null;
+    })
+    .filter(Boolean);
+  return `OUT OF STOCK TODAY (86'd) - ${lines.join('; ')}`;
+}
+
+module.exports = {
+  findStockName,
+  listStockNames,
+  suggestAlternatives,
+  outOfStockError,
+  getStockPromptContext
+};
+
+
+
+
+
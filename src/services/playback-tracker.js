@@ -0,0 +1,116 @@
+/**
+ * Playback Tracker
+ * Knows how much of the assistant's audio the caller has actually heard, so barge-in can stop it
+ *
+ * Audio sent to Twilio is queued and played at Twilio's pace. Each chunk is followed by a
+ * Media Streams "mark"; Twilio echoes the mark once the audio before it has played. When the
+ * caller starts talking over the assistant, interrupt() sends Twilio a "clear" (drop whatever
+ * is still queued) and truncates the assistant's conversation item to the audio that was
+ * played, so the model's history only holds what the caller heard.
+ */
+
+const MULAW_BYTES_PER_MS = 8; // Twilio audio is 8kHz μ-law, one byte per sample
+
+class PlaybackTracker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendToTwilio - (message) => sends a Media Streams message
+   * @param {Function} options.truncate - (itemId, audioEndMs) => truncates the assistant item at OpenAI
+   */
+  constructor(options = {}) {
+    this.sendToTwilio = options.sendToTwilio;
+    this.truncate = options.truncate;
+    this.streamSid = null;
+    this.reset();
+  }
+
+  /**
+   * Forget everything about the current playback (new stream or call)
+   */
+  reset(streamSid = this.streamSid) {
+    this.streamSid = streamSid;
+    this.itemId = null; // Assistant item being played
+    this.sentMs = 0; // Audio of that item sent to Twilio
+    this.playedMs = 0; // Audio of that item Twilio has confirmed playing
+    this.pendingMarks = []; // [{ name, itemId, endMs }] in send order
+    this.interruptedItemIds = new Set();
+    this.markCount = 0;
+  }
+
+  /**
+   * Whether audio for an assistant item should still be played (not cut off by the caller)
+   */
+  shouldPlay(itemId) {
+    return !this.interruptedItemIds.has(itemId);
+  }
+
+  /**
+   * Record an audio chunk that was just sent to Twilio and mark where it ends
+   * @param {string} itemId - Assistant conversation item the audio belongs to
+   * @param {number} bytes - Size of the μ-law audio sent
+   */
+  onAudioSent(itemId, bytes) {
+    if (itemId !== this.itemId) {
+      this.itemId = itemId;
+      this.sentMs = 0;
+      this.playedMs = 0;
+    }
+    this.sentMs += bytes / MULAW_BYTES_PER_MS;
+
+    const name = `audio-${++this.markCount}`;
+    this.pendingMarks.push({ name, itemId, endMs: this.sentMs });
+    this.sendToTwilio({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+  }
+
+  /**
+   * Twilio played everything up to this mark
+   */
+  onMark(name) {
+    const index = this.pendingMarks.findIndex(mark => mark.name === name);
+    if (index === -1) {
+      return; // Marks for cleared audio are echoed back too
+    }
+    const mark = this.pendingMarks[index];
+    this.pendingMarks = this.pendingMarks.slice(index + 1);
+    if (mark.itemId === this.itemId) {
+      this.playedMs = mark.endMs;
+    }
+  }
+
+  /**
+   * Whether Twilio still has assistant audio queued
+   */
+  isPlaying() {
+    return this.pendingMarks.length > 0;
+  }
+
+  /**
+   * The caller started talking - stop playback and trim the assistant item to what was heard
+   * @returns {Object|null} { itemId, audioEndMs } or null if nothing was playing
+   */
+  interrupt() {
+    if (!this.itemId || !this.isPlaying()) {
+      return null;
+    }
+
+    const interrupted = { itemId: this.itemId, audioEndMs: Math.floor(this.playedMs) };
+    this.sendToTwilio({ event: 'clear', streamSid: this.streamSid });
+    this.truncate(interrupted.itemId, interrupted.audioEndMs);
+    console.log(`✋ Caller interrupted - cleared playback, assistant heard up to ${interrupted.audioEndMs}ms of ${Math.floor(this.sentMs)}ms`);
+
+    // Late audio for the cut-off item is dropped instead of played
+    this.interruptedItemIds.add(interrupted.itemId);
+    this.itemId = null;
+    this.sentMs = 0;
+    this.playedMs = 0;
+    this.pendingMarks = [];
+    return interrupted;
+  }
+}
+
+module.exports = PlaybackTracker;
+
+
+
+
+
@@ -0,0 +1,188 @@
+/**
+ * Ready Time Estimator
+ * Quotes when an order will be ready based on how busy the kitchen is
+ *
+ * Each quote counts the orders already queued for the store, applies per-item prep
+ * times and the number of pizzas the oven fits at once. Kitchen settings can be
+ * overridden per store with a "kitchen" entry in stores.json.
+ */
+
+const { getLocalTime, formatClock } = require('./business-hours');
+const { formatRequestedTime } = require('./requested-time');
+
+const DEFAULT_KITCHEN = {
+  prepMinutes: { // Minutes to make one item, by category
+    pizza: 12,
+    calzone: 14,
+    wings: 12,
+    sides: 6,
+    drinks: 0,
+    other: 8
+  },
+  perAdditionalItemMinutes: 1, // Extra hands-on time per item beyond the first
+  ovenCapacity: 6, // Pizzas/calzones baking at once
+  ovenCycleMinutes: 10, // Minutes per oven load
+  deliveryMinutes: 15,
+  minimumMinutes: 15,
+  roundToMinutes: 5
+};
+
+const OVEN_CATEGORIES = ['pizza', 'calzone'];
+
+class ReadyTimeEstimator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getQueuedOrders - (storeSlug, now) => orders the kitchen is working on
+   *   Each order needs { items }. Defaults to the orders recorded with recordOrder().
+   */
+  constructor(options = {}) {
+    this.queue = new Map(); // storeSlug -> [{ id, items, startAt, readyAt }]
+    this.getQueuedOrders = options.getQueuedOrders || ((storeSlug, now) => this._getRecordedOrders(storeSlug, now));
+  }
+
+  /**
+   * Get kitchen settings for a store (store overrides merged over defaults)
+   */
+  getKitchenConfig(storeConfig) {
+    const kitchen = storeConfig?.kitchen || {};
+    return {
+      ...DEFAULT_KITCHEN,
+      ...kitchen,
+      prepMinutes: { ...DEFAULT_KITCHEN.prepMinutes, ...kitchen.prepMinutes }
+    };
+  }
+
+  /**
+   * Work out the prep category for an order item
+   */
+  categorize(item) {
+    const category = String(item.category || '').toLowerCase();
+    const name = String(item.name || '').toLowerCase();
+    const text = `${category} ${name}`;
+
+    if (text.includes('calzone') || text.includes('stromboli')) return 'calzone';
+    if (text.includes('pizza')) return 'pizza';
+    if (text.includes('wing')) return 'wings';
+    if (/\b(drink|soda|water|beverage|pop)\b/.test(text)) return 'drinks';
+    if (/\b(side|fries|knots|bread|sticks|salad)\b/.test(text)) return 'sides';
+    return 'other';
+  }
+
+  /**
+   * Count oven slots an order needs
+   */
+  countOvenItems(items = []) {
+    return items
+      .filter(item => OVEN_CATEGORIES.includes(this.categorize(item)))
+      .reduce((sum, item) => sum + (item.quantity || 1), 0);
+  }
+
+  /**
+   * Quote a ready time for an order
+   * @param {Object} order - Order with items, deliveryMethod and optional requestedTime
+   * @param {Object} storeConfig - Store configuration from the store registry
+   * @param {Date} now - Current time (injectable for tests)
+   * @returns {Object} { minutes, readyAt, readyAtLabel, queuedOrders, queuedOvenItems, breakdown }
+   */
+  estimate(order, storeConfig = null, now = new Date()) {
+    const kitchen = this.getKitchenConfig(storeConfig);
+    const items = order?.items || [];
+    const queued = this.getQueuedOrders(storeConfig?.slug || 'default', now) || [];
+
+    // Hands-on prep: items are made in parallel, so the slowest item sets the pace
+    const itemCount = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+    const slowestItem = items.reduce((max, item) => Math.max(max, kitchen.prepMinutes[this.categorize(item)] || 0), 0);
+    const prepMinutes = slowestItem + Math.max(itemCount - 1, 0) * kitchen.perAdditionalItemMinutes;
+
+    // Oven: wait for full loads already queued ahead of us, plus extra loads for our own pizzas
+    const queuedOvenItems = queued.reduce((sum, queuedOrder) => sum + this.countOvenItems(queuedOrder.items), 0);
+    const ownOvenItems = this.countOvenItems(items);
+    const queueWaitMinutes = Math.floor(queuedOvenItems / kitchen.ovenCapacity) * kitchen.ovenCycleMinutes;
+    const extraLoadMinutes = Math.max(Math.ceil(ownOvenItems / kitchen.ovenCapacity) - 1, 0) * kitchen.ovenCycleMinutes;
+
+    const deliveryMinutes = order?.deliveryMethod === 'delivery' ? kitchen.deliveryMinutes : 0;
+
+    let minutes = queueWaitMinutes + prepMinutes + extraLoadMinutes + deliveryMinutes;
+    minutes = Math.max(kitchen.minimumMinutes, Math.ceil(minutes / kitchen.roundToMinutes) * kitchen.roundToMinutes);
+
+    let readyAt = new Date(now.getTime() + minutes * 60000);
+
+    // A scheduled order is ready at the requested time, as long as the kitchen can make it by then
+    const scheduled = order?.requestedTime && new Date(order.requestedTime) > readyAt;
+    if (scheduled) {
+      readyAt = new Date(order.requestedTime);
+      minutes = Math.round((readyAt.getTime() - now.getTime()) / 60000);
+    }
+
+    const timezone = storeConfig?.timezone || 'America/New_York';
+    const local = getLocalTime(readyAt, timezone);
+    // Say the day too when a scheduled order isn't for today ("tomorrow at 12:00 PM")
+    const readyAtLabel = scheduled && local.dateKey !== getLocalTime(now, timezone).dateKey
+      ? formatRequestedTime(local, { now, timezone })
+      : formatClock(local.minutes);
+
+    return {
+      minutes,
+      readyAt: readyAt.toISOString(),
+      readyAtLabel,
+      scheduled: !!scheduled,
+      queuedOrders: queued.length,
+      queuedOvenItems,
+      breakdown: {
+        prepMinutes,
+        queueWaitMinutes,
+        extraLoadMinutes,
+        deliveryMinutes
+      }
+    };
+  }
+
+  /**
+   * Add a confirmed order to the kitchen queue so later quotes account for it
+   */
+  recordOrder(order, storeConfig, quote, now = new Date()) {
+    const storeSlug = storeConfig?.slug || 'default';
+    const queue = this.queue.get(storeSlug) || [];
+    const id = order.callSid || order.streamSid || `order-${Date.now()}`;
+
+    // Scheduled orders only hit the kitchen once it's time to start making them
+    const { prepMinutes, extraLoadMinutes, deliveryMinutes } = quote.breakdown;
+    const startAt = quote.scheduled
+      ? new Date(new Date(quote.readyAt).getTime() - (prepMinutes + extraLoadMinutes + deliveryMinutes) * 60000)
+      : now;
+
+    // Replace an earlier entry for the same order (e.g. re-logged on close)
+    const entries = queue.filter(entry => entry.id !== id);
+    entries.push({ id, items: order.items || [], startAt: startAt.toISOString(), readyAt: quote.readyAt });
+    this.queue.set(storeSlug, entries);
+  }
+
+  /**
+   * Orders recorded with recordOrder() that the kitchen is working on right now
+   */
+  _getRecordedOrders(storeSlug, now) {
+    const pending = (this.queue.get(storeSlug) || []).filter(entry => new Date(entry.readyAt) > now);
+    this.queue.set(storeSlug, pending);
+    return pending.filter(entry => new Date(entry.startAt) <= now);
+  }
+}
+
+/**
+ * Describe a quote for the AI to speak
+ */
+function formatReadyTimeQuote(quote, deliveryMethod) {
+  if (quote.scheduled) {
+    return `The order will be ready at the requested time, ${quote.readyAtLabel}.`;
+  }
+  const verb = deliveryMethod === 'delivery' ? 'delivered' : 'ready';
+  return `The order will be ${verb} in about ${quote.minutes} minutes (around ${quote.readyAtLabel}).`;
+}
+
+module.exports = ReadyTimeEstimator;
+module.exports.formatReadyTimeQuote = formatReadyTimeQuote;
+module.exports.DEFAULT_KITCHEN = DEFAULT_KITCHEN;
+
+
+
+
+
@@ -0,0 +1,263 @@
+/**
+ * Requested Time
+ * Parses spoken pickup/delivery times ("at six thirty", "tomorrow at noon", "in 45 minutes")
+ * and validates them against store hours and lead time
+ */
+
+const {
+  getStoreStatus,
+  getLocalTime,
+  getWeekday,
+  shiftDateKey,
+  zonedTimeToDate,
+  describeHoursForDate,
+  formatClock
+} = require('./business-hours');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50
+};
+
+/**
+ * Lowercase, strip punctuation and turn spoken numbers into digits ("forty five" -> "45")
+ */
+function normalizeSpokenTime(text) {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .replace(/-/g, ' ')
+    .replace(/\bo'?clock\b/g, ' ')
+    .replace(/[^a-z0-9: ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!(token in NUMBER_WORDS)) {
+      result.push(token);
+      continue;
+    }
+    let value = NUMBER_WORDS[token];
+    const next = NUMBER_WORDS[tokens[i + 1]];
+    if (value >= 20 && next > 0 && next < 10) {
+      value += next;
+      i++;
+    }
+    result.push(String(value));
+  }
+  return result.join(' ');
+}
+
+/**
+ * Convert a clock hour to 24-hour time
+ * Without AM/PM, pizza orders are lunch or dinner: 11 and 12 stay as-is, 1-10 are afternoon/evening
+ */
+function to24Hour(hour, meridiem) {
+  if (meridiem === 'am') {
+    return hour === 12 ? 0 : hour;
+  }
+  if (meridiem === 'pm') {
+    return hour === 12 ? 12 : hour + 12;
+  }
+  if (hour === 0 || hour >= 13 || hour === 11 || hour === 12) {
+    return hour;
+  }
+  return hour + 12;
+}
+
+/**
+ * Find the clock time in normalized text
+ * Returns { hour, minute, meridiem } or null
+ */
+function parseClockTime(text) {
+  if (/\bnoon\b/.test(text)) {
+    return { hour: 12, minute: 0, meridiem: 'pm' };
+  }
+  if (/\bmidnight\b/.test(text)) {
+    return { hour: 24, minute: 0, meridiem: null };
+  }
+
+  let meridiem = null;
+  if (/\d\s*(a\s?m)\b/.test(text) || /\bmorning\b/.test(text)) {
+    meridiem = 'am';
+  } else if (/\d\s*(p\s?m)\b/.test(text) || /\b(tonight|evening|night|afternoon)\b/.test(text)) {
+    meridiem = 'pm';
+  }
+
+  const quarter = /\b(half|quarter)\s+(past|after|to|of)\s+(\d{1,2})\b/.exec(text);
+  if (quarter) {
+    const hour = parseInt(quarter[3], 10);
+    const offset = quarter[1] === 'half' ? 30 : 15;
+    if (quarter[2] === 'to' || quarter[2] === 'of') {
+      return { hour: hour === 1 ? 12 : hour - 1, minute: 60 - offset, meridiem };
+    }
+    return { hour, minute: offset, meridiem };
+  }
+
+  // "630" / "1130"
+  const compact = /\b(\d{1,2})(\d{2})\b/.exec(text);
+  if (compact && !/\bin\s+\d+/.test(text)) {
+    return { hour: parseInt(compact[1], 10), minute: parseInt(compact[2], 10), meridiem };
+  }
+
+  // "6", "6:30", "6 30", "6 oh 5"
+  const clock = /\b(\d{1,2})(?:\s*:\s*(\d{2})|\s+oh\s+(\d)|\s+(\d{2}))?\b/.exec(text);
+  if (clock) {
+    const minute = clock[2] || clock[3] || clock[4] || '0';
+    return { hour: parseInt(clock[1], 10), minute: parseInt(minute, 10), meridiem };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a spoken time into a store-local date and time
+ * @param {string} text - What the customer said (e.g. "tomorrow at noon")
+ * @param {Object} options - { now, timezone }
+ * @returns {Object|null} { date, dateKey, minutes } or null if no time was found
+ */
+function parseRequestedTime(text, { now = new Date(), timezone = 'America/New_York' } = {}) {
+  const normalized = normalizeSpokenTime(text);
+  if (!normalized) {
+    return null;
+  }
+
+  // Relative times: "in 45 minutes", "in an hour", "in half an hour", "in an hour and a half"
+  const relative = /\bin\s+(half\s+an?|an?|\d+)\s*(minutes?|mins?|hours?|hrs?)(\s+and\s+a\s+half)?\b/.exec(normalized);
+  if (relative) {
+    let amount = relative[1].startsWith('half') ? 0.5 : /^an?$/.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+    if (relative[3]) {
+      amount += 0.5;
+    }
+    const minutes = /^h/.test(relative[2]) ? amount * 60 : amount;
+    const date = new Date(now.getTime() + minutes * 60000);
+    const local = getLocalTime(date, timezone);
+    return { date, dateKey: local.dateKey, minutes: local.minutes };
+  }
+
+  const clock = parseClockTime(normalized);
+  if (!clock || clock.minute > 59 || clock.hour > 24 || (clock.meridiem && clock.hour > 12)) {
+    return null;
+  }
+
+  const today = getLocalTime(now, timezone);
+  let dayOffset = 0;
+  let explicitDay = false;
+  if (/\btomorrow\b/.test(normalized)) {
+    dayOffset = 1;
+    explicitDay = true;
+  } else {
+    const weekday = DAYS.find(day => new RegExp(`\\b${day}\\b`).test(normalized));
+    if (weekday) {
+      dayOffset = (DAYS.indexOf(weekday) - DAYS.indexOf(today.weekday) + 7) % 7;
+      explicitDay = true;
+    }
+  }
+
+  let minutes = clock.hour === 24 ? 24 * 60 : to24Hour(clock.hour, clock.meridiem) * 60 + clock.minute;
+
+  // "at 9" said at 8pm means 9 PM, not 9 AM
+  if (!explicitDay && !clock.meridiem && minutes < 12 * 60 && minutes <= today.minutes) {
+    minutes += 12 * 60;
+  }
+
+  let dateKey = shiftDateKey(today.dateKey, dayOffset);
+  if (minutes >= 24 * 60) {
+    dateKey = shiftDateKey(dateKey, 1);
+    minutes -= 24 * 60;
+  }
+
+  return { date: zonedTimeToDate(dateKey, minutes, timezone), dateKey, minutes };
+}
+
+/**
+ * Describe a requested time relative to now (e.g. "today at 6:30 PM", "Friday at 12:00 PM")
+ */
+function formatRequestedTime(requested, { now = new Date(), timezone = 'America/New_York' } = {}) {
+  const today = getLocalTime(now, timezone).dateKey;
+  let dayLabel;
+  if (requested.dateKey === today) {
+    dayLabel = 'today';
+  } else if (requested.dateKey === shiftDateKey(today, 1)) {
+    dayLabel = 'tomorrow';
+  } else {
+    dayLabel = getWeekday(requested.dateKey).replace(/^\w/, c => c.toUpperCase());
+  }
+  return `${dayLabel} at ${formatClock(requested.minutes)}`;
+}
+
+/**
+ * Check a parsed time against lead time, how far ahead orders are allowed and store hours
+ * (including the last-order cutoff before close)
+ * @returns {Object} { valid, error }
+ */
+function validateRequestedTime(storeConfig, requested, now = new Date()) {
+  const scheduling = storeConfig?.scheduling || {};
+  const minLeadMinutes = scheduling.minLeadMinutes ?? 20;
+  const maxDaysAhead = scheduling.maxDaysAhead ?? 7;
+  const timezone = storeConfig?.timezone || 'America/New_York';
+  const minutesAhead = (requested.date.getTime() - now.getTime()) / 60000;
+
+  if (minutesAhead <= 0) {
+    return { valid: false, error: 'That time has already passed.' };
+  }
+
+  if (minutesAhead < minLeadMinutes) {
+    const earliest = getLocalTime(new Date(now.getTime() + minLeadMinutes * 60000), timezone);
+    return { valid: false, error: `We need at least ${minLeadMinutes} minutes. The earliest we can do is ${formatClock(earliest.minutes)}.` };
+  }
+
+  if (minutesAhead > maxDaysAhead * 24 * 60) {
+    return { valid: false, error: `We can only take orders up to ${maxDaysAhead} days ahead.` };
+  }
+
+  const status = getStoreStatus(storeConfig, requested.date);
+  if (!status.acceptingOrders) {
+    const dayLabel = formatRequestedTime(requested, { now, timezone }).split(' at ')[0].replace(/^\w/, c => c.toUpperCase());
+    if (status.reason === 'last_order_cutoff') {
+      return { valid: false, error: `That's too close to closing. ${dayLabel} the last orders are at ${status.lastOrderAt}.` };
+    }
+    return { valid: false, error: `We're closed at that time. ${dayLabel} we're ${describeHoursForDate(storeConfig, requested.dateKey)}.` };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Parse and validate a spoken time for a store
+ * @returns {Object} { valid, error, requestedTime (ISO string), label }
+ */
+function resolveRequestedTime(text, storeConfig, now = new Date()) {
+  const timezone = storeConfig?.timezone || 'America/New_York';
+  const requested = parseRequestedTime(text, { now, timezone });
+
+  if (!requested) {
+    return { valid: false, error: `I couldn't understand the time "${text}".`, requestedTime: null, label: null };
+  }
+
+  const label = formatRequestedTime(requested, { now, timezone });
+  const { valid, error } = validateRequestedTime(storeConfig, requested, now);
+
+  return {
+    valid,
+    error,
+    requestedTime: valid ? requested.date.toISOString() : null,
+    label
+  };
+}
+
+module.exports = {
+  parseRequestedTime,
+  formatRequestedTime,
+  validateRequestedTime,
+  resolveRequestedTime
+};
+
+
+
+
+
@@ -0,0 +1,152 @@
+/**
+ * SMS Notifier
+ * Texts callers an itemized confirmation after confirm_order and a "ready" message when staff bump the order
+ *
+ * Numbers come from the caller ID, so blocked/anonymous callers are skipped (see formatPhoneNumber).
+ * Stores can turn texts off with "sms": { "enabled": false } or send from their own number with
+ * "sms": { "fromNumber": "+13155550100" } in stores.json.
+ */
+
+const twilio = require('twilio');
+const { calculateOrderTotals, formatPhoneNumber } = require('../../integrations/google-sheets');
+
+class SmsNotifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Twilio client (anything with messages.create) - defaults to one built from env
+   * @param {string} options.fromNumber - Default sending number (TWILIO_PHONE_NUMBER)
+   */
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.fromNumber = options.fromNumber || process.env.TWILIO_PHONE_NUMBER || null;
+  }
+
+  /**
+   * Get (or lazily create) the Twilio client
+   */
+  getClient() {
+    if (!this.client && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Turn a caller ID into an E.164 number we can text, or null for blocked/unknown/non-US numbers
+   */
+  getTextableNumber(phone) {
+    const formatted = formatPhoneNumber(phone);
+    const match = /^\((\d{3})\) (\d{3})-(\d{4})$/.exec(formatted);
+    return match ? `+1${match[1]}${match[2]}${match[3]}` : null;
+  }
+
+  /**
+   * Number to send from: store setting, then TWILIO_PHONE_NUMBER, then the store's own Twilio number
+   */
+  getFromNumber(storeConfig) {
+    if (storeConfig?.sms?.fromNumber) {
+      return storeConfig.sms.fromNumber;
+    }
+    if (this.fromNumber) {
+      return this.fromNumber;
+    }
+    const storeNumber = storeConfig?.phoneNumbers?.[0];
+    return storeNumber ? `+1${storeNumber}` : null;
+  }
+
+  /**
+   * Build the itemized confirmation text
+   */
+  buildConfirmationMessage(order, storeConfig = null) {
+    const storeName = storeConfig?.name || 'Uncle Sal\'s Pizza';
+    const items = (order.items || []).map(item => ({ ...item })); // calculateOrderTotals fills in lineTotal
+    const totals = calculateOrderTotals(items, storeConfig?.taxRate ?? order.taxRate ?? 0.08);
+
+    const lines = [`${storeName}: Thanks${order.customerName ? `, ${order.customerName}` : ''}! Your order is confirmed.`, ''];
+    items.forEach(item => {
+      const size = item.size && item.size !== 'regular' ? `${item.size} ` : '';
+      const pieces = item.pieceCount ? ` (${item.pieceCount} pc)` : '';
+      const flavor = item.flavor ? ` - ${item.flavor}` : '';
+      lines.push(`${item.quantity || 1}x ${size}${item.name}${pieces}${flavor} $${item.lineTotal.toFixed(2)}`);
+    });
+    lines.push('', `Total: $${totals.total.toFixed(2)} (incl. tax)`);
+
+    const quote = order.readyTimeQuote;
+    if (order.deliveryMethod === 'delivery') {
+      lines.push(`Delivery to ${order.address || 'your address'}`);
+    } else {
+      lines.push(`Pickup${storeConfig?.location ? ` at ${storeConfig.location}` : ''}`);
+    }
+    if (quote?.scheduled || (!quote && order.requestedTimeLabel)) {
+      lines.push(`For ${order.requestedTimeLabel || quote.readyAtLabel}`);
+    } else if (quote) {
+      lines.push(`${order.deliveryMethod === 'delivery' ? 'Arriving' : 'Ready'} around ${quote.readyAtLabel} (about ${quote.minutes} min)`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the "order is ready" text
+   */
+  buildReadyMessage(order, storeConfig = null) {
+    const storeName = storeConfig?.name || 'Uncle Sal\'s Pizza';
+    const name = order.customerName ? `${order.customerName}, your` : 'Your';
+    return order.deliveryMethod === 'delivery'
+      ? `${storeName}: ${name} order is ready and will be on its way shortly.`
+      : `${storeName}: ${name} order is ready for pickup${storeConfig?.location ? ` at ${storeConfig.location}` : ''}!`;
+  }
+
+  /**
+   * Send an SMS to the customer on an order
+   * @returns {Promise<Object>} { sent, sid } or { sent: false, reason }
+   */
+  async send(order, storeConfig, body) {
+    if (storeConfig?.sms?.enabled === false) {
+      return { sent: false, reason: 'disabled' };
+    }
+
+    const to = this.getTextableNumber(order.customerPhone);
+    if (!to) {
+      console.log(`📵 Not texting order ${order.callSid || ''} - caller ID "${order.customerPhone}" can't receive texts`);
+      return { sent: false, reason: 'no_textable_number' };
+    }
+
+    const client = this.getClient();
+    const from = this.getFromNumber(storeConfig);
+    if (!client || !from) {
+      console.log('⚠ SMS not configured - skipping text');
+      return { sent: false, reason: 'not_configured' };
+    }
+
+    try {
+      const message = await client.messages.create({ to, from, body });
+      console.log(`📱 Text sent to ${formatPhoneNumber(to)} (${message.sid})`);
+      return { sent: true, sid: message.sid };
+    } catch (error) {
+      console.error('✗ Error sending text:', error.message);
+      return { sent: false, reason: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Text the itemized order, total and pickup/delivery ETA
+   */
+  async sendOrderConfirmation(order, storeConfig = null) {
+    return this.send(order, storeConfig, this.buildConfirmationMessage(order, storeConfig));
+  }
+
+  /**
+   * Text that the order is ready
+   */
+  async sendReadyNotification(order, storeConfig = null) {
+    return this.send(order, storeConfig, this.buildReadyMessage(order, storeConfig));
+  }
+}
+
+module.exports = SmsNotifier;
+
+
+
+
+
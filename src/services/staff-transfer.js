@@ -0,0 +1,195 @@
+/**
+ * Staff Transfer
+ * Hands a live call from the AI to a person at the store (a warm transfer)
+ *
+ * The call is redirected with the Twilio REST API to TwiML that dials the store's staff
+ * number. Whoever picks up first hears a whisper - why the call was handed off and the
+ * order so far - before being connected to the caller. Set the number per store with
+ * "transfer": { "staffNumber": "+13155550100" } in stores.json (or STAFF_TRANSFER_NUMBER).
+ *
+ * The whisper has the customer's name, order and address, so it stays on this server keyed
+ * by the caller's CallSid - only the CallSid goes in the whisper URL Twilio fetches.
+ */
+
+const twilio = require('twilio');
+const { calculateOrderTotals } = require('../../integrations/google-sheets');
+
+// Why a call was handed off - spoken to staff in the whisper
+const TRANSFER_REASONS = {
+  caller_request: 'the caller asked for a person',
+  repeated_loop: 'the assistant kept repeating itself',
+  tool_failures: 'the assistant couldn\'t update the order',
+  ai_stuck: 'the assistant couldn\'t help with the request'
+};
+
+// Whispers waiting for staff to answer, keyed by the transferred call's CallSid
+const WHISPER_TTL_MS = 5 * 60 * 1000;
+const pendingWhispers = new Map();
+
+/**
+ * Keep a call's whisper until staff answer (expired whispers are dropped)
+ */
+function saveWhisper(callSid, text, now = Date.now()) {
+  for (const [sid, whisper] of pendingWhispers) {
+    if (whisper.expiresAt <= now) {
+      pendingWhispers.delete(sid);
+    }
+  }
+  pendingWhispers.set(callSid, { text, expiresAt: now + WHISPER_TTL_MS });
+}
+
+/**
+ * Get a call's whisper and forget it - null when there is none or it has expired
+ */
+function takeWhisper(callSid, now = Date.now()) {
+  const whisper = callSid ? pendingWhispers.get(callSid) : null;
+  if (!whisper) {
+    return null;
+  }
+  pendingWhispers.delete(callSid);
+  return whisper.expiresAt > now ? whisper.text : null;
+}
+
+/**
+ * Save the handoff reason on the call record (analytics database)
+ */
+function recordCallTransfer(callSid, storeConfig, reason, now = new Date()) {
+  if (process.env.ENABLE_ANALYTICS === 'false') {
+    return false;
+  }
+  try {
+    const db = require('../../apps/api/db');
+    db.recordCallTransfer.run(callSid, storeConfig?.slug || 'default', now.toISOString().split('T')[0], reason, now.toISOString());
+    return true;
+  } catch (error) {
+    console.error('⚠️  Error recording call transfer (non-critical):', error.message);
+    return false;
+  }
+}
+
+class StaffTransfer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Twilio client (anything with calls(sid).update) - defaults to one built from env
+   * @param {Function} options.recordTransfer - (callSid, storeConfig, reason) => saves the handoff on the call record
+   */
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.recordTransfer = options.recordTransfer || recordCallTransfer;
+  }
+
+  /**
+   * Get (or lazily create) the Twilio client
+   */
+  getClient() {
+    if (!this.client && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Staff number to dial in E.164, or null when the store has none
+   */
+  getStaffNumber(storeConfig) {
+    const number = storeConfig?.transfer?.staffNumber;
+    if (!number) {
+      return null;
+    }
+    const digits = String(number).replace(/\D/g, '');
+    if (String(number).trim().startsWith('+')) {
+      return `+${digits}`;
+    }
+    return digits.length === 10 ? `+1${digits}` : `+${digits}`;
+  }
+
+  /**
+   * Whether calls for this store can be handed to staff
+   */
+  isAvailable(storeConfig) {
+    return !!this.getStaffNumber(storeConfig);
+  }
+
+  /**
+   * Build the whisper staff hear before they're connected: the reason and the order so far
+   */
+  buildWhisper(order, reason, storeConfig = null) {
+    const parts = [`Call from the ordering line - ${TRANSFER_REASONS[reason] || TRANSFER_REASONS.ai_stuck}.`];
+    if (order?.customerName) {
+      parts.push(`Customer: ${order.customerName}.`);
+    }
+
+    const items = (order?.items || []).map(item => ({ ...item })); // calculateOrderTotals fills in lineTotal
+    if (items.length === 0) {
+      parts.push('Nothing ordered yet.');
+    } else {
+      const totals = calculateOrderTotals(items, storeConfig?.taxRate ?? order.taxRate ?? 0.08);
+      const lines = items.map(item => {
+        const size = item.size && item.size !== 'regular' ? `${item.size} ` : '';
+        const flavor = item.flavor ? ` ${item.flavor}` : '';
+        return `${item.quantity || 1} ${size}${item.name}${flavor}`;
+      });
+      parts.push(`Order so far: ${lines.join(', ')}. Total $${totals.total.toFixed(2)}.`);
+    }
+
+    if (order?.deliveryMethod === 'delivery') {
+      parts.push(`Delivery${order.address ? ` to ${order.address}` : ''}.`);
+    } else if (order?.deliveryMethod === 'pickup') {
+      parts.push('Pickup.');
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * TwiML the live call is redirected to: tell the caller, then ring staff with the call's saved whisper
+   * @param {string} baseUrl - Public URL of this server (e.g. https://example.ngrok.io)
+   */
+  buildTransferTwiml(storeConfig, callSid, baseUrl) {
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say(storeConfig?.transfer?.message || 'One moment, I\'m connecting you with someone at the store.');
+
+    // The status route tells the caller if nobody picks up
+    const dial = twiml.dial({ action: `${baseUrl}/transfer-status`, method: 'POST', timeout: 25 });
+    dial.number({ url: `${baseUrl}/transfer-whisper?callSid=${encodeURIComponent(callSid)}`, method: 'GET' }, this.getStaffNumber(storeConfig));
+    return twiml.toString();
+  }
+
+  /**
+   * Redirect a live call to store staff and record why
+   * @param {Object} options - { callSid, order, reason, storeConfig, baseUrl }
+   * @returns {Promise<Object>} { transferred: true } or { transferred: false, reason }
+   */
+  async transfer({ callSid, order, reason, storeConfig, baseUrl }) {
+    if (!this.isAvailable(storeConfig)) {
+      console.log(`⚠ No staff number for ${storeConfig?.slug || 'store'} - can't transfer call ${callSid}`);
+      return { transferred: false, reason: 'not_configured' };
+    }
+
+    const client = this.getClient();
+    if (!client || !callSid) {
+      console.log('⚠ Twilio not configured - skipping staff transfer');
+      return { transferred: false, reason: 'not_configured' };
+    }
+
+    try {
+      saveWhisper(callSid, this.buildWhisper(order, reason, storeConfig));
+      await client.calls(callSid).update({ twiml: this.buildTransferTwiml(storeConfig, callSid, baseUrl) });
+      console.log(`☎️  Call ${callSid} transferred to staff (${reason})`);
+      this.recordTransfer(callSid, storeConfig, reason);
+      return { transferred: true };
+    } catch (error) {
+      takeWhisper(callSid);
+      console.error('✗ Error transferring call to staff:', error.message);
+      return { transferred: false, reason: 'error', error: error.message };
+    }
+  }
+}
+
+module.exports = StaffTransfer;
+module.exports.TRANSFER_REASONS = TRANSFER_REASONS;
+module.exports.takeWhisper = takeWhisper;
+
+
+
+
+
@@ -0,0 +1,540 @@
+/**
+ * Tool Registry
+ * Every tool the AI can call - its JSON schema, argument validation and handler - in one place
+ *
+ * Both servers send getToolDefinitions() in session.update and answer each call with runTool(),
+ * so a tool behaves the same whichever server takes the call. Handlers work against an OrderManager
+ * (context.orderManager), which can wrap an existing order object and menu.
+ *
+ * To add a tool: add an entry to TOOLS with name, description, parameters and a handler that
+ * returns extra result fields (or throws an OrderError the AI can relay to the caller).
+ */
+
+const OrderError = require('./order-error');
+const { formatReadyTimeQuote } = require('./ready-time-estimator');
+
+// Item target shared by the tools that change items already on the order
+const ITEM_TARGET_PROPERTIES = {
+  name: {
+    type: 'string',
+    description: 'Name of the item on the order'
+  },
+  size: {
+    type: 'string',
+    description: 'Size of the item, if there is more than one of that item'
+  },
+  item_number: {
+    type: 'integer',
+    description: 'Position of the item in the order (1 = first), if the customer refers to it that way'
+  }
+};
+
+const getItemTarget = (args) => ({ name: args.name, size: args.size, index: args.item_number });
+
+const TOOLS = [
+  {
+    name: 'add_item_to_order',
+    description: 'MANDATORY: You MUST call this tool immediately when the customer orders ANY item. Do NOT just mention items in your response - you MUST call this tool to add them to the order. If customer says "large pepperoni pizza", call this tool with name="pepperoni pizza", size="large". If customer says "fries", call this tool with name="french fries". For WINGS: You MUST include the flavor parameter - if customer did not specify flavor, ASK them "What flavor would you like for your wings?" BEFORE calling this tool. DO NOT generate text responses about items without calling this tool.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'The exact menu item name (e.g., "pepperoni pizza", "garlic knots", "soda", "regular wings")'
+        },
+        size: {
+          type: 'string',
+          description: 'Size if applicable (e.g., "small", "medium", "large", "regular"). For wings, the piece count (e.g., "10 piece")'
+        },
+        quantity: {
+          type: 'integer',
+          description: 'Quantity of this item (default: 1)',
+          minimum: 1,
+          default: 1
+        },
+        toppings: {
+          type: 'array',
+          description: 'Pizza toppings only. One entry per topping; for half-and-half use placement "left" and "right"',
+          items: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Topping name from the toppings list (e.g. pepperoni, mushrooms)'
+              },
+              placement: {
+                type: 'string',
+                description: 'Where the topping goes on the pizza',
+                enum: ['whole', 'left', 'right'],
+                default: 'whole'
+              },
+              amount: {
+                type: 'string',
+                description: 'How much of the topping',
+                enum: ['regular', 'extra', 'light', 'no'],
+                default: 'regular'
+              }
+            },
+            required: ['name']
+          }
+        },
+        flavor: {
+          type: 'string',
+          description: 'REQUIRED FOR WINGS: The wing flavor (e.g., "hot", "mild", "bbq", "garlic parmesan", "buffalo"). You MUST ask the customer for their flavor choice if ordering wings and they did not specify.'
+        },
+        dressing: {
+          type: 'string',
+          description: 'For wings: the dressing/dip choice (e.g., "blue cheese", "ranch"). Ask customer if they want blue cheese or ranch with their wings.'
+        },
+        modifiers: {
+          type: 'string',
+          description: 'Any special instructions or modifiers (e.g., "extra crispy", "no onions", "side of hot sauce")'
+        }
+      },
+      required: ['name']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.addItem(args.name, (args.size || 'regular').toLowerCase(), args.quantity || 1, null, args.toppings || [], {
+        flavor: args.flavor,
+        dressing: args.dressing,
+        modifiers: args.modifiers
+      });
+      return {};
+    }
+  },
+  {
+    name: 'remove_item',
+    description: 'Remove an item from the order ("take off the garlic knots"). Returns the updated order',
+    parameters: {
+      type: 'object',
+      properties: { ...ITEM_TARGET_PROPERTIES }
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.removeItem(getItemTarget(args));
+      return {};
+    }
+  },
+  {
+    name: 'update_item_quantity',
+    description: 'Change how many of an item the customer wants ("make that three"). Quantity 0 removes it. Returns the updated order',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...ITEM_TARGET_PROPERTIES,
+        quantity: {
+          type: 'integer',
+          description: 'New total quantity',
+          minimum: 0
+        }
+      },
+      required: ['quantity']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.updateItemQuantity(getItemTarget(args), args.quantity);
+      return {};
+    }
+  },
+  {
+    name: 'change_item_size',
+    description: 'Change the size of an item already on the order ("actually make that a medium"). Returns the updated order',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...ITEM_TARGET_PROPERTIES,
+        size: {
+          type: 'string',
+          description: 'Current size of the item, if there is more than one of that item'
+        },
+        new_size: {
+          type: 'string',
+          description: 'The size the customer wants instead'
+        }
+      },
+      required: ['new_size']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.changeItemSize(getItemTarget(args), args.new_size);
+      return {};
+    }
+  },
+  {
+    name: 'clear_order',
+    description: 'Remove every item and start the order over. Only call when the customer clearly wants to start over',
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.clearOrder();
+      return {};
+    }
+  },
+  {
+    name: 'set_delivery_method',
+    description: 'Set whether the order is for pickup or delivery',
+    parameters: {
+      type: 'object',
+      properties: {
+        method: {
+          type: 'string',
+          enum: ['pickup', 'delivery'],
+          description: 'Pickup or delivery'
+        }
+      },
+      required: ['method']
+    },
+    handler: (args, { orderManager }) => {
+      const order = orderManager.setDeliveryMethod(args.method);
+      // A returning customer's saved address is prefilled - the AI has to confirm it
+      return order.deliveryMethod === 'delivery' && order.address && order.address === order.savedAddress
+        ? { savedAddress: order.address }
+        : {};
+    }
+  },
+  {
+    name: 'set_address',
+    description: 'MANDATORY: Set the delivery address. You MUST call this tool IMMEDIATELY when the customer provides ANY delivery address. Do NOT just talk about the address - CALL THIS TOOL.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: {
+          type: 'string',
+          description: 'Full delivery address'
+        }
+      },
+      required: ['address']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.setAddress(args.address);
+      return {};
+    }
+  },
+  {
+    name: 'set_customer_name',
+    description: 'Set the customer\'s name for the order',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Customer\'s name'
+        }
+      },
+      required: ['name']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.setCustomerName(args.name);
+      return {};
+    }
+  },
+  {
+    name: 'set_customer_phone',
+    description: 'Set the customer\'s phone number',
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: {
+          type: 'string',
+          description: 'Customer\'s phone number (10 digits)'
+        }
+      },
+      required: ['phone']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.setCustomerPhone(args.phone);
+      return {};
+    }
+  },
+  {
+    name: 'set_payment_method',
+    description: 'Set the payment method',
+    parameters: {
+      type: 'object',
+      properties: {
+        method: {
+          type: 'string',
+          enum: ['cash', 'card'],
+          description: 'Payment method'
+        }
+      },
+      required: ['method']
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.setPaymentMethod(args.method);
+      return {};
+    }
+  },
+  {
+    name: 'set_requested_time',
+    description: 'Set a future pickup/delivery time when the customer wants the order later instead of as soon as possible',
+    parameters: {
+      type: 'object',
+      properties: {
+        time: {
+          type: 'string',
+          description: 'The time as the customer said it (e.g. "at six thirty", "tomorrow at noon", "in 45 minutes")'
+        }
+      },
+      required: ['time']
+    },
+    handler: (args, { orderManager }) => {
+      const order = orderManager.setRequestedTime(args.time);
+      return { requestedTime: order.requestedTimeLabel };
+    }
+  },
+  {
+    name: 'get_ready_time',
+    description: 'Get when the order will be ready (or delivered), based on how busy the kitchen is. Call before confirm_order and tell the customer',
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    handler: (args, { orderManager, storeConfig, readyTimeEstimator }) => {
+      if (!readyTimeEstimator) {
+        throw new OrderError('ready_time_unavailable', 'Ready time estimator not configured');
+      }
+      const order = orderManager.getOrder();
+      const quote = readyTimeEstimator.estimate(order, storeConfig);
+      orderManager.setReadyTimeQuote(quote);
+      return { readyTime: formatReadyTimeQuote(quote, order.deliveryMethod), readyInMinutes: quote.minutes };
+    }
+  },
+  {
+    name: 'repeat_last_order',
+    description: 'Add the items from a returning customer\'s last order. Call when they want "the usual" or "same as last time"',
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    handler: (args, { orderManager }) => {
+      const { added, skipped } = orderManager.repeatLastOrder();
+      return { added, noLongerOnMenu: skipped };
+    }
+  },
+  {
+    name: 'get_item_description',
+    description: 'MANDATORY: Call this tool IMMEDIATELY when customer asks "what is [item]?", "what comes on [item]?", "tell me about [item]", "what\'s in [item]?", or any question about what a menu item is or contains. You MUST call this tool to get the description - do NOT make up or guess descriptions. Only use the description returned by this tool.',
+    parameters: {
+      type: 'object',
+      properties: {
+        item_name: {
+          type: 'string',
+          description: 'The menu item name the customer is asking about (e.g., "cheese pizza", "luna pizza", "buffalo chicken pizza")'
+        }
+      },
+      required: ['item_name']
+    },
+    handler: (args, { orderManager }) => {
+      const { name, description } = orderManager.getItemDescription(args.item_name);
+      // Never let the AI invent a description the menu doesn't have
+      return { item: name, description: description || 'No description listed - tell the customer you don\'t have a description for it' };
+    }
+  },
+  {
+    name: 'confirm_order',
+    description: 'Mark the order as confirmed when the customer agrees to the final total',
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    handler: (args, { orderManager }) => {
+      orderManager.confirm();
+      return {};
+    }
+  },
+  {
+    name: 'transfer_to_staff',
+    description: 'Transfer the call to a person at the store. Call when the customer asks for a person, a manager or a real human, or when you can\'t help with what they need. Tell the customer you\'re connecting them',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'caller_request if the customer asked for a person, ai_stuck if you can\'t help them',
+          enum: ['caller_request', 'ai_stuck'],
+          default: 'caller_request'
+        },
+        details: {
+          type: 'string',
+          description: 'What the customer needs, in a few words (e.g. "wants to complain about last order")'
+        }
+      }
+    },
+    handler: (args, { handoff }) => {
+      if (!handoff || !handoff.isAvailable()) {
+        throw new OrderError('transfer_unavailable', 'Nobody is available to take the call right now - apologize and keep helping the customer');
+      }
+      // If the redirect fails, the handoff's onTransferFailed tells the AI to apologize and carry on
+      handoff.transfer(args.reason || 'caller_request', args.details)
+        .catch(error => console.error('Error transferring call:', error));
+      return { transferring: true };
+    }
+  }
+];
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+function getTool(name) {
+  return TOOLS_BY_NAME.get(name) || null;
+}
+
+/**
+ * Tool definitions for a Realtime session.update
+ * @param {Array} names - Only these tools (defaults to all)
+ */
+function getToolDefinitions(names = null) {
+  return TOOLS
+    .filter(tool => !names || names.includes(tool.name))
+    .map(({ name, description, parameters }) => ({ type: 'function', name, description, parameters }));
+}
+
+/**
+ * Check one value against a schema property - returns the (coerced) value
+ */
+function validateValue(key, value, schema) {
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new OrderError('invalid_arguments', `${key} must be text`);
+      }
+      const text = String(value).trim();
+      if (schema.enum) {
+        const match = schema.enum.find(option => option === text.toLowerCase());
+        if (!match) {
+          throw new OrderError('invalid_arguments', `${key} must be one of: ${schema.enum.join(', ')}`);
+        }
+        return match;
+      }
+      return text;
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        throw new OrderError('invalid_arguments', `${key} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        throw new OrderError('invalid_arguments', `${key} must be at least ${schema.minimum}`);
+      }
+      return number;
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        throw new OrderError('invalid_arguments', `${key} must be a list`);
+      }
+      return schema.items
+        ? value.map((entry, i) => (schema.items.type === 'object' && typeof entry === 'string')
+          ? validateValue(`${key}[${i}]`, { name: entry }, schema.items) // Plain names are allowed for toppings
+          : validateValue(`${key}[${i}]`, entry, schema.items))
+        : value;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new OrderError('invalid_arguments', `${key} must be an object`);
+      }
+      return validateObject(value, schema, `${key}.`);
+    default:
+      return value;
+  }
+}
+
+function validateObject(args, schema, prefix = '') {
+  const properties = schema.properties || {};
+  const result = {};
+
+  (schema.required || []).forEach(key => {
+    if (args[key] === undefined || args[key] === null || args[key] === '') {
+      throw new OrderError('invalid_arguments', `${prefix}${key} is required`);
+    }
+  });
+
+  // Unknown arguments are dropped, empty optional ones are treated as left out
+  Object.keys(properties).forEach(key => {
+    if (args[key] === undefined || args[key] === null || args[key] === '') {
+      return;
+    }
+    result[key] = validateValue(`${prefix}${key}`, args[key], properties[key]);
+  });
+  return result;
+}
+
+/**
+ * Validate tool arguments against the tool's schema
+ * @param {string} name - Tool name
+ * @param {Object|string} args - Arguments as sent by the AI (JSON string or object)
+ * @returns {Object} Clean arguments (trimmed, enums lowercased, numbers coerced, unknown keys dropped)
+ */
+function validateToolArguments(name, args) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new OrderError('unknown_tool', `Unknown tool: ${name}`);
+  }
+
+  let parsed = args;
+  if (typeof args === 'string') {
+    try {
+      parsed = JSON.parse(args || '{}');
+    } catch (error) {
+      throw new OrderError('invalid_arguments', `Could not read the arguments for ${name}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new OrderError('invalid_arguments', `Could not read the arguments for ${name}`);
+  }
+
+  return validateObject(parsed, tool.parameters);
+}
+
+/**
+ * Run a tool call against an order
+ * @param {string} name - Tool name
+ * @param {Object|string} args - Arguments as sent by the AI
+ * @param {Object} context - { orderManager, storeConfig, readyTimeEstimator, handoff }
+ * @returns {Object} { success, ...tool fields, error: { code, message }, order: { items, subtotal, tax, total } }
+ */
+function runTool(name, args, context) {
+  const { orderManager } = context;
+  let result;
+
+  try {
+    const cleanArgs = validateToolArguments(name, args);
+    result = { success: true, ...getTool(name).handler(cleanArgs, context) };
+    console.log(`✓ Tool ${name} succeeded`);
+  } catch (error) {
+    if (!(error instanceof OrderError)) {
+      console.error(`✗ Tool ${name} threw:`, error);
+    } else {
+      console.log(`✗ Tool ${name} failed: ${error.message}`);
+    }
+    result = {
+      success: false,
+      error: {
+        code: error.code || 'tool_failed',
+        message: error.message
+      }
+    };
+  }
+
+  const order = orderManager.getOrder();
+  return {
+    ...result,
+    order: {
+      items: orderManager.getSummary(),
+      subtotal: order.subtotal,
+      tax: order.tax,
+      total: order.total
+    }
+  };
+}
+
+module.exports = {
+  TOOLS,
+  getTool,
+  getToolDefinitions,
+  validateToolArguments,
+  runTool
+};
+
+
+
+
+
@@ -0,0 +1,93 @@
+/**
+ * Wing Rules
+ * Wings are sold by piece count (from the Wing_Options sheet) and need a flavor
+ *
+ * The AI often sends the piece count as the quantity ("20 wings" -> quantity 20) or the size
+ * ("10 piece"), so both are read as a piece count when they match one the store sells.
+ */
+
+const OrderError = require('./order-error');
+
+const DEFAULT_PIECE_COUNTS = [6, 10, 20, 30, 50];
+const DEFAULT_FLAVORS = ['hot', 'mild', 'BBQ', 'garlic parmesan', 'buffalo'];
+
+function isWingsItem(itemName) {
+  return String(itemName || '').toLowerCase().includes('wing');
+}
+
+/**
+ * Piece counts the store sells (numbers parsed from names like "10 Pieces")
+ */
+function getPieceCounts(wingOptions) {
+  const counts = (wingOptions?.pieceCounts || [])
+    .map(option => {
+      const match = String(option.name).match(/(\d+)/);
+      return match ? parseInt(match[1], 10) : null;
+    })
+    .filter(count => count !== null);
+  return counts.length > 0 ? counts : DEFAULT_PIECE_COUNTS;
+}
+
+function getFlavorNames(wingOptions) {
+  const flavors = (wingOptions?.flavors || []).map(flavor => flavor.name);
+  return flavors.length > 0 ? flavors : DEFAULT_FLAVORS;
+}
+
+/**
+ * Work out piece count, quantity and price for a wing order
+ * @param {Object} request - { size, quantity, flavor } as sent by the AI
+ * @param {Object} wingOptions - Parsed Wing_Options sheet ({ pieceCounts, flavors })
+ * @returns {Object} { pieceCount, quantity, price, flavor } - price is null when the sheet has none for that count
+ */
+function resolveWingOrder({ size, quantity = 1, flavor } = {}, wingOptions = null) {
+  const allowedCounts = getPieceCounts(wingOptions);
+  let pieceCount = null;
+  let finalQuantity = quantity;
+
+  const sizeMatch = size ? String(size).match(/(\d+)/) : null;
+  if (sizeMatch) {
+    pieceCount = parseInt(sizeMatch[1], 10);
+  } else if (allowedCounts.includes(quantity) || quantity > 5) {
+    // "20 wings" - the quantity is really the piece count
+    pieceCount = quantity;
+    finalQuantity = 1;
+  }
+
+  if (!pieceCount) {
+    throw new OrderError('missing_piece_count', `Ask how many pieces they want: ${allowedCounts.join(', ')}`);
+  }
+  if (!allowedCounts.includes(pieceCount)) {
+    throw new OrderError('invalid_piece_count', `We don't have ${pieceCount}-piece wings. We have ${allowedCounts.join(', ')} pieces`);
+  }
+
+  const flavors = getFlavorNames(wingOptions);
+  if (!flavor || String(flavor).trim().length === 0) {
+    throw new OrderError('missing_flavor', `Ask what flavor they want: ${flavors.join(', ')}`);
+  }
+  // Only check the flavor against a real flavor list - the defaults are just suggestions
+  const knownFlavor = flavors.find(name => name.toLowerCase() === String(flavor).trim().toLowerCase());
+  if (wingOptions?.flavors?.length > 0 && !knownFlavor) {
+    throw new OrderError('invalid_flavor', `We don't have ${flavor} wings. Flavors: ${flavors.join(', ')}`);
+  }
+
+  const option = (wingOptions?.pieceCounts || []).find(pc => String(pc.name).match(/(\d+)/)?.[1] === String(pieceCount));
+  return {
+    pieceCount,
+    quantity: finalQuantity,
+    price: option && option.price > 0 ? option.price : null,
+    flavor: knownFlavor || String(flavor).trim()
+  };
+}
+
+module.exports = {
+  isWingsItem,
+  getPieceCounts,
+  getFlavorNames,
+  resolveWingOrder,
+  DEFAULT_PIECE_COUNTS
+};
+
+
+
+
+
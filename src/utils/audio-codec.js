@@ -0,0 +1,173 @@
+/**
+ * Audio Codec
+ * G.711 μ-law ⇄ PCM16 conversion and resampling for the media stream
+ *
+ * Twilio Media Streams send and expect 8kHz μ-law. The Realtime API speaks μ-law too
+ * (g711_ulaw, the default), so audio normally passes straight through. Stores that use
+ * a PCM provider set "audio": { "format": "pcm16" } in stores.json and the stream is
+ * converted to and from 24kHz little-endian PCM16 here.
+ */
+
+const AUDIO_FORMATS = ['g711_ulaw', 'pcm16'];
+const TWILIO_SAMPLE_RATE = 8000;
+const PCM16_SAMPLE_RATE = 24000; // Realtime API pcm16 audio
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Every μ-law byte decoded once up front
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const byte = ~i & 0xff;
+  const exponent = (byte >> 4) & 0x07;
+  const magnitude = (((byte & 0x0f) << 3) + MULAW_BIAS) << exponent;
+  MULAW_DECODE_TABLE[i] = byte & 0x80 ? MULAW_BIAS - magnitude : magnitude - MULAW_BIAS;
+}
+
+/**
+ * Decode one μ-law byte to a 16-bit sample
+ */
+function muLawToLinear(byte) {
+  return MULAW_DECODE_TABLE[byte & 0xff];
+}
+
+/**
+ * Encode one 16-bit sample as a μ-law byte
+ */
+function linearToMuLaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * μ-law bytes -> PCM16 (little-endian)
+ */
+function decodeMuLaw(buffer) {
+  const pcm = Buffer.alloc(buffer.length * 2);
+  for (let i = 0; i < buffer.length; i++) {
+    pcm.writeInt16LE(MULAW_DECODE_TABLE[buffer[i]], i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * PCM16 (little-endian) -> μ-law bytes
+ */
+function encodeMuLaw(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const buffer = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    buffer[i] = linearToMuLaw(pcm.readInt16LE(i * 2));
+  }
+  return buffer;
+}
+
+/**
+ * Resample PCM16 audio
+ * Upsampling interpolates between samples; downsampling averages each output sample's
+ * span of input samples, which keeps most of the aliasing out of phone-quality audio.
+ */
+function resamplePcm16(pcm, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return pcm;
+  }
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const ratio = fromRate / toRate;
+  const output = Buffer.alloc(outputSamples * 2);
+  const sampleAt = (index) => pcm.readInt16LE(Math.min(index, inputSamples - 1) * 2);
+
+  for (let i = 0; i < outputSamples; i++) {
+    let value;
+    if (ratio > 1) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(Math.floor((i + 1) * ratio), inputSamples);
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += sampleAt(j);
+      }
+      value = sum / Math.max(end - start, 1);
+    } else {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const fraction = position - index;
+      value = sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction;
+    }
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return output;
+}
+
+/**
+ * Wrap mono PCM16 audio in a WAV file
+ */
+function encodeWav(pcm, sampleRate = TWILIO_SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Join base64 audio chunks - decoded first, since padded base64 can't be concatenated as text
+ */
+function concatBase64(chunks) {
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk, 'base64')));
+}
+
+/**
+ * Twilio audio (8kHz μ-law) -> audio in the AI provider's format
+ */
+function twilioToProvider(mulaw, format = 'g711_ulaw') {
+  return format === 'pcm16'
+    ? resamplePcm16(decodeMuLaw(mulaw), TWILIO_SAMPLE_RATE, PCM16_SAMPLE_RATE)
+    : mulaw;
+}
+
+/**
+ * Audio in the AI provider's format -> Twilio audio (8kHz μ-law)
+ */
+function providerToTwilio(audio, format = 'g711_ulaw') {
+  return format === 'pcm16'
+    ? encodeMuLaw(resamplePcm16(audio, PCM16_SAMPLE_RATE, TWILIO_SAMPLE_RATE))
+    : audio;
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  TWILIO_SAMPLE_RATE,
+  PCM16_SAMPLE_RATE,
+  muLawToLinear,
+  linearToMuLaw,
+  decodeMuLaw,
+  encodeMuLaw,
+  resamplePcm16,
+  encodeWav,
+  concatBase64,
+  twilioToProvider,
+  providerToTwilio
+};
+
+
+
+
+
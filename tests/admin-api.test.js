@@ -0,0 +1,99 @@
+/**
+ * Admin API Tests
+ * Menu lint and refresh endpoints
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+process.env.ADMIN_API_KEY = 'admin-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { loadStores, getStoreBySlug } = require('../src/config/stores');
+const { loadMenu } = require('../src/services/menu-service');
+
+describe('Admin API', () => {
+  const menuPath = path.join(os.tmpdir(), `admin-menu-${process.pid}.json`);
+  const storesPath = path.join(os.tmpdir(), `admin-stores-${process.pid}.json`);
+  const menuWith = (price) => JSON.stringify({ items: [{ name: 'Cheese Pizza', description: 'Mozzarella', price }] });
+  let server;
+  let baseUrl;
+
+  const request = async (method, urlPath, { key = 'admin-key' } = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: key ? { Authorization: `Bearer ${key}` } : {}
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll((done) => {
+    fs.writeFileSync(menuPath, menuWith(12.99));
+    fs.writeFileSync(storesPath, JSON.stringify({
+      stores: [{ slug: 'filestore', name: 'File Pizza', menu: { provider: 'file', path: menuPath } }]
+    }));
+    loadStores(storesPath);
+
+    const app = express();
+    app.use('/api/admin', require('../apps/api/admin'));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.unlinkSync(menuPath);
+    fs.unlinkSync(storesPath);
+    server.close(done);
+  });
+
+  test('should require the admin key', async () => {
+    expect((await request('POST', '/menu/filestore/refresh', { key: null })).status).toBe(401);
+  });
+
+  test('should lint a store menu', async () => {
+    const { status, body } = await request('GET', '/menu/filestore/lint');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ store: 'filestore', provider: 'file', report: { valid: true, itemCount: 1 } });
+    expect((await request('GET', '/menu/nowhere/lint')).status).toBe(404);
+  });
+
+  test('should refresh a store menu on demand', async () => {
+    const before = await loadMenu(getStoreBySlug('filestore'));
+
+    fs.writeFileSync(menuPath, menuWith(15.99));
+    const { status, body } = await request('POST', '/menu/filestore/refresh');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, store: 'filestore', previousVersion: before.version, changed: true, error: null });
+    expect(body.version).not.toBe(before.version);
+  });
+
+  test('should keep the live menu when the refreshed one fails validation', async () => {
+    const live = (await request('POST', '/menu/filestore/refresh')).body.version;
+    fs.writeFileSync(menuPath, menuWith(-1));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const { status, body } = await request('POST', '/menu/filestore/refresh');
+      expect(status).toBe(422);
+      expect(body).toMatchObject({ success: false, version: live, changed: false, report: { valid: false } });
+    } finally {
+      errorSpy.mockRestore();
+      fs.writeFileSync(menuPath, menuWith(15.99));
+    }
+  });
+
+  test('should refresh every store', async () => {
+    const { status, body } = await request('POST', '/menu/refresh');
+    expect(status).toBe(200);
+    expect(body.results.map(result => result.store)).toEqual(['filestore']);
+  });
+});
+
+
+
+
+
@@ -0,0 +1,76 @@
+/**
+ * Audio Codec Tests
+ */
+
+const {
+  muLawToLinear,
+  linearToMuLaw,
+  decodeMuLaw,
+  encodeMuLaw,
+  resamplePcm16,
+  concatBase64,
+  twilioToProvider,
+  providerToTwilio
+} = require('../src/utils/audio-codec');
+
+const pcmOf = (samples) => {
+  const pcm = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+  return pcm;
+};
+const samplesOf = (pcm) => Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+
+describe('Audio codec', () => {
+  test('should decode G.711 μ-law bytes', () => {
+    expect(muLawToLinear(0xff)).toBe(0);
+    expect(muLawToLinear(0x80)).toBe(32124);
+    expect(muLawToLinear(0x00)).toBe(-32124);
+    expect(linearToMuLaw(0)).toBe(0xff);
+    expect(linearToMuLaw(40000)).toBe(0x80); // Clipped
+  });
+
+  test('should round-trip every μ-law byte', () => {
+    const bytes = Buffer.from(Array.from({ length: 256 }, (_, i) => i).filter(byte => byte !== 0x7f)); // 0x7f is -0
+    expect(encodeMuLaw(decodeMuLaw(bytes))).toEqual(bytes);
+  });
+
+  test('should keep PCM16 close after a μ-law round trip', () => {
+    const samples = [0, 100, -100, 1000, -5000, 12000, -30000];
+    samplesOf(decodeMuLaw(encodeMuLaw(pcmOf(samples)))).forEach((sample, i) => {
+      expect(Math.abs(sample - samples[i])).toBeLessThanOrEqual(Math.max(8, Math.abs(samples[i]) * 0.04));
+    });
+  });
+
+  test('should resample between 8kHz and 24kHz', () => {
+    const ramp = pcmOf(Array.from({ length: 160 }, (_, i) => i * 100));
+    const up = resamplePcm16(ramp, 8000, 24000);
+    expect(up.length).toBe(480 * 2);
+    expect(samplesOf(up).slice(0, 4)).toEqual([0, 33, 67, 100]);
+
+    const down = resamplePcm16(up, 24000, 8000);
+    expect(down.length).toBe(ramp.length);
+    expect(samplesOf(down).slice(1, 4)).toEqual([133, 233, 333]); // Each sample averages its span
+    expect(resamplePcm16(ramp, 8000, 8000)).toBe(ramp);
+  });
+
+  test('should join padded base64 chunks as bytes', () => {
+    const chunks = [Buffer.from([1, 2, 3, 4]), Buffer.from([5, 6])].map(chunk => chunk.toString('base64'));
+    expect(chunks.join('')).toBe('AQIDBA==BQY='); // Not valid base64 once joined
+    expect(concatBase64(chunks)).toEqual(Buffer.from([1, 2, 3, 4, 5, 6]));
+  });
+
+  test('should pass μ-law through and convert for PCM16 providers', () => {
+    const frame = Buffer.alloc(160, 0xff); // 20ms of Twilio silence
+    expect(twilioToProvider(frame)).toBe(frame);
+    expect(providerToTwilio(frame, 'g711_ulaw')).toBe(frame);
+
+    const pcm = twilioToProvider(frame, 'pcm16');
+    expect(pcm.length).toBe(480 * 2); // 20ms at 24kHz
+    expect(providerToTwilio(pcm, 'pcm16')).toEqual(frame);
+  });
+});
+
+
+
+
+
@@ -0,0 +1,143 @@
+/**
+ * Business Hours Tests
+ */
+
+const twilio = require('twilio');
+const {
+  getStoreStatus,
+  getAfterHoursMessage,
+  addAfterHoursTwiml,
+  getHoursPromptContext,
+  getNextBusinessDayStart
+} = require('../src/services/business-hours');
+
+describe('Business Hours', () => {
+  const weekday = { open: '11:00', close: '22:00' };
+  const store = {
+    name: 'Test Pizza',
+    timezone: 'America/New_York',
+    hours: {
+      weekly: {
+        monday: weekday,
+        tuesday: weekday,
+        wednesday: weekday,
+        thursday: weekday,
+        friday: { open: '11:00', close: '02:00' },
+        saturday: { open: '12:00', close: '23:00' },
+        sunday: null
+      },
+      holidays: {},
+      lastOrderMinutesBeforeClose: 15
+    },
+    afterHours: { mode: 'message' }
+  };
+
+  // 2026-10-19 is a Monday; New York is UTC-4 in October
+  const at = (isoLocal) => new Date(`${isoLocal}-04:00`);
+
+  test('should treat stores without hours as always open', () => {
+    const status = getStoreStatus({ name: 'No Hours' });
+    expect(status.acceptingOrders).toBe(true);
+    expect(status.alwaysOpen).toBe(true);
+    expect(getHoursPromptContext(status)).toBe('');
+  });
+
+  test('should be open during weekly hours', () => {
+    const status = getStoreStatus(store, at('2026-10-19T20:00:00'));
+    expect(status.isOpen).toBe(true);
+    expect(status.acceptingOrders).toBe(true);
+    expect(status.minutesUntilClose).toBe(120);
+    expect(status.closesAt).toBe('10:00 PM');
+    expect(status.lastOrderAt).toBe('9:45 PM');
+  });
+
+  test('should stop taking orders after the last-order cutoff', () => {
+    const status = getStoreStatus(store, at('2026-10-19T21:50:00'));
+    expect(status.isOpen).toBe(true);
+    expect(status.acceptingOrders).toBe(false);
+    expect(status.reason).toBe('last_order_cutoff');
+    expect(status.nextOpen.label).toBe('tomorrow at 11:00 AM');
+  });
+
+  test('should be closed before opening and report next opening', () => {
+    const status = getStoreStatus(store, at('2026-10-19T03:00:00'));
+    expect(status.isOpen).toBe(false);
+    expect(status.reason).toBe('closed');
+    expect(status.nextOpen.label).toBe('today at 11:00 AM');
+  });
+
+  test('should handle hours that run past midnight', () => {
+    // Saturday 1am is still inside Friday's 11am-2am hours
+    const status = getStoreStatus(store, at('2026-10-24T01:00:00'));
+    expect(status.isOpen).toBe(true);
+    expect(status.minutesUntilClose).toBe(60);
+  });
+
+  test('should skip closed days when finding next opening', () => {
+    const status = getStoreStatus(store, at('2026-10-25T15:00:00'));
+    expect(status.isOpen).toBe(false);
+    expect(status.nextOpen.label).toBe('tomorrow at 11:00 AM');
+  });
+
+  test('should apply holiday closures over weekly hours', () => {
+    const holidayStore = { ...store, hours: { ...store.hours, holidays: { '2026-10-19': null } } };
+    const status = getStoreStatus(holidayStore, at('2026-10-19T13:00:00'));
+    expect(status.isOpen).toBe(false);
+    expect(status.reason).toBe('holiday');
+    expect(status.nextOpen.weekday).toBe('tuesday');
+  });
+
+  test('should warn about closing time in the prompt', () => {
+    const status = getStoreStatus(store, at('2026-10-19T21:30:00'));
+    const context = getHoursPromptContext(status);
+    expect(context).toContain('Closes at 10:00 PM');
+    expect(context).toContain('stops taking orders in 15 minutes');
+  });
+
+  test('should hang up after the closed message', () => {
+    const status = getStoreStatus(store, at('2026-10-19T03:00:00'));
+    const twiml = new twilio.twiml.VoiceResponse();
+    expect(addAfterHoursTwiml(twiml, store, status)).toBe(false);
+    expect(twiml.toString()).toContain('We open again today at 11:00 AM');
+    expect(twiml.toString()).toContain('<Hangup/>');
+  });
+
+  test('should record a voicemail in voicemail mode', () => {
+    const voicemailStore = { ...store, afterHours: { mode: 'voicemail', maxRecordingSeconds: 60 } };
+    const status = getStoreStatus(voicemailStore, at('2026-10-19T03:00:00'));
+    const twiml = new twilio.twiml.VoiceResponse();
+    expect(addAfterHoursTwiml(twiml, voicemailStore, status)).toBe(false);
+    expect(twiml.toString()).toContain('<Record action="/voicemail"');
+  });
+
+  test('should keep the call connected in schedule mode', () => {
+    const scheduleStore = { ...store, afterHours: { mode: 'schedule' } };
+    const status = getStoreStatus(scheduleStore, at('2026-10-19T03:00:00'));
+    const twiml = new twilio.twiml.VoiceResponse();
+    expect(addAfterHoursTwiml(twiml, scheduleStore, status)).toBe(true);
+    expect(getAfterHoursMessage(scheduleStore, status)).toContain('order for later');
+    expect(getHoursPromptContext(status)).toContain('Only take orders for later');
+  });
+  test('should restore at the next business day opening', () => {
+    expect(getNextBusinessDayStart(store, at('2026-10-19T14:00:00'))).toEqual(at('2026-10-20T11:00:00'));
+    // Before opening still counts as today
+    expect(getNextBusinessDayStart(store, at('2026-10-19T09:00:00'))).toEqual(at('2026-10-20T11:00:00'));
+    // Sunday is closed
+    expect(getNextBusinessDayStart(store, at('2026-10-24T20:00:00'))).toEqual(at('2026-10-26T11:00:00'));
+  });
+
+  test('should treat late hours after midnight as the previous business day', () => {
+    // Friday runs until 2 AM - at 1 AM Saturday the next business day is Saturday
+    expect(getNextBusinessDayStart(store, at('2026-10-24T01:00:00'))).toEqual(at('2026-10-24T12:00:00'));
+  });
+
+  test('should restore at local midnight for stores without hours', () => {
+    expect(getNextBusinessDayStart({ name: 'No Hours' }, at('2026-10-19T14:00:00'))).toEqual(at('2026-10-20T00:00:00'));
+  });
+});
+
+
+
+
+
+
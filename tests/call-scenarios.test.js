@@ -0,0 +1,173 @@
+/**
+ * Call Scenario Tests
+ * Whole calls through the media-stream handler with the offline call simulator (fake Twilio and Realtime)
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStores, getStoreBySlug } = require('../src/config/stores');
+const { loadMenu } = require('../src/services/menu-service');
+const orderStore = require('../apps/api/order-store');
+const { getCallTranscript } = require('../apps/api/transcript-store');
+const CallSimulator = require('./simulator/call-simulator');
+
+const CALLED_NUMBER = '+13155550199';
+
+describe('Call scenarios', () => {
+  const menuPath = path.join(os.tmpdir(), `scenario-menu-${process.pid}.json`);
+  const storesPath = path.join(os.tmpdir(), `scenario-stores-${process.pid}.json`);
+  let sim;
+
+  beforeAll(async () => {
+    fs.writeFileSync(menuPath, JSON.stringify({
+      items: [
+        { name: 'Cheese Pizza', category: 'Pizza', priceMap: { small: 12.99, large: 18.99 } },
+        { name: 'Wings', category: 'Wings', price: 8.99 }
+      ],
+      toppings: [{ name: 'Pepperoni', type: 'Meat', price: 1.5 }],
+      wingOptions: { pieceCounts: [{ name: '10 Pieces', price: 13.99 }], flavors: ['Hot', 'BBQ'] }
+    }));
+    fs.writeFileSync(storesPath, JSON.stringify({
+      stores: [{
+        slug: 'simpizza',
+        name: 'Sim Pizza',
+        phoneNumbers: [CALLED_NUMBER],
+        taxRate: 0.08,
+        menu: { provider: 'file', path: menuPath }
+      }]
+    }));
+    loadStores(storesPath);
+    await loadMenu(getStoreBySlug('simpizza'));
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(menuPath);
+    fs.unlinkSync(storesPath);
+  });
+
+  beforeEach(async () => {
+    sim = new CallSimulator();
+    await sim.start({ from: '+13155551234', calledNumber: CALLED_NUMBER });
+  });
+
+  afterEach(async () => {
+    await sim.stop();
+  });
+
+  test('caller orders 10 hot wings with ranch, delivery, gives name', async () => {
+    const results = await sim.run([
+      { assistant: 'Thanks for calling Sim Pizza. What would you like to order?' },
+      { caller: 'Can I get ten hot wings with ranch' },
+      { tool: 'add_item_to_order', args: { name: 'wings', size: '10 piece', flavor: 'hot', dressing: 'ranch' } },
+      { assistant: 'Ten hot wings with ranch. Pickup or delivery?' },
+      { caller: 'Delivery, 123 Main Street' },
+      { tool: 'set_delivery_method', args: { method: 'delivery' } },
+      { tool: 'set_address', args: { address: '123 Main Street, Syracuse' } },
+      { assistant: 'Delivering to 123 Main Street, Syracuse. Can I get a name for the order?' },
+      { caller: 'It\'s Maria' },
+      { tool: 'set_customer_name', args: { name: 'Maria' } },
+      { caller: 'Yes that\'s everything' },
+      { tool: 'confirm_order', args: {} },
+      { assistant: 'Thanks Maria, your order is confirmed.' }
+    ]);
+
+    const added = results[2];
+    expect(added.success).toBe(true);
+    expect(added.order.subtotal).toBeCloseTo(13.99, 2);
+
+    await sim.hangup();
+
+    // What the logger was sent
+    expect(sim.loggedOrders).toHaveLength(1);
+    const { orderData } = sim.loggedOrders[0];
+    expect(orderData).toMatchObject({
+      callSid: sim.callSid,
+      customerName: 'Maria',
+      customerPhone: '+13155551234',
+      deliveryMethod: 'delivery',
+      address: '123 Main Street, Syracuse'
+    });
+    expect(orderData.items).toEqual([
+      expect.objectContaining({ quantity: 1, price: 13.99, pieceCount: 10, flavor: 'Hot', dressing: 'ranch' })
+    ]);
+
+    // The order as saved for the kitchen
+    const saved = orderStore.getOrder(sim.callSid);
+    expect(saved).toMatchObject({ clientSlug: 'simpizza', customerName: 'Maria', deliveryMethod: 'delivery', status: 'received' });
+    expect(saved.total).toBeCloseTo(13.99 * 1.08, 2);
+    expect(sim.texts).toHaveLength(1);
+
+    // The call's transcript
+    const transcript = getCallTranscript(sim.callSid);
+    expect(transcript.entries.filter(entry => entry.role === 'caller').map(entry => entry.text)).toEqual([
+      'Can I get ten hot wings with ranch',
+      'Delivery, 123 Main Street',
+      'It\'s Maria',
+      'Yes that\'s everything'
+    ]);
+    expect(transcript.entries.filter(entry => entry.role === 'tool').map(entry => entry.tool.name)).toEqual([
+      'add_item_to_order', 'set_delivery_method', 'set_address', 'set_customer_name', 'confirm_order'
+    ]);
+  });
+
+  test('failed tool calls are reported to the AI and an unconfirmed call logs nothing', async () => {
+    const [missing, noFlavor] = await sim.run([
+      { tool: 'add_item_to_order', args: { name: 'lobster pizza' } },
+      { tool: 'add_item_to_order', args: { name: 'wings', size: '10 piece' } }
+    ]);
+    expect(missing.error.code).toBe('menu_item_not_found');
+    expect(noFlavor.error.code).toBe('missing_flavor');
+    expect(noFlavor.order.items).toBe('No items in order yet.');
+
+    await sim.hangup();
+    expect(sim.loggedOrders).toEqual([]);
+    expect(orderStore.getOrder(sim.callSid)).toBeNull();
+  });
+
+  test('an order still being logged when the socket closes is only sent and texted once', async () => {
+    await sim.stop();
+    let finishLogging;
+    sim = new CallSimulator({ logOrder: () => new Promise(resolve => { finishLogging = resolve; }) });
+    await sim.start({ from: '+13155551234', calledNumber: CALLED_NUMBER });
+
+    await sim.run([
+      { tool: 'add_item_to_order', args: { name: 'cheese pizza', size: 'large' } },
+      { tool: 'set_delivery_method', args: { method: 'pickup' } },
+      { tool: 'set_customer_name', args: { name: 'Sam' } },
+      { tool: 'confirm_order', args: {} }
+    ]);
+
+    // 'stop' starts logging, then the socket closes before the logger answers
+    await sim.hangup();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    finishLogging({ success: true });
+
+    expect(sim.loggedOrders).toHaveLength(1);
+    expect(sim.texts).toHaveLength(1);
+  });
+});
+
+describe('Call scenarios - barge-in', () => {
+  test('the caller talking over the AI clears Twilio and truncates the AI\'s item', async () => {
+    const sim = new CallSimulator({ playMarks: false });
+    await sim.start();
+    try {
+      const itemId = await sim.assistantSays('We have cheese pizza, pepperoni pizza, margherita pizza and');
+      await sim.callerSays('Just a large cheese');
+
+      expect(sim.twilio.getSent('clear')).toHaveLength(1);
+      const [truncate] = sim.getRealtimeMessages('conversation.item.truncate');
+      expect(truncate).toMatchObject({ item_id: itemId, content_index: 0, audio_end_ms: 0 });
+    } finally {
+      await sim.stop();
+    }
+  });
+});
+
+
+
+
+
@@ -0,0 +1,180 @@
+/**
+ * Call Transcript Tests
+ * Per-call transcripts, WAV capture and the /api/calls/:callSid transcript and recording routes
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+process.env.STAFF_API_KEY = 'staff-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const CallTranscript = require('../src/services/call-transcript');
+const CallRecorder = require('../src/services/call-recorder');
+const transcriptStore = require('../apps/api/transcript-store');
+const orderStore = require('../apps/api/order-store');
+
+const storeConfig = { slug: 'unclesals', transcripts: { enabled: true, recordAudio: true } };
+
+describe('CallTranscript', () => {
+  test('should save caller and assistant turns, tool calls and events in order', () => {
+    const transcript = new CallTranscript({
+      callSid: 'CA-T1',
+      storeConfig,
+      now: () => new Date('2026-10-19T22:00:00.000Z')
+    });
+
+    transcript.addAssistant('Thanks for calling Uncle Sal\'s, what can I get you?');
+    transcript.addCaller('Ten hot wings with ranch');
+    transcript.addToolCall('add_item_to_order', '{"name":"wings","quantity":1}', { success: true });
+    transcript.addEvent('Caller interrupted the assistant after 800ms');
+
+    const saved = transcriptStore.getCallTranscript('CA-T1');
+    expect(saved.clientSlug).toBe('unclesals');
+    expect(saved.entries.map(entry => entry.role)).toEqual(['assistant', 'caller', 'tool', 'event']);
+    expect(saved.entries[1]).toEqual({ role: 'caller', text: 'Ten hot wings with ranch', at: '2026-10-19T22:00:00.000Z' });
+    expect(saved.entries[2].tool).toEqual({
+      name: 'add_item_to_order',
+      arguments: { name: 'wings', quantity: 1 },
+      result: { success: true }
+    });
+    expect(saved.recording).toBeNull();
+  });
+
+  test('should do nothing when the store turns transcripts off', () => {
+    const transcript = new CallTranscript({ callSid: 'CA-T2', storeConfig: { slug: 'unclesals', transcripts: { enabled: false } } });
+    expect(transcript.addCaller('hello')).toBe(false);
+    expect(transcriptStore.getCallTranscript('CA-T2')).toBeNull();
+  });
+
+  test('should not throw when the store fails', () => {
+    const store = { addTranscriptEntry: jest.fn(() => { throw new Error('disk full'); }) };
+    const transcript = new CallTranscript({ callSid: 'CA-T3', storeConfig, store });
+    expect(transcript.addCaller('hello')).toBe(false);
+  });
+
+  test('should reject unknown roles in the store', () => {
+    expect(() => transcriptStore.addTranscriptEntry('CA-T4', 'unclesals', { role: 'narrator', text: 'hi' })).toThrow('Unknown transcript role');
+  });
+});
+
+describe('CallRecorder', () => {
+  const dir = path.join(os.tmpdir(), `recordings-${process.pid}`);
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should write both legs as WAV files lined up on the caller timeline', async () => {
+    const saveRecording = jest.fn();
+    const recorder = new CallRecorder({ callSid: 'CA-R1', storeConfig, dir, saveRecording });
+
+    recorder.addCallerAudio(Buffer.alloc(800, 0xff)); // 100ms
+    recorder.addAssistantAudio(Buffer.alloc(800, 0x00)); // 100ms, after 100ms of silence
+
+    const recording = await recorder.save();
+    expect(recording.durationSec).toBe(0.2);
+    expect(saveRecording).toHaveBeenCalledWith('CA-R1', 'unclesals', recording);
+
+    const caller = fs.readFileSync(recording.callerPath);
+    const assistant = fs.readFileSync(recording.assistantPath);
+    expect(caller.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(caller.readUInt32LE(24)).toBe(8000); // Sample rate
+    expect(caller.length).toBe(44 + 800 * 2);
+    expect(assistant.length).toBe(44 + 1600 * 2);
+
+    // Only the first save writes anything
+    expect(await recorder.save()).toBeNull();
+    expect(saveRecording).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only record when the store opts in', async () => {
+    const recorder = new CallRecorder({ callSid: 'CA-R2', storeConfig: { slug: 'unclesals' }, dir, saveRecording: jest.fn() });
+    recorder.addCallerAudio(Buffer.alloc(800, 0xff));
+    expect(await recorder.save()).toBeNull();
+    expect(fs.existsSync(path.join(dir, 'CA-R2-caller.wav'))).toBe(false);
+  });
+});
+
+describe('Call transcript API', () => {
+  const dir = path.join(os.tmpdir(), `transcript-api-${process.pid}`);
+  let server;
+  let baseUrl;
+
+  const request = async (urlPath, apiKey = 'staff-key') => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+    return response;
+  };
+
+  beforeAll((done) => {
+    const transcript = new CallTranscript({ callSid: 'CA-API', storeConfig });
+    transcript.addCaller('Large pepperoni for pickup');
+    transcript.addAssistant('One large pepperoni for pickup. Can I get a name?');
+
+    orderStore.saveOrder({
+      callSid: 'CA-API',
+      customerName: 'Sal',
+      customerPhone: '+13155551234',
+      deliveryMethod: 'pickup',
+      items: [{ name: 'Pepperoni Pizza', size: 'large', quantity: 1, price: 17.99 }],
+      totals: { subtotal: 17.99, tax: 1.44, total: 19.43 },
+      timestamp: '2026-10-19T22:00:00.000Z'
+    }, 'unclesals');
+
+    fs.mkdirSync(dir, { recursive: true });
+    const callerPath = path.join(dir, 'CA-API-caller.wav');
+    fs.writeFileSync(callerPath, Buffer.from('RIFF'));
+    transcriptStore.saveCallRecording('CA-API', 'unclesals', { callerPath, durationSec: 12 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/calls', require('../apps/api/calls'));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/calls`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  test('should require a staff API key', async () => {
+    expect((await request('/CA-API/transcript', null)).status).toBe(401);
+    expect((await request('/CA-API/recording/caller', 'wrong')).status).toBe(401);
+  });
+
+  test('should return the transcript with the call\'s order', async () => {
+    const response = await request('/CA-API/transcript?client=unclesals');
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.entries.map(entry => entry.text)).toEqual([
+      'Large pepperoni for pickup',
+      'One large pepperoni for pickup. Can I get a name?'
+    ]);
+    expect(body.order).toMatchObject({ callSid: 'CA-API', customerName: 'Sal', total: 19.43 });
+    expect(body.recording).toEqual({ caller: true, assistant: false, durationSec: 12 });
+  });
+
+  test('should 404 for unknown calls and other stores\' calls', async () => {
+    expect((await request('/CA-NONE/transcript')).status).toBe(404);
+    expect((await request('/CA-API/transcript?client=otherstore')).status).toBe(404);
+  });
+
+  test('should serve recorded legs as WAV', async () => {
+    const response = await request('/CA-API/recording/caller');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('audio/wav');
+    expect((await request('/CA-API/recording/assistant')).status).toBe(404);
+    expect((await request('/CA-API/recording/kitchen')).status).toBe(404);
+  });
+});
+
+
+
+
+
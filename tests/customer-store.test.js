@@ -0,0 +1,94 @@
+/**
+ * Customer Store Tests
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const orderStore = require('../apps/api/order-store');
+const customerStore = require('../apps/api/customer-store');
+
+describe('Customer Store', () => {
+  const order = (overrides = {}) => ({
+    callSid: 'CA100',
+    customerName: 'Sal',
+    customerPhone: '+13155551234',
+    deliveryMethod: 'delivery',
+    address: '12 Main St',
+    items: [
+      { name: 'Cheese Pizza', size: 'large', quantity: 2, price: 15.99 },
+      { name: 'Buffalo Wings', size: 'regular', quantity: 1, price: 12.99, flavor: 'hot', pieceCount: 10, itemType: 'wings' }
+    ],
+    totals: { subtotal: 44.97, tax: 3.6, total: 48.57 },
+    timestamp: '2026-10-19T22:00:00.000Z',
+    ...overrides
+  });
+
+  const saveAndRecord = (overrides) => customerStore.recordCustomerOrder(orderStore.saveOrder(order(overrides), 'unclesals'));
+
+  test('should not find a profile for a new caller', () => {
+    expect(customerStore.getCustomerProfile('unclesals', '+13155551234')).toBeNull();
+    expect(customerStore.getCustomerProfile('unclesals', 'Unknown')).toBeNull();
+  });
+
+  test('should create a profile from a saved order', () => {
+    const profile = saveAndRecord();
+    expect(profile.phone).toBe('3155551234');
+    expect(profile.name).toBe('Sal');
+    expect(profile.address).toBe('12 Main St');
+    expect(profile.orderCount).toBe(1);
+    expect(profile.lastOrder.callSid).toBe('CA100');
+  });
+
+  test('should look up a profile by any phone format, per store', () => {
+    expect(customerStore.getCustomerProfile('unclesals', '(315) 555-1234').name).toBe('Sal');
+    expect(customerStore.getCustomerProfile('othershop', '+13155551234')).toBeNull();
+  });
+
+  test('should keep the saved address and name when a later order leaves them out', () => {
+    const profile = saveAndRecord({
+      callSid: 'CA101',
+      customerName: 'not provided',
+      deliveryMethod: 'pickup',
+      address: '',
+      items: [{ name: 'Garlic Knots', quantity: 1, price: 5.99 }]
+    });
+    expect(profile.name).toBe('Sal');
+    expect(profile.address).toBe('12 Main St');
+    expect(profile.orderCount).toBe(2);
+    expect(profile.lastOrder.callSid).toBe('CA101');
+  });
+
+  test('should skip cancelled orders for the last order', () => {
+    orderStore.transitionOrder(orderStore.getOrder('CA101').id, 'cancel');
+    const profile = customerStore.getCustomerProfile('unclesals', '3155551234');
+    expect(profile.orderCount).toBe(1);
+    expect(profile.lastOrder.callSid).toBe('CA100');
+  });
+
+  test('should describe the last order items', () => {
+    const { lastOrder } = customerStore.getCustomerProfile('unclesals', '3155551234');
+    expect(customerStore.describeOrderItems(lastOrder)).toBe('2 large Cheese Pizza and 1 10 piece hot Buffalo Wings');
+  });
+
+  test('should list, update and delete profiles', () => {
+    const [profile] = customerStore.findCustomers({ clientSlug: 'unclesals', phone: '315-555-1234' });
+    expect(profile.name).toBe('Sal');
+    expect(customerStore.findCustomers({ phone: 'not a phone' })).toEqual([]);
+
+    const updated = customerStore.updateCustomer(profile.id, { address: '99 Oak Ave' });
+    expect(updated.name).toBe('Sal');
+    expect(updated.address).toBe('99 Oak Ave');
+    expect(customerStore.updateCustomer(profile.id, { name: null }).name).toBeNull();
+    expect(customerStore.updateCustomer(9999, { name: 'Nobody' })).toBeNull();
+
+    expect(customerStore.deleteCustomer(profile.id)).toBe(true);
+    expect(customerStore.deleteCustomer(profile.id)).toBe(false);
+    expect(customerStore.getCustomerProfile('unclesals', '3155551234')).toBeNull();
+    expect(orderStore.getOrder('CA100')).not.toBeNull();
+  });
+});
+
+
+
+
+
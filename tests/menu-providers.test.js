@@ -0,0 +1,211 @@
+/**
+ * Menu Provider Tests
+ * Every source (file, SQLite, built-in) produces the same normalized menu
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMenuProvider,
+  normalizeMenuData,
+  MenuProvider,
+  FileMenuProvider,
+  SqliteMenuProvider,
+  SheetsMenuProvider,
+  BuiltinMenuProvider
+} = require('../src/services/menu-providers');
+const { saveStoreMenu } = require('../apps/api/menu-store');
+
+describe('Menu Providers', () => {
+  const rawMenu = {
+    items: [
+      { name: 'Cheese Pizza', category: 'Pizza', description: 'Classic mozzarella', priceMap: { Small: '$12.99', Large: 18.99 } },
+      { name: 'Garlic Knots', category: 'Sides', price: 6.99 },
+      { name: 'Old Special', category: 'Pizza', price: 9.99, inStock: false }
+    ],
+    toppings: [{ name: 'Pepperoni', type: 'Meat', price: 1.5 }],
+    sizeGuide: [{ itemType: 'Pizza', size: 'Small', price: 12.99 }],
+    wingOptions: { pieceCounts: [{ name: '10 Pieces', price: 13.99 }], flavors: ['Buffalo'] }
+  };
+
+  const tmpFile = (name, contents) => {
+    const filePath = path.join(os.tmpdir(), `menu-test-${process.pid}-${name}`);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  test('should normalize items, categories, toppings, size guide and wing options', () => {
+    const menuData = normalizeMenuData(rawMenu, { source: 'file' });
+
+    expect(menuData.items).toEqual({
+      'cheese pizza': { sizes: ['small', 'large'], priceMap: { small: 12.99, large: 18.99 }, category: 'Pizza', description: 'Classic mozzarella' },
+      'garlic knots': { sizes: ['regular'], priceMap: { regular: 6.99 }, category: 'Sides', description: '' }
+    });
+    expect(menuData.menu).toBe(menuData.items);
+    expect(menuData.categories).toEqual(['Pizza', 'Sides']);
+    expect(menuData.toppings).toEqual([{ name: 'Pepperoni', type: 'Meat', price: 1.5, notes: '' }]);
+    expect(menuData.sizeGuide).toEqual([{ itemType: 'Pizza', size: 'Small', price: 12.99 }]);
+    expect(menuData.wingOptions).toEqual({
+      flavors: [{ name: 'Buffalo', price: 0, notes: '' }],
+      pieceCounts: [{ name: '10 Pieces', price: 13.99, notes: '' }],
+      dressings: [],
+      extras: []
+    });
+    expect(menuData.menuText).toContain('cheese pizza (small $12.99, large $18.99) - Classic mozzarella');
+    expect(menuData.source).toBe('file');
+  });
+
+  test('should version menus by content', () => {
+    const first = normalizeMenuData(rawMenu);
+    const same = normalizeMenuData(JSON.parse(JSON.stringify(rawMenu)));
+    const changed = normalizeMenuData({ ...rawMenu, toppings: [] });
+    expect(first.version).toMatch(/^[0-9a-f]{12}$/);
+    expect(same.version).toBe(first.version);
+    expect(changed.version).not.toBe(first.version);
+  });
+
+  test('should load JSON and YAML menu files to the same menu', async () => {
+    const jsonPath = tmpFile('menu.json', JSON.stringify(rawMenu));
+    const yamlPath = tmpFile('menu.yaml', [
+      'items:',
+      '  - name: Cheese Pizza',
+      '    category: Pizza',
+      '    description: Classic mozzarella',
+      '    priceMap: { Small: "$12.99", Large: 18.99 }',
+      '  - { name: Garlic Knots, category: Sides, price: 6.99 }',
+      '  - { name: Old Special, category: Pizza, price: 9.99, inStock: false }',
+      'toppings:',
+      '  - { name: Pepperoni, type: Meat, price: 1.5 }',
+      'sizeGuide:',
+      '  - { itemType: Pizza, size: Small, price: 12.99 }',
+      'wingOptions:',
+      '  pieceCounts: [{ name: 10 Pieces, price: 13.99 }]',
+      '  flavors: [Buffalo]'
+    ].join('\n'));
+
+    try {
+      const fromJson = await new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: jsonPath } }).load();
+      const fromYaml = await new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: yamlPath } }).load();
+      expect(fromYaml.items).toEqual(fromJson.items);
+      expect(fromYaml.version).toBe(fromJson.version);
+      expect(fromJson.source).toBe('file');
+    } finally {
+      fs.unlinkSync(jsonPath);
+      fs.unlinkSync(yamlPath);
+    }
+  });
+
+  test('should load a store menu from SQLite', async () => {
+    saveStoreMenu('sqlstore', rawMenu);
+    const provider = createMenuProvider({ slug: 'sqlstore', menu: { provider: 'sqlite' } });
+    expect(provider).toBeInstanceOf(SqliteMenuProvider);
+
+    const menuData = await provider.load();
+    expect(menuData.source).toBe('sqlite');
+    expect(menuData.version).toBe(normalizeMenuData(rawMenu).version);
+    expect(provider.version).toBe(menuData.version);
+    expect(Object.keys(menuData.items)).toEqual(['cheese pizza', 'garlic knots']);
+  });
+
+  test('should keep the last good menu when a refresh fails', async () => {
+    const menuPath = tmpFile('refresh.json', JSON.stringify(rawMenu));
+    const provider = new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: menuPath } });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const loaded = await provider.load();
+      fs.writeFileSync(menuPath, '{ not json');
+      expect(await provider.refresh()).toBe(loaded);
+
+      fs.writeFileSync(menuPath, JSON.stringify({ ...rawMenu, toppings: [] }));
+      const refreshed = await provider.refresh();
+      expect(refreshed.version).not.toBe(loaded.version);
+      expect(provider.getMenu()).toBe(refreshed);
+    } finally {
+      errorSpy.mockRestore();
+      fs.unlinkSync(menuPath);
+    }
+  });
+
+  test('should fall back to the built-in menu until a source loads', async () => {
+    const provider = new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: 'does/not/exist.json' } });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const menuData = await provider.load();
+      expect(menuData.source).toBe('builtin');
+      expect(menuData.items['cheese pizza']).toBeDefined();
+      expect(provider.getMenu()).toBeNull();
+      expect(provider.version).toBeNull();
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('should pick the provider from the store config', () => {
+    expect(createMenuProvider({ slug: 'a', menuSheetId: 'sheet123' })).toBeInstanceOf(SheetsMenuProvider);
+    expect(createMenuProvider({ slug: 'b', menuSheetId: null })).toBeInstanceOf(BuiltinMenuProvider);
+    expect(createMenuProvider({ slug: 'c', menu: { provider: 'file', path: 'menu.json' } })).toBeInstanceOf(FileMenuProvider);
+    expect(() => createMenuProvider({ slug: 'd', menu: { provider: 'fax' } })).toThrow('Unknown menu provider');
+    expect(new BuiltinMenuProvider()).toBeInstanceOf(MenuProvider);
+  });
+});
+
+describe('Menu Snapshots', () => {
+  const menuPath = path.join(os.tmpdir(), `menu-snapshot-${process.pid}.json`);
+  const menuWith = (price) => JSON.stringify({ items: [{ name: 'Cheese Pizza', description: 'Mozzarella', price }] });
+
+  afterEach(() => {
+    if (fs.existsSync(menuPath)) {
+      fs.unlinkSync(menuPath);
+    }
+  });
+
+  test('should keep older versions unchanged for calls already using them', async () => {
+    const provider = new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: menuPath } });
+    fs.writeFileSync(menuPath, menuWith(12.99));
+    const callMenu = await provider.load();
+
+    fs.writeFileSync(menuPath, menuWith(13.99));
+    const newMenu = await provider.refresh();
+
+    expect(newMenu.version).not.toBe(callMenu.version);
+    expect(callMenu.items['cheese pizza'].priceMap.regular).toBe(12.99);
+    expect(newMenu.items['cheese pizza'].priceMap.regular).toBe(13.99);
+    expect(Object.isFrozen(callMenu.items['cheese pizza'].priceMap)).toBe(true);
+    expect(provider.getSnapshot(callMenu.version)).toBe(callMenu);
+    expect(provider.getSnapshot('unknown')).toBeNull();
+  });
+
+  test('should reload a watched menu file when it changes', async () => {
+    const provider = new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: menuPath, watch: true } });
+    fs.writeFileSync(menuPath, menuWith(12.99));
+    const first = await provider.load();
+
+    try {
+      expect(provider.watch()).toBe(true);
+      fs.writeFileSync(menuPath, menuWith(14.99));
+
+      const deadline = Date.now() + 5000;
+      while (provider.version === first.version && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      expect(provider.getMenu().items['cheese pizza'].priceMap.regular).toBe(14.99);
+    } finally {
+      provider.unwatch();
+    }
+  });
+
+  test('should not watch providers without a file', () => {
+    expect(new BuiltinMenuProvider({ slug: 'test' }).watch()).toBe(false);
+    expect(new FileMenuProvider({ slug: 'test', menu: { provider: 'file' } }).watch()).toBe(false);
+  });
+});
+
+
+
+
+
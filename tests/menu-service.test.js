@@ -0,0 +1,122 @@
+/**
+ * Menu Service Tests
+ * Google Sheets menu parsing and description lookup
+ */
+
+const {
+  lookupMenuItemDescription,
+  getCachedMenuData,
+  getDefaultMenuData
+} = require('../src/services/menu-service');
+const {
+  parseMenuFromSheets,
+  parseToppingsFromSheets,
+  parseSizeGuideFromSheets,
+  parseWingOptionsFromSheets
+} = require('../src/services/menu-providers/sheets-provider');
+
+describe('Menu Service', () => {
+  const sizeGuide = parseSizeGuideFromSheets([
+    ['Pizza', 'Small', '$12.99'],
+    ['Pizza', 'Large', '$18.99']
+  ]);
+
+  test('should parse in-stock menu rows with sizes priced from the size guide', () => {
+    const { menu, menuText } = parseMenuFromSheets([
+      ['Pizza', 'Luna Pizza', 'YES', '$19.99', 'Ricotta, spinach and garlic'],
+      ['Pizza', 'Old Pizza', 'NO', '$15.00'],
+      ['Sides', 'Garlic Knots', 'YES', '6.99'],
+      ['Sides', 'Short Row']
+    ], [], sizeGuide);
+
+    expect(Object.keys(menu)).toEqual(['luna pizza', 'garlic knots']);
+    expect(menu['luna pizza']).toEqual({
+      sizes: ['small', 'large'],
+      priceMap: { small: 19.99, large: 25.99 },
+      category: 'Pizza',
+      description: 'Ricotta, spinach and garlic'
+    });
+    expect(menu['garlic knots'].sizes).toEqual(['regular']);
+    expect(menuText).toContain('luna pizza (small $19.99, large $25.99) - Ricotta, spinach and garlic');
+  });
+
+  test('should price sizes from size guide modifiers or type prices', () => {
+    const guide = parseSizeGuideFromSheets([
+      ['Pizza', 'Small', '$12.99'],
+      ['Pizza', 'Large', '$18.99'],
+      ['Calzone', 'Small', '0'],
+      ['Calzone', 'Large', '+$3.00'],
+      ['Sub', 'Half', '-$2'],
+      ['Sub', 'Whole', '0']
+    ]);
+    expect(guide[3]).toEqual({ itemType: 'Calzone', size: 'Large', price: 3, modifier: true });
+
+    const { menu } = parseMenuFromSheets([
+      ['Pizza', 'Cheese Pizza', 'YES', '$18.99'],
+      ['Calzone', 'Calzone', 'YES', '$10.00'],
+      ['Sub', 'Italian Sub', 'YES', '$9.00']
+    ], [], guide);
+    // Matching the large type price makes column D the large price
+    expect(menu['cheese pizza'].priceMap).toEqual({ small: 12.99, large: 18.99 });
+    expect(menu['calzone'].priceMap).toEqual({ small: 10, large: 13 });
+    expect(menu['italian sub'].priceMap).toEqual({ half: 7, whole: 9 });
+  });
+
+  test('should read per-size price columns named in the header', () => {
+    const header = ['Category', 'Item', 'IN STOCK', 'Price', 'Description', 'Small Price', 'Price (Large)', 'Notes'];
+    const { menu, issues } = parseMenuFromSheets([
+      ['Pizza', 'Luna Pizza', 'YES', '', 'Ricotta', '$16.50', '$24.00', 'Best seller'],
+      ['Pizza', 'Plain Pizza', 'YES', '$19.99', '', '', '', ''],
+      ['Pizza', 'Odd Pizza', 'YES', '', '', 'ask', '$20.00']
+    ], [], sizeGuide, header);
+
+    expect(menu['luna pizza']).toMatchObject({ sizes: ['small', 'large'], priceMap: { small: 16.5, large: 24 } });
+    expect(menu['plain pizza'].priceMap).toEqual({ small: 19.99, large: 25.99 });
+    expect(issues).toEqual(expect.arrayContaining([expect.objectContaining({ code: 'unparseable_price', item: 'odd pizza', row: 4 })]));
+    expect(issues.some(issue => issue.code === 'size_guessed' && issue.item === 'luna pizza')).toBe(false);
+  });
+
+  test('should parse toppings and wing options', () => {
+    expect(parseToppingsFromSheets([['Pepperoni', 'Meat', '$1.50', ''], ['', 'Veggie', '1']]))
+      .toEqual([{ name: 'Pepperoni', type: 'Meat', price: 1.5, notes: '' }]);
+
+    const wingOptions = parseWingOptionsFromSheets([
+      ['Regular Wings', '6 Pieces', '$8.99', 'Hot', 'Sauce', '', 'Dressing', 'Blue Cheese', 'Extra Crispy'],
+      ['Regular Wings', '10 Pieces', '$13.99', 'Mild', 'Sauce', '', 'Dressing', 'Ranch', ''],
+      ['Regular Wings', '6 Pieces', '$8.99', 'Hot', 'Sauce', '', '', '', '']
+    ]);
+    expect(wingOptions.pieceCounts).toEqual([
+      { name: '6 Pieces', price: 8.99, notes: '' },
+      { name: '10 Pieces', price: 13.99, notes: '' }
+    ]);
+    expect(wingOptions.flavors.map(f => f.name)).toEqual(['Hot', 'Mild']);
+    expect(wingOptions.dressings.map(d => d.name)).toEqual(['Blue Cheese', 'Ranch']);
+    expect(wingOptions.extras.map(e => e.name)).toEqual(['Extra Crispy']);
+  });
+
+  test('should look up descriptions without inventing them', () => {
+    const menu = {
+      'luna pizza': { description: 'Ricotta, spinach and garlic' },
+      'buffalo chicken pizza': { description: '' },
+      'cheese pizza': {},
+      'pepperoni pizza': {}
+    };
+    expect(lookupMenuItemDescription(menu, 'Luna Pizza?')).toMatchObject({ matched: true, itemName: 'luna pizza', description: 'Ricotta, spinach and garlic' });
+    expect(lookupMenuItemDescription(menu, 'buffalo')).toMatchObject({ matched: true, itemName: 'buffalo chicken pizza', description: '' });
+    expect(lookupMenuItemDescription(menu, 'plain pie')).toMatchObject({ matched: true, itemName: 'cheese pizza' });
+    expect(lookupMenuItemDescription(menu, 'lobster roll')).toMatchObject({ matched: false, alternatives: [] });
+  });
+
+  test('should fall back to the built-in menu', () => {
+    expect(getCachedMenuData({ menuSheetId: null })).toBeNull();
+    const menuData = getDefaultMenuData();
+    expect(menuData.menu['cheese pizza']).toBeDefined();
+    expect(menuData.menuText).toContain('PIZZA:');
+    expect(menuData.wingOptions.pieceCounts).toEqual([]);
+  });
+});
+
+
+
+
+
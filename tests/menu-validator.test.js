@@ -0,0 +1,102 @@
+/**
+ * Menu Validator Tests
+ * Lint report for Sheets/file menus and refusing menus with fatal issues
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateMenu } = require('../src/services/menu-validator');
+const { normalizeMenuData, FileMenuProvider } = require('../src/services/menu-providers');
+const {
+  parseMenuFromSheets,
+  parseSizeGuideFromSheets
+} = require('../src/services/menu-providers/sheets-provider');
+
+describe('Menu Validator', () => {
+  const codes = (report) => report.issues.map(issue => issue.code).sort();
+
+  test('should pass a clean menu', () => {
+    const report = validateMenu(normalizeMenuData({
+      items: [{ name: 'Cheese Pizza', category: 'Pizza', description: 'Mozzarella', priceMap: { small: 12.99, large: 18.99 } }],
+      toppings: [{ name: 'Pepperoni', type: 'Meat', price: 1.5 }]
+    }));
+    expect(report).toMatchObject({ valid: true, itemCount: 1, fatalCount: 0, warningCount: 0, issues: [] });
+  });
+
+  test('should report price, description, wing and topping problems', () => {
+    const report = validateMenu(normalizeMenuData({
+      items: [
+        { name: 'Cheese Pizza', description: 'Mozzarella', price: -1 },
+        { name: 'Garlic Knots', price: 0 },
+        { name: 'Buffalo Wings', description: 'Crispy', price: 'market' }
+      ],
+      toppings: [{ name: 'Pepperoni', price: 1.5 }],
+      wingOptions: { flavors: ['Hot'], pieceCounts: [] }
+    }));
+
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual([
+      'missing_description',
+      'missing_piece_counts',
+      'negative_price',
+      'topping_missing_type',
+      'unparseable_price',
+      'zero_price'
+    ]);
+    expect(report.issues.find(issue => issue.code === 'negative_price')).toMatchObject({ severity: 'fatal', item: 'cheese pizza' });
+    expect(report.issues.find(issue => issue.code === 'zero_price')).toMatchObject({ severity: 'warning', item: 'garlic knots' });
+    expect(report.fatalCount).toBe(2);
+  });
+
+  test('should treat an empty menu as fatal', () => {
+    expect(validateMenu(normalizeMenuData({ items: [] }))).toMatchObject({ valid: false, issues: [expect.objectContaining({ code: 'empty_menu' })] });
+  });
+
+  test('should report sheet rows that were skipped, guessed or duplicated', () => {
+    const sizeGuide = parseSizeGuideFromSheets([
+      ['Pizza', 'Small', '$12.99'],
+      ['Pizza', 'Large', '$18.99']
+    ]);
+    const parsed = parseMenuFromSheets([
+      ['Pizza', 'Cheese Pizza', 'YES', '$12.99', 'Mozzarella'],
+      ['Specialty', 'Luna Pizza', 'YES', '$19.99', 'Ricotta'],
+      ['Sides', 'Garlic Knots', 'YES'],
+      ['Sides', 'Fries', 'YES', 'ask', 'Crinkle cut'],
+      ['Pizza', 'Cheese Pizza', 'YES', '$14.99', 'Mozzarella']
+    ], [], sizeGuide);
+    const report = validateMenu(normalizeMenuData(parsed, { source: 'sheets' }));
+
+    expect(report.issues.find(issue => issue.code === 'row_skipped')).toMatchObject({ row: 4, item: 'garlic knots', severity: 'warning' });
+    expect(report.issues.find(issue => issue.code === 'size_guessed')).toMatchObject({ row: 3, item: 'luna pizza' });
+    expect(report.issues.find(issue => issue.code === 'unparseable_price')).toMatchObject({ row: 5, item: 'fries', severity: 'fatal' });
+    expect(report.issues.find(issue => issue.code === 'conflicting_duplicate_item')).toMatchObject({ row: 6, item: 'cheese pizza', severity: 'fatal' });
+    expect(report.issues.filter(issue => issue.code === 'zero_price')).toEqual([]);
+  });
+
+  test('should not swap in a menu with fatal issues', async () => {
+    const menuPath = path.join(os.tmpdir(), `menu-validator-${process.pid}.json`);
+    const good = { items: [{ name: 'Cheese Pizza', description: 'Mozzarella', price: 12.99 }] };
+    const provider = new FileMenuProvider({ slug: 'test', menu: { provider: 'file', path: menuPath } });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      fs.writeFileSync(menuPath, JSON.stringify(good));
+      const loaded = await provider.load();
+      expect(provider.lastReport.valid).toBe(true);
+
+      fs.writeFileSync(menuPath, JSON.stringify({ items: [{ name: 'Cheese Pizza', description: 'Mozzarella', price: -12.99 }] }));
+      expect(await provider.refresh()).toBe(loaded);
+      expect(provider.getMenu().items['cheese pizza'].priceMap.regular).toBe(12.99);
+      expect(provider.lastReport).toMatchObject({ valid: false, fatalCount: 1 });
+    } finally {
+      errorSpy.mockRestore();
+      fs.unlinkSync(menuPath);
+    }
+  });
+});
+
+
+
+
+
@@ -2,7 +2,7 @@
  * Menu Configuration Tests
  */
 
-const { findMenuItem, getPrice, getMenu } = require('../src/config/menu');
+const { findMenuItem, getPrice, getMenu, findTopping } = require('../src/config/menu');
 
 describe('Menu Configuration', () => {
   test('should find menu item by exact name', () => {
@@ -49,6 +49,13 @@ describe('Menu Configuration', () => {
     expect(menu).toHaveProperty('pepperoni pizza');
     expect(menu).toHaveProperty('garlic knots');
   });
+  
+  test('should find toppings ignoring case and plurals', () => {
+    expect(findTopping('Pepperoni').name).toBe('pepperoni');
+    expect(findTopping('mushroom').name).toBe('mushrooms');
+    expect(findTopping('olive').name).toBe('black olives');
+    expect(findTopping('pineapple')).toBeNull();
+  });
 });
 
 
@@ -0,0 +1,162 @@
+/**
+ * OpenAI Service Tests
+ * Tool calls are answered with function_call_output results, then one response once the AI's response is done
+ */
+
+const WebSocket = require('ws');
+const OpenAIService = require('../src/services/openai-service');
+const OrderManager = require('../src/services/order-manager');
+
+describe('OpenAIService tool results', () => {
+  let orderManager;
+  let service;
+  let sent;
+
+  const callTool = (name, args, callId = 'call_1') => {
+    service._handleToolCall({ call_id: callId, name, arguments: typeof args === 'string' ? args : JSON.stringify(args) });
+    const output = sent[sent.length - 1];
+    expect(output.type).toBe('conversation.item.create');
+    expect(output.item.type).toBe('function_call_output');
+    expect(output.item.call_id).toBe(callId);
+    return JSON.parse(output.item.output);
+  };
+
+  beforeEach(() => {
+    sent = [];
+    orderManager = new OrderManager('stream-1', 'call-1', '+13155551234');
+    service = new OpenAIService('key', orderManager, null, null, { slug: 'unclesals', name: 'Uncle Sal\'s' }, {
+      estimate: () => ({ minutes: 25, readyAtLabel: '6:30 PM', scheduled: false })
+    });
+    service.client = { readyState: WebSocket.OPEN, send: (data) => sent.push(JSON.parse(data)) };
+  });
+
+  test('should return the updated order and total after adding an item', () => {
+    const result = callTool('add_item_to_order', { name: 'cheese pizza', size: 'large', quantity: 2 });
+    expect(result.success).toBe(true);
+    expect(result.order.items).toBe('2x large cheese pizza');
+    expect(result.order.subtotal).toBeCloseTo(37.98, 2);
+    expect(result.order.total).toBe(orderManager.getOrder().total);
+  });
+
+  test('should return an error code when a tool fails', () => {
+    const result = callTool('add_item_to_order', { name: 'lobster pizza' });
+    expect(result.success).toBe(false);
+    expect(result.error).toEqual({ code: 'menu_item_not_found', message: 'Menu item not found: lobster pizza' });
+    expect(result.order.items).toBe('No items in order yet.');
+  });
+
+  test('should report bad arguments and unknown tools', () => {
+    expect(callTool('set_address', '{not json').error.code).toBe('invalid_arguments');
+    expect(callTool('order_dessert', {}).error.code).toBe('unknown_tool');
+  });
+
+  test('should include tool-specific results', () => {
+    callTool('add_item_to_order', { name: 'cheese pizza', size: 'large' });
+    const result = callTool('get_ready_time', {});
+    expect(result.success).toBe(true);
+    expect(result.readyInMinutes).toBe(25);
+    expect(result.readyTime).toContain('6:30 PM');
+  });
+
+  test('should answer item edits with the new order', () => {
+    callTool('add_item_to_order', { name: 'cheese pizza', size: 'large' });
+    const result = callTool('change_item_size', { name: 'cheese pizza', new_size: 'small' });
+    expect(result.order.items).toBe('1x small cheese pizza');
+
+    const failed = callTool('remove_item', { name: 'garlic knots' });
+    expect(failed.error.code).toBe('item_not_found');
+  });
+
+  test('should report each tool call with its result for the transcript', () => {
+    service.onToolCall = jest.fn();
+    const result = callTool('add_item_to_order', { name: 'cheese pizza' });
+    expect(service.onToolCall).toHaveBeenCalledWith('add_item_to_order', '{"name":"cheese pizza"}', expect.objectContaining({ success: result.success }));
+  });
+
+  test('should report what the AI said once its audio is done', () => {
+    service.onAssistantTranscript = jest.fn();
+    service._handleMessage(JSON.stringify({ type: 'response.audio_transcript.done', transcript: 'Anything else?' }));
+    expect(service.onAssistantTranscript).toHaveBeenCalledWith('Anything else?');
+  });
+
+  test('should ask for one response after a response with several tool calls is done', () => {
+    callTool('add_item_to_order', { name: 'cheese pizza', size: 'large' }, 'call_1');
+    callTool('set_delivery_method', { method: 'pickup' }, 'call_2');
+    expect(sent.filter(message => message.type === 'response.create')).toEqual([]);
+
+    service._handleMessage(JSON.stringify({ type: 'response.done', response: { status: 'completed' } }));
+    expect(sent[sent.length - 1]).toEqual({ type: 'response.create' });
+
+    // The next response without tool calls needs nothing more
+    service._handleMessage(JSON.stringify({ type: 'response.done', response: { status: 'completed' } }));
+    expect(sent.filter(message => message.type === 'response.create')).toHaveLength(1);
+  });
+
+  test('should not ask for a response when the caller cut the tool-calling response off', () => {
+    callTool('add_item_to_order', { name: 'cheese pizza', size: 'large' });
+    service._handleMessage(JSON.stringify({ type: 'response.done', response: { status: 'cancelled' } }));
+    expect(sent.filter(message => message.type === 'response.create')).toEqual([]);
+  });
+
+  test('should answer a system message now, or once the running response is done', () => {
+    service.sendSystemMessage('The transfer failed');
+    expect(sent[0].item).toEqual({ type: 'message', role: 'system', content: [{ type: 'input_text', text: 'The transfer failed' }] });
+    expect(sent[1]).toEqual({ type: 'response.create' });
+
+    service._handleMessage(JSON.stringify({ type: 'response.created', response: { id: 'resp_1' } }));
+    service.sendSystemMessage('The transfer failed');
+    expect(sent).toHaveLength(3);
+    service._handleMessage(JSON.stringify({ type: 'response.done', response: { status: 'completed' } }));
+    expect(sent[3]).toEqual({ type: 'response.create' });
+  });
+
+  test('should not send results once the connection is closed', () => {
+    service.client.readyState = WebSocket.CLOSED;
+    service._handleToolCall({ call_id: 'call_2', name: 'clear_order', arguments: '{}' });
+    expect(sent).toEqual([]);
+  });
+});
+
+describe('OpenAIService audio', () => {
+  const createService = (storeConfig, onAudio = null) => {
+    const service = new OpenAIService('key', new OrderManager('stream-1', 'call-1', '+13155551234'), onAudio, null, storeConfig);
+    const sent = [];
+    service.client = { readyState: WebSocket.OPEN, send: (data) => sent.push(JSON.parse(data)) };
+    return { service, sent };
+  };
+
+  test('should negotiate μ-law audio like Twilio by default', () => {
+    const { service, sent } = createService({ slug: 'unclesals', name: 'Uncle Sal\'s' });
+    service._setupSession();
+    expect(sent[0].session.input_audio_format).toBe('g711_ulaw');
+    expect(sent[0].session.output_audio_format).toBe('g711_ulaw');
+
+    const pcm = createService({ slug: 'unclesals', audio: { format: 'pcm16' } });
+    pcm.service._setupSession();
+    expect(pcm.sent[0].session.output_audio_format).toBe('pcm16');
+  });
+
+  test('should forward audio deltas, not transcript text', () => {
+    const onAudio = jest.fn();
+    const { service } = createService({ slug: 'unclesals' }, onAudio);
+    service._handleMessage(JSON.stringify({ type: 'response.audio_transcript.delta', delta: 'Thanks for' }));
+    service._handleMessage(JSON.stringify({ type: 'response.audio.delta', item_id: 'item_1', delta: '//8=' }));
+    expect(onAudio).toHaveBeenCalledTimes(1);
+    expect(onAudio).toHaveBeenCalledWith('//8=', 'item_1');
+  });
+
+  test('should report barge-in and truncate items to what was heard', () => {
+    const { service, sent } = createService({ slug: 'unclesals' });
+    service.onSpeechStarted = jest.fn();
+    service._handleMessage(JSON.stringify({ type: 'input_audio_buffer.speech_started', audio_start_ms: 1200 }));
+    expect(service.onSpeechStarted).toHaveBeenCalled();
+
+    service.truncateItem('item_1', 850);
+    expect(sent).toEqual([{ type: 'conversation.item.truncate', item_id: 'item_1', content_index: 0, audio_end_ms: 850 }]);
+  });
+});
+
+
+
+
+
@@ -148,6 +148,251 @@ describe('OrderManager', () => {
     expect(logData.status).toBe('completed');
     expect(logData.items.length).toBe(1);
   });
+  
+  test('should add whole pizza toppings and include them in price', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, ['pepperoni', 'mushrooms']);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.basePrice).toBe(18.99);
+    expect(item.toppings.length).toBe(2);
+    expect(item.toppingsPrice).toBeCloseTo(2.75, 2); // 1.50 + 1.25
+    expect(item.price).toBeCloseTo(21.74, 2);
+    expect(orderManager.getOrder().subtotal).toBeCloseTo(21.74, 2);
+  });
+  
+  test('should price half-and-half toppings at half price', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, [
+      { name: 'pepperoni', placement: 'left' },
+      { name: 'mushroom', placement: 'right' }
+    ]);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.toppings[0]).toEqual({ name: 'pepperoni', placement: 'left', amount: 'regular', price: 0.75 });
+    expect(item.toppings[1].name).toBe('mushrooms');
+    expect(item.toppingsPrice).toBeCloseTo(1.38, 2);
+    expect(orderManager.getSummary()).toContain('pepperoni on left half, mushrooms on right half');
+  });
+  
+  test('should charge double for extra and nothing for no toppings', () => {
+    orderManager.addItem('cheese pizza', 'medium', 1, null, [
+      { name: 'cheese', amount: 'extra' },
+      { name: 'onions', amount: 'no' },
+      { name: 'spinach', amount: 'light' }
+    ]);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.toppings.map(t => t.price)).toEqual([3.00, 0, 1.25]);
+    expect(item.price).toBeCloseTo(15.99 + 4.25, 2);
+  });
+  
+  test('should price light toppings the same as regular', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, [
+      { name: 'pepperoni', amount: 'light' },
+      { name: 'mushrooms', placement: 'left', amount: 'light' }
+    ]);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.toppings.map(t => t.amount)).toEqual(['light', 'light']);
+    expect(item.toppings.map(t => t.price)).toEqual([1.50, 0.63]);
+  });
+  
+  test('should price toppings from the store menu instead of the built-in list', () => {
+    const toppings = [{ name: 'pepperoni', price: 2.00 }, { name: 'truffle oil', price: 3.50 }];
+    const manager = new OrderManager('stream', 'call', '+1234567890', null, { toppings });
+    
+    manager.addItem('cheese pizza', 'large', 1, null, ['pepperoni', 'truffle oil']);
+    expect(manager.getOrder().items[0].toppingsPrice).toBeCloseTo(5.50, 2);
+    expect(() => manager.addItem('cheese pizza', 'large', 1, null, ['mushrooms'])).toThrow();
+  });
+  
+  test('should keep pizzas with different toppings as separate items', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, ['pepperoni']);
+    orderManager.addItem('cheese pizza', 'large', 1, null, ['sausage']);
+    orderManager.addItem('cheese pizza', 'large', 1, null, [{ name: 'pepperoni', placement: 'whole' }]);
+    const order = orderManager.getOrder();
+    
+    expect(order.items.length).toBe(2);
+    expect(order.items[0].quantity).toBe(2);
+  });
+  
+  test('should reject unknown toppings and toppings on non-pizza items', () => {
+    expect(() => {
+      orderManager.addItem('cheese pizza', 'large', 1, null, ['pineapple chunks']);
+    }).toThrow('Topping not found');
+    expect(() => {
+      orderManager.addItem('garlic knots', 'regular', 1, null, ['pepperoni']);
+    }).toThrow('only available on pizzas');
+    expect(() => {
+      orderManager.addItem('cheese pizza', 'large', 1, null, [{ name: 'pepperoni', placement: 'middle' }]);
+    }).toThrow('Invalid topping placement');
+    expect(orderManager.getOrder().items.length).toBe(0);
+  });
+  
+  test('should include toppings in full summary and logging data', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, [{ name: 'pepperoni', placement: 'left' }]);
+    
+    expect(orderManager.getFullSummary()).toContain('+ pepperoni on left half ($0.75)');
+    
+    const logItem = orderManager.getOrderForLogging().items[0];
+    expect(logItem.toppings).toEqual([{ name: 'pepperoni', placement: 'left', amount: 'regular', price: 0.75 }]);
+    expect(logItem.toppingsPrice).toBe(0.75);
+    expect(logItem.itemTotal).toBeCloseTo(19.74, 2);
+  });
+  
+  test('should set a validated requested time', () => {
+    const scheduled = new OrderManager('s', 'c', '+1234567890', {
+      timezone: 'America/New_York',
+      hours: { weekly: { monday: { open: '11:00', close: '22:00' } } },
+      scheduling: { minLeadMinutes: 20, maxDaysAhead: 7 }
+    });
+    const now = new Date('2026-10-19T15:00:00-04:00'); // Monday 3pm
+    
+    scheduled.setRequestedTime('at six thirty', now);
+    expect(scheduled.getOrder().requestedTimeLabel).toBe('today at 6:30 PM');
+    expect(scheduled.getOrderForLogging().requestedTime).toBe('2026-10-19T22:30:00.000Z');
+    expect(scheduled.getFullSummary()).toContain('Requested Time: today at 6:30 PM');
+    
+    expect(() => scheduled.setRequestedTime('at eleven pm', now)).toThrow('closed at that time');
+    expect(scheduled.getOrder().requestedTimeLabel).toBe('today at 6:30 PM');
+  });
+  
+  test('should require a requested time to confirm while the store is not taking orders', () => {
+    const afterHours = new OrderManager('s', 'c', '+1234567890', {
+      timezone: 'America/New_York',
+      hours: { weekly: { monday: { open: '11:00', close: '22:00' }, tuesday: { open: '11:00', close: '22:00' } } },
+      scheduling: { minLeadMinutes: 20, maxDaysAhead: 7 }
+    });
+    const now = new Date('2026-10-19T23:30:00-04:00'); // Monday 11:30pm
+    afterHours.addItem('cheese pizza', 'large', 1);
+    afterHours.setCustomerName('John Doe');
+    
+    expect(() => afterHours.confirm(now)).toThrow(expect.objectContaining({ code: 'requested_time_required' }));
+    expect(afterHours.getOrder().confirmed).toBe(false);
+    
+    afterHours.setRequestedTime('tomorrow at noon', now);
+    afterHours.confirm(now);
+    expect(afterHours.getOrder().confirmed).toBe(true);
+  });
+  
+  test('should fill in a returning customer and repeat their last order', () => {
+    orderManager.setCustomerProfile({
+      name: 'Sal',
+      address: '12 Main St',
+      orderCount: 3,
+      lastOrder: {
+        items: [
+          { name: 'pepperoni pizza', size: 'large', quantity: 2, details: { price: 18.99 } },
+          { name: 'Discontinued Special', size: 'regular', quantity: 1, details: {} }
+        ]
+      }
+    });
+    expect(orderManager.getOrder().customerName).toBe('Sal');
+    expect(orderManager.getOrder().address).toBeNull();
+    
+    const result = orderManager.repeatLastOrder();
+    expect(result).toEqual({ added: ['pepperoni pizza'], skipped: ['Discontinued Special'] });
+    expect(orderManager.getOrder().items[0].price).toBe(20.99); // Today's menu price
+    expect(orderManager.getOrder().items[0].quantity).toBe(2);
+    
+    orderManager.setDeliveryMethod('delivery');
+    expect(orderManager.getOrder().address).toBe('12 Main St');
+  });
+  
+  test('should not repeat an order for a new caller', () => {
+    expect(() => orderManager.repeatLastOrder()).toThrow('No previous order');
+  });
+  
+  test('should remove an item by name, size or item number', () => {
+    orderManager.addItem('cheese pizza', 'large', 1);
+    orderManager.addItem('cheese pizza', 'small', 1);
+    orderManager.addItem('pepperoni pizza', 'medium', 1);
+    
+    expect(() => orderManager.removeItem({ name: 'cheese pizza' })).toThrow('which one? 1. large cheese pizza, 2. small cheese pizza');
+    orderManager.removeItem({ name: 'cheese', size: 'small' });
+    orderManager.removeItem({ index: 2 });
+    
+    const order = orderManager.getOrder();
+    expect(order.items.map(item => `${item.size} ${item.name}`)).toEqual(['large cheese pizza']);
+    expect(order.subtotal).toBe(18.99);
+    expect(() => orderManager.removeItem({ name: 'garlic knots' })).toThrow('No garlic knots in the order');
+    expect(() => orderManager.removeItem({ index: 5 })).toThrow('There is no item number 5');
+  });
+  
+  test('should update quantity and remove the item at zero', () => {
+    orderManager.addItem('cheese pizza', 'large', 1);
+    orderManager.addItem('pepperoni pizza', 'large', 1);
+    
+    orderManager.updateItemQuantity({ name: 'cheese pizza' }, 3);
+    expect(orderManager.getOrder().items[0].quantity).toBe(3);
+    expect(orderManager.getOrder().subtotal).toBeCloseTo(18.99 * 3 + 20.99, 2);
+    
+    orderManager.updateItemQuantity({ name: 'pepperoni pizza' }, 0);
+    expect(orderManager.getOrder().items).toHaveLength(1);
+    expect(() => orderManager.updateItemQuantity({ name: 'cheese pizza' }, -1)).toThrow('Invalid quantity');
+  });
+  
+  test('should change size, re-price and keep toppings', () => {
+    orderManager.addItem('cheese pizza', 'large', 1, null, ['pepperoni']);
+    orderManager.changeItemSize({ name: 'cheese pizza' }, 'Medium');
+    
+    const item = orderManager.getOrder().items[0];
+    expect(item.size).toBe('medium');
+    expect(item.basePrice).toBe(15.99);
+    expect(item.price).toBeCloseTo(15.99 + item.toppingsPrice, 2);
+    expect(() => orderManager.changeItemSize({ name: 'cheese pizza' }, 'huge')).toThrow('available sizes: small, medium, large');
+  });
+  
+  test('should merge into a matching item when the size changes', () => {
+    orderManager.addItem('cheese pizza', 'medium', 1);
+    orderManager.addItem('cheese pizza', 'large', 2);
+    orderManager.changeItemSize({ name: 'cheese pizza', size: 'large' }, 'medium');
+    
+    expect(orderManager.getOrder().items).toHaveLength(1);
+    expect(orderManager.getOrder().items[0].quantity).toBe(3);
+  });
+  
+  test('should clear the order but keep customer details', () => {
+    orderManager.addItem('cheese pizza', 'large', 1);
+    orderManager.setCustomerName('Sal');
+    orderManager.clearOrder();
+    
+    expect(orderManager.getOrder().items).toEqual([]);
+    expect(orderManager.getOrder().total).toBe(0);
+    expect(orderManager.getOrder().customerName).toBe('Sal');
+    expect(() => orderManager.removeItem({ name: 'cheese pizza' })).toThrow('The order is empty');
+  });
+  
+  test('should price wings by piece count from the store menu', () => {
+    const menu = { 'regular wings': { sizes: ['regular'], priceMap: { regular: 8.99 }, category: 'Wings' } };
+    const wingOptions = { pieceCounts: [{ name: '6 Pieces', price: 8.99 }, { name: '10 Pieces', price: 13.99 }], flavors: [{ name: 'Hot' }] };
+    const manager = new OrderManager('stream', 'call', '+1234567890', null, { menu, toppings: [], wingOptions });
+    
+    manager.addItem('regular wings', 'regular', 10, null, [], { flavor: 'hot', dressing: 'ranch' });
+    expect(manager.getOrder().items[0]).toMatchObject({
+      name: 'regular wings', quantity: 1, price: 13.99, itemType: 'wings', pieceCount: 10, flavor: 'Hot', dressing: 'ranch', category: 'Wings'
+    });
+    expect(() => manager.addItem('regular wings', 'regular', 1, null, [], { flavor: 'hot' })).toThrow('Ask how many pieces');
+    expect(() => manager.changeItemSize({ name: 'regular wings' }, 'large')).toThrow('Wings are ordered by piece count');
+  });
+  
+  test('should repeat last order wings at today\'s piece-count price', () => {
+    const menu = { 'regular wings': { sizes: ['regular'], priceMap: { regular: 8.99 }, category: 'Wings' } };
+    const wingOptions = { pieceCounts: [{ name: '10 Pieces', price: 14.49 }], flavors: [{ name: 'Hot' }] };
+    const manager = new OrderManager('stream', 'call', '+1234567890', null, { menu, toppings: [], wingOptions });
+    manager.setCustomerProfile({
+      lastOrder: {
+        items: [
+          { name: 'regular wings', size: 'regular', quantity: 2, unitPrice: 13.99, flavor: 'hot', dressing: 'ranch', details: { itemType: 'wings', pieceCount: 10 } },
+          { name: 'regular wings', size: 'regular', quantity: 1, unitPrice: 13.99, flavor: 'mango habanero', details: { itemType: 'wings', pieceCount: 10 } }
+        ]
+      }
+    });
+    
+    expect(manager.repeatLastOrder()).toEqual({ added: ['regular wings'], skipped: ['regular wings'] });
+    expect(manager.getOrder().items).toHaveLength(1);
+    expect(manager.getOrder().items[0]).toMatchObject({ quantity: 2, price: 14.49, pieceCount: 10, flavor: 'Hot', dressing: 'ranch' });
+    expect(manager.getOrder().subtotal).toBe(28.98);
+  });
 });
 
 
@@ -0,0 +1,82 @@
+/**
+ * Order Store Tests
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const orderStore = require('../apps/api/order-store');
+
+describe('Order Store', () => {
+  const order = (overrides = {}) => ({
+    callSid: 'CA123',
+    customerName: 'Sal',
+    customerPhone: '+13155551234',
+    deliveryMethod: 'pickup',
+    paymentMethod: 'cash',
+    items: [
+      { name: 'Cheese Pizza', size: 'large', quantity: 2, price: 15.99 },
+      { name: 'Buffalo Wings', size: '10 pc', quantity: 1, price: 12.99, flavor: 'hot' }
+    ],
+    totals: { subtotal: 44.97, tax: 3.6, total: 48.57 },
+    readyTimeQuote: { readyAt: '2026-10-19T22:30:00.000Z', minutes: 30 },
+    timestamp: '2026-10-19T22:00:00.000Z',
+    ...overrides
+  });
+
+  test('should save an order with its items keyed by CallSid', () => {
+    const saved = orderStore.saveOrder(order(), 'unclesals');
+    expect(saved.id).toBeDefined();
+    expect(saved.status).toBe('received');
+    expect(saved.clientSlug).toBe('unclesals');
+    expect(saved.total).toBe(48.57);
+    expect(saved.orderDate).toBe('2026-10-19');
+    expect(saved.items).toHaveLength(2);
+    expect(saved.items[0].lineTotal).toBeCloseTo(31.98);
+    expect(saved.items[1].flavor).toBe('hot');
+    expect(orderStore.getOrderRecordById(saved.id).callSid).toBe('CA123');
+  });
+
+  test('should replace items when an order is saved again', () => {
+    orderStore.saveOrder(order({ items: [{ name: 'Garlic Knots', quantity: 1, price: 5.99 }] }), 'unclesals');
+    const saved = orderStore.getOrder('CA123');
+    expect(saved.items).toHaveLength(1);
+    expect(saved.items[0].name).toBe('Garlic Knots');
+  });
+
+  test('should require a CallSid', () => {
+    expect(() => orderStore.saveOrder(order({ callSid: null }), 'unclesals')).toThrow('CallSid');
+  });
+
+  test('should update status and POS order ID', () => {
+    const updated = orderStore.updateOrderStatus('CA123', 'sent_to_pos', { posOrderId: 'SQ-1' });
+    expect(updated.status).toBe('sent_to_pos');
+    expect(updated.posOrderId).toBe('SQ-1');
+    expect(() => orderStore.updateOrderStatus('CA123', 'lost')).toThrow('Invalid order status');
+    expect(() => orderStore.updateOrderStatus('CA-missing', 'ready')).toThrow('Order not found');
+  });
+
+  test('should shape saved orders for integrations', () => {
+    orderStore.saveOrder(order({ callSid: 'CA456' }), 'unclesals');
+    const integrationOrder = orderStore.toIntegrationOrder(orderStore.getOrder('CA456'));
+    expect(integrationOrder.items[0]).toMatchObject({ name: 'Cheese Pizza', quantity: 2, price: 15.99 });
+    expect(integrationOrder.finalTotal).toBe(48.57);
+    expect(integrationOrder.readyTimeQuote.readyAt).toBe('2026-10-19T22:30:00.000Z');
+  });
+
+  test('should list the kitchen queue until orders are ready', () => {
+    const now = new Date('2026-10-19T22:10:00.000Z');
+    orderStore.saveOrder(order({ callSid: 'CA789', requestedTime: '2026-10-20T16:00:00.000Z' }), 'unclesals');
+    const queue = orderStore.listKitchenQueue('unclesals', now);
+    // CA123 and CA456 are being made, CA789 is scheduled for tomorrow
+    expect(queue.map(o => o.callSid)).toEqual(['CA123', 'CA456']);
+
+    orderStore.updateOrderStatus('CA456', 'ready');
+    expect(orderStore.listKitchenQueue('unclesals', now).map(o => o.callSid)).toEqual(['CA123']);
+    expect(orderStore.listKitchenQueue('unclesals', new Date('2026-10-19T22:45:00.000Z'))).toEqual([]);
+  });
+});
+
+
+
+
+
@@ -0,0 +1,185 @@
+/**
+ * Orders API Tests
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+process.env.STAFF_API_KEY = 'staff-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const express = require('express');
+const ordersRouter = require('../apps/api/orders');
+const orderStore = require('../apps/api/order-store');
+
+describe('Orders API', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, { key = 'staff-key' } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: key ? { Authorization: `Bearer ${key}` } : {}
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const save = (callSid, overrides = {}) => orderStore.saveOrder({
+    callSid,
+    customerPhone: '+13155551234',
+    deliveryMethod: 'pickup',
+    items: [{ name: 'Cheese Pizza', size: 'large', quantity: 1, price: 15.99 }],
+    totals: { subtotal: 15.99, tax: 1.28, total: 17.27 },
+    timestamp: '2026-10-19T22:00:00.000Z',
+    ...overrides
+  }, overrides.clientSlug || 'unclesals');
+
+  beforeAll((done) => {
+    save('CA-1');
+    save('CA-2', { deliveryMethod: 'delivery', address: '1 Main St', customerPhone: '+13155559999' });
+    save('CA-3', { clientSlug: 'downtown', timestamp: '2026-10-18T22:00:00.000Z' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', ordersRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/orders`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('should require an API key', async () => {
+    expect((await request('GET', '', { key: null })).status).toBe(401);
+    expect((await request('GET', '', { key: 'wrong' })).status).toBe(401);
+  });
+
+  test('should list and filter orders', async () => {
+    expect((await request('GET', '')).body.orders).toHaveLength(3);
+    expect((await request('GET', '?client=unclesals')).body.orders.map(o => o.callSid)).toEqual(['CA-2', 'CA-1']);
+    expect((await request('GET', '?from=2026-10-19&to=2026-10-19')).body.orders).toHaveLength(2);
+    expect((await request('GET', '?phone=(315)%20555-9999')).body.orders.map(o => o.callSid)).toEqual(['CA-2']);
+    expect((await request('GET', '?status=lost')).status).toBe(400);
+    expect((await request('GET', '?from=yesterday')).status).toBe(400);
+  });
+
+  test('should get an order by id', async () => {
+    const id = orderStore.getOrder('CA-1').id;
+    const { status, body } = await request('GET', `/${id}`);
+    expect(status).toBe(200);
+    expect(body.order.items[0].name).toBe('Cheese Pizza');
+    expect((await request('GET', '/9999')).status).toBe(404);
+  });
+
+  test('should move orders through the kitchen', async () => {
+    const pickup = orderStore.getOrder('CA-1').id;
+    const delivery = orderStore.getOrder('CA-2').id;
+
+    expect((await request('POST', `/${pickup}/accept`)).body.order.status).toBe('in_kitchen');
+    expect((await request('POST', `/${pickup}/ready`)).body.order.status).toBe('ready');
+    expect((await request('POST', `/${pickup}/out-for-delivery`)).status).toBe(409);
+    expect((await request('POST', `/${pickup}/complete`)).body.order.status).toBe('completed');
+    expect((await request('POST', `/${pickup}/cancel`)).status).toBe(409);
+
+    await request('POST', `/${delivery}/ready`);
+    expect((await request('POST', `/${delivery}/out-for-delivery`)).body.order.status).toBe('out_for_delivery');
+
+    expect((await request('POST', `/${pickup}/refund`)).status).toBe(404);
+    expect((await request('POST', '/9999/accept')).status).toBe(404);
+  });
+
+  test('should list the kitchen board and stream order updates', async () => {
+    save('CA-4', { items: [{ name: 'Buffalo Wings', quantity: 1, price: 12.99, pieceCount: 10, flavor: 'hot', dressing: 'ranch' }] });
+    const board = (await request('GET', '/kitchen?client=unclesals')).body.orders;
+    // CA-1 is completed, CA-2 is out for delivery
+    expect(board.map(o => o.callSid)).toEqual(['CA-2', 'CA-4']);
+    expect(board[1].items[0].details.pieceCount).toBe(10);
+    expect((await request('GET', '/kitchen')).status).toBe(400);
+
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/stream?client=unclesals`, {
+      headers: { Authorization: 'Bearer staff-key' },
+      signal: controller.signal
+    });
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    await reader.read(); // retry line
+    orderStore.transitionOrder(board[1].id, 'accept');
+    const { value } = await reader.read();
+    controller.abort();
+
+    expect(value).toContain('event: order');
+    expect(JSON.parse(value.split('data: ')[1]).status).toBe('in_kitchen');
+  });
+
+  test('should total orders without cancelled ones', async () => {
+    await request('POST', `/${orderStore.getOrder('CA-3').id}/cancel`);
+    const { body } = await request('GET', '/totals?from=2026-10-18');
+    expect(body.orderCount).toBe(3);
+    expect(body.cancelledCount).toBe(1);
+    expect(body.total).toBe(51.81);
+    expect(body.averageOrder).toBe(17.27);
+    expect(body.byStatus.completed.orderCount).toBe(1);
+  });
+});
+
+describe('Orders table migration', () => {
+  const dbPath = path.join(os.tmpdir(), `orders-migration-${process.pid}.db`);
+
+  afterEach(() => {
+    process.env.CALLS_DB_PATH = ':memory:';
+    fs.rmSync(dbPath, { force: true });
+  });
+
+  test('should rebuild an older orders table so it accepts out_for_delivery', () => {
+    // The orders tables as they first shipped, before out_for_delivery
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_sid TEXT UNIQUE NOT NULL,
+        client_slug TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received'
+          CHECK (status IN ('received', 'sent_to_pos', 'in_kitchen', 'ready', 'completed', 'cancelled')),
+        customer_name TEXT, customer_phone TEXT, delivery_method TEXT, address TEXT, payment_method TEXT,
+        subtotal REAL NOT NULL DEFAULT 0, tax REAL NOT NULL DEFAULT 0, total REAL NOT NULL DEFAULT 0,
+        requested_time TEXT, requested_time_label TEXT, estimated_ready_at TEXT, estimated_ready_minutes INTEGER,
+        pos_order_id TEXT, order_date TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        name TEXT NOT NULL, size TEXT, quantity INTEGER NOT NULL DEFAULT 1,
+        unit_price REAL NOT NULL DEFAULT 0, line_total REAL NOT NULL DEFAULT 0,
+        flavor TEXT, dressing TEXT, special_instructions TEXT, details TEXT
+      );
+      INSERT INTO orders (call_sid, client_slug, status, order_date) VALUES ('CA-OLD', 'unclesals', 'ready', '2026-10-01');
+      INSERT INTO order_items (order_id, name, quantity) VALUES (1, 'Cheese Pizza', 1);
+    `);
+    legacy.close();
+
+    process.env.CALLS_DB_PATH = dbPath;
+    jest.isolateModules(() => {
+      const db = require('../apps/api/db');
+      const order = db.getOrderByCallSid.get('CA-OLD');
+      expect(order.status).toBe('ready');
+      expect(db.getOrderItems.all(order.id)).toHaveLength(1);
+
+      db.setOrderStatus.run('out_for_delivery', order.id);
+      expect(db.getOrderById.get(order.id).status).toBe('out_for_delivery');
+      expect(db.db.pragma('foreign_keys', { simple: true })).toBe(1);
+      db.db.close();
+    });
+  });
+});
+
+
+
+
+
@@ -0,0 +1,107 @@
+/**
+ * Out of Stock Tests
+ * Alternatives for 86'd items and the errors the AI reads to callers
+ */
+
+const OrderManager = require('../src/services/order-manager');
+const {
+  findStockName,
+  suggestAlternatives,
+  outOfStockError,
+  getStockPromptContext
+} = require('../src/services/out-of-stock');
+const { getMenu, getToppings } = require('../src/config/menu');
+
+describe('Out of Stock', () => {
+  const menuData = {
+    menu: {
+      'cheese pizza': { category: 'Pizza', sizes: ['large'], priceMap: { large: 14.99 } },
+      'pepperoni pizza': { category: 'Pizza', sizes: ['large'], priceMap: { large: 16.99 } },
+      'supreme pizza': { category: 'Pizza', sizes: ['large'], priceMap: { large: 21.99 } },
+      'white pizza': { category: 'Pizza', sizes: ['large'], priceMap: { large: 15.49 } },
+      'garlic knots': { category: 'Sides', sizes: ['regular'], priceMap: { regular: 5.99 } }
+    },
+    toppings: getToppings(),
+    wingOptions: { flavors: [{ name: 'Buffalo' }, { name: 'BBQ' }, { name: 'Garlic Parm' }] }
+  };
+  const outSet = (...keys) => (kind, name) => keys.includes(`${kind}:${String(name).toLowerCase()}`);
+
+  test('should match requested names to the menu', () => {
+    expect(findStockName('item', 'Cheese Pizza', menuData)).toBe('cheese pizza');
+    expect(findStockName('topping', 'mushroom', menuData)).toBe('mushrooms');
+    expect(findStockName('wing_flavor', 'bbq', menuData)).toBe('BBQ');
+    expect(findStockName('item', 'lobster roll', menuData)).toBeNull();
+    expect(findStockName('dessert', 'cannoli', menuData)).toBeNull();
+  });
+
+  test('should suggest in-stock items from the same category, closest price first', () => {
+    const isOut = outSet('item:pepperoni pizza', 'item:white pizza');
+    expect(suggestAlternatives('item', 'pepperoni pizza', menuData, isOut)).toEqual(['cheese pizza', 'supreme pizza']);
+    expect(suggestAlternatives('item', 'garlic knots', menuData, outSet('item:garlic knots'))).toEqual([]);
+  });
+
+  test('should only suggest items sharing a word when the menu has no categories', () => {
+    const builtin = { menu: getMenu(), toppings: getToppings() };
+    const alternatives = suggestAlternatives('item', 'pepperoni pizza', builtin, outSet('item:pepperoni pizza'));
+    expect(alternatives).toHaveLength(3);
+    alternatives.forEach(name => expect(name).toMatch(/pizza|pepperoni/));
+  });
+
+  test('should suggest toppings of the same type and other wing flavors', () => {
+    expect(suggestAlternatives('topping', 'mushrooms', menuData, outSet('topping:mushrooms'), 2)).toEqual(['onions', 'green peppers']);
+    expect(suggestAlternatives('wing_flavor', 'BBQ', menuData, outSet('wing_flavor:bbq', 'wing_flavor:buffalo'))).toEqual(['Garlic Parm']);
+  });
+
+  test('should describe 86d items for the caller and the prompt', () => {
+    const error = outOfStockError('item', 'white pizza', ['cheese pizza']);
+    expect(error.code).toBe('out_of_stock');
+    expect(error.message).toBe('We\'re out of white pizza today. Closest alternatives: cheese pizza.');
+    expect(getStockPromptContext([])).toBe('');
+    expect(getStockPromptContext([{ kind: 'wing_flavor', name: 'BBQ' }, { kind: 'item', name: 'white pizza' }]))
+      .toBe('OUT OF STOCK TODAY (86\'d) - items: white pizza; wing flavors: BBQ');
+  });
+
+  describe('OrderManager', () => {
+    const createManager = (isOutOfStock) => new OrderManager('stream-1', 'call-1', '+13155551234', null, { ...menuData, isOutOfStock });
+
+    test('should refuse 86d items with alternatives', () => {
+      const manager = createManager(outSet('item:white pizza'));
+      expect(() => manager.addItem('white pizza', 'large')).toThrow('We\'re out of white pizza today. Closest alternatives: cheese pizza, pepperoni pizza, supreme pizza.');
+      expect(manager.getOrder().items).toHaveLength(0);
+      expect(manager.getOutOfStock()).toEqual([{ kind: 'item', name: 'white pizza' }]);
+    });
+
+    test('should refuse 86d toppings unless the caller asked for none', () => {
+      const manager = createManager(outSet('topping:sausage'));
+      expect(() => manager.addItem('cheese pizza', 'large', 1, null, ['sausage'])).toThrow(expect.objectContaining({ code: 'out_of_stock' }));
+      manager.addItem('cheese pizza', 'large', 1, null, [{ name: 'sausage', amount: 'no' }]);
+      expect(manager.getOrder().items).toHaveLength(1);
+    });
+
+    test('should refuse 86d wing flavors', () => {
+      const manager = new OrderManager('stream-1', 'call-1', '+13155551234', null, {
+        menu: { 'regular wings': { sizes: ['regular'], priceMap: { regular: 8.99 }, category: 'Wings' } },
+        wingOptions: { pieceCounts: [{ name: '10 Pieces', price: 13.99 }], flavors: menuData.wingOptions.flavors },
+        isOutOfStock: outSet('wing_flavor:buffalo')
+      });
+      expect(() => manager.addItem('regular wings', '10 piece', 1, null, [], { flavor: 'buffalo' })).toThrow(/out of Buffalo today/);
+      manager.addItem('regular wings', '10 piece', 1, null, [], { flavor: 'BBQ' });
+      expect(manager.getOrder().items[0].flavor).toBe('BBQ');
+    });
+
+    test('should skip 86d items when repeating the last order', () => {
+      const manager = createManager(outSet('item:garlic knots'));
+      manager.setCustomerProfile({
+        name: 'Sam',
+        orderCount: 1,
+        lastOrder: { items: [{ name: 'cheese pizza', size: 'large', quantity: 1 }, { name: 'garlic knots', quantity: 1 }] }
+      });
+      expect(manager.repeatLastOrder()).toEqual({ added: ['cheese pizza'], skipped: ['garlic knots'] });
+    });
+  });
+});
+
+
+
+
+
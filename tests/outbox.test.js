@@ -0,0 +1,105 @@
+/**
+ * Order Outbox Tests
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const Outbox = require('../apps/api/outbox');
+const orderStore = require('../apps/api/order-store');
+const { listJobs, replayJob } = Outbox;
+
+describe('Order Outbox', () => {
+  const now = new Date('2026-10-19T22:00:00.000Z');
+  const later = (ms) => new Date(now.getTime() + ms);
+  let saved;
+
+  beforeAll(() => {
+    saved = orderStore.saveOrder({
+      callSid: 'CA-OUTBOX',
+      customerPhone: '+13155551234',
+      items: [{ name: 'Cheese Pizza', size: 'large', quantity: 1, price: 15.99 }],
+      totals: { subtotal: 15.99, tax: 1.28, total: 17.27 }
+    }, 'unclesals');
+  });
+
+  test('should deliver each destination once and skip duplicate enqueues', async () => {
+    const sheets = jest.fn().mockResolvedValue(true);
+    const zapier = jest.fn().mockResolvedValue(true);
+    const outbox = new Outbox({ handlers: { sheets, zapier } });
+
+    outbox.enqueue(saved, [{ destination: 'sheets' }, { destination: 'zapier', payload: { body: { total: '17.27' } } }], now);
+    outbox.enqueue(saved, [{ destination: 'sheets' }], now);
+
+    expect(await outbox.processDue(now)).toEqual({ delivered: 2, retried: 0, dead: 0 });
+    expect(sheets).toHaveBeenCalledTimes(1);
+    expect(sheets.mock.calls[0][0].callSid).toBe('CA-OUTBOX');
+    expect(zapier.mock.calls[0][1]).toEqual({ body: { total: '17.27' } });
+
+    // Nothing left to do
+    expect(await outbox.processDue(later(60000))).toEqual({ delivered: 0, retried: 0, dead: 0 });
+    expect(listJobs({ status: 'delivered' })).toHaveLength(2);
+  });
+
+  test('should reject unknown destinations', () => {
+    const outbox = new Outbox({ handlers: {} });
+    expect(() => outbox.enqueue(saved, [{ destination: 'fax' }], now)).toThrow('No outbox handler');
+  });
+
+  test('should back off, survive a restart and dead-letter after max attempts', async () => {
+    const pos = jest.fn().mockRejectedValue(new Error('POS offline'));
+    const outbox = new Outbox({ handlers: { pos }, maxAttempts: 3, baseDelayMs: 1000 });
+    outbox.enqueue(saved, [{ destination: 'pos' }], now);
+
+    expect(await outbox.processDue(now)).toEqual({ delivered: 0, retried: 1, dead: 0 });
+    const [job] = listJobs({ status: 'pending' });
+    expect(job.attempts).toBe(1);
+    expect(job.lastError).toBe('POS offline');
+    expect(job.nextAttemptAt).toBe(later(1000).toISOString());
+
+    // Not due yet
+    expect(await outbox.processDue(later(500))).toEqual({ delivered: 0, retried: 0, dead: 0 });
+
+    // A new process picks the job up from SQLite
+    const restarted = new Outbox({ handlers: { pos }, maxAttempts: 3, baseDelayMs: 1000 });
+    expect(await restarted.processDue(later(1000))).toEqual({ delivered: 0, retried: 1, dead: 0 });
+    expect(listJobs({ status: 'pending' })[0].nextAttemptAt).toBe(later(3000).toISOString());
+
+    expect(await restarted.processDue(later(3000))).toEqual({ delivered: 0, retried: 0, dead: 1 });
+    expect(listJobs({ status: 'dead' })).toHaveLength(1);
+  });
+
+  test('should treat a false result as a failed attempt', async () => {
+    orderStore.saveOrder({ callSid: 'CA-FALSE', items: [{ name: 'Soda', quantity: 1, price: 2 }] }, 'unclesals');
+    const sheets = jest.fn().mockResolvedValue(false);
+    const outbox = new Outbox({ handlers: { sheets } });
+    outbox.enqueue(orderStore.getOrder('CA-FALSE'), [{ destination: 'sheets' }], now);
+
+    expect(await outbox.processDue(now)).toEqual({ delivered: 0, retried: 1, dead: 0 });
+  });
+
+  test('should replay dead jobs', async () => {
+    const [dead] = listJobs({ status: 'dead' });
+    const replayed = replayJob(dead.id, later(5000));
+    expect(replayed.status).toBe('pending');
+    expect(replayed.attempts).toBe(0);
+
+    const pos = jest.fn().mockResolvedValue('SQ-1');
+    const outbox = new Outbox({ handlers: { pos } });
+    expect(await outbox.processDue(later(5000))).toMatchObject({ delivered: 1 });
+    expect(listJobs({ status: 'dead' })).toHaveLength(0);
+    expect(() => replayJob(9999)).toThrow('not found');
+  });
+
+  test('should cap the retry delay', () => {
+    const outbox = new Outbox({ baseDelayMs: 1000, maxDelayMs: 5000 });
+    expect(outbox.getRetryDelay(1)).toBe(1000);
+    expect(outbox.getRetryDelay(3)).toBe(4000);
+    expect(outbox.getRetryDelay(10)).toBe(5000);
+    expect(() => listJobs({ status: 'lost' })).toThrow('Invalid outbox status');
+  });
+});
+
+
+
+
+
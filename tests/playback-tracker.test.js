@@ -0,0 +1,75 @@
+/**
+ * Playback Tracker Tests
+ * Barge-in: clear Twilio's queued audio and truncate to what the caller heard
+ */
+
+const PlaybackTracker = require('../src/services/playback-tracker');
+
+describe('PlaybackTracker', () => {
+  let twilio;
+  let truncate;
+  let playback;
+
+  beforeEach(() => {
+    twilio = [];
+    truncate = jest.fn();
+    playback = new PlaybackTracker({ sendToTwilio: (message) => twilio.push(message), truncate });
+    playback.reset('MZ123');
+  });
+
+  test('should follow each audio chunk with a mark', () => {
+    playback.onAudioSent('item_1', 1600); // 200ms of 8kHz μ-law
+    playback.onAudioSent('item_1', 800);
+    expect(twilio).toEqual([
+      { event: 'mark', streamSid: 'MZ123', mark: { name: 'audio-1' } },
+      { event: 'mark', streamSid: 'MZ123', mark: { name: 'audio-2' } }
+    ]);
+    expect(playback.isPlaying()).toBe(true);
+
+    playback.onMark('audio-1');
+    playback.onMark('audio-2');
+    expect(playback.isPlaying()).toBe(false);
+  });
+
+  test('should clear Twilio and truncate to the audio the caller heard', () => {
+    playback.onAudioSent('item_1', 1600);
+    playback.onAudioSent('item_1', 1600);
+    playback.onAudioSent('item_1', 1600);
+    playback.onMark('audio-1'); // Only the first 200ms has played
+
+    expect(playback.interrupt()).toEqual({ itemId: 'item_1', audioEndMs: 200 });
+    expect(twilio[twilio.length - 1]).toEqual({ event: 'clear', streamSid: 'MZ123' });
+    expect(truncate).toHaveBeenCalledWith('item_1', 200);
+    expect(playback.isPlaying()).toBe(false);
+
+    // Marks for the cleared audio come back too - and late audio for the item is dropped
+    playback.onMark('audio-2');
+    expect(playback.shouldPlay('item_1')).toBe(false);
+    expect(playback.shouldPlay('item_2')).toBe(true);
+  });
+
+  test('should restart the count for each assistant item', () => {
+    playback.onAudioSent('item_1', 1600);
+    playback.onMark('audio-1');
+    playback.onAudioSent('item_2', 400);
+    playback.onAudioSent('item_2', 400);
+    playback.onMark('audio-2');
+
+    expect(playback.interrupt()).toEqual({ itemId: 'item_2', audioEndMs: 50 });
+  });
+
+  test('should do nothing when the caller talks after playback finished', () => {
+    expect(playback.interrupt()).toBeNull();
+    playback.onAudioSent('item_1', 1600);
+    playback.onMark('audio-1');
+
+    expect(playback.interrupt()).toBeNull();
+    expect(truncate).not.toHaveBeenCalled();
+    expect(twilio.some(message => message.event === 'clear')).toBe(false);
+  });
+});
+
+
+
+
+
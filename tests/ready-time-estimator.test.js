@@ -0,0 +1,108 @@
+/**
+ * Ready Time Estimator Tests
+ */
+
+const ReadyTimeEstimator = require('../src/services/ready-time-estimator');
+const { formatReadyTimeQuote } = ReadyTimeEstimator;
+
+describe('ReadyTimeEstimator', () => {
+  let estimator;
+  const store = { slug: 'test', timezone: 'America/New_York' };
+  const now = new Date('2026-10-19T18:00:00-04:00');
+  const pizzas = (quantity) => ({ items: [{ name: 'cheese pizza', size: 'large', quantity }] });
+
+  beforeEach(() => {
+    estimator = new ReadyTimeEstimator();
+  });
+
+  test('should quote the minimum for a small order with an empty kitchen', () => {
+    const quote = estimator.estimate({ items: [{ name: 'garlic knots', quantity: 1 }] }, store, now);
+    expect(quote.minutes).toBe(15);
+    expect(quote.queuedOrders).toBe(0);
+    expect(quote.readyAtLabel).toBe('6:15 PM');
+  });
+
+  test('should apply per-item prep times and round up', () => {
+    const quote = estimator.estimate({
+      items: [
+        { name: 'calzone', quantity: 1 },
+        { name: 'buffalo wings', quantity: 2 },
+        { name: 'soda', quantity: 3 }
+      ]
+    }, store, now);
+    // Calzone is slowest (14) + 5 extra items at 1 minute each = 19 -> 20
+    expect(quote.breakdown.prepMinutes).toBe(19);
+    expect(quote.minutes).toBe(20);
+  });
+
+  test('should add delivery time', () => {
+    const quote = estimator.estimate({ ...pizzas(1), deliveryMethod: 'delivery' }, store, now);
+    expect(quote.breakdown.deliveryMinutes).toBe(15);
+    expect(quote.minutes).toBe(30);
+  });
+
+  test('should wait for oven loads already in the queue', () => {
+    const empty = estimator.estimate(pizzas(1), store, now);
+    for (let i = 0; i < 4; i++) {
+      estimator.recordOrder({ callSid: `call-${i}`, ...pizzas(3) }, store, empty, now);
+    }
+    const busy = estimator.estimate(pizzas(1), store, now);
+    expect(busy.queuedOrders).toBe(4);
+    expect(busy.queuedOvenItems).toBe(12);
+    expect(busy.breakdown.queueWaitMinutes).toBe(20); // 12 pizzas / 6 per load = 2 loads
+    expect(busy.minutes).toBeGreaterThan(empty.minutes);
+  });
+
+  test('should need extra oven loads for large orders', () => {
+    const quote = estimator.estimate(pizzas(8), store, now);
+    expect(quote.breakdown.extraLoadMinutes).toBe(10);
+  });
+
+  test('should respect per-store kitchen overrides', () => {
+    const bigOven = { ...store, kitchen: { ovenCapacity: 20, prepMinutes: { pizza: 20 } } };
+    const quote = estimator.estimate(pizzas(8), bigOven, now);
+    expect(quote.breakdown.extraLoadMinutes).toBe(0);
+    expect(quote.breakdown.prepMinutes).toBe(27);
+  });
+
+  test('should drop orders from the queue once they are ready', () => {
+    const quote = estimator.estimate(pizzas(6), store, now);
+    estimator.recordOrder({ callSid: 'call-1', ...pizzas(6) }, store, quote, now);
+    expect(estimator.estimate(pizzas(1), store, now).queuedOrders).toBe(1);
+
+    const later = new Date(now.getTime() + 60 * 60000);
+    expect(estimator.estimate(pizzas(1), store, later).queuedOrders).toBe(0);
+  });
+
+  test('should use the requested time for scheduled orders', () => {
+    const order = { ...pizzas(1), requestedTime: '2026-10-19T23:30:00.000Z' };
+    const quote = estimator.estimate(order, store, now);
+    expect(quote.scheduled).toBe(true);
+    expect(quote.readyAt).toBe('2026-10-19T23:30:00.000Z');
+    expect(formatReadyTimeQuote(quote)).toContain('requested time, 7:30 PM');
+
+    // Not in the kitchen yet, so it doesn't slow down other orders
+    estimator.recordOrder({ callSid: 'scheduled', ...order }, store, quote, now);
+    expect(estimator.estimate(pizzas(1), store, now).queuedOrders).toBe(0);
+  });
+
+  test('should include the day for scheduled orders after today', () => {
+    const order = { ...pizzas(1), requestedTime: '2026-10-20T16:00:00.000Z' };
+    const quote = estimator.estimate(order, store, now);
+    expect(quote.readyAtLabel).toBe('tomorrow at 12:00 PM');
+    expect(formatReadyTimeQuote(quote)).toContain('requested time, tomorrow at 12:00 PM');
+  });
+
+  test('should use a custom queue source', () => {
+    const custom = new ReadyTimeEstimator({ getQueuedOrders: () => [pizzas(6), pizzas(6)] });
+    const quote = custom.estimate(pizzas(1), store, now);
+    expect(quote.queuedOrders).toBe(2);
+    expect(quote.breakdown.queueWaitMinutes).toBe(20);
+  });
+});
+
+
+
+
+
+
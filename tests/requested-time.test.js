@@ -0,0 +1,82 @@
+/**
+ * Requested Time Tests
+ */
+
+const { parseRequestedTime, resolveRequestedTime } = require('../src/services/requested-time');
+
+describe('Requested Time', () => {
+  const weekday = { open: '11:00', close: '22:00' };
+  const store = {
+    timezone: 'America/New_York',
+    hours: {
+      weekly: { monday: weekday, tuesday: weekday, wednesday: weekday, thursday: weekday, friday: weekday, saturday: weekday, sunday: null }
+    },
+    scheduling: { minLeadMinutes: 20, maxDaysAhead: 7 }
+  };
+
+  // Monday 2026-10-19, 3:00 PM in New York (UTC-4)
+  const now = new Date('2026-10-19T15:00:00-04:00');
+  const label = (text) => resolveRequestedTime(text, store, now).label;
+
+  test('should parse spoken clock times as afternoon/evening by default', () => {
+    expect(label('at six thirty')).toBe('today at 6:30 PM');
+    expect(label('six forty five')).toBe('today at 6:45 PM');
+    expect(label('630')).toBe('today at 6:30 PM');
+    expect(label('7:15 pm')).toBe('today at 7:15 PM');
+    expect(label('quarter to seven')).toBe('today at 6:45 PM');
+    expect(label('half past five')).toBe('today at 5:30 PM');
+  });
+
+  test('should parse days and named times', () => {
+    expect(label('tomorrow at noon')).toBe('tomorrow at 12:00 PM');
+    expect(label('tomorrow at 11 am')).toBe('tomorrow at 11:00 AM');
+    expect(label('friday at 6')).toBe('Friday at 6:00 PM');
+  });
+
+  test('should parse relative times', () => {
+    expect(label('in 45 minutes')).toBe('today at 3:45 PM');
+    expect(label('in an hour and a half')).toBe('today at 4:30 PM');
+  });
+
+  test('should return an ISO time for valid requests', () => {
+    const result = resolveRequestedTime('at six thirty', store, now);
+    expect(result.valid).toBe(true);
+    expect(result.requestedTime).toBe('2026-10-19T22:30:00.000Z');
+  });
+
+  test('should reject times inside the lead time', () => {
+    const result = resolveRequestedTime('at 3:10', store, now);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('earliest we can do is 3:20 PM');
+  });
+
+  test('should reject times when the store is closed', () => {
+    expect(resolveRequestedTime('tonight at 11', store, now).error).toContain('closed at that time');
+    expect(resolveRequestedTime('sunday at 6', store, now).error).toContain('closed all day');
+  });
+
+  test('should reject times after the last-order cutoff', () => {
+    const cutoffStore = { ...store, hours: { ...store.hours, lastOrderMinutesBeforeClose: 15 } };
+    const result = resolveRequestedTime('at 9:58', cutoffStore, now);
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('That\'s too close to closing. Today the last orders are at 9:45 PM.');
+    expect(resolveRequestedTime('at 9:40', cutoffStore, now).valid).toBe(true);
+  });
+
+  test('should reject times too far ahead or in the past', () => {
+    const farStore = { ...store, scheduling: { minLeadMinutes: 20, maxDaysAhead: 0 } };
+    expect(resolveRequestedTime('tomorrow at noon', farStore, now).error).toContain('up to 0 days ahead');
+    expect(resolveRequestedTime('11 am', store, now).error).toBe('That time has already passed.');
+  });
+
+  test('should return null when no time is found', () => {
+    expect(parseRequestedTime('as soon as possible', { now })).toBeNull();
+    expect(resolveRequestedTime('whenever', store, now).valid).toBe(false);
+  });
+});
+
+
+
+
+
+
@@ -0,0 +1,361 @@
+/**
+ * Call Simulator
+ * Drives the media-stream WebSocket handler offline: a fake Twilio client streams the call in and a
+ * scripted fake Realtime server plays the AI's side (caller transcripts, speech_started, tool calls, speech)
+ *
+ * Nothing leaves the machine. OpenAIService is pointed at the fake server with OPENAI_REALTIME_URL, and the
+ * logger and SMS notifier are fakes that record what they were asked to send. Only one simulator can run
+ * at a time in a process (the URL is an environment variable).
+ *
+ *   const sim = new CallSimulator();
+ *   await sim.start({ from: '+13155551234' });
+ *   await sim.run([
+ *     { caller: 'Ten hot wings with ranch' },
+ *     { tool: 'add_item_to_order', args: { name: 'wings', size: '10 piece', flavor: 'hot', dressing: 'ranch' } },
+ *     { assistant: 'Ten hot wings with ranch. Anything else?' }
+ *   ]);
+ *   await sim.hangup();
+ *   sim.loggedOrders[0].orderData; // What the logger was sent
+ *   await sim.stop();
+ */
+
+const WebSocket = require('ws');
+const setupMediaStream = require('../../src/routes/media-stream');
+
+const WAIT_TIMEOUT_MS = 2000;
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64'); // 20ms of μ-law silence, one Twilio frame
+
+let simulatedCalls = 0;
+
+/**
+ * Messages received on one side of a fake connection, with waiting for one that hasn't arrived yet
+ */
+class MessageLog {
+  constructor() {
+    this.messages = [];
+    this.waiters = [];
+  }
+
+  push(message) {
+    this.messages.push(message);
+    this.waiters = this.waiters.filter(waiter => {
+      if (!waiter.match(message)) return true;
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+      return false;
+    });
+  }
+
+  /**
+   * Resolve with the first message (received at or after index `since`) that matches
+   */
+  waitFor(match, description, since = 0) {
+    const existing = this.messages.slice(since).find(match);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { match, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        reject(new Error(`Timed out waiting for ${description}`));
+      }, WAIT_TIMEOUT_MS);
+      this.waiters.push(waiter);
+    });
+  }
+}
+
+/**
+ * Resolve once the other end has handled every message sent before this call
+ * A WebSocket peer answers a ping only after processing the frames ahead of it
+ */
+function sync(socket) {
+  return new Promise(resolve => {
+    socket.once('pong', resolve);
+    socket.ping();
+  });
+}
+
+/**
+ * Stands in for the OpenAI Realtime API - sends scripted server events and records what the call sent it
+ */
+class FakeRealtimeServer {
+  constructor() {
+    this.server = null;
+    this.socket = null;
+    this.url = null;
+    this.received = new MessageLog();
+    this.connected = null;
+  }
+
+  async start() {
+    this.server = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    await new Promise(resolve => this.server.once('listening', resolve));
+    this.url = `ws://127.0.0.1:${this.server.address().port}`;
+    this.connected = new Promise(resolve => {
+      this.server.once('connection', socket => {
+        this.socket = socket;
+        socket.on('message', data => this.received.push(JSON.parse(data.toString())));
+        this.send({ type: 'session.created', session: { id: 'sess_simulated' } });
+        resolve(socket);
+      });
+    });
+    return this.url;
+  }
+
+  send(event) {
+    this.socket.send(JSON.stringify(event));
+  }
+
+  sync() {
+    return sync(this.socket);
+  }
+
+  waitFor(match, description, since) {
+    return this.received.waitFor(match, description, since);
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      this.server.clients.forEach(client => client.terminate());
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+/**
+ * Stands in for Twilio Media Streams - streams the call in and records what's played back
+ * With playMarks, every mark is echoed right away (the caller heard everything sent so far)
+ */
+class FakeTwilioClient {
+  constructor({ playMarks = true } = {}) {
+    this.playMarks = playMarks;
+    this.socket = null;
+    this.streamSid = null;
+    this.received = new MessageLog();
+  }
+
+  async connect(url) {
+    this.socket = new WebSocket(url);
+    this.socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      this.received.push(message);
+      if (message.event === 'mark' && this.playMarks) {
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: message.mark });
+      }
+    });
+    await new Promise((resolve, reject) => {
+      this.socket.once('open', resolve);
+      this.socket.once('error', reject);
+    });
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  start({ streamSid, callSid, from, calledNumber }) {
+    this.streamSid = streamSid;
+    this.send({
+      event: 'start',
+      start: { streamSid, callSid, customParameters: { from, calledNumber } }
+    });
+  }
+
+  sendAudio(payload = SILENCE_FRAME) {
+    this.send({ event: 'media', streamSid: this.streamSid, media: { payload } });
+  }
+
+  stop() {
+    this.send({ event: 'stop', streamSid: this.streamSid });
+  }
+
+  sync() {
+    return sync(this.socket);
+  }
+
+  /**
+   * Messages the call sent to Twilio ('media', 'mark' or 'clear')
+   */
+  getSent(event) {
+    return this.received.messages.filter(message => message.event === event);
+  }
+
+  close() {
+    if (this.socket.readyState !== WebSocket.OPEN) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.socket.once('close', resolve);
+      this.socket.close();
+    });
+  }
+}
+
+class CallSimulator {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio Call SID for the simulated call (generated by default)
+   * @param {boolean} options.playMarks - Echo marks as soon as audio is sent (false leaves audio "playing" for barge-in)
+   * @param {Object} options.readyTimeEstimator - Passed to setupMediaStream (its default otherwise)
+   * @param {StaffTransfer} options.staffTransfer - Passed to setupMediaStream (its default otherwise)
+   * @param {Function} options.logOrder - Answers the fake logger's logOrder (resolves { success: true } right away otherwise)
+   */
+  constructor(options = {}) {
+    simulatedCalls += 1;
+    this.callSid = options.callSid || `CA-simulated-${simulatedCalls}`;
+    this.streamSid = `MZ-simulated-${simulatedCalls}`;
+    this.options = options;
+
+    this.loggedOrders = []; // { orderData, webhookUrl } for each logger.logOrder call
+    this.texts = []; // Orders the SMS notifier was asked to confirm
+    this.toolCalls = []; // { name, args, result } for each scripted tool call
+
+    this.realtime = new FakeRealtimeServer();
+    this.twilio = new FakeTwilioClient({ playMarks: options.playMarks !== false });
+    this.wss = null;
+    this.previousRealtimeUrl = undefined;
+    this.sequence = 0;
+  }
+
+  /**
+   * Start the fake servers and the call - resolves once the call's Realtime session is configured
+   */
+  async start({ from = '+13155551234', calledNumber = null } = {}) {
+    this.previousRealtimeUrl = process.env.OPENAI_REALTIME_URL;
+    process.env.OPENAI_REALTIME_URL = await this.realtime.start();
+
+    this.wss = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    await new Promise(resolve => this.wss.once('listening', resolve));
+
+    const logger = {
+      logOrder: async (orderData, webhookUrl) => {
+        this.loggedOrders.push({ orderData, webhookUrl });
+        return this.options.logOrder ? this.options.logOrder(orderData, webhookUrl) : { success: true };
+      }
+    };
+    const smsNotifier = {
+      sendOrderConfirmation: async (order) => {
+        this.texts.push(order);
+        return { sent: true };
+      }
+    };
+    setupMediaStream(this.wss, logger, this.options.readyTimeEstimator, null, smsNotifier, this.options.staffTransfer);
+
+    await this.twilio.connect(`ws://127.0.0.1:${this.wss.address().port}/media-stream/${this.callSid}`);
+    this.twilio.start({ streamSid: this.streamSid, callSid: this.callSid, from, calledNumber });
+
+    await this.realtime.connected;
+    await this.realtime.waitFor(message => message.type === 'session.update', 'session.update');
+    return this;
+  }
+
+  /**
+   * The caller speaks: a frame of audio from Twilio, then the Realtime server's VAD and transcript events
+   */
+  async callerSays(text) {
+    const itemId = `item_caller_${++this.sequence}`;
+    this.twilio.sendAudio();
+    await this.twilio.sync();
+    this.realtime.send({ type: 'input_audio_buffer.speech_started', audio_start_ms: 0, item_id: itemId });
+    this.realtime.send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: 1000, item_id: itemId });
+    this.realtime.send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: text });
+    await this.realtime.sync();
+  }
+
+  /**
+   * The AI calls a tool - resolves with the parsed result the call answered with
+   */
+  async toolCall(name, args = {}) {
+    const callId = `call_${++this.sequence}`;
+    this.realtime.send({
+      type: 'response.function_call_arguments.done',
+      item_id: `item_${callId}`,
+      output_index: 0,
+      call_id: callId,
+      name,
+      arguments: typeof args === 'string' ? args : JSON.stringify(args)
+    });
+    const output = await this.realtime.waitFor(
+      message => message.type === 'conversation.item.create' && message.item?.call_id === callId,
+      `the ${name} result`
+    );
+    const result = JSON.parse(output.item.output);
+    this.toolCalls.push({ name, args, result });
+    return result;
+  }
+
+  /**
+   * The AI speaks: an audio delta, its transcript and the end of the response
+   * Resolves once the audio has been sent on to Twilio
+   */
+  async assistantSays(text) {
+    const itemId = `item_assistant_${++this.sequence}`;
+    const since = this.twilio.received.messages.length;
+    this.realtime.send({ type: 'response.audio.delta', item_id: itemId, output_index: 0, content_index: 0, delta: SILENCE_FRAME });
+    this.realtime.send({ type: 'response.audio_transcript.done', item_id: itemId, output_index: 0, content_index: 0, transcript: text });
+    this.realtime.send({ type: 'response.done', response: { status: 'completed' } });
+    await this.realtime.sync();
+    await this.twilio.received.waitFor(message => message.event === 'media', `audio for "${text}"`, since);
+    return itemId;
+  }
+
+  /**
+   * Play a script of steps in order: { caller }, { assistant }, { tool, args } or { event } (a raw Realtime server event)
+   * @returns {Promise<Array>} Each step's result (tool results for tool steps)
+   */
+  async run(script) {
+    const results = [];
+    for (const step of script) {
+      if (step.caller !== undefined) {
+        results.push(await this.callerSays(step.caller));
+      } else if (step.assistant !== undefined) {
+        results.push(await this.assistantSays(step.assistant));
+      } else if (step.tool) {
+        results.push(await this.toolCall(step.tool, step.args));
+      } else if (step.event) {
+        this.realtime.send(step.event);
+        results.push(await this.realtime.sync());
+      } else {
+        throw new Error(`Unknown simulator step: ${JSON.stringify(step)}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Twilio ends the stream - a complete order is saved, texted and logged before this resolves
+   */
+  async hangup() {
+    this.twilio.stop();
+    await this.twilio.sync();
+    await this.twilio.close();
+  }
+
+  /**
+   * Messages the call sent to the Realtime server (e.g. 'conversation.item.truncate')
+   */
+  getRealtimeMessages(type) {
+    return this.realtime.received.messages.filter(message => message.type === type);
+  }
+
+  async stop() {
+    await this.twilio.close();
+    await this.realtime.stop();
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    if (this.previousRealtimeUrl === undefined) {
+      delete process.env.OPENAI_REALTIME_URL;
+    } else {
+      process.env.OPENAI_REALTIME_URL = this.previousRealtimeUrl;
+    }
+  }
+}
+
+module.exports = CallSimulator;
+module.exports.FakeRealtimeServer = FakeRealtimeServer;
+module.exports.FakeTwilioClient = FakeTwilioClient;
+
+
+
+
+
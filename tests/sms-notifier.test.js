@@ -0,0 +1,87 @@
+/**
+ * SMS Notifier Tests
+ */
+
+const SmsNotifier = require('../src/services/sms-notifier');
+
+describe('SmsNotifier', () => {
+  let client;
+  let notifier;
+  const store = { slug: 'unclesals', name: 'Uncle Sal\'s Pizza', location: 'Syracuse, NY', taxRate: 0.08, phoneNumbers: ['3155550100'], sms: { enabled: true } };
+
+  const order = (overrides = {}) => ({
+    callSid: 'CA123',
+    customerName: 'Sal',
+    customerPhone: '+13155551234',
+    deliveryMethod: 'pickup',
+    items: [
+      { name: 'Cheese Pizza', size: 'large', quantity: 2, price: 15 },
+      { name: 'Buffalo Wings', quantity: 1, price: 12.5, pieceCount: 10, flavor: 'hot' }
+    ],
+    readyTimeQuote: { minutes: 25, readyAtLabel: '6:25 PM', scheduled: false },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    client = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM123' }) } };
+    notifier = new SmsNotifier({ client, fromNumber: '+13155550199' });
+  });
+
+  test('should text an itemized confirmation with total and ETA', async () => {
+    const result = await notifier.sendOrderConfirmation(order(), store);
+    expect(result).toEqual({ sent: true, sid: 'SM123' });
+
+    const message = client.messages.create.mock.calls[0][0];
+    expect(message.to).toBe('+13155551234');
+    expect(message.from).toBe('+13155550199');
+    expect(message.body).toContain('Thanks, Sal!');
+    expect(message.body).toContain('2x large Cheese Pizza $30.00');
+    expect(message.body).toContain('1x Buffalo Wings (10 pc) - hot $12.50');
+    // (30 + 12.50) * 1.08
+    expect(message.body).toContain('Total: $45.90');
+    expect(message.body).toContain('Pickup at Syracuse, NY');
+    expect(message.body).toContain('Ready around 6:25 PM (about 25 min)');
+  });
+
+  test('should describe delivery and scheduled orders', () => {
+    const body = notifier.buildConfirmationMessage(order({
+      deliveryMethod: 'delivery',
+      address: '1 Main St',
+      requestedTimeLabel: 'tomorrow at 12:00 PM',
+      readyTimeQuote: { minutes: 1080, readyAtLabel: '12:00 PM', scheduled: true }
+    }), store);
+    expect(body).toContain('Delivery to 1 Main St');
+    expect(body).toContain('For tomorrow at 12:00 PM');
+  });
+
+  test('should text when the order is ready', async () => {
+    await notifier.sendReadyNotification(order(), store);
+    expect(client.messages.create.mock.calls[0][0].body).toBe('Uncle Sal\'s Pizza: Sal, your order is ready for pickup at Syracuse, NY!');
+  });
+
+  test('should skip blocked and anonymous callers', async () => {
+    expect(await notifier.sendOrderConfirmation(order({ customerPhone: 'Anonymous' }), store)).toEqual({ sent: false, reason: 'no_textable_number' });
+    expect(await notifier.sendOrderConfirmation(order({ customerPhone: null }), store)).toEqual({ sent: false, reason: 'no_textable_number' });
+    expect(await notifier.sendOrderConfirmation(order({ customerPhone: '+442071234567' }), store)).toEqual({ sent: false, reason: 'no_textable_number' });
+    expect(client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('should respect the store setting and fall back to the store number', async () => {
+    expect((await notifier.sendReadyNotification(order(), { ...store, sms: { enabled: false } })).reason).toBe('disabled');
+
+    const storeNumberNotifier = new SmsNotifier({ client });
+    storeNumberNotifier.fromNumber = null;
+    await storeNumberNotifier.sendReadyNotification(order(), store);
+    expect(client.messages.create.mock.calls[0][0].from).toBe('+13155550100');
+  });
+
+  test('should report Twilio errors without throwing', async () => {
+    client.messages.create.mockRejectedValue(new Error('Invalid To number'));
+    expect(await notifier.sendReadyNotification(order(), store)).toMatchObject({ sent: false, reason: 'error' });
+  });
+});
+
+
+
+
+
@@ -0,0 +1,205 @@
+/**
+ * Staff Transfer Tests
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+
+const StaffTransfer = require('../src/services/staff-transfer');
+const { takeWhisper } = require('../src/services/staff-transfer');
+const handleTransferWhisper = require('../src/routes/staff-transfer');
+const CallHandoff = require('../src/services/call-handoff');
+const { isCallerAskingForPerson } = require('../src/services/call-handoff');
+const { runTool } = require('../src/services/tool-registry');
+const OrderManager = require('../src/services/order-manager');
+
+const store = (transfer = {}) => ({
+  slug: 'unclesals',
+  name: 'Uncle Sal\'s Pizza',
+  taxRate: 0.08,
+  transfer: { staffNumber: '315-555-0100', maxRepeatedResponses: 2, maxToolFailures: 3, message: null, unavailableMessage: null, ...transfer }
+});
+
+const order = {
+  customerName: 'Sal',
+  deliveryMethod: 'delivery',
+  address: '1 Main St',
+  items: [
+    { name: 'cheese pizza', size: 'large', quantity: 2, price: 15 },
+    { name: 'regular wings', size: '10 piece', quantity: 1, price: 12.5, flavor: 'hot' }
+  ]
+};
+
+describe('StaffTransfer', () => {
+  let client;
+  let update;
+  let recordTransfer;
+  let staffTransfer;
+
+  beforeEach(() => {
+    update = jest.fn().mockResolvedValue({ sid: 'CA123' });
+    client = { calls: jest.fn(() => ({ update })) };
+    recordTransfer = jest.fn();
+    staffTransfer = new StaffTransfer({ client, recordTransfer });
+  });
+
+  test('should whisper the reason and the order so far', () => {
+    const whisper = staffTransfer.buildWhisper(order, 'caller_request', store());
+    expect(whisper).toContain('the caller asked for a person');
+    expect(whisper).toContain('Customer: Sal.');
+    expect(whisper).toContain('2 large cheese pizza, 1 10 piece regular wings hot');
+    // (30 + 12.50) * 1.08
+    expect(whisper).toContain('Total $45.90.');
+    expect(whisper).toContain('Delivery to 1 Main St.');
+    expect(staffTransfer.buildWhisper({ items: [] }, 'tool_failures', store())).toContain('Nothing ordered yet.');
+  });
+
+  test('should redirect the live call to the staff number with the whisper', async () => {
+    const result = await staffTransfer.transfer({ callSid: 'CA123', order, reason: 'repeated_loop', storeConfig: store(), baseUrl: 'https://example.com' });
+    expect(result).toEqual({ transferred: true });
+    expect(client.calls).toHaveBeenCalledWith('CA123');
+
+    const { twiml } = update.mock.calls[0][0];
+    expect(twiml).toContain('<Say>One moment, I\'m connecting you with someone at the store.</Say>');
+    expect(twiml).toContain('action="https://example.com/transfer-status"');
+    expect(twiml).toContain('+13155550100</Number>');
+    expect(twiml).toContain('url="https://example.com/transfer-whisper?callSid=CA123"');
+    expect(twiml).not.toContain('Sal');
+    expect(recordTransfer).toHaveBeenCalledWith('CA123', expect.objectContaining({ slug: 'unclesals' }), 'repeated_loop');
+  });
+
+  test('should keep the whisper on the server and play it once to staff', async () => {
+    await staffTransfer.transfer({ callSid: 'CA-whisper', order, reason: 'caller_request', storeConfig: store(), baseUrl: 'https://example.com' });
+
+    const whisperFor = (callSid) => {
+      const res = { type: jest.fn(), send: jest.fn() };
+      handleTransferWhisper({ query: { callSid } }, res);
+      return res.send.mock.calls[0][0];
+    };
+    expect(whisperFor('CA-whisper')).toContain('Customer: Sal.');
+    expect(whisperFor('CA-whisper')).toContain('<Say>Transferred call from the ordering line.</Say>');
+    expect(whisperFor('CA-unknown')).toContain('<Say>Transferred call from the ordering line.</Say>');
+    expect(takeWhisper('CA-whisper')).toBeNull();
+  });
+
+  test('should not transfer without a staff number or when Twilio fails', async () => {
+    const notConfigured = await staffTransfer.transfer({ callSid: 'CA123', order, reason: 'caller_request', storeConfig: store({ staffNumber: null }) });
+    expect(notConfigured).toEqual({ transferred: false, reason: 'not_configured' });
+
+    update.mockRejectedValueOnce(new Error('Call is not in-progress'));
+    const failed = await staffTransfer.transfer({ callSid: 'CA123', order, reason: 'caller_request', storeConfig: store() });
+    expect(failed).toMatchObject({ transferred: false, reason: 'error' });
+    expect(takeWhisper('CA123')).toBeNull();
+    expect(recordTransfer).not.toHaveBeenCalled();
+  });
+
+  test('should record the handoff reason on the call record', async () => {
+    const { logCall, getCall } = require('../apps/api/db');
+    staffTransfer = new StaffTransfer({ client });
+    await staffTransfer.transfer({ callSid: 'CA-transfer', order, reason: 'caller_request', storeConfig: store() });
+
+    expect(getCall.get('CA-transfer')).toMatchObject({ client_slug: 'unclesals', ai_handled: 0, transfer_reason: 'caller_request', duration_sec: 0 });
+
+    // The status callback fills in the duration when the call ends - without undoing the handoff
+    logCall.run('CA-transfer', 'unclesals', '2026-10-19', 180, 3, 1, 1);
+    expect(getCall.get('CA-transfer')).toMatchObject({ ai_handled: 0, transfer_reason: 'caller_request', duration_sec: 180 });
+
+    // Calls that weren't transferred keep the first log
+    logCall.run('CA-logged', 'unclesals', '2026-10-19', 60, 1, 1, 1);
+    logCall.run('CA-logged', 'unclesals', '2026-10-19', 90, 1.5, 1, 1);
+    expect(getCall.get('CA-logged').duration_sec).toBe(60);
+  });
+});
+
+describe('CallHandoff', () => {
+  let staffTransfer;
+
+  const createHandoff = (transfer = {}) => new CallHandoff({
+    callSid: 'CA123',
+    storeConfig: store(transfer),
+    staffTransfer,
+    getOrder: () => order,
+    baseUrl: 'https://example.com'
+  });
+
+  beforeEach(() => {
+    staffTransfer = new StaffTransfer({ client: {}, recordTransfer: jest.fn() });
+    staffTransfer.transfer = jest.fn().mockResolvedValue({ transferred: true });
+  });
+
+  test('should recognize callers asking for a person', () => {
+    ['Let me talk to a person', 'can I speak with the manager?', 'Transfer me to someone please', 'Is this a real person?', 'Operator!']
+      .forEach(text => expect(isCallerAskingForPerson(text)).toBe(true));
+    ['Can I get a large pepperoni', 'It\'s for someone at work', 'I want to talk about my order']
+      .forEach(text => expect(isCallerAskingForPerson(text)).toBe(false));
+  });
+
+  test('should transfer once when the caller asks for a person', async () => {
+    const handoff = createHandoff();
+    expect(handoff.checkCallerText('I want to speak to a human')).toBe(true);
+    expect(handoff.checkCallerText('Hello? Can I talk to a person?')).toBe(false);
+    await Promise.resolve();
+
+    expect(staffTransfer.transfer).toHaveBeenCalledTimes(1);
+    expect(staffTransfer.transfer).toHaveBeenCalledWith(expect.objectContaining({ callSid: 'CA123', reason: 'caller_request', order, baseUrl: 'https://example.com' }));
+    expect(handoff.isAvailable()).toBe(false);
+  });
+
+  test('should transfer when the AI keeps repeating itself', () => {
+    const handoff = createHandoff();
+    expect(handoff.checkAiText('What size would you like for the pizza?')).toBe(false);
+    expect(handoff.checkAiText('What size would you like for the pizza?')).toBe(false);
+    expect(handoff.checkAiText('Sure! What size would you like for the pizza?')).toBe(true);
+    expect(staffTransfer.transfer).toHaveBeenCalledWith(expect.objectContaining({ reason: 'repeated_loop' }));
+  });
+
+  test('should not count different or short responses as a loop', () => {
+    const handoff = createHandoff();
+    ['Okay!', 'Okay!', 'Okay!', 'Got it, a large cheese pizza.', 'Anything else for you today?', 'Got it, a large cheese pizza.']
+      .forEach(text => expect(handoff.checkAiText(text)).toBe(false));
+    expect(staffTransfer.transfer).not.toHaveBeenCalled();
+  });
+
+  test('should transfer after tool calls fail in a row', () => {
+    const handoff = createHandoff({ maxToolFailures: 2 });
+    const failed = { success: false, error: { code: 'item_not_found', message: 'Not on the menu' } };
+    expect(handoff.checkToolResult('add_item_to_order', failed)).toBe(false);
+    expect(handoff.checkToolResult('add_item_to_order', { success: true })).toBe(false);
+    expect(handoff.checkToolResult('add_item_to_order', failed)).toBe(false);
+    expect(handoff.checkToolResult('remove_item', failed)).toBe(true);
+    expect(staffTransfer.transfer).toHaveBeenCalledWith(expect.objectContaining({ reason: 'tool_failures' }));
+  });
+
+  test('should let the AI transfer with transfer_to_staff', () => {
+    const orderManager = new OrderManager('MZ123', 'CA123', '+13155551234', store());
+
+    const unavailable = runTool('transfer_to_staff', { reason: 'caller_request' }, { orderManager, handoff: createHandoff({ staffNumber: null }) });
+    expect(unavailable.success).toBe(false);
+    expect(unavailable.error.code).toBe('transfer_unavailable');
+
+    const handoff = createHandoff();
+    const result = runTool('transfer_to_staff', { reason: 'ai_stuck', details: 'wants catering quote' }, { orderManager, handoff });
+    expect(result).toMatchObject({ success: true, transferring: true });
+    expect(staffTransfer.transfer).toHaveBeenCalledWith(expect.objectContaining({ reason: 'ai_stuck' }));
+  });
+
+  test('should tell the AI when the transfer fails and allow another try', async () => {
+    staffTransfer.transfer.mockResolvedValueOnce({ transferred: false, reason: 'error', error: 'Call is not in-progress' });
+    const handoff = createHandoff();
+    handoff.onTransferFailed = jest.fn();
+
+    const result = await handoff.transfer('caller_request');
+    expect(result.transferred).toBe(false);
+    expect(handoff.onTransferFailed).toHaveBeenCalledWith(expect.stringContaining('Apologize'), result);
+    expect(handoff.isAvailable()).toBe(true);
+
+    staffTransfer.transfer.mockRejectedValueOnce(new Error('Twilio is down'));
+    expect((await handoff.transfer('caller_request')).error).toBe('Twilio is down');
+    expect(handoff.onTransferFailed).toHaveBeenCalledTimes(2);
+    expect(handoff.isAvailable()).toBe(true);
+  });
+});
+
+
+
+
+
@@ -0,0 +1,118 @@
+/**
+ * Stock API Tests
+ * 86'ing items, toppings and wing flavors until the next business day
+ */
+
+process.env.CALLS_DB_PATH = ':memory:';
+process.env.STAFF_API_KEY = 'staff-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { loadStores } = require('../src/config/stores');
+const { markOutOfStock, isOutOfStock, listOutOfStock } = require('../apps/api/stock-store');
+
+describe('Stock API', () => {
+  const menuPath = path.join(os.tmpdir(), `stock-menu-${process.pid}.json`);
+  const storesPath = path.join(os.tmpdir(), `stock-stores-${process.pid}.json`);
+  let server;
+  let baseUrl;
+
+  const request = async (method, urlPath, body = null) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { Authorization: 'Bearer staff-key', 'Content-Type': 'application/json' },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll((done) => {
+    fs.writeFileSync(menuPath, JSON.stringify({
+      items: [
+        { name: 'cheese pizza', category: 'Pizza', price: 12.99 },
+        { name: 'Garlic Knots', category: 'Sides', price: 5.99 }
+      ],
+      toppings: [{ name: 'Pepperoni', type: 'Meat', price: 1.5 }, { name: 'Sausage', type: 'Meat', price: 1.5 }],
+      wingOptions: { pieceCounts: [{ name: '10 Pieces', price: 13.99 }], flavors: ['Buffalo', 'BBQ'] }
+    }));
+    fs.writeFileSync(storesPath, JSON.stringify({
+      stores: [{
+        slug: 'stockstore',
+        name: 'Stock Pizza',
+        timezone: 'America/New_York',
+        hours: { weekly: { monday: { open: '11:00', close: '22:00' }, tuesday: { open: '11:00', close: '22:00' } } },
+        menu: { provider: 'file', path: menuPath }
+      }]
+    }));
+    loadStores(storesPath);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/stock', require('../apps/api/stock'));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/stock`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.unlinkSync(menuPath);
+    fs.unlinkSync(storesPath);
+    server.close(done);
+  });
+
+  test('should require a known store', async () => {
+    expect((await request('GET', '/')).status).toBe(400);
+    expect((await request('GET', '/?client=nowhere')).status).toBe(404);
+  });
+
+  test('should 86 a menu item until the next business day', async () => {
+    const { status, body } = await request('POST', '/', { client: 'stockstore', kind: 'item', name: 'cheese pizza' });
+    expect(status).toBe(201);
+    expect(body.entry).toMatchObject({ kind: 'item', name: 'cheese pizza' });
+    expect(new Date(body.entry.until) > new Date()).toBe(true);
+    expect(isOutOfStock('stockstore', 'item', 'cheese pizza')).toBe(true);
+
+    const list = await request('GET', '/?client=stockstore');
+    expect(list.body.outOfStock.map(entry => entry.name)).toEqual(['cheese pizza']);
+  });
+
+  test('should reject names that are not on the menu', async () => {
+    expect((await request('POST', '/', { client: 'stockstore', kind: 'topping', name: 'anchovies' })).status).toBe(404);
+    expect((await request('POST', '/', { client: 'stockstore', kind: 'dessert', name: 'cannoli' })).status).toBe(400);
+    expect((await request('POST', '/', { client: 'stockstore', kind: 'item', name: 'garlic knots', until: 'later' })).status).toBe(400);
+  });
+
+  test('should list the menu with stock status', async () => {
+    await request('POST', '/', { client: 'stockstore', kind: 'wing_flavor', name: 'bbq' });
+    const { status, body } = await request('GET', '/menu?client=stockstore');
+    expect(status).toBe(200);
+    expect(body.stock.item).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'cheese pizza', category: 'Pizza', outOfStock: true }),
+      expect.objectContaining({ name: 'garlic knots', outOfStock: false, until: null })
+    ]));
+    expect(body.stock.topping[0]).toMatchObject({ name: 'Pepperoni', type: 'Meat', outOfStock: false });
+    expect(body.stock.wing_flavor.find(flavor => flavor.name === 'BBQ').outOfStock).toBe(true);
+  });
+
+  test('should put an item back in stock', async () => {
+    expect((await request('DELETE', '/item/cheese%20pizza?client=stockstore')).body).toEqual({ restored: true });
+    expect(isOutOfStock('stockstore', 'item', 'cheese pizza')).toBe(false);
+    expect((await request('DELETE', '/item/cheese%20pizza?client=stockstore')).status).toBe(404);
+  });
+
+  test('should restore items once their time has passed', () => {
+    const now = new Date('2026-10-19T18:00:00Z');
+    markOutOfStock('stockstore', 'topping', 'Sausage', new Date('2026-10-20T15:00:00Z'));
+    expect(isOutOfStock('stockstore', 'topping', 'sausage', now)).toBe(true);
+    expect(isOutOfStock('stockstore', 'topping', 'sausage', new Date('2026-10-20T15:00:00Z'))).toBe(false);
+    expect(listOutOfStock('stockstore', new Date('2026-10-21T00:00:00Z')).find(entry => entry.name === 'Sausage')).toBeUndefined();
+  });
+});
+
+
+
+
+
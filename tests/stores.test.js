@@ -0,0 +1,97 @@
+/**
+ * Store Registry Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStores, getStoreConfig, getStoreBySlug, normalizePhoneNumber } = require('../src/config/stores');
+
+describe('Store Registry', () => {
+  const configPath = path.join(os.tmpdir(), `stores-test-${process.pid}.json`);
+
+  beforeAll(() => {
+    fs.writeFileSync(configPath, JSON.stringify({
+      defaultStore: 'downtown',
+      stores: [
+        {
+          slug: 'downtown',
+          name: 'Downtown Pizza',
+          phoneNumbers: ['+1 (315) 555-0100'],
+          taxRate: 0.08,
+          integrations: { zapierWebhookUrl: 'https://hooks.example.com/downtown' }
+        },
+        {
+          slug: 'northside',
+          name: 'Northside Pizza',
+          phoneNumbers: ['+13155550200'],
+          taxRate: 0.0875,
+          greeting: 'Northside Pizza, what can I get you?',
+          voice: 'verse',
+          menu: { provider: 'file', path: 'menus/northside.yaml' },
+          integrations: { pos: { system: 'Square', squareLocationId: 'LOC123' } }
+        }
+      ]
+    }));
+    loadStores(configPath);
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(configPath);
+  });
+
+  test('should normalize phone numbers to 10 digits', () => {
+    expect(normalizePhoneNumber('+1 (315) 555-0100')).toBe('3155550100');
+    expect(normalizePhoneNumber('3155550100')).toBe('3155550100');
+    expect(normalizePhoneNumber('anonymous')).toBeNull();
+  });
+
+  test('should resolve store by called number regardless of formatting', () => {
+    const store = getStoreConfig('+13155550200');
+    expect(store.slug).toBe('northside');
+    expect(store.taxRate).toBe(0.0875);
+    expect(store.voice).toBe('verse');
+    expect(store.integrations.pos.system).toBe('square');
+    expect(store.integrations.pos.squareLocationId).toBe('LOC123');
+
+    expect(getStoreConfig('315-555-0100').slug).toBe('downtown');
+  });
+
+  test('should fall back to default store for unknown or missing numbers', () => {
+    expect(getStoreConfig('+19995550000').slug).toBe('downtown');
+    expect(getStoreConfig(null).slug).toBe('downtown');
+  });
+
+  test('should fill in greeting and defaults', () => {
+    const store = getStoreBySlug('downtown');
+    expect(store.greeting).toContain('Downtown Pizza');
+    expect(store.voice).toBe('alloy');
+    expect(store.integrations.zapierWebhookUrl).toBe('https://hooks.example.com/downtown');
+  });
+
+  test('should pick the menu provider per store', () => {
+    expect(getStoreBySlug('northside').menu).toEqual({ path: 'menus/northside.yaml', watch: false, cacheMinutes: null, provider: 'file' });
+    expect(getStoreBySlug('downtown').menu.provider).toBe(getStoreBySlug('downtown').menuSheetId ? 'sheets' : 'builtin');
+  });
+
+  test('should reject an unknown menu provider', () => {
+    const badPath = path.join(os.tmpdir(), `stores-bad-${process.pid}.json`);
+    fs.writeFileSync(badPath, JSON.stringify({ stores: [{ slug: 'bad', menu: { provider: 'fax' } }] }));
+    try {
+      expect(() => loadStores(badPath)).toThrow('unknown menu provider "fax"');
+    } finally {
+      fs.unlinkSync(badPath);
+      loadStores(configPath);
+    }
+  });
+
+  test('should return null for unknown slug', () => {
+    expect(getStoreBySlug('nowhere')).toBeNull();
+  });
+});
+
+
+
+
+
+
@@ -0,0 +1,88 @@
+/**
+ * Tool Registry Tests
+ * Schemas, argument validation and handlers shared by both servers
+ */
+
+const OrderManager = require('../src/services/order-manager');
+const { getToolDefinitions, validateToolArguments, runTool } = require('../src/services/tool-registry');
+
+describe('Tool Registry', () => {
+  let orderManager;
+  let context;
+
+  beforeEach(() => {
+    orderManager = new OrderManager('stream-1', 'call-1', '+13155551234');
+    context = { orderManager, storeConfig: null, readyTimeEstimator: null };
+  });
+
+  test('should define every tool for the Realtime session', () => {
+    const definitions = getToolDefinitions();
+    const names = definitions.map(tool => tool.name);
+    expect(names).toEqual(expect.arrayContaining([
+      'add_item_to_order', 'remove_item', 'update_item_quantity', 'change_item_size', 'clear_order',
+      'set_delivery_method', 'set_address', 'set_customer_name', 'set_customer_phone', 'set_payment_method',
+      'set_requested_time', 'get_ready_time', 'repeat_last_order', 'get_item_description', 'confirm_order'
+    ]));
+    definitions.forEach(tool => {
+      expect(tool.type).toBe('function');
+      expect(tool.parameters.type).toBe('object');
+    });
+    expect(getToolDefinitions(['clear_order'])).toHaveLength(1);
+  });
+
+  test('should validate and clean arguments', () => {
+    expect(validateToolArguments('add_item_to_order', '{"name":" cheese pizza ","size":"Large","quantity":"2","extra":true}'))
+      .toEqual({ name: 'cheese pizza', size: 'Large', quantity: 2 });
+    expect(validateToolArguments('add_item_to_order', { name: 'cheese pizza', toppings: ['pepperoni'] }).toppings)
+      .toEqual([{ name: 'pepperoni' }]);
+    expect(validateToolArguments('set_payment_method', { method: 'Cash' })).toEqual({ method: 'cash' });
+  });
+
+  test('should reject arguments that do not match the schema', () => {
+    expect(() => validateToolArguments('add_item_to_order', {})).toThrow('name is required');
+    expect(() => validateToolArguments('set_payment_method', { method: 'bitcoin' })).toThrow('method must be one of');
+    expect(() => validateToolArguments('add_item_to_order', { name: 'cheese pizza', quantity: 1.5 })).toThrow('quantity must be a whole number');
+    expect(() => validateToolArguments('update_item_quantity', { name: 'soda', quantity: -1 })).toThrow('quantity must be at least 0');
+    expect(() => validateToolArguments('set_payment_method', '{oops')).toThrow('Could not read the arguments');
+  });
+
+  test('should run a tool and return the updated order', () => {
+    const result = runTool('add_item_to_order', { name: 'cheese pizza', size: 'large', quantity: 2 }, context);
+    expect(result.success).toBe(true);
+    expect(result.order.items).toBe('2x large cheese pizza');
+    expect(result.order.subtotal).toBeCloseTo(37.98, 2);
+  });
+
+  test('should pass wing flavor, dressing and modifiers through to the item', () => {
+    runTool('add_item_to_order', { name: 'garlic knots', flavor: 'hot', dressing: 'ranch', modifiers: 'extra crispy' }, context);
+    expect(orderManager.getOrder().items[0]).toMatchObject({ flavor: 'hot', dressing: 'ranch', modifiers: 'extra crispy' });
+  });
+
+  test('should return error codes instead of throwing', () => {
+    expect(runTool('add_item_to_order', { name: 'lobster pizza' }, context).error.code).toBe('menu_item_not_found');
+    expect(runTool('add_item_to_order', { size: 'large' }, context).error.code).toBe('invalid_arguments');
+    expect(runTool('order_dessert', {}, context).error.code).toBe('unknown_tool');
+    expect(runTool('get_ready_time', {}, context).error.code).toBe('ready_time_unavailable');
+  });
+
+  test('should look up item descriptions', () => {
+    const menu = { 'luna pizza': { sizes: ['large'], priceMap: { large: 19.99 }, description: 'Ricotta, spinach and garlic' } };
+    context.orderManager = new OrderManager('stream-1', 'call-1', '+13155551234', null, { menu });
+    const result = runTool('get_item_description', { item_name: 'luna pizza' }, context);
+    expect(result).toMatchObject({ success: true, item: 'luna pizza', description: 'Ricotta, spinach and garlic' });
+    expect(runTool('get_item_description', { item_name: 'soda pizza' }, context).success).toBe(false);
+  });
+
+  test('should work against an existing order object', () => {
+    const order = { items: [{ name: 'soda', size: 'regular', quantity: 1, price: 2.99 }] };
+    const manager = new OrderManager('stream-1', null, null, null, { order });
+    runTool('update_item_quantity', { name: 'soda', quantity: 3 }, { orderManager: manager });
+    expect(order.items[0].quantity).toBe(3);
+    expect(order.subtotal).toBeCloseTo(8.97, 2);
+  });
+});
+
+
+
+
+
@@ -0,0 +1,40 @@
+/**
+ * Wing Rules Tests
+ * Piece counts, prices and flavors for wing orders
+ */
+
+const { resolveWingOrder, getPieceCounts } = require('../src/services/wing-rules');
+
+describe('Wing Rules', () => {
+  const wingOptions = {
+    pieceCounts: [{ name: '6 Pieces', price: 8.99 }, { name: '10 Pieces', price: 13.99 }],
+    flavors: [{ name: 'Hot' }, { name: 'Garlic Parmesan' }]
+  };
+
+  test('should read the piece count from the size or the quantity', () => {
+    expect(resolveWingOrder({ size: '10 piece', quantity: 2, flavor: 'hot' }, wingOptions))
+      .toEqual({ pieceCount: 10, quantity: 2, price: 13.99, flavor: 'Hot' });
+    expect(resolveWingOrder({ quantity: 6, flavor: 'garlic parmesan' }, wingOptions))
+      .toEqual({ pieceCount: 6, quantity: 1, price: 8.99, flavor: 'Garlic Parmesan' });
+  });
+
+  test('should ask for a missing or unknown piece count', () => {
+    expect(() => resolveWingOrder({ quantity: 1, flavor: 'hot' }, wingOptions)).toThrow('Ask how many pieces they want: 6, 10');
+    expect(() => resolveWingOrder({ size: '20', flavor: 'hot' }, wingOptions)).toThrow('We don\'t have 20-piece wings');
+  });
+
+  test('should require a flavor from the flavor list', () => {
+    expect(() => resolveWingOrder({ size: '6' }, wingOptions)).toThrow(expect.objectContaining({ code: 'missing_flavor' }));
+    expect(() => resolveWingOrder({ size: '6', flavor: 'mango' }, wingOptions)).toThrow(expect.objectContaining({ code: 'invalid_flavor' }));
+  });
+
+  test('should use default piece counts without a Wing_Options sheet', () => {
+    expect(getPieceCounts(null)).toEqual([6, 10, 20, 30, 50]);
+    expect(resolveWingOrder({ quantity: 20, flavor: 'mango' })).toEqual({ pieceCount: 20, quantity: 1, price: null, flavor: 'mango' });
+  });
+});
+
+
+
+
+